@@ -0,0 +1,289 @@
+'use strict';
+
+/**
+ * Abandoned carts and their recovery emails.
+ *
+ * Once a shopper has given an email at checkout, every cart snapshot the
+ * storefront posts is kept in the tenant's abandonedCarts collection:
+ *
+ *   { id, email, lang, items, value, itemCount, status, recoveryUrl,
+ *     unsubscribeUrl, createdAt, updatedAt, reminders: [{ step, sentAt }],
+ *     restoredAt, restoreCount, orderId, orderTotal, convertedAt,
+ *     unsubscribedAt }
+ *
+ * `items` are the storefront cart lines (what the browser keeps in
+ * localStorage), `value` is their catalogue value in the base currency.
+ * Names in `items` come from the browser: reminder emails list the
+ * catalogue's names instead. Status moves from 'open' to 'recovered'
+ * (ordered after a reminder or a recovery link), 'converted' (ordered
+ * without either) or 'expired'. An address that unsubscribed gets no more
+ * reminders, on this cart or later ones.
+ *
+ * Settings live in config.abandonedCarts:
+ *
+ *   { enabled: false, delaysHours: [1, 24, 72], expireDays: 14 }
+ *
+ * Reminder N goes out once the cart has been idle for delaysHours[N].
+ */
+
+const crypto = require('crypto');
+
+const CART_STATUSES = ['open', 'recovered', 'converted', 'expired'];
+const DEFAULT_DELAYS_HOURS = [1, 24, 72];
+const MAX_REMINDERS = 3;
+const MAX_ITEMS = 120;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+function round2(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function text(value, max) {
+  return String(value === undefined || value === null ? '' : value).trim().slice(0, max);
+}
+
+function normalizeEmail(value) {
+  const email = String(value || '').trim().toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : '';
+}
+
+/** Settings with every field present; delays are distinct, ascending hours. */
+function normalizeAbandonedCartSettings(raw) {
+  const input = raw && typeof raw === 'object' ? raw : {};
+  const source = Array.isArray(input.delaysHours)
+    ? input.delaysHours
+    : String(input.delaysHours === undefined ? DEFAULT_DELAYS_HOURS.join(',') : input.delaysHours).split(/[,\s]+/);
+  const delaysHours = Array.from(new Set(source
+    .map((h) => Number(h))
+    .filter((h) => Number.isFinite(h) && h >= 0.25 && h <= 720)
+    .map((h) => Math.round(h * 100) / 100)))
+    .sort((a, b) => a - b)
+    .slice(0, MAX_REMINDERS);
+  const expireDays = parseInt(input.expireDays, 10);
+  return {
+    enabled: input.enabled === true,
+    delaysHours,
+    expireDays: Number.isFinite(expireDays) ? Math.min(90, Math.max(1, expireDays)) : 14
+  };
+}
+
+/** Storefront cart lines, keeping only the fields the cart widget renders. */
+function normalizeCartItems(items) {
+  return (Array.isArray(items) ? items : [])
+    .filter((item) => item && typeof item === 'object' && text(item.id, 120))
+    .slice(0, MAX_ITEMS)
+    .map((item) => {
+      const line = {
+        id: text(item.id, 120),
+        qty: Math.max(1, parseInt(item.qty, 10) || 1),
+        name: text(item.name, 200),
+        price: round2(Math.max(0, Number(item.price) || 0)),
+        imageUrl: text(item.imageUrl, 500)
+      };
+      if (item.variantId) line.variantId = text(item.variantId, 120);
+      if (item.variantLabel) line.variantLabel = text(item.variantLabel, 200);
+      if (item.cartKey) line.cartKey = text(item.cartKey, 400);
+      if (item.optionSummary) line.optionSummary = text(item.optionSummary, 500);
+      if (Array.isArray(item.selectedOptions) && item.selectedOptions.length) line.selectedOptions = item.selectedOptions.slice(0, 40);
+      if (item.isKitSummary) line.isKitSummary = true;
+      return line;
+    });
+}
+
+function generateCartId() {
+  return `cart_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+/**
+ * Save the shopper's current cart: updates their open cart or starts a new
+ * one. An emptied cart drops the open record.
+ *
+ * The open cart is the one with `snapshot.id` (the id the shopper's session
+ * holds). Only an `emailVerified` shopper (logged in) also picks up an open
+ * cart by email; a typed address starts a cart of its own, so nobody can
+ * take over another shopper's cart by typing their email.
+ *
+ * @param {object[]} carts
+ * @param {object} snapshot - { id, email, emailVerified, lang, items, value,
+ *   recoveryUrl, unsubscribeUrl } where recoveryUrl(id) and unsubscribeUrl(id)
+ *   build the signed links for a new cart
+ * @returns {{ carts: object[], cart: object|null }}
+ */
+function captureCart(carts, snapshot, now = new Date()) {
+  const list = Array.isArray(carts) ? carts.slice() : [];
+  const email = normalizeEmail(snapshot.email);
+  const items = normalizeCartItems(snapshot.items);
+  let idx = snapshot.id ? list.findIndex((c) => c && c.id === snapshot.id && c.status === 'open') : -1;
+  if (idx < 0 && email && snapshot.emailVerified) {
+    idx = list.findIndex((c) => c && c.email === email && c.status === 'open');
+  }
+  if (!items.length) {
+    if (idx >= 0) list.splice(idx, 1);
+    return { carts: list, cart: null };
+  }
+  const at = now.toISOString();
+  const previous = idx >= 0 ? list[idx] : null;
+  if (!previous && !email) return { carts: list, cart: null };
+  const id = previous ? previous.id : generateCartId();
+  const optedOut = !previous && list.find((c) => c && c.email === email && c.unsubscribedAt);
+  const cart = {
+    ...(optedOut ? { unsubscribedAt: optedOut.unsubscribedAt } : {}),
+    reminders: [],
+    restoreCount: 0,
+    restoredAt: '',
+    createdAt: at,
+    ...previous,
+    id,
+    email: email || previous.email,
+    lang: text(snapshot.lang, 5) || (previous && previous.lang) || 'el',
+    items,
+    itemCount: items.reduce((sum, item) => sum + (item.isKitSummary ? 0 : item.qty), 0),
+    value: round2(snapshot.value),
+    status: 'open',
+    recoveryUrl: (previous && previous.recoveryUrl) || (typeof snapshot.recoveryUrl === 'function' ? snapshot.recoveryUrl(id) : ''),
+    unsubscribeUrl: (previous && previous.unsubscribeUrl) || (typeof snapshot.unsubscribeUrl === 'function' ? snapshot.unsubscribeUrl(id) : ''),
+    updatedAt: at
+  };
+  if (idx >= 0) list[idx] = cart;
+  else list.push(cart);
+  return { carts: list, cart };
+}
+
+/** Index of the reminder due for `cart`, or -1. */
+function dueReminderStep(cart, settings, now = Date.now()) {
+  if (!cart || cart.status !== 'open' || !cart.email || cart.unsubscribedAt || !(cart.items || []).length) return -1;
+  const step = (cart.reminders || []).length;
+  const delay = settings.delaysHours[step];
+  if (delay === undefined) return -1;
+  const idle = now - Date.parse(cart.updatedAt);
+  return idle >= delay * HOUR_MS ? step : -1;
+}
+
+function isCartExpired(cart, settings, now = Date.now()) {
+  return !!cart && cart.status === 'open' && now - Date.parse(cart.updatedAt) > settings.expireDays * DAY_MS;
+}
+
+function signaturePayload(tenantId, cartId) {
+  return `abandoned-cart:${tenantId}:${cartId}`;
+}
+
+/** URL-safe HMAC binding a cart id to its tenant, for recovery links. */
+function signCartToken(secret, tenantId, cartId) {
+  return crypto.createHmac('sha256', String(secret)).update(signaturePayload(tenantId, cartId)).digest('base64url');
+}
+
+function verifyCartToken(secret, tenantId, cartId, token) {
+  const expected = Buffer.from(signCartToken(secret, tenantId, cartId));
+  const given = Buffer.from(String(token || ''));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * Stop reminders to the address of cart `cartId`: every cart with that
+ * address is marked, and captureCart() carries the mark to new ones.
+ *
+ * @returns {object|null} the cart, or null when the id is unknown
+ */
+function unsubscribeCart(carts, cartId, now = new Date()) {
+  const cart = (carts || []).find((c) => c && c.id === cartId);
+  if (!cart) return null;
+  const at = now.toISOString();
+  (carts || []).forEach((c) => {
+    if (c && (c === cart || (cart.email && c.email === cart.email)) && !c.unsubscribedAt) c.unsubscribedAt = at;
+  });
+  return cart;
+}
+
+/**
+ * Close the shopper's open carts when they place an order. A shopper who
+ * typed their email in more than one session can have several; the order
+ * closes them all. The order counts as recovered when a reminder went out or
+ * a recovery link was opened first.
+ *
+ * @param {object} order - { email, id, total, exchangeRate }
+ * @returns {object|null} the cart credited with the order
+ */
+function recordConversion(carts, order, now = new Date()) {
+  const email = normalizeEmail(order && order.email);
+  const open = email ? (carts || []).filter((c) => c && c.email === email && c.status === 'open') : [];
+  if (!open.length) return null;
+  const rate = Number(order.exchangeRate) > 0 ? Number(order.exchangeRate) : 1;
+  const reminded = (cart) => (cart.reminders || []).length || cart.restoredAt;
+  const primary = open.find(reminded) || open[0];
+  open.forEach((cart) => {
+    // Only one cart takes the order's revenue; the others just close.
+    cart.status = cart === primary && reminded(cart) ? 'recovered' : 'converted';
+    cart.orderId = order.id;
+    cart.orderTotal = cart === primary ? round2((Number(order.total) || 0) / rate) : 0;
+    cart.convertedAt = now.toISOString();
+  });
+  return primary;
+}
+
+/**
+ * Abandoned versus recovered revenue in the base currency. A cart counts as
+ * abandoned once it sat idle past the first reminder delay (or got a
+ * reminder); carts bought before that never were.
+ *
+ * @param {object} [options] - { since: ISO date, now: ms }
+ */
+function summarizeAbandonedCarts(carts, settings, options = {}) {
+  const now = options.now || Date.now();
+  const since = options.since ? Date.parse(options.since) : 0;
+  const firstDelay = (settings.delaysHours[0] || 1) * HOUR_MS;
+  const report = {
+    abandoned: 0,
+    abandonedValue: 0,
+    recovered: 0,
+    recoveredRevenue: 0,
+    open: 0,
+    openValue: 0,
+    expired: 0,
+    remindersSent: 0,
+    recoveryRate: 0,
+    bySteps: settings.delaysHours.map((hours, step) => ({ step, hours, sent: 0, recovered: 0 }))
+  };
+  (Array.isArray(carts) ? carts : []).forEach((cart) => {
+    if (!cart || Date.parse(cart.createdAt) < since) return;
+    const reminders = (cart.reminders || []).length;
+    const abandoned = cart.status === 'recovered' || cart.status === 'expired' || reminders > 0
+      || (cart.status === 'open' && now - Date.parse(cart.updatedAt) >= firstDelay);
+    if (!abandoned) return;
+    report.abandoned += 1;
+    report.abandonedValue = round2(report.abandonedValue + (Number(cart.value) || 0));
+    report.remindersSent += reminders;
+    (cart.reminders || []).forEach((r) => {
+      if (report.bySteps[r.step]) report.bySteps[r.step].sent += 1;
+    });
+    if (cart.status === 'recovered') {
+      report.recovered += 1;
+      report.recoveredRevenue = round2(report.recoveredRevenue + (Number(cart.orderTotal) || 0));
+      const lastStep = reminders - 1;
+      if (report.bySteps[lastStep]) report.bySteps[lastStep].recovered += 1;
+    } else if (cart.status === 'expired') {
+      report.expired += 1;
+    } else if (cart.status === 'open') {
+      report.open += 1;
+      report.openValue = round2(report.openValue + (Number(cart.value) || 0));
+    }
+  });
+  report.recoveryRate = report.abandoned ? Math.round((report.recovered / report.abandoned) * 1000) / 10 : 0;
+  return report;
+}
+
+module.exports = {
+  CART_STATUSES,
+  DEFAULT_DELAYS_HOURS,
+  MAX_REMINDERS,
+  normalizeAbandonedCartSettings,
+  normalizeCartItems,
+  captureCart,
+  dueReminderStep,
+  isCartExpired,
+  signCartToken,
+  verifyCartToken,
+  unsubscribeCart,
+  recordConversion,
+  summarizeAbandonedCarts
+};
@@ -6,14 +6,19 @@ function _loadJson(filePath) {
   try { return JSON.parse(fs.readFileSync(filePath, 'utf8')); } catch { return null; }
 }
 
+function _loadCollection(req, collection) {
+  if (req.tenantStore) return req.tenantStore.load(req.tenant.id, collection, null);
+  return _loadJson(req.tenantPaths[collection]);
+}
+
 /**
  * Build a sanitised tenant context snapshot to send to the VCA admin assistant.
  * Never includes credentials, adminPasswordHash, payment secrets, or other tenants' data.
  */
 function buildTenantContext(req) {
-  const config = _loadJson(req.tenantPaths.config) || {};
-  const products = _loadJson(req.tenantPaths.products) || [];
-  const categories = _loadJson(req.tenantPaths.categories) || [];
+  const config = _loadCollection(req, 'config') || {};
+  const products = _loadCollection(req, 'products') || [];
+  const categories = _loadCollection(req, 'categories') || [];
 
   return {
     tenant_id: req.tenant.id,
@@ -0,0 +1,165 @@
+'use strict';
+
+/**
+ * Coupons and their redemption log.
+ *
+ * Coupons live in config.coupons:
+ *
+ *   { code: 'SUMMER25', type: 'percent' | 'fixed', value: 25, minSubtotal: 0,
+ *     active: true, expiresAt: '2026-09-30T23:59+03:00', maxRedemptions: 0,
+ *     maxPerEmail: 0, batchId: '' }
+ *
+ * Amounts are in the base currency; 0 means "no limit". Expiry dates are
+ * the shop's local time (lib/tenant-time.js). Generated batches are
+ * single-use codes (maxRedemptions 1) sharing a batchId.
+ *
+ * Every use is logged in the tenant's couponRedemptions collection:
+ *
+ *   { id, code, batchId, orderId, pendingId, email, discount, orderTotal,
+ *     currency, exchangeRate, status: 'reserved' | 'redeemed' | 'void',
+ *     createdAt, expiresAt, redeemedAt, voidedAt, voidReason }
+ *
+ * Card orders hold a 'reserved' entry until Stripe confirms the payment; it
+ * stops counting once its expiresAt passes. Cancelled orders void theirs.
+ */
+
+const crypto = require('crypto');
+const { toZonedIso } = require('./tenant-time');
+
+const COUPON_REJECTIONS = ['not_found', 'inactive', 'expired', 'limit_reached', 'email_limit_reached'];
+// No 0/O or 1/I, so printed codes can be typed back.
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const MAX_BATCH_SIZE = 500;
+
+function round2(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function normalizeCouponCode(value) {
+  return String(value || '').trim().toUpperCase();
+}
+
+function toDate(value) {
+  const text = String(value || '').trim();
+  return text && Number.isFinite(Date.parse(text)) ? text : '';
+}
+
+/**
+ * A coupon with every field present and in range. With `options.timeZone`
+ * (when saving from the admin form), an expiry without an offset is read as
+ * the shop's local time.
+ */
+function normalizeCoupon(raw, options) {
+  const input = raw && typeof raw === 'object' ? raw : {};
+  const timeZone = options && options.timeZone;
+  return {
+    code: normalizeCouponCode(input.code),
+    type: String(input.type || 'percent').toLowerCase() === 'fixed' ? 'fixed' : 'percent',
+    value: Math.max(0, Number(input.value) || 0),
+    minSubtotal: Math.max(0, Number(input.minSubtotal) || 0),
+    active: input.active !== false,
+    expiresAt: timeZone ? toZonedIso(input.expiresAt, timeZone) : toDate(input.expiresAt),
+    maxRedemptions: Math.max(0, parseInt(input.maxRedemptions, 10) || 0),
+    maxPerEmail: Math.max(0, parseInt(input.maxPerEmail, 10) || 0),
+    batchId: String(input.batchId || '').trim()
+  };
+}
+
+function findCoupon(coupons, code) {
+  const wanted = normalizeCouponCode(code);
+  if (!wanted) return null;
+  const match = (Array.isArray(coupons) ? coupons : []).find((c) => c && normalizeCouponCode(c.code) === wanted);
+  return match ? normalizeCoupon(match) : null;
+}
+
+/** Redeemed, or reserved by a card checkout that has not timed out. */
+function isRedemptionCounted(entry, now) {
+  if (!entry) return false;
+  if (entry.status === 'redeemed') return true;
+  if (entry.status !== 'reserved') return false;
+  return !entry.expiresAt || Date.parse(entry.expiresAt) > now;
+}
+
+/**
+ * Whether `coupon` may be used now by `email`, given the redemption log.
+ *
+ * @returns {{ ok: boolean, reason?: string }} reason is one of COUPON_REJECTIONS
+ */
+function checkCoupon(coupon, context = {}) {
+  if (!coupon || !coupon.code) return { ok: false, reason: 'not_found' };
+  if (coupon.active === false) return { ok: false, reason: 'inactive' };
+  const now = context.now instanceof Date ? context.now.getTime() : (Number(context.now) || Date.now());
+  if (coupon.expiresAt && Date.parse(coupon.expiresAt) < now) return { ok: false, reason: 'expired' };
+  if (!coupon.maxRedemptions && !coupon.maxPerEmail) return { ok: true };
+  const used = (Array.isArray(context.redemptions) ? context.redemptions : [])
+    .filter((r) => r && r.code === coupon.code && isRedemptionCounted(r, now));
+  if (coupon.maxRedemptions && used.length >= coupon.maxRedemptions) return { ok: false, reason: 'limit_reached' };
+  const email = String(context.email || '').trim().toLowerCase();
+  if (coupon.maxPerEmail && email && used.filter((r) => r.email === email).length >= coupon.maxPerEmail) {
+    return { ok: false, reason: 'email_limit_reached' };
+  }
+  return { ok: true };
+}
+
+/**
+ * `count` new single-use codes such as "XMAS-7K3QD9TZ", none of which is in
+ * `existingCodes`.
+ */
+function generateCouponCodes(prefix, count, existingCodes) {
+  const cleanPrefix = normalizeCouponCode(prefix).replace(/[^A-Z0-9]/g, '').slice(0, 12);
+  const taken = new Set((existingCodes || []).map(normalizeCouponCode));
+  const wanted = Math.max(0, Math.min(MAX_BATCH_SIZE, parseInt(count, 10) || 0));
+  const codes = [];
+  while (codes.length < wanted) {
+    const bytes = crypto.randomBytes(8);
+    const body = Array.from(bytes, (b) => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+    const code = cleanPrefix ? `${cleanPrefix}-${body}` : body;
+    if (taken.has(code)) continue;
+    taken.add(code);
+    codes.push(code);
+  }
+  return codes;
+}
+
+/**
+ * Per-coupon usage for the admin view. Money is summed in the base currency
+ * (order amounts divided by their exchange rate).
+ *
+ * @returns {Object<string, { redemptions, reserved, voided, discount, revenue, lastRedeemedAt }>}
+ */
+function summarizeCouponUsage(redemptions, now = Date.now()) {
+  const summary = {};
+  (Array.isArray(redemptions) ? redemptions : []).forEach((entry) => {
+    if (!entry || !entry.code) return;
+    const row = summary[entry.code] || (summary[entry.code] = {
+      redemptions: 0, reserved: 0, voided: 0, discount: 0, revenue: 0, lastRedeemedAt: ''
+    });
+    if (entry.status === 'void') {
+      row.voided += 1;
+      return;
+    }
+    if (entry.status === 'reserved') {
+      if (isRedemptionCounted(entry, now)) row.reserved += 1;
+      return;
+    }
+    const rate = Number(entry.exchangeRate) > 0 ? Number(entry.exchangeRate) : 1;
+    row.redemptions += 1;
+    row.discount = round2(row.discount + (Number(entry.discount) || 0) / rate);
+    row.revenue = round2(row.revenue + (Number(entry.orderTotal) || 0) / rate);
+    const at = entry.redeemedAt || entry.createdAt || '';
+    if (at > row.lastRedeemedAt) row.lastRedeemedAt = at;
+  });
+  return summary;
+}
+
+module.exports = {
+  COUPON_REJECTIONS,
+  MAX_BATCH_SIZE,
+  normalizeCouponCode,
+  normalizeCoupon,
+  findCoupon,
+  isRedemptionCounted,
+  checkCoupon,
+  generateCouponCodes,
+  summarizeCouponUsage
+};
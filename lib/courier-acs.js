@@ -0,0 +1,97 @@
+'use strict';
+
+const axios = require('axios');
+const { registerCourier, REQUEST_TIMEOUT_MS } = require('./couriers');
+
+const DEFAULT_BASE_URL = 'https://webservices.acscourier.net/ACSRestServices/api/ACSAutoRest';
+
+/**
+ * ACS Courier. Every call is a POST of { ACSAlias, ACSInputParameters } to a
+ * single endpoint, authenticated by the AcsApiKey header plus the company and
+ * user credentials inside the parameters.
+ */
+class AcsCourier {
+  constructor(settings, url) {
+    this.settings = settings || {};
+    this.url = String(url || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  }
+
+  async _call(alias, params) {
+    const s = this.settings;
+    const resp = await axios.post(this.url, {
+      ACSAlias: alias,
+      ACSInputParameters: {
+        Company_ID: s.companyId || '',
+        Company_Password: s.companyPassword || '',
+        User_ID: s.userId || '',
+        User_Password: s.userPassword || '',
+        Language: 'GR',
+        ...params
+      }
+    }, {
+      headers: { AcsApiKey: s.apiKey || '', 'Content-Type': 'application/json' },
+      timeout: REQUEST_TIMEOUT_MS
+    });
+    const data = resp.data || {};
+    if (data.ACSExecution_HasError) throw new Error(`ACS: ${data.ACSExecutionErrorMessage || 'request failed'}`);
+    return data.ACSOutputResponce || {};
+  }
+
+  async createShipment(shipment) {
+    const r = shipment.recipient || {};
+    const out = await this._call('ACS_Create_Voucher', {
+      Billing_Code: this.settings.billingCode || '',
+      Pickup_Date: new Date().toISOString().slice(0, 10),
+      Recipient_Name: r.name,
+      Recipient_Address: r.address,
+      Recipient_Zipcode: r.postcode,
+      Recipient_Region: r.city,
+      Recipient_Phone: r.phone,
+      Recipient_Email: r.email,
+      Charge_Type: 2,
+      Cod_Ammount: shipment.codAmount || 0,
+      Cod_Payment_Way: shipment.codAmount ? 0 : '',
+      Item_Quantity: shipment.parcels || 1,
+      Weight: shipment.weightKg,
+      Reference_Key1: shipment.reference,
+      Delivery_Notes: shipment.notes || ''
+    });
+    const row = (out.ACSValueOutput || [])[0] || {};
+    if (!row.Voucher_No) throw new Error(`ACS: ${row.Error_Message || 'no voucher returned'}`);
+    return { trackingNumber: String(row.Voucher_No), carrierRef: String(row.Voucher_No) };
+  }
+
+  async fetchLabel(trackingNumber) {
+    const out = await this._call('ACS_Print_Voucher', { Voucher_No: trackingNumber, Print_Type: 2, Start_Position: 1 });
+    const row = (out.ACSValueOutput || [])[0] || {};
+    if (!row.Voucher_PDF) throw new Error('ACS: no label returned');
+    return Buffer.from(row.Voucher_PDF, 'base64');
+  }
+
+  async fetchTracking(trackingNumber) {
+    const summary = ((await this._call('ACS_Trackingsummary', { Voucher_No: trackingNumber })).ACSValueOutput || [])[0] || {};
+    const details = await this._call('ACS_TrackingDetails', { Voucher_No: trackingNumber });
+    const rows = ((details.ACSTableOutput || {}).Table_Data) || [];
+    const events = rows.map((row) => ({
+      at: row.checkpoint_date_time || '',
+      description: row.checkpoint_action || '',
+      location: row.checkpoint_location || ''
+    }));
+    const last = String((events[events.length - 1] || {}).description || '').toUpperCase();
+    let state = events.length ? 'in_transit' : 'created';
+    if (last.includes('ΔΙΑΝΟΜ')) state = 'out_for_delivery';
+    if (Number(summary.delivery_flag) === 1) state = 'delivered';
+    else if (Number(summary.returned_flag) === 1) state = 'returned';
+    else if (summary.non_delivery_reason_code) state = 'exception';
+    return { state, events };
+  }
+}
+
+registerCourier('acs', {
+  label: 'ACS Courier',
+  fields: ['apiKey', 'companyId', 'companyPassword', 'userId', 'userPassword', 'billingCode'],
+  secrets: ['apiKey', 'companyPassword', 'userPassword'],
+  factory: (settings, url) => new AcsCourier(settings, url)
+});
+
+module.exports = { AcsCourier, DEFAULT_BASE_URL };
@@ -0,0 +1,101 @@
+'use strict';
+
+const axios = require('axios');
+const { registerCourier, REQUEST_TIMEOUT_MS } = require('./couriers');
+
+const DEFAULT_BASE_URL = 'https://api-production.boxnow.gr';
+
+// Parcel states of the partner API, mapped to COURIER_STATES.
+const STATE_BY_PARCEL_STATE = {
+  new: 'created',
+  'in-depot': 'in_transit',
+  'final-destination': 'out_for_delivery',
+  delivered: 'delivered',
+  returned: 'returned',
+  'expired-return': 'returned',
+  canceled: 'exception',
+  lost: 'exception'
+};
+
+/**
+ * BoxNow partner API. Parcels travel from the tenant's warehouse location to
+ * the locker the buyer picked at checkout (shipment.lockerId), so a shipment
+ * without a locker is refused before any request is made.
+ */
+class BoxNowCourier {
+  constructor(settings, url) {
+    this.settings = settings || {};
+    this.url = String(url || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.token = '';
+  }
+
+  async _headers() {
+    if (!this.token) {
+      const resp = await axios.post(`${this.url}/api/v1/auth-sessions`, {
+        grant_type: 'client_credentials',
+        client_id: this.settings.clientId || '',
+        client_secret: this.settings.clientSecret || ''
+      }, { timeout: REQUEST_TIMEOUT_MS });
+      if (!resp.data || !resp.data.access_token) throw new Error('BoxNow: authentication failed');
+      this.token = resp.data.access_token;
+    }
+    return { Authorization: `Bearer ${this.token}` };
+  }
+
+  async createShipment(shipment) {
+    if (!shipment.lockerId) throw new Error('BoxNow: the order has no locker');
+    const r = shipment.recipient || {};
+    const resp = await axios.post(`${this.url}/api/v1/delivery-requests`, {
+      orderNumber: shipment.reference,
+      invoiceValue: shipment.codAmount ? shipment.codAmount.toFixed(2) : '0.00',
+      paymentMode: shipment.codAmount ? 'cod' : 'prepaid',
+      amountToBeCollected: shipment.codAmount ? shipment.codAmount.toFixed(2) : '0.00',
+      origin: { locationId: this.settings.warehouseId || '' },
+      destination: {
+        locationId: shipment.lockerId,
+        contactName: r.name,
+        contactNumber: r.phone,
+        contactEmail: r.email
+      },
+      items: [{ id: '1', name: shipment.reference, value: '0.00', weight: shipment.weightKg }]
+    }, { headers: await this._headers(), timeout: REQUEST_TIMEOUT_MS });
+    const data = resp.data || {};
+    const parcel = (data.parcels || [])[0];
+    if (!parcel || !parcel.id) throw new Error('BoxNow: no parcel returned');
+    return { trackingNumber: String(parcel.id), carrierRef: String(data.id || '') };
+  }
+
+  async fetchLabel(trackingNumber) {
+    const resp = await axios.get(`${this.url}/api/v1/parcels/${encodeURIComponent(trackingNumber)}/label.pdf`, {
+      headers: await this._headers(),
+      responseType: 'arraybuffer',
+      timeout: REQUEST_TIMEOUT_MS
+    });
+    return Buffer.from(resp.data);
+  }
+
+  async fetchTracking(trackingNumber) {
+    const resp = await axios.get(`${this.url}/api/v1/parcels`, {
+      params: { parcelId: trackingNumber },
+      headers: await this._headers(),
+      timeout: REQUEST_TIMEOUT_MS
+    });
+    const parcel = ((resp.data && resp.data.data) || [])[0];
+    if (!parcel) throw new Error('BoxNow: parcel not found');
+    const events = (parcel.events || []).map((event) => ({
+      at: event.createTime || '',
+      description: event.type || '',
+      location: event.locationDisplayName || ''
+    }));
+    return { state: STATE_BY_PARCEL_STATE[parcel.state] || 'in_transit', events };
+  }
+}
+
+registerCourier('boxnow', {
+  label: 'BoxNow',
+  fields: ['clientId', 'clientSecret', 'warehouseId'],
+  secrets: ['clientSecret'],
+  factory: (settings, url) => new BoxNowCourier(settings, url)
+});
+
+module.exports = { BoxNowCourier, DEFAULT_BASE_URL };
@@ -0,0 +1,88 @@
+'use strict';
+
+const axios = require('axios');
+const { registerCourier, REQUEST_TIMEOUT_MS, buildSoapEnvelope, soapResult } = require('./couriers');
+
+const DEFAULT_BASE_URL = 'https://customers.elta-courier.gr/ws/PELService.asmx';
+const NAMESPACE = 'http://elta-courier.gr/';
+
+/**
+ * ELTA Courier SOAP services. Each call carries the customer code, the
+ * sender codes and the password; results report st_flag 0 on success and
+ * st_title otherwise.
+ */
+class EltaCourier {
+  constructor(settings, url) {
+    this.settings = settings || {};
+    this.url = String(url || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  }
+
+  async _soap(operation, params) {
+    const s = this.settings;
+    const resp = await axios.post(this.url, buildSoapEnvelope(NAMESPACE, operation, {
+      PEL_USER_CODE: s.userCode || '',
+      PEL_APOST_CODE: s.senderCode || '',
+      PEL_APOST_SUB_CODE: s.senderSubCode || '',
+      PEL_USER_PASS: s.password || '',
+      ...params
+    }), {
+      headers: { 'Content-Type': 'text/xml; charset=utf-8', SOAPAction: `"${NAMESPACE}${operation}"` },
+      timeout: REQUEST_TIMEOUT_MS,
+      responseType: 'text'
+    });
+    const result = soapResult(resp.data, operation)[`${operation}Result`] || {};
+    if (String(result.st_flag) !== '0') throw new Error(`ELTA: ${result.st_title || 'request failed'}`);
+    return result;
+  }
+
+  async createShipment(shipment) {
+    const r = shipment.recipient || {};
+    const result = await this._soap('CREATEAWB02', {
+      PEL_PARAL_NAME: r.name,
+      PEL_PARAL_ADDRESS: r.address,
+      PEL_PARAL_AREA: r.city,
+      PEL_PARAL_TK: r.postcode,
+      PEL_PARAL_THL_1: r.phone,
+      PEL_SERVICE: '1',
+      PEL_BAROS: shipment.weightKg,
+      PEL_ANTIK_POSO: shipment.codAmount || 0,
+      PEL_TEMAXIA: shipment.parcels || 1,
+      PEL_SXOLIA: shipment.notes || '',
+      PEL_REF_NO: shipment.reference
+    });
+    if (!result.vg_code) throw new Error('ELTA: no voucher returned');
+    return { trackingNumber: String(result.vg_code), carrierRef: String(result.vg_code) };
+  }
+
+  async fetchLabel(trackingNumber) {
+    const result = await this._soap('PELB64VG', { VG_CODE: trackingNumber, PAPER_SIZE: '1' });
+    if (!result.B64String) throw new Error('ELTA: no label returned');
+    return Buffer.from(result.B64String, 'base64');
+  }
+
+  async fetchTracking(trackingNumber) {
+    const result = await this._soap('PELTT01', { WPEL_VG: trackingNumber });
+    const rows = [].concat((result.web_status && result.web_status.item) || []);
+    const events = rows.map((row) => ({
+      at: [row.web_date, row.web_time].filter(Boolean).join(' '),
+      description: row.web_status_title || '',
+      location: row.web_station || ''
+    }));
+    const last = String((events[events.length - 1] || {}).description || '').toUpperCase();
+    let state = events.length ? 'in_transit' : 'created';
+    if (last.includes('ΠΑΡΑΔΟΘ')) state = 'delivered';
+    else if (last.includes('ΕΠΙΣΤΡΟΦ')) state = 'returned';
+    else if (last.includes('ΑΔΥΝΑΜΙΑ')) state = 'exception';
+    else if (last.includes('ΔΙΑΝΟΜ')) state = 'out_for_delivery';
+    return { state, events };
+  }
+}
+
+registerCourier('elta', {
+  label: 'ΕΛΤΑ Courier',
+  fields: ['userCode', 'senderCode', 'senderSubCode', 'password'],
+  secrets: ['password'],
+  factory: (settings, url) => new EltaCourier(settings, url)
+});
+
+module.exports = { EltaCourier, DEFAULT_BASE_URL };
@@ -0,0 +1,104 @@
+'use strict';
+
+const axios = require('axios');
+const { registerCourier, REQUEST_TIMEOUT_MS, buildSoapEnvelope, soapResult } = require('./couriers');
+
+const DEFAULT_BASE_URL = 'https://voucher.taxydromiki.gr/JobServicesV2.asmx';
+const NAMESPACE = 'http://voucher.gr/';
+
+// TrackAndTrace status codes worth telling apart; anything else is in transit.
+const STATE_BY_STATUS = { DLV: 'delivered', RTN: 'returned', OFD: 'out_for_delivery', NDL: 'exception' };
+
+/**
+ * Geniki Taxydromiki JobServicesV2. Authenticate() hands out a session key
+ * that every later SOAP call carries; labels come from the plain HTTP
+ * GetVouchersPdf endpoint next to the service.
+ */
+class GenikiCourier {
+  constructor(settings, url) {
+    this.settings = settings || {};
+    this.url = String(url || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.authKey = '';
+  }
+
+  async _soap(operation, params) {
+    const resp = await axios.post(this.url, buildSoapEnvelope(NAMESPACE, operation, params), {
+      headers: { 'Content-Type': 'text/xml; charset=utf-8', SOAPAction: `"${NAMESPACE}${operation}"` },
+      timeout: REQUEST_TIMEOUT_MS,
+      responseType: 'text'
+    });
+    return soapResult(resp.data, operation)[`${operation}Result`] || {};
+  }
+
+  async _authKey() {
+    if (this.authKey) return this.authKey;
+    const result = await this._soap('Authenticate', {
+      sUsrName: this.settings.username || '',
+      sUsrPwd: this.settings.password || '',
+      applicationKey: this.settings.applicationKey || ''
+    });
+    if (String(result.Result) !== '0' || !result.Key) throw new Error(`Geniki: authentication failed (${result.Result})`);
+    this.authKey = result.Key;
+    return this.authKey;
+  }
+
+  async createShipment(shipment) {
+    const r = shipment.recipient || {};
+    const result = await this._soap('CreateJob', {
+      sAuthKey: await this._authKey(),
+      oVoucher: {
+        OrderId: shipment.reference,
+        Name: r.name,
+        Address: r.address,
+        City: r.city,
+        Telephone: r.phone,
+        Zip: r.postcode,
+        Email: r.email,
+        Pieces: shipment.parcels || 1,
+        Weight: shipment.weightKg,
+        CodAmount: shipment.codAmount || 0,
+        Services: shipment.codAmount ? 'ΑΜ' : '',
+        Comments: shipment.notes || ''
+      },
+      eType: 'Voucher'
+    });
+    if (String(result.Result) !== '0' || !result.Voucher) throw new Error(`Geniki: voucher not created (${result.Result})`);
+    return { trackingNumber: String(result.Voucher), carrierRef: String(result.JobId || '') };
+  }
+
+  async fetchLabel(trackingNumber) {
+    const resp = await axios.get(`${this.url}/GetVouchersPdf`, {
+      params: { authKey: await this._authKey(), voucherNumbers: trackingNumber, Format: 'Flyer', extraInfoFormat: 'None' },
+      responseType: 'arraybuffer',
+      timeout: REQUEST_TIMEOUT_MS
+    });
+    return Buffer.from(resp.data);
+  }
+
+  async fetchTracking(trackingNumber) {
+    const result = await this._soap('TrackAndTrace', {
+      authKey: await this._authKey(),
+      voucherNo: trackingNumber,
+      language: 'el'
+    });
+    if (String(result.Result) !== '0') throw new Error(`Geniki: tracking failed (${result.Result})`);
+    const checkpoints = [].concat((result.Checkpoints && result.Checkpoints.Checkpoint) || []);
+    const events = checkpoints.map((cp) => ({
+      at: cp.StatusDate || '',
+      description: cp.Status || '',
+      location: cp.Shop || ''
+    }));
+    const last = checkpoints[checkpoints.length - 1];
+    const state = last ? (STATE_BY_STATUS[last.StatusCode] || 'in_transit') : 'created';
+    return { state, events };
+  }
+}
+
+registerCourier('geniki', {
+  label: 'Γενική Ταχυδρομική',
+  fields: ['username', 'password', 'applicationKey'],
+  secrets: ['password', 'applicationKey'],
+  factory: (settings, url) => new GenikiCourier(settings, url)
+});
+
+module.exports = { GenikiCourier, DEFAULT_BASE_URL };
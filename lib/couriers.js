@@ -0,0 +1,217 @@
+'use strict';
+
+/**
+ * Courier integrations.
+ *
+ * Every carrier is reached through an adapter with the same small interface,
+ * so route code never deals with a carrier's wire format:
+ *
+ *   adapter.createShipment(shipment) → { trackingNumber, carrierRef }
+ *   adapter.fetchLabel(trackingNumber) → Buffer holding a PDF label
+ *   adapter.fetchTracking(trackingNumber)
+ *                                      → { state, events: [{ at, description, location }] }
+ *
+ * `shipment` is carrier-neutral:
+ *
+ *   { orderId, reference, weightKg, parcels, codAmount, notes, lockerId,
+ *     recipient: { name, phone, email, address, city, postcode } }
+ *
+ * and `state` is one of COURIER_STATES. Adapters:
+ *
+ *   acs    – ACS Courier REST web services (lib/courier-acs.js)
+ *   elta   – ELTA Courier SOAP services (lib/courier-elta.js)
+ *   geniki – Geniki Taxydromiki JobServicesV2 (lib/courier-geniki.js)
+ *   boxnow – BoxNow partner API, delivers to lockers (lib/courier-boxnow.js)
+ *
+ * Credentials live per tenant in config.couriers[<id>]. Adapters always call
+ * the carrier's production endpoint; only the operator may redirect them, by
+ * passing `baseUrl` to createCourierClient() (each carrier then lives under
+ * <baseUrl>/<id>), which is how tests reach tests/mock-courier-server.js.
+ * Tenant settings never choose where credentials and orders are sent.
+ * registerCourier() adds further carriers.
+ */
+
+const COURIER_STATES = ['created', 'in_transit', 'out_for_delivery', 'delivered', 'returned', 'exception'];
+
+// Where a courier state moves the order (see lib/order-status.js).
+const FULFILLMENT_BY_STATE = Object.freeze({
+  in_transit: 'shipped',
+  out_for_delivery: 'shipped',
+  delivered: 'delivered',
+  returned: 'issue',
+  exception: 'issue'
+});
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+const registry = new Map();
+
+/**
+ * Make a carrier available. `factory(settings, url)` returns an adapter,
+ * talking to `url` when given instead of the carrier's own endpoint;
+ * `fields` are the settings the admin form asks for, of which `secrets`
+ * are never rendered back.
+ */
+function registerCourier(id, { label, fields, secrets, factory }) {
+  registry.set(id, {
+    id,
+    label: label || id,
+    fields: Array.isArray(fields) ? fields : [],
+    secrets: Array.isArray(secrets) ? secrets : [],
+    factory
+  });
+}
+
+function listCouriers() {
+  return Array.from(registry.values()).map(({ id, label, fields, secrets }) => ({ id, label, fields, secrets }));
+}
+
+/** Settings of an enabled carrier in `config`, or null. */
+function courierSettings(config, courierId) {
+  const all = config && config.couriers && typeof config.couriers === 'object' ? config.couriers : {};
+  const settings = all[courierId];
+  return registry.has(courierId) && settings && settings.enabled ? settings : null;
+}
+
+/** Carriers the tenant has switched on, for the admin order screen. */
+function enabledCouriers(config) {
+  return listCouriers().filter((courier) => courierSettings(config, courier.id));
+}
+
+/**
+ * Adapter for `courierId` built from the tenant's settings.
+ * `options.baseUrl` (operator-set, never from tenant config) roots every
+ * carrier's endpoint at <baseUrl>/<id>.
+ * Throws when the carrier is unknown or not enabled.
+ */
+function createCourierClient(config, courierId, options = {}) {
+  const entry = registry.get(courierId);
+  if (!entry) throw new Error(`Unknown courier "${courierId}"`);
+  const settings = courierSettings(config, courierId);
+  if (!settings) throw new Error(`Courier "${courierId}" is not enabled`);
+  const root = String(options.baseUrl || '').replace(/\/+$/, '');
+  return entry.factory(settings, root ? `${root}/${courierId}` : '');
+}
+
+/** The fulfillment status a tracking state implies, or '' for none. */
+function fulfillmentStatusFor(state) {
+  return FULFILLMENT_BY_STATE[state] || '';
+}
+
+/** Carrier-neutral shipment for an order (see the interface above). */
+function buildShipment(order) {
+  const o = order || {};
+  const isCod = String(o.paymentMethodId || '').toUpperCase() === 'COD';
+  // Carriers collect cash on delivery in the base currency.
+  const rate = Number(o.exchangeRate) > 0 ? Number(o.exchangeRate) : 1;
+  return {
+    orderId: o.id,
+    reference: String(o.id || '').slice(0, 30),
+    weightKg: Math.max(0.5, Number(o.shippingWeight) || 0),
+    parcels: 1,
+    codAmount: isCod ? Math.round(((Number(o.total) || 0) / rate) * 100) / 100 : 0,
+    notes: String(o.notes || '').slice(0, 200),
+    lockerId: o.pickupPoint && o.pickupPoint.id ? o.pickupPoint.id : '',
+    recipient: {
+      name: o.customerName || o.name || '',
+      phone: o.phone || '',
+      email: o.email || '',
+      address: o.address || '',
+      city: o.city || '',
+      postcode: String(o.tk || '').replace(/\D/g, '')
+    }
+  };
+}
+
+// ── SOAP helpers (ELTA, Geniki) ───────────────────────────────────────────
+
+function escapeXml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function xmlFields(params) {
+  return Object.keys(params || {}).map((key) => {
+    const value = params[key];
+    if (value && typeof value === 'object' && !Array.isArray(value)) return `<${key}>${xmlFields(value)}</${key}>`;
+    return `<${key}>${escapeXml(value)}</${key}>`;
+  }).join('');
+}
+
+/** SOAP 1.1 envelope calling `operation` of `namespace` with `params`. */
+function buildSoapEnvelope(namespace, operation, params) {
+  return '<?xml version="1.0" encoding="utf-8"?>'
+    + '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/"><soap:Body>'
+    + `<${operation} xmlns="${escapeXml(namespace)}">${xmlFields(params)}</${operation}>`
+    + '</soap:Body></soap:Envelope>';
+}
+
+function unescapeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Plain object from an XML fragment: text-only elements become strings and
+ * repeated siblings become arrays. Namespace prefixes and attributes are
+ * dropped. Enough for the carrier responses, not a general parser.
+ */
+function parseXml(xml) {
+  const out = {};
+  const pattern = /<([\w.-]+:)?([\w.-]+)(?:\s[^>]*)?(?:\/>|>([\s\S]*?)<\/\1?\2\s*>)/g;
+  const body = String(xml || '').replace(/<\?xml[^>]*\?>/, '');
+  let match;
+  let found = false;
+  while ((match = pattern.exec(body))) {
+    found = true;
+    const name = match[2];
+    const inner = match[3] || '';
+    const value = /<[\w.-]+[\s/>]/.test(inner) ? parseXml(inner) : unescapeXml(inner.trim());
+    if (Object.prototype.hasOwnProperty.call(out, name)) {
+      out[name] = [].concat(out[name], [value]);
+    } else {
+      out[name] = value;
+    }
+  }
+  return found ? out : unescapeXml(body.trim());
+}
+
+/** The `<operation>Response` element of a SOAP reply, parsed. */
+function soapResult(xml, operation) {
+  const parsed = parseXml(xml);
+  const envelope = parsed.Envelope || {};
+  const body = envelope.Body || {};
+  if (body.Fault) {
+    const fault = body.Fault;
+    throw new Error(`SOAP fault: ${(fault && fault.faultstring) || 'unknown'}`);
+  }
+  return body[`${operation}Response`] || {};
+}
+
+module.exports = {
+  COURIER_STATES,
+  REQUEST_TIMEOUT_MS,
+  registerCourier,
+  listCouriers,
+  courierSettings,
+  enabledCouriers,
+  createCourierClient,
+  fulfillmentStatusFor,
+  buildShipment,
+  buildSoapEnvelope,
+  parseXml,
+  soapResult
+};
+
+// Built-in carriers register themselves on load.
+require('./courier-acs');
+require('./courier-elta');
+require('./courier-geniki');
+require('./courier-boxnow');
@@ -0,0 +1,125 @@
+'use strict';
+
+/**
+ * Tenant currencies.
+ *
+ * Catalog prices, shipping rates and coupon amounts are kept in the tenant's
+ * base currency. Shoppers may switch to one of the display currencies, whose
+ * rates the merchant maintains by hand:
+ *
+ *   config.currency = {
+ *     base: 'EUR',
+ *     display: [{ code: 'USD', rate: 1.08 }, { code: 'GBP', rate: 0.85 }]
+ *   }
+ *
+ * `rate` is how many units of the display currency one unit of the base buys.
+ * An order is priced, charged and stored in the currency it was placed in,
+ * together with the rate used (order.currency, order.exchangeRate,
+ * order.baseCurrency).
+ */
+
+const DEFAULT_BASE_CURRENCY = 'EUR';
+
+const CURRENCY_SYMBOLS = {
+  EUR: '€',
+  USD: '$',
+  GBP: '£',
+  CHF: 'CHF',
+  BGN: 'лв',
+  RON: 'lei',
+  PLN: 'zł',
+  CZK: 'Kč',
+  SEK: 'kr',
+  DKK: 'kr',
+  NOK: 'kr',
+  TRY: '₺',
+  JPY: '¥',
+  CAD: 'CA$',
+  AUD: 'A$'
+};
+
+// Stripe amounts for these are whole units, not cents.
+const ZERO_DECIMAL_CURRENCIES = ['BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'];
+
+function normalizeCurrencyCode(value) {
+  const code = String(value || '').trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(code) ? code : '';
+}
+
+function currencySymbol(code) {
+  const normalized = normalizeCurrencyCode(code) || DEFAULT_BASE_CURRENCY;
+  return CURRENCY_SYMBOLS[normalized] || normalized;
+}
+
+function currencyDecimals(code) {
+  return ZERO_DECIMAL_CURRENCIES.includes(normalizeCurrencyCode(code)) ? 0 : 2;
+}
+
+function roundCurrency(amount, code) {
+  const factor = 10 ** currencyDecimals(code);
+  return Math.round((Number(amount) || 0) * factor) / factor;
+}
+
+/** Amount in the smallest unit Stripe expects (cents, or whole yen). */
+function toMinorUnits(amount, code) {
+  return Math.round((Number(amount) || 0) * 10 ** currencyDecimals(code));
+}
+
+function fromMinorUnits(amount, code) {
+  return (Number(amount) || 0) / 10 ** currencyDecimals(code);
+}
+
+/** "12.40 €" — the amount first, as the storefront has always shown it. */
+function formatMoney(amount, code) {
+  const normalized = normalizeCurrencyCode(code) || DEFAULT_BASE_CURRENCY;
+  return `${(Number(amount) || 0).toFixed(currencyDecimals(normalized))} ${currencySymbol(normalized)}`;
+}
+
+/** Base currency and valid display currencies of a tenant. */
+function resolveCurrencySettings(config) {
+  const raw = (config && config.currency) || {};
+  const base = normalizeCurrencyCode(raw.base) || DEFAULT_BASE_CURRENCY;
+  const seen = new Set([base]);
+  const display = (Array.isArray(raw.display) ? raw.display : [])
+    .map((entry) => ({ code: normalizeCurrencyCode(entry && entry.code), rate: Number(entry && entry.rate) }))
+    .filter((entry) => {
+      if (!entry.code || seen.has(entry.code) || !Number.isFinite(entry.rate) || entry.rate <= 0) return false;
+      seen.add(entry.code);
+      return true;
+    });
+  return { base, display };
+}
+
+/**
+ * The currency a shopper asked for, if the tenant offers it; the base
+ * currency otherwise.
+ *
+ * @returns {{ code: string, rate: number, base: string, symbol: string }}
+ */
+function pickCurrency(settings, requested) {
+  const code = normalizeCurrencyCode(requested);
+  const match = code && code !== settings.base ? settings.display.find((entry) => entry.code === code) : null;
+  const chosen = match || { code: settings.base, rate: 1 };
+  return { code: chosen.code, rate: chosen.rate, base: settings.base, symbol: currencySymbol(chosen.code) };
+}
+
+/** Convert a base-currency amount into `currency` (from pickCurrency). */
+function convertAmount(amount, currency) {
+  const rate = currency && Number(currency.rate) > 0 ? Number(currency.rate) : 1;
+  return roundCurrency((Number(amount) || 0) * rate, currency && currency.code);
+}
+
+module.exports = {
+  DEFAULT_BASE_CURRENCY,
+  ZERO_DECIMAL_CURRENCIES,
+  normalizeCurrencyCode,
+  currencySymbol,
+  currencyDecimals,
+  roundCurrency,
+  toMinorUnits,
+  fromMinorUnits,
+  formatMoney,
+  resolveCurrencySettings,
+  pickCurrency,
+  convertAmount
+};
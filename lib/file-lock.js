@@ -0,0 +1,107 @@
+'use strict';
+
+/**
+ * Cross-process advisory lock for JSON data files.
+ *
+ * A lock is a `<file>.lock` sibling created with O_EXCL; whoever creates it
+ * owns the file until the callback returns. Everything here is synchronous on
+ * purpose: the callback runs to completion without yielding to the event loop,
+ * so a read-modify-write inside withFileLock() can never interleave with
+ * another request in this process, and the lock file keeps other processes
+ * (e.g. a second Railway replica sharing the volume) out as well.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_STALE_MS = 30000;
+const RETRY_DELAY_MS = 10;
+
+const sleepCell = new Int32Array(new SharedArrayBuffer(4));
+const heldLocks = new Set();
+
+function sleepSync(ms) {
+  Atomics.wait(sleepCell, 0, 0, ms);
+}
+
+function isStale(lockPath, staleMs) {
+  try {
+    return Date.now() - fs.statSync(lockPath).mtimeMs > staleMs;
+  } catch (err) {
+    return err && err.code === 'ENOENT';
+  }
+}
+
+function acquire(lockPath, timeoutMs, staleMs) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      const fd = fs.openSync(lockPath, 'wx');
+      fs.writeSync(fd, String(process.pid));
+      fs.closeSync(fd);
+      return;
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+        continue;
+      }
+      if (err.code !== 'EEXIST') throw err;
+      if (isStale(lockPath, staleMs)) {
+        // Owner crashed while holding the lock – take it over.
+        console.warn(`[file-lock] Removing stale lock ${lockPath}`);
+        try { fs.unlinkSync(lockPath); } catch (_) {}
+        continue;
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out after ${timeoutMs}ms waiting for lock ${lockPath}`);
+      }
+      sleepSync(RETRY_DELAY_MS);
+    }
+  }
+}
+
+/**
+ * Run `fn` while holding the lock for `filePath`. Re-entrant within the same
+ * call stack, so a locked update may call a locked save of the same file.
+ * `fn` must be synchronous.
+ *
+ * @param {string}   filePath
+ * @param {Function} fn
+ * @param {object}   [options]
+ * @param {number}   [options.timeoutMs=5000] - give up waiting after this long
+ * @param {number}   [options.staleMs=30000]  - treat older lock files as abandoned
+ * @returns {*} whatever `fn` returns
+ */
+function withFileLock(filePath, fn, options) {
+  const opts = options || {};
+  const lockPath = path.resolve(filePath) + '.lock';
+  if (heldLocks.has(lockPath)) return fn();
+
+  acquire(lockPath, opts.timeoutMs || DEFAULT_TIMEOUT_MS, opts.staleMs || DEFAULT_STALE_MS);
+  heldLocks.add(lockPath);
+  try {
+    return fn();
+  } finally {
+    heldLocks.delete(lockPath);
+    try { fs.unlinkSync(lockPath); } catch (_) {}
+  }
+}
+
+/**
+ * Write JSON to a temp file and rename it into place so readers only ever see
+ * the old or the new content, never a partial write.
+ */
+function writeJsonAtomic(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.tmp.${process.pid}.${Date.now().toString(36)}`;
+  try {
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2), 'utf8');
+    fs.renameSync(tmp, filePath);
+  } catch (err) {
+    try { fs.unlinkSync(tmp); } catch (_) {}
+    throw err;
+  }
+}
+
+module.exports = { withFileLock, writeJsonAtomic };
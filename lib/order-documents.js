@@ -0,0 +1,464 @@
+'use strict';
+
+/**
+ * Order documents: PDF invoices and packing slips.
+ *
+ * Invoice numbers are sequential per tenant and written on the order the first
+ * time its invoice is issued:
+ *
+ *   order.invoice = { number: 'INV-000042', sequence: 42, issuedAt }
+ *
+ * The caller assigns the sequence under the tenant's orders lock (see
+ * nextInvoiceSequence) so two downloads at once cannot share a number.
+ *
+ * PDFs are drawn with pdfkit. Greek text needs a Unicode TrueType font: set
+ * THRC_PDF_FONT / THRC_PDF_FONT_BOLD, otherwise DejaVu Sans is used when the
+ * system has it, and pdfkit's built-in Helvetica (Latin only) as a last resort.
+ */
+
+const fs = require('fs');
+const currencies = require('./currency');
+const { formatPickupPoint } = require('./pickup-points');
+
+let PDFDocument = null;
+try { PDFDocument = require('pdfkit'); } catch (_) { PDFDocument = null; }
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const DEFAULT_INVOICE_PREFIX = 'INV';
+
+// Orders that never got paid (or were called off) do not get an invoice.
+const NON_INVOICEABLE_FULFILLMENT = ['pending_payment', 'cancelled'];
+
+const FONT_CANDIDATES = {
+  regular: [
+    '/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf',
+    '/usr/share/fonts/dejavu/DejaVuSans.ttf',
+    '/usr/share/fonts/TTF/DejaVuSans.ttf',
+    '/Library/Fonts/Arial Unicode.ttf'
+  ],
+  bold: [
+    '/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf',
+    '/usr/share/fonts/dejavu/DejaVuSans-Bold.ttf',
+    '/usr/share/fonts/TTF/DejaVuSans-Bold.ttf'
+  ]
+};
+
+const LABELS = {
+  el: {
+    invoice: 'ΤΙΜΟΛΟΓΙΟ',
+    packingSlip: 'ΔΕΛΤΙΟ ΣΥΣΚΕΥΑΣΙΑΣ',
+    number: 'Αριθμός',
+    issued: 'Ημ/νία έκδοσης',
+    order: 'Παραγγελία',
+    orderDate: 'Ημ/νία παραγγελίας',
+    billTo: 'Πελάτης',
+    shipTo: 'Αποστολή σε',
+    pickupPoint: 'Σημείο παραλαβής',
+    vatNumber: 'ΑΦΜ',
+    taxOffice: 'ΔΟΥ',
+    description: 'Περιγραφή',
+    sku: 'Κωδικός',
+    qty: 'Ποσ.',
+    unitPrice: 'Τιμή μον.',
+    amount: 'Ποσό',
+    subtotal: 'Υποσύνολο',
+    quantityDiscount: 'Έκπτωση ποσότητας',
+    promotion: 'Προσφορά',
+    coupon: 'Κουπόνι',
+    shipping: 'Μεταφορικά',
+    codFee: 'Αντικαταβολή',
+    gatewayFee: 'Χρέωση πληρωμής',
+    total: 'Σύνολο',
+    netAmount: 'Καθαρή αξία',
+    vat: 'ΦΠΑ',
+    vatIncluded: 'Περιλαμβάνεται ΦΠΑ',
+    refunded: 'Επιστράφηκαν',
+    payment: 'Πληρωμή',
+    shippingMethod: 'Αποστολή',
+    doorbell: 'Κουδούνι',
+    notes: 'Σημειώσεις πελάτη',
+    page: 'Σελίδα'
+  },
+  en: {
+    invoice: 'INVOICE',
+    packingSlip: 'PACKING SLIP',
+    number: 'Number',
+    issued: 'Issued',
+    order: 'Order',
+    orderDate: 'Order date',
+    billTo: 'Bill to',
+    shipTo: 'Ship to',
+    vatNumber: 'VAT no.',
+    taxOffice: 'Tax office',
+    description: 'Description',
+    sku: 'SKU',
+    qty: 'Qty',
+    unitPrice: 'Unit price',
+    amount: 'Amount',
+    subtotal: 'Subtotal',
+    quantityDiscount: 'Quantity discount',
+    promotion: 'Promotion',
+    coupon: 'Coupon',
+    shipping: 'Shipping',
+    codFee: 'Cash on delivery fee',
+    gatewayFee: 'Payment fee',
+    total: 'Total',
+    netAmount: 'Net amount',
+    vat: 'VAT',
+    vatIncluded: 'Includes VAT',
+    refunded: 'Refunded',
+    payment: 'Payment',
+    shippingMethod: 'Shipping',
+    doorbell: 'Doorbell',
+    pickupPoint: 'Pickup point',
+    notes: 'Customer notes',
+    page: 'Page'
+  }
+};
+
+function isPdfAvailable() {
+  return !!PDFDocument;
+}
+
+function labelsFor(lang) {
+  return LABELS[lang] || LABELS.el;
+}
+
+/** { regular, bold } font files to embed, or nulls for Helvetica. */
+function resolvePdfFonts(env = process.env, exists = fs.existsSync) {
+  const pick = (override, candidates) => [override].concat(candidates).find((p) => p && exists(p)) || null;
+  const regular = pick(String(env.THRC_PDF_FONT || '').trim(), FONT_CANDIDATES.regular);
+  const bold = pick(String(env.THRC_PDF_FONT_BOLD || '').trim(), FONT_CANDIDATES.bold) || regular;
+  return { regular, bold };
+}
+
+function isInvoiceable(order) {
+  if (!order) return false;
+  if (order.invoice && order.invoice.number) return true;
+  return !NON_INVOICEABLE_FULFILLMENT.includes(String(order.fulfillmentStatus || '').toLowerCase());
+}
+
+function formatInvoiceNumber(sequence, prefix) {
+  const cleanPrefix = String(prefix || DEFAULT_INVOICE_PREFIX).trim().replace(/[^A-Za-z0-9_-]/g, '') || DEFAULT_INVOICE_PREFIX;
+  return `${cleanPrefix}-${String(sequence).padStart(6, '0')}`;
+}
+
+/** Next free invoice sequence for a tenant, given all of its orders. */
+function nextInvoiceSequence(orders) {
+  return (Array.isArray(orders) ? orders : []).reduce((max, o) => {
+    const seq = Number(o && o.invoice && o.invoice.sequence) || 0;
+    return seq > max ? seq : max;
+  }, 0) + 1;
+}
+
+function itemDescription(item) {
+  const name = String(item.name || item.id || '');
+  const variant = item.variantLabel && !name.includes(item.variantLabel) ? ` – ${item.variantLabel}` : '';
+  return `${name}${variant}`;
+}
+
+/** Physical lines of an order; kit summaries only group their parts. */
+function documentLines(order) {
+  const taxLines = order && order.tax && Array.isArray(order.tax.lines) ? order.tax.lines : [];
+  return (Array.isArray(order && order.items) ? order.items : [])
+    .map((item, index) => ({ item, index }))
+    .filter(({ item }) => item && !item.isKitSummary)
+    .map(({ item, index }) => {
+      const qty = Math.max(1, parseInt(item.qty, 10) || 1);
+      const unitPrice = roundMoney(item.price);
+      const taxLine = taxLines.find((l) => l && l.index === index);
+      return {
+        description: itemDescription(item),
+        detail: item.optionSummary || item.sourceKitOption || '',
+        sku: item.variantSku || item.sku || item.variantId || item.id || '',
+        qty,
+        unitPrice,
+        amount: roundMoney(unitPrice * qty),
+        taxRate: taxLine ? Number(taxLine.rate) || 0 : null
+      };
+    });
+}
+
+/**
+ * Everything printed on an invoice, amounts already rounded.
+ * Summary rows with a zero amount are left out.
+ */
+function buildInvoiceData(order) {
+  const lines = documentLines(order);
+  const linesTotal = roundMoney(lines.reduce((sum, l) => sum + l.amount, 0));
+  const refunded = roundMoney((Array.isArray(order.refunds) ? order.refunds : [])
+    .filter((r) => r && r.status === 'succeeded')
+    .reduce((sum, r) => sum + (Number(r.amount) || 0), 0));
+  const adjustments = [
+    { key: 'quantityDiscount', amount: -roundMoney(order.quantityDiscount) },
+    ...(Array.isArray(order.appliedPromotions) ? order.appliedPromotions : [])
+      .map((promo) => ({ key: 'promotion', amount: -roundMoney(promo && promo.discount), note: (promo && promo.name) || '' })),
+    { key: 'coupon', amount: -roundMoney(order.couponDiscount), note: order.couponCode || '' },
+    { key: 'shipping', amount: roundMoney(order.shippingCost) },
+    { key: 'codFee', amount: roundMoney(order.codFee) },
+    { key: 'gatewayFee', amount: roundMoney(order.gatewayFee) }
+  ].filter((row) => row.amount !== 0);
+  const tax = order.tax && Array.isArray(order.tax.byRate)
+    ? {
+      pricesIncludeTax: order.tax.pricesIncludeTax !== false,
+      byRate: order.tax.byRate.map((row) => ({ rate: Number(row.rate) || 0, net: roundMoney(row.net), tax: roundMoney(row.tax) })),
+      total: roundMoney(order.taxTotal != null ? order.taxTotal : order.tax.totalTax)
+    }
+    : null;
+  return {
+    currency: String(order.currency || currencies.DEFAULT_BASE_CURRENCY).toUpperCase(),
+    lines,
+    subtotal: roundMoney(order.subtotalBeforeDiscount || linesTotal),
+    adjustments,
+    tax,
+    total: roundMoney(order.total),
+    refunded
+  };
+}
+
+function formatMoney(amount, currency) {
+  return currencies.formatMoney(amount, currency);
+}
+
+function formatDate(value, lang) {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleDateString(lang === 'en' ? 'en-GB' : 'el-GR');
+}
+
+function createDocument(meta, fonts) {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, bufferPages: true, info: meta });
+  const chosen = fonts || resolvePdfFonts();
+  if (chosen.regular) {
+    doc.registerFont('regular', chosen.regular);
+    doc.registerFont('bold', chosen.bold || chosen.regular);
+  } else {
+    doc.registerFont('regular', 'Helvetica');
+    doc.registerFont('bold', 'Helvetica-Bold');
+  }
+  doc.font('regular');
+  return doc;
+}
+
+function finishDocument(doc, labels) {
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i += 1) {
+    doc.switchToPage(i);
+    // The footer sits inside the bottom margin; without this pdfkit would start a new page.
+    doc.page.margins.bottom = 0;
+    doc.font('regular').fontSize(8).fillColor('#6b7280')
+      .text(`${labels.page} ${i + 1}/${range.count}`, 50, doc.page.height - 40, { width: doc.page.width - 100, align: 'right', lineBreak: false });
+  }
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+  });
+}
+
+function addressLines(order, labels) {
+  return [
+    order.customerName,
+    order.address,
+    [order.tk, order.city].filter(Boolean).join(' '),
+    order.doorbell ? `${labels.doorbell}: ${order.doorbell}` : '',
+    order.pickupPoint ? `${labels.pickupPoint}: ${formatPickupPoint(order.pickupPoint)}` : '',
+    order.phone,
+    order.email
+  ].filter(Boolean);
+}
+
+function sellerLines(seller, labels) {
+  return [
+    seller.address,
+    seller.vatNumber ? `${labels.vatNumber}: ${seller.vatNumber}` : '',
+    seller.taxOffice ? `${labels.taxOffice}: ${seller.taxOffice}` : '',
+    seller.email
+  ].filter(Boolean);
+}
+
+function drawHeader(doc, title, seller, labels) {
+  doc.font('bold').fontSize(16).fillColor('#111827').text(seller.name || '', 50, 50, { width: 300 });
+  doc.font('regular').fontSize(9).fillColor('#374151');
+  sellerLines(seller, labels).forEach((line) => doc.text(line, { width: 300 }));
+  doc.font('bold').fontSize(18).fillColor('#111827').text(title, 300, 50, { width: 245, align: 'right' });
+  doc.fillColor('#111827');
+}
+
+/** Draw a table row; columns are [{ text, x, width, align }]. */
+function drawRow(doc, columns, options = {}) {
+  const bottom = doc.page.height - 70;
+  const heights = columns.map((c) => doc.heightOfString(String(c.text || ''), { width: c.width }));
+  const height = Math.max(...heights, 10);
+  if (doc.y + height > bottom) {
+    doc.addPage();
+    if (options.repeatHeader) options.repeatHeader();
+  }
+  const top = doc.y;
+  columns.forEach((c) => {
+    doc.text(String(c.text || ''), c.x, top, { width: c.width, align: c.align || 'left' });
+  });
+  doc.y = top + height + 4;
+  doc.x = 50;
+}
+
+function drawRule(doc) {
+  doc.moveTo(50, doc.y).lineTo(doc.page.width - 50, doc.y).strokeColor('#d1d5db').lineWidth(0.5).stroke();
+  doc.y += 6;
+}
+
+/**
+ * Render an invoice PDF.
+ *
+ * @param {object} order   - must already carry order.invoice
+ * @param {object} options - { seller: { name, address, vatNumber, taxOffice, email }, lang, fonts }
+ * @returns {Promise<Buffer>}
+ */
+function renderInvoicePdf(order, options = {}) {
+  if (!PDFDocument) return Promise.reject(new Error('pdfkit is not installed'));
+  const labels = labelsFor(options.lang);
+  const seller = options.seller || {};
+  const invoice = order.invoice || {};
+  const data = buildInvoiceData(order);
+  const doc = createDocument({ Title: `${labels.invoice} ${invoice.number || ''}`.trim(), Author: seller.name || '' }, options.fonts);
+
+  drawHeader(doc, labels.invoice, seller, labels);
+  doc.font('regular').fontSize(9).text(`${labels.number}: ${invoice.number || '—'}`, 300, 78, { width: 245, align: 'right' });
+  doc.text(`${labels.issued}: ${formatDate(invoice.issuedAt, options.lang)}`, { width: 245, align: 'right' });
+  doc.text(`${labels.order}: ${order.id}`, { width: 245, align: 'right' });
+  doc.text(`${labels.orderDate}: ${formatDate(order.createdAt, options.lang)}`, { width: 245, align: 'right' });
+
+  doc.y = Math.max(doc.y, 150);
+  const blockTop = doc.y;
+  doc.font('bold').fontSize(10).text(labels.billTo, 50, blockTop);
+  doc.font('regular').fontSize(9);
+  addressLines(order, labels).forEach((line) => doc.text(line, 50, doc.y, { width: 250 }));
+  const leftBottom = doc.y;
+  doc.font('bold').fontSize(10).text(labels.payment, 320, blockTop);
+  doc.font('regular').fontSize(9)
+    .text(order.paymentMethodLabel || order.paymentMethodId || '—', 320, doc.y, { width: 225 });
+  doc.font('bold').fontSize(10).text(labels.shippingMethod, 320, doc.y + 4);
+  doc.font('regular').fontSize(9)
+    .text(order.shippingMethodLabel || order.shippingMethodId || '—', 320, doc.y, { width: 225 });
+  doc.y = Math.max(leftBottom, doc.y) + 18;
+
+  // The VAT column takes room from the description only when the order was taxed.
+  const cols = { desc: 50, vat: 285, qty: 330, unit: 380, amount: 465 };
+  const descWidth = data.tax ? 230 : 270;
+  const header = () => {
+    doc.font('bold').fontSize(9);
+    drawRow(doc, [
+      { text: labels.description, x: cols.desc, width: descWidth },
+      ...(data.tax ? [{ text: `${labels.vat} %`, x: cols.vat, width: 40, align: 'right' }] : []),
+      { text: labels.qty, x: cols.qty, width: 40, align: 'right' },
+      { text: labels.unitPrice, x: cols.unit, width: 75, align: 'right' },
+      { text: labels.amount, x: cols.amount, width: 80, align: 'right' }
+    ]);
+    drawRule(doc);
+    doc.font('regular').fontSize(9);
+  };
+  header();
+  data.lines.forEach((line) => {
+    drawRow(doc, [
+      { text: line.detail ? `${line.description}\n${line.detail}` : line.description, x: cols.desc, width: descWidth },
+      ...(data.tax ? [{ text: line.taxRate === null ? '' : `${line.taxRate}%`, x: cols.vat, width: 40, align: 'right' }] : []),
+      { text: String(line.qty), x: cols.qty, width: 40, align: 'right' },
+      { text: formatMoney(line.unitPrice, data.currency), x: cols.unit, width: 75, align: 'right' },
+      { text: formatMoney(line.amount, data.currency), x: cols.amount, width: 80, align: 'right' }
+    ], { repeatHeader: header });
+  });
+  drawRule(doc);
+
+  const summaryRow = (label, amount, bold) => {
+    doc.font(bold ? 'bold' : 'regular').fontSize(bold ? 11 : 9);
+    drawRow(doc, [
+      { text: label, x: 300, width: 160, align: 'right' },
+      { text: formatMoney(amount, data.currency), x: cols.amount, width: 80, align: 'right' }
+    ]);
+  };
+  summaryRow(labels.subtotal, data.subtotal);
+  data.adjustments.forEach((row) => {
+    summaryRow(row.note ? `${labels[row.key]} (${row.note})` : labels[row.key], row.amount);
+  });
+  if (data.tax && !data.tax.pricesIncludeTax) {
+    data.tax.byRate.forEach((row) => summaryRow(`${labels.vat} ${row.rate}%`, row.tax));
+  }
+  summaryRow(labels.total, data.total, true);
+  if (data.tax && data.tax.pricesIncludeTax) {
+    data.tax.byRate.forEach((row) => summaryRow(`${labels.vatIncluded} ${row.rate}%`, row.tax));
+  }
+  if (data.tax) summaryRow(labels.netAmount, roundMoney(data.total - data.tax.total));
+  if (data.refunded > 0) summaryRow(labels.refunded, -data.refunded);
+
+  return finishDocument(doc, labels);
+}
+
+/**
+ * Render a packing slip PDF: what to pack and where to send it, no prices.
+ *
+ * @returns {Promise<Buffer>}
+ */
+function renderPackingSlipPdf(order, options = {}) {
+  if (!PDFDocument) return Promise.reject(new Error('pdfkit is not installed'));
+  const labels = labelsFor(options.lang);
+  const seller = options.seller || {};
+  const doc = createDocument({ Title: `${labels.packingSlip} ${order.id}`, Author: seller.name || '' }, options.fonts);
+
+  drawHeader(doc, labels.packingSlip, seller, labels);
+  doc.font('regular').fontSize(9).text(`${labels.order}: ${order.id}`, 300, 78, { width: 245, align: 'right' });
+  doc.text(`${labels.orderDate}: ${formatDate(order.createdAt, options.lang)}`, { width: 245, align: 'right' });
+  if (order.shippingMethodLabel) doc.text(order.shippingMethodLabel, { width: 245, align: 'right' });
+  if (order.trackingNumber) {
+    doc.text(`${String(order.trackingCarrier || '').toUpperCase()} ${order.trackingNumber}`.trim(), { width: 245, align: 'right' });
+  }
+
+  doc.y = Math.max(doc.y, 150);
+  doc.font('bold').fontSize(10).text(labels.shipTo, 50, doc.y);
+  doc.font('regular').fontSize(11);
+  addressLines(order, labels).forEach((line) => doc.text(line, 50, doc.y, { width: 300 }));
+  doc.y += 18;
+
+  const header = () => {
+    doc.font('bold').fontSize(9);
+    drawRow(doc, [
+      { text: '', x: 50, width: 20 },
+      { text: labels.description, x: 75, width: 300 },
+      { text: labels.sku, x: 380, width: 110 },
+      { text: labels.qty, x: 495, width: 50, align: 'right' }
+    ]);
+    drawRule(doc);
+    doc.font('regular').fontSize(10);
+  };
+  header();
+  documentLines(order).forEach((line) => {
+    drawRow(doc, [
+      { text: '[ ]', x: 50, width: 20 },
+      { text: line.detail ? `${line.description}\n${line.detail}` : line.description, x: 75, width: 300 },
+      { text: line.sku, x: 380, width: 110 },
+      { text: String(line.qty), x: 495, width: 50, align: 'right' }
+    ], { repeatHeader: header });
+  });
+  drawRule(doc);
+  if (order.notes) {
+    doc.font('bold').fontSize(9).text(labels.notes, 50, doc.y + 6);
+    doc.font('regular').text(order.notes, { width: 495 });
+  }
+
+  return finishDocument(doc, labels);
+}
+
+module.exports = {
+  DEFAULT_INVOICE_PREFIX,
+  isPdfAvailable,
+  resolvePdfFonts,
+  isInvoiceable,
+  formatInvoiceNumber,
+  nextInvoiceSequence,
+  buildInvoiceData,
+  renderInvoicePdf,
+  renderPackingSlipPdf
+};
@@ -0,0 +1,208 @@
+'use strict';
+
+/**
+ * Refund bookkeeping for paid orders.
+ *
+ * Refunds are recorded on the order itself (order.refunds[]):
+ *
+ *   { id, status: 'pending' | 'succeeded' | 'failed', type: 'full' | 'partial',
+ *     amount, shippingAmount, currency, lines: [{ index, productId, variantId,
+ *     name, variantLabel, qty, amount }], restock, reason, stripeRefundId,
+ *     createdAt, completedAt, error }
+ *
+ * A refund is written as 'pending' before the payment provider is called, so
+ * two admins refunding at once cannot both spend the same remaining amount;
+ * 'failed' entries stay for the audit trail but no longer count.
+ *
+ * Line amounts follow what the customer actually paid: the unit price scaled
+ * by the order's discounts (quantity discount, promotions and coupon), plus
+ * the VAT charged on top when the order's prices were tax-exclusive
+ * (order.tax, see lib/tax.js).
+ */
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+function activeRefunds(order) {
+  return (Array.isArray(order && order.refunds) ? order.refunds : [])
+    .filter((r) => r && r.status !== 'failed');
+}
+
+function getRefundedTotal(order) {
+  return roundMoney(activeRefunds(order).reduce((sum, r) => sum + (Number(r.amount) || 0), 0));
+}
+
+/** Share of the list price the customer paid after order-level discounts. */
+function discountFactor(order) {
+  const before = Number(order.subtotalBeforeDiscount);
+  const after = Number(order.subtotal);
+  if (!(before > 0) || !Number.isFinite(after)) return 1;
+  return Math.max(0, Math.min(1, after / before));
+}
+
+/** VAT added on top of the prices, or null when the prices already include it. */
+function addedTax(order) {
+  const tax = order && order.tax;
+  return tax && tax.pricesIncludeTax === false ? tax : null;
+}
+
+/** What the customer paid for shipping and the COD fee, VAT included. */
+function shippingPaid(order) {
+  const tax = addedTax(order);
+  if (tax && Array.isArray(tax.charges)) {
+    return roundMoney(tax.charges.reduce((sum, charge) => sum + (Number(charge.gross) || 0), 0));
+  }
+  return roundMoney((Number(order.shippingCost) || 0) + (Number(order.codFee) || 0));
+}
+
+/** Order items that can still be refunded, keyed by their index in order.items. */
+function getRefundableLines(order) {
+  const refundedByIndex = {};
+  activeRefunds(order).forEach((refund) => {
+    (refund.lines || []).forEach((line) => {
+      refundedByIndex[line.index] = (refundedByIndex[line.index] || 0) + (Number(line.qty) || 0);
+    });
+  });
+  const factor = discountFactor(order);
+  const tax = addedTax(order);
+  const taxLines = tax && Array.isArray(tax.lines) ? tax.lines : [];
+  return (Array.isArray(order && order.items) ? order.items : [])
+    .map((item, index) => ({ item, index }))
+    .filter(({ item }) => item && !item.isKitSummary && item.id)
+    .map(({ item, index }) => {
+      const qty = Math.max(0, parseInt(item.qty, 10) || 0);
+      const refundedQty = Math.min(qty, refundedByIndex[index] || 0);
+      const taxLine = taxLines.find((line) => line && line.index === index);
+      // Tax lines carry the discounted line total with its VAT.
+      const lineAmount = tax
+        ? roundMoney(taxLine ? taxLine.gross : 0)
+        : roundMoney((Number(item.price) || 0) * factor * qty);
+      return {
+        index,
+        productId: item.id,
+        variantId: item.variantId || undefined,
+        name: item.name || item.id,
+        variantLabel: item.variantLabel || undefined,
+        qty,
+        refundedQty,
+        remainingQty: qty - refundedQty,
+        unitAmount: qty ? roundMoney(lineAmount / qty) : 0,
+        lineAmount
+      };
+    });
+}
+
+/** Refund for `qty` units of `line`; a whole line refunds exactly what it cost. */
+function lineRefundAmount(line, qty) {
+  return line.qty ? roundMoney(line.lineAmount * qty / line.qty) : 0;
+}
+
+function shippingAlreadyRefunded(order) {
+  return activeRefunds(order).some((r) => r.type === 'full' || Number(r.shippingAmount) > 0);
+}
+
+/**
+ * Work out what a refund request amounts to.
+ *
+ * @param {object} order
+ * @param {object} request
+ * @param {'full'|'partial'} request.type
+ * @param {Object<string, number>} [request.quantities] - order item index → qty to refund (partial)
+ * @param {boolean} [request.includeShipping]           - also refund shipping/COD fees (partial)
+ * @returns {{ ok: true, plan: object } | { ok: false, error: string }}
+ */
+function planRefund(order, request) {
+  const req = request || {};
+  const orderTotal = roundMoney(order && order.total);
+  const remaining = roundMoney(orderTotal - getRefundedTotal(order));
+  if (remaining <= 0) return { ok: false, error: 'already_refunded' };
+  const refundable = getRefundableLines(order);
+
+  if (req.type === 'full') {
+    const lines = refundable
+      .filter((line) => line.remainingQty > 0)
+      .map((line) => ({ ...pickLine(line), qty: line.remainingQty, amount: lineRefundAmount(line, line.remainingQty) }));
+    const shippingAmount = shippingAlreadyRefunded(order) ? 0 : shippingPaid(order);
+    return { ok: true, plan: { type: 'full', amount: remaining, shippingAmount, lines } };
+  }
+
+  const quantities = req.quantities || {};
+  const lines = [];
+  for (const line of refundable) {
+    const wanted = Math.max(0, parseInt(quantities[line.index], 10) || 0);
+    if (!wanted) continue;
+    if (wanted > line.remainingQty) return { ok: false, error: 'quantity_exceeds_remaining' };
+    lines.push({ ...pickLine(line), qty: wanted, amount: lineRefundAmount(line, wanted) });
+  }
+  const shippingAmount = req.includeShipping && !shippingAlreadyRefunded(order) ? shippingPaid(order) : 0;
+  if (!lines.length && !shippingAmount) return { ok: false, error: 'nothing_selected' };
+  const amount = roundMoney(Math.min(remaining, lines.reduce((sum, l) => sum + l.amount, 0) + shippingAmount));
+  if (amount <= 0) return { ok: false, error: 'nothing_selected' };
+  return { ok: true, plan: { type: 'partial', amount, shippingAmount, lines } };
+}
+
+function pickLine(line) {
+  return {
+    index: line.index,
+    productId: line.productId,
+    variantId: line.variantId,
+    name: line.name,
+    variantLabel: line.variantLabel
+  };
+}
+
+/** Payment status once the order's succeeded refunds are taken into account. */
+function refundPaymentStatus(order) {
+  const refunded = roundMoney(activeRefunds(order)
+    .filter((r) => r.status === 'succeeded')
+    .reduce((sum, r) => sum + (Number(r.amount) || 0), 0));
+  if (refunded <= 0) return order.paymentStatus;
+  return refunded >= roundMoney(order.total) ? 'REFUNDED' : 'PARTIALLY_REFUNDED';
+}
+
+/**
+ * Ledger rows that cancel out `ratio` of an order's rows. Reversals are new
+ * rows with negated amounts (so totals net out whatever the original row's
+ * status), linked through `reversesId` and keyed by `refundId` so a retry
+ * never books the same refund twice. Mutates nothing; returns rows to append.
+ *
+ * @param {object[]} rows           - current ledger
+ * @param {object}   refund         - { tenantId, orderId, refundId, ratio, createdAt }
+ * @param {string[]} amountFields   - numeric fields to negate
+ * @param {string}   idPrefix       - 'stl' | 'rfl'
+ * @param {Function} makeId         - () => unique suffix
+ */
+function buildLedgerReversals(rows, refund, amountFields, idPrefix, makeId) {
+  const ledger = Array.isArray(rows) ? rows : [];
+  if (ledger.some((r) => r && r.refundId === refund.refundId)) return [];
+  const ratio = Math.max(0, Math.min(1, Number(refund.ratio) || 0));
+  if (!ratio) return [];
+  return ledger
+    .filter((r) => r && r.tenantId === refund.tenantId && r.orderId === refund.orderId)
+    .filter((r) => r.entryType !== 'reversal' && r.status !== 'cancelled')
+    .map((r) => {
+      const reversal = {
+        ...r,
+        id: `${idPrefix}_${makeId()}`,
+        entryType: 'reversal',
+        reversesId: r.id,
+        refundId: refund.refundId,
+        status: 'pending',
+        notes: `Refund ${refund.refundId}`,
+        createdAt: refund.createdAt,
+        updatedAt: refund.createdAt
+      };
+      amountFields.forEach((field) => {
+        if (r[field] !== undefined) reversal[field] = roundMoney(-(Number(r[field]) || 0) * ratio);
+      });
+      return reversal;
+    });
+}
+
+module.exports = {
+  roundMoney,
+  getRefundedTotal,
+  getRefundableLines,
+  planRefund,
+  refundPaymentStatus,
+  buildLedgerReversals
+};
@@ -0,0 +1,147 @@
+'use strict';
+
+/**
+ * Customer return requests (RMA).
+ *
+ * Returns are stored per tenant in returns.json, one record per request:
+ *
+ *   { id, orderId, email, status, reason, comments,
+ *     lines: [{ index, productId, variantId, name, variantLabel, qty }],
+ *     history: [{ status, at, actor, note }], restocked, refundId,
+ *     createdAt, updatedAt }
+ *
+ * Status flow:  requested → approved → received → refunded
+ *                        ↘ rejected
+ */
+
+const RETURN_REASONS = ['damaged', 'wrong_item', 'not_as_described', 'changed_mind', 'other'];
+
+const RETURN_TRANSITIONS = Object.freeze({
+  requested: ['approved', 'rejected'],
+  approved: ['received', 'rejected'],
+  received: ['refunded'],
+  refunded: [],
+  rejected: []
+});
+
+// Orders must have left the warehouse before anything can come back.
+const RETURNABLE_FULFILLMENT = ['shipped', 'delivered'];
+
+function canTransition(from, to) {
+  return (RETURN_TRANSITIONS[from] || []).includes(to);
+}
+
+function isOpen(rma) {
+  return !!rma && rma.status !== 'rejected';
+}
+
+/** Items of `order` that can still be returned, given its existing returns. */
+function getReturnableLines(order, returns) {
+  const returnedByIndex = {};
+  (returns || [])
+    .filter((r) => r && r.orderId === order.id && isOpen(r))
+    .forEach((r) => (r.lines || []).forEach((line) => {
+      returnedByIndex[line.index] = (returnedByIndex[line.index] || 0) + (Number(line.qty) || 0);
+    }));
+  return (Array.isArray(order.items) ? order.items : [])
+    .map((item, index) => ({ item, index }))
+    .filter(({ item }) => item && !item.isKitSummary && item.id)
+    .map(({ item, index }) => {
+      const qty = Math.max(0, parseInt(item.qty, 10) || 0);
+      const returnedQty = Math.min(qty, returnedByIndex[index] || 0);
+      return {
+        index,
+        productId: item.id,
+        variantId: item.variantId || undefined,
+        name: item.name || item.id,
+        variantLabel: item.variantLabel || undefined,
+        qty,
+        returnedQty,
+        remainingQty: qty - returnedQty
+      };
+    });
+}
+
+function isOrderReturnable(order) {
+  return !!order && RETURNABLE_FULFILLMENT.includes(String(order.fulfillmentStatus || '').toLowerCase());
+}
+
+/**
+ * Validate a customer's return request and build the record to store.
+ *
+ * @param {object}   order
+ * @param {object[]} returns - the tenant's existing returns
+ * @param {object}   input   - { quantities: { [itemIndex]: qty }, reason, comments, email }
+ * @returns {{ ok: true, rma: object } | { ok: false, error: string }}
+ */
+function buildReturnRequest(order, returns, input, now) {
+  if (!isOrderReturnable(order)) return { ok: false, error: 'not_returnable' };
+  const data = input || {};
+  const reason = RETURN_REASONS.includes(data.reason) ? data.reason : '';
+  if (!reason) return { ok: false, error: 'reason_required' };
+  const quantities = data.quantities || {};
+  const lines = [];
+  for (const line of getReturnableLines(order, returns)) {
+    const wanted = Math.max(0, parseInt(quantities[line.index], 10) || 0);
+    if (!wanted) continue;
+    if (wanted > line.remainingQty) return { ok: false, error: 'quantity_exceeds_remaining' };
+    lines.push({
+      index: line.index,
+      productId: line.productId,
+      variantId: line.variantId,
+      name: line.name,
+      variantLabel: line.variantLabel,
+      qty: wanted
+    });
+  }
+  if (!lines.length) return { ok: false, error: 'nothing_selected' };
+  const at = new Date(now || Date.now()).toISOString();
+  return {
+    ok: true,
+    rma: {
+      id: `rma_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      orderId: order.id,
+      email: data.email || order.email || '',
+      status: 'requested',
+      reason,
+      comments: String(data.comments || '').trim().slice(0, 1000),
+      lines,
+      history: [{ status: 'requested', at, actor: 'customer', note: '' }],
+      restocked: false,
+      refundId: null,
+      createdAt: at,
+      updatedAt: at
+    }
+  };
+}
+
+/**
+ * Move a return to its next status, recording who did it. Mutates `rma`.
+ *
+ * @returns {{ ok: true, rma: object } | { ok: false, error: string }}
+ */
+function applyReturnTransition(rma, to, details, now) {
+  if (!rma) return { ok: false, error: 'not_found' };
+  if (!canTransition(rma.status, to)) return { ok: false, error: 'invalid_transition' };
+  const at = new Date(now || Date.now()).toISOString();
+  const info = details || {};
+  rma.status = to;
+  rma.updatedAt = at;
+  rma.history = (Array.isArray(rma.history) ? rma.history : []).concat({
+    status: to,
+    at,
+    actor: info.actor || 'admin',
+    note: String(info.note || '').trim().slice(0, 500)
+  });
+  return { ok: true, rma };
+}
+
+module.exports = {
+  RETURN_REASONS,
+  RETURN_TRANSITIONS,
+  canTransition,
+  getReturnableLines,
+  isOrderReturnable,
+  buildReturnRequest,
+  applyReturnTransition
+};
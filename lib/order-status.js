@@ -0,0 +1,113 @@
+'use strict';
+
+/**
+ * Order fulfillment state machine.
+ *
+ * Every change of order.fulfillmentStatus goes through recordOrderStatus(),
+ * which refuses transitions that are not listed below and appends an entry to
+ * the order's append-only status history:
+ *
+ *   order.statusHistory = [{ status, at, actor, note, customerVisible }]
+ *
+ *   pending_payment ─┬→ ready_to_ship → shipped → delivered
+ *   cod_pending ─────┤        ↘ issue ↙  ↘ issue
+ *                    └→ cancelled
+ *
+ * delivered and cancelled are final. Entries with the same status as the
+ * current one are only written when they carry a note.
+ */
+
+const FULFILLMENT_STATUSES = ['pending_payment', 'cod_pending', 'ready_to_ship', 'shipped', 'delivered', 'cancelled', 'issue'];
+
+const ORDER_TRANSITIONS = Object.freeze({
+  pending_payment: ['ready_to_ship', 'cancelled', 'issue'],
+  cod_pending: ['ready_to_ship', 'shipped', 'cancelled', 'issue'],
+  ready_to_ship: ['shipped', 'cancelled', 'issue'],
+  shipped: ['delivered', 'issue'],
+  issue: ['ready_to_ship', 'shipped', 'delivered', 'cancelled'],
+  delivered: [],
+  cancelled: []
+});
+
+// Statuses that stay between the shop and its staff.
+const INTERNAL_STATUSES = ['issue'];
+
+function canTransitionOrder(from, to) {
+  return (ORDER_TRANSITIONS[from] || []).includes(to);
+}
+
+/** The current status followed by every status it may move to. */
+function nextOrderStatuses(from) {
+  return [from].concat(ORDER_TRANSITIONS[from] || []);
+}
+
+/**
+ * History of an order, oldest first. Orders placed before the history was kept
+ * get one rebuilt from createdAt / shippedAt / deliveredAt.
+ */
+function getStatusHistory(order) {
+  if (!order) return [];
+  if (Array.isArray(order.statusHistory) && order.statusHistory.length) return order.statusHistory;
+  const history = [];
+  if (order.createdAt) history.push({ status: 'placed', at: order.createdAt, actor: 'system', note: '', customerVisible: true });
+  if (order.shippedAt) history.push({ status: 'shipped', at: order.shippedAt, actor: 'system', note: '', customerVisible: true });
+  if (order.deliveredAt) history.push({ status: 'delivered', at: order.deliveredAt, actor: 'system', note: '', customerVisible: true });
+  return history;
+}
+
+/**
+ * Move `order` to status `to`. Mutates the order.
+ *
+ * @param {object} order
+ * @param {string} to
+ * @param {object} [details] - { actor, note, customerVisible }
+ * @returns {{ ok: true, changed: boolean, entry: object|null } | { ok: false, error: string }}
+ */
+function recordOrderStatus(order, to, details, now) {
+  const info = details || {};
+  const from = String(order.fulfillmentStatus || '');
+  const status = String(to || '').trim().toLowerCase();
+  if (!FULFILLMENT_STATUSES.includes(status)) return { ok: false, error: 'unknown_status' };
+  const note = String(info.note || '').trim().slice(0, 500);
+  const changed = status !== from;
+  if (changed && from && !canTransitionOrder(from, status)) return { ok: false, error: 'invalid_transition' };
+  if (!changed && !note) return { ok: true, changed: false, entry: null };
+
+  const at = new Date(now || Date.now()).toISOString();
+  const entry = {
+    status,
+    at,
+    actor: info.actor || 'admin',
+    note,
+    customerVisible: !!info.customerVisible
+  };
+  order.statusHistory = getStatusHistory(order).concat(entry);
+  order.fulfillmentStatus = status;
+  if (status === 'shipped' && !order.shippedAt) order.shippedAt = at;
+  if (status === 'delivered' && !order.deliveredAt) order.deliveredAt = at;
+  return { ok: true, changed, entry };
+}
+
+/**
+ * What the customer sees on the tracking page: no internal statuses, no
+ * actors, and only the notes the shop chose to share.
+ */
+function customerStatusHistory(order) {
+  return getStatusHistory(order)
+    .filter((entry) => entry && !INTERNAL_STATUSES.includes(entry.status))
+    .map((entry) => ({
+      status: entry.status,
+      at: entry.at,
+      note: entry.customerVisible ? entry.note || '' : ''
+    }));
+}
+
+module.exports = {
+  FULFILLMENT_STATUSES,
+  ORDER_TRANSITIONS,
+  canTransitionOrder,
+  nextOrderStatuses,
+  getStatusHistory,
+  recordOrderStatus,
+  customerStatusHistory
+};
@@ -0,0 +1,143 @@
+'use strict';
+
+/**
+ * Pickup points: lockers and stores a buyer can collect an order from.
+ *
+ * Each tenant keeps its own list in the pickupPoints collection, maintained
+ * by CSV import from the admin shipping tab:
+ *
+ *   { id: 'bn-syntagma', type: 'locker', name: 'BOX NOW Σύνταγμα',
+ *     address: 'Ερμού 2', city: 'Αθήνα', postcode: '10563',
+ *     provider: 'boxnow', hours: '24/7', active: true }
+ *
+ * A shipping option with `pickupType` 'locker' or 'store' delivers to one of
+ * the active points of that type instead of the buyer's address; the chosen
+ * point is copied onto the order as order.pickupPoint. For BoxNow lockers the
+ * point id is the BoxNow locationId the courier adapter sends the parcel to.
+ */
+
+const PICKUP_TYPES = ['locker', 'store'];
+
+const CSV_COLUMNS = ['id', 'type', 'name', 'address', 'city', 'postcode', 'provider', 'hours', 'active'];
+
+function text(value, max) {
+  return String(value === undefined || value === null ? '' : value).trim().slice(0, max);
+}
+
+/** 'locker', 'store', or '' for delivery to the buyer's address. */
+function normalizePickupType(value) {
+  const type = String(value || '').trim().toLowerCase();
+  return PICKUP_TYPES.includes(type) ? type : '';
+}
+
+function parseActive(value) {
+  if (value === undefined || value === null || value === '') return true;
+  if (typeof value === 'boolean') return value;
+  return !['0', 'false', 'no', 'off', 'n', 'όχι'].includes(String(value).trim().toLowerCase());
+}
+
+/** A point with every field present, or null when it lacks id, name or type. */
+function normalizePickupPoint(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const id = text(raw.id, 80).replace(/\s+/g, '-');
+  const type = normalizePickupType(raw.type);
+  const name = text(raw.name, 160);
+  if (!id || !type || !name) return null;
+  return {
+    id,
+    type,
+    name,
+    address: text(raw.address, 200),
+    city: text(raw.city, 100),
+    postcode: text(raw.postcode, 10).replace(/\D/g, ''),
+    provider: text(raw.provider, 40).toLowerCase(),
+    hours: text(raw.hours, 120),
+    active: parseActive(raw.active)
+  };
+}
+
+/** Valid points, first one wins on duplicate ids. */
+function normalizePickupPoints(list) {
+  const seen = new Set();
+  return (Array.isArray(list) ? list : []).reduce((points, raw) => {
+    const point = normalizePickupPoint(raw);
+    if (!point || seen.has(point.id)) return points;
+    seen.add(point.id);
+    points.push(point);
+    return points;
+  }, []);
+}
+
+/**
+ * Points from parsed CSV rows (first row = headers, see CSV_COLUMNS; only
+ * id, type and name are required). Rows that do not validate are reported
+ * by their 1-based line number.
+ *
+ * @returns {{ points: object[], errors: string[] }}
+ */
+function pickupPointsFromCsv(rows) {
+  const [headerRow, ...dataRows] = Array.isArray(rows) ? rows : [];
+  const headers = (headerRow || []).map((h) => String(h || '').trim());
+  const missing = ['id', 'type', 'name'].filter((column) => !headers.includes(column));
+  if (missing.length) return { points: [], errors: [`Λείπουν στήλες: ${missing.join(', ')}`] };
+  const points = [];
+  const errors = [];
+  const seen = new Set();
+  dataRows.forEach((cols, i) => {
+    const raw = {};
+    headers.forEach((header, c) => { raw[header] = cols[c]; });
+    const point = normalizePickupPoint(raw);
+    if (!point) {
+      errors.push(`Γραμμή ${i + 2}: απαιτούνται id, name και type (locker ή store).`);
+    } else if (seen.has(point.id)) {
+      errors.push(`Γραμμή ${i + 2}: διπλό id «${point.id}».`);
+    } else {
+      seen.add(point.id);
+      points.push(point);
+    }
+  });
+  return { points, errors };
+}
+
+/** CSV rows (headers first) for export and as an import template. */
+function pickupPointsToCsvRows(points) {
+  return [CSV_COLUMNS].concat(normalizePickupPoints(points).map((p) => CSV_COLUMNS.map((column) => {
+    if (column === 'active') return p.active ? '1' : '0';
+    return p[column];
+  })));
+}
+
+/** Active points a shipping option can deliver to, sorted by city and name. */
+function pointsForOption(points, option) {
+  const type = normalizePickupType(option && option.pickupType);
+  if (!type) return [];
+  return normalizePickupPoints(points)
+    .filter((p) => p.active && p.type === type)
+    .sort((a, b) => a.city.localeCompare(b.city, 'el') || a.name.localeCompare(b.name, 'el'));
+}
+
+/** The copy of a point kept on the order, so later edits of the list leave it alone. */
+function orderPickupPoint(point) {
+  const { id, type, name, address, city, postcode, provider, hours } = point;
+  return { id, type, name, address, city, postcode, provider, hours };
+}
+
+/** One-line description used by emails, documents and admin screens. */
+function formatPickupPoint(point) {
+  if (!point) return '';
+  const place = [point.address, [point.postcode, point.city].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+  return place ? `${point.name} — ${place}` : point.name;
+}
+
+module.exports = {
+  PICKUP_TYPES,
+  CSV_COLUMNS,
+  normalizePickupType,
+  normalizePickupPoint,
+  normalizePickupPoints,
+  pickupPointsFromCsv,
+  pickupPointsToCsvRows,
+  pointsForOption,
+  orderPickupPoint,
+  formatPickupPoint
+};
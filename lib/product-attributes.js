@@ -0,0 +1,231 @@
+'use strict';
+
+/**
+ * Structured product attributes and variant matrices.
+ *
+ * Attribute definitions live on a product (product.attributes) or on a
+ * category (category.attributes); a product without definitions of its own
+ * uses those of its nearest category ancestor that has some:
+ *
+ *   [{ name: 'Μέγεθος', values: ['S', 'M', 'L'] }, { name: 'Χρώμα', values: ['Μαύρο', 'Λευκό'] }]
+ *
+ * Each variant records its position in the matrix as variant.attributes
+ * ({ Μέγεθος: 'M', Χρώμα: 'Μαύρο' }), which the product page selectors,
+ * the search facets (lib/storefront-search.js) and the variants CSV read.
+ * Names and values match case- and accent-insensitively.
+ */
+
+const MAX_ATTRIBUTES = 4;
+const MAX_VALUES = 40;
+const MAX_MATRIX_VARIANTS = 200;
+
+function text(value, max) {
+  return String(value === undefined || value === null ? '' : value).trim().replace(/\s+/g, ' ').slice(0, max);
+}
+
+function attributeKey(value) {
+  return text(value, 200).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function slugPart(value) {
+  return attributeKey(value).replace(/[^a-z0-9\u0370-\u03ff]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Definitions with distinct names and values, in the order given. Accepts the
+ * stored array or the admin editor's text form "Μέγεθος: S, M, L; Χρώμα: Μαύρο".
+ */
+function normalizeAttributeDefinitions(raw) {
+  const entries = typeof raw === 'string'
+    ? raw.split(/[;\n]/).map((part) => {
+      const sep = part.indexOf(':');
+      return sep > 0 ? { name: part.slice(0, sep), values: part.slice(sep + 1).split(',') } : null;
+    })
+    : (Array.isArray(raw) ? raw : []);
+  const out = [];
+  entries.forEach((entry) => {
+    if (!entry || typeof entry !== 'object' || out.length >= MAX_ATTRIBUTES) return;
+    const name = text(entry.name, 60);
+    if (!name || out.some((def) => attributeKey(def.name) === attributeKey(name))) return;
+    const values = [];
+    (Array.isArray(entry.values) ? entry.values : String(entry.values || '').split(',')).forEach((raw) => {
+      const value = text(raw, 60);
+      if (value && values.length < MAX_VALUES && !values.some((v) => attributeKey(v) === attributeKey(value))) values.push(value);
+    });
+    if (values.length) out.push({ name, values });
+  });
+  return out;
+}
+
+function formatAttributeDefinitions(defs) {
+  return normalizeAttributeDefinitions(defs).map((def) => `${def.name}: ${def.values.join(', ')}`).join('; ');
+}
+
+/** The definitions that apply to `product`: its own, else its nearest category's. */
+function resolveAttributeDefinitions(product, categories) {
+  if (!product || product.type === 'KIT' || product.type === 'BUNDLE') return [];
+  const own = normalizeAttributeDefinitions(product.attributes);
+  if (own.length) return own;
+  const byId = new Map((Array.isArray(categories) ? categories : []).map((c) => [c && c.id, c]));
+  const seen = new Set();
+  let category = byId.get(product.categoryId);
+  while (category && !seen.has(category.id)) {
+    seen.add(category.id);
+    const defs = normalizeAttributeDefinitions(category.attributes);
+    if (defs.length) return defs;
+    category = category.parentId ? byId.get(category.parentId) : null;
+  }
+  return [];
+}
+
+/**
+ * A variant's { name: value } map with blanks dropped. With `defs`, names and
+ * values take the definitions' spelling, and unknown names are kept as given.
+ */
+function normalizeVariantAttributes(raw, defs = []) {
+  const out = {};
+  if (!raw || typeof raw !== 'object') return out;
+  Object.entries(raw).forEach(([rawName, rawValue]) => {
+    const value = text(rawValue, 60);
+    const name = text(rawName, 60);
+    if (!name || !value) return;
+    const def = defs.find((d) => attributeKey(d.name) === attributeKey(name));
+    const known = def && def.values.find((v) => attributeKey(v) === attributeKey(value));
+    out[def ? def.name : name] = known || value;
+  });
+  return out;
+}
+
+function attributesMatch(attributes, selection) {
+  const own = attributes && typeof attributes === 'object' ? attributes : {};
+  const names = Object.keys(selection);
+  return names.length > 0 && names.every((name) => {
+    const key = Object.keys(own).find((n) => attributeKey(n) === attributeKey(name));
+    return key !== undefined && attributeKey(own[key]) === attributeKey(selection[name]);
+  });
+}
+
+/** The variant whose attributes equal `selection` on every selected attribute. */
+function findVariantByAttributes(variants, selection) {
+  const wanted = selection && typeof selection === 'object' ? selection : {};
+  return (Array.isArray(variants) ? variants : []).find((v) => v && attributesMatch(v.attributes, wanted)) || null;
+}
+
+/** "M / Μαύρο": the variant's values in definition order. */
+function variantLabel(attributes, defs = []) {
+  const attrs = normalizeVariantAttributes(attributes, defs);
+  const ordered = defs.map((def) => attrs[def.name]).filter(Boolean);
+  Object.keys(attrs).forEach((name) => {
+    if (!defs.some((def) => def.name === name)) ordered.push(attrs[name]);
+  });
+  return ordered.join(' / ');
+}
+
+function labelText(label) {
+  if (label && typeof label === 'object') return String(label.el || Object.values(label)[0] || '');
+  return String(label === undefined || label === null ? '' : label);
+}
+
+function matrixSize(defs) {
+  return defs.length ? defs.reduce((size, def) => size * def.values.length, 1) : 0;
+}
+
+/**
+ * Every combination of the definitions' values as a variant. Variants already
+ * at a combination (or, without attributes, labelled as it) keep their id,
+ * SKU, price, stock and media; new ones start at the product's price with no
+ * stock. Variants outside the matrix are dropped.
+ *
+ * @param {object} product - { id, sku, price, variants }
+ * @param {object[]} defs - normalized definitions
+ * @returns {{ variants: object[], created: number, kept: number, dropped: number }}
+ */
+function generateVariantMatrix(product, defs) {
+  const size = matrixSize(defs);
+  if (!size) throw new Error('Ορίστε τουλάχιστον ένα χαρακτηριστικό με τιμές.');
+  if (size > MAX_MATRIX_VARIANTS) {
+    throw new Error(`Ο συνδυασμός δίνει ${size} παραλλαγές· το όριο είναι ${MAX_MATRIX_VARIANTS}.`);
+  }
+  const existing = (Array.isArray(product.variants) ? product.variants : []).filter((v) => v && typeof v === 'object');
+  const combinations = defs.reduce((acc, def) => acc.flatMap((combo) => def.values.map((value) => ({ ...combo, [def.name]: value }))), [{}]);
+  const usedIds = new Set();
+  const used = new Set();
+  let created = 0;
+  const variants = combinations.map((attributes) => {
+    const label = variantLabel(attributes, defs);
+    const match = existing.find((v) => !used.has(v) && attributesMatch(v.attributes, attributes) && Object.keys(v.attributes).length === defs.length)
+      // Variants from before attributes existed match by label ("M / Μαύρο" or "Μαύρο").
+      || existing.find((v) => !used.has(v) && !Object.keys(normalizeVariantAttributes(v.attributes)).length && attributeKey(labelText(v.label)) === attributeKey(label));
+    if (match) {
+      used.add(match);
+      usedIds.add(match.id);
+      return { ...match, label, attributes };
+    }
+    created += 1;
+    const suffix = defs.map((def) => slugPart(attributes[def.name])).join('-');
+    const base = suffix || 'v';
+    let id = base;
+    for (let n = 2; usedIds.has(id) || existing.some((v) => v.id === id); n += 1) id = `${base}-${n}`;
+    usedIds.add(id);
+    const variant = { id, label, price: Math.max(0, Number(product.price) || 0), stock: 0, attributes };
+    if (product.sku) variant.sku = `${product.sku}-${suffix.toUpperCase()}`;
+    return variant;
+  });
+  return { variants, created, kept: used.size, dropped: existing.length - used.size };
+}
+
+/**
+ * Selector groups for the product page: each attribute the variants use, with
+ * the values they use, in definition order (undefined attributes last). Empty
+ * unless every variant has attributes, since selectors could not reach the rest.
+ */
+function variantOptionGroups(variants, defs = []) {
+  const list = (Array.isArray(variants) ? variants : []).filter((v) => v && typeof v === 'object');
+  if (!list.length || list.some((v) => !Object.keys(normalizeVariantAttributes(v.attributes)).length)) return [];
+  const groups = defs.map((def) => ({ name: def.name, values: [] }));
+  list.forEach((variant) => {
+    const attrs = normalizeVariantAttributes(variant.attributes, defs);
+    Object.entries(attrs).forEach(([name, value]) => {
+      let group = groups.find((g) => g.name === name);
+      if (!group) {
+        group = { name, values: [] };
+        groups.push(group);
+      }
+      if (!group.values.includes(value)) group.values.push(value);
+    });
+  });
+  groups.forEach((group) => {
+    const def = defs.find((d) => d.name === group.name);
+    if (def) group.values.sort((a, b) => def.values.indexOf(a) - def.values.indexOf(b));
+  });
+  return groups.filter((g) => g.values.length);
+}
+
+/** Attribute names across `products`' variants, for CSV columns. */
+function variantAttributeNames(products) {
+  const names = [];
+  (Array.isArray(products) ? products : []).forEach((product) => {
+    (product && Array.isArray(product.variants) ? product.variants : []).forEach((variant) => {
+      Object.keys(normalizeVariantAttributes(variant && variant.attributes)).forEach((name) => {
+        if (!names.some((n) => attributeKey(n) === attributeKey(name))) names.push(name);
+      });
+    });
+  });
+  return names;
+}
+
+module.exports = {
+  MAX_ATTRIBUTES,
+  MAX_VALUES,
+  MAX_MATRIX_VARIANTS,
+  normalizeAttributeDefinitions,
+  formatAttributeDefinitions,
+  resolveAttributeDefinitions,
+  normalizeVariantAttributes,
+  findVariantByAttributes,
+  variantLabel,
+  matrixSize,
+  generateVariantMatrix,
+  variantOptionGroups,
+  variantAttributeNames
+};
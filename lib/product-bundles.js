@@ -0,0 +1,140 @@
+'use strict';
+
+/**
+ * Fixed product bundles.
+ *
+ * A bundle (type 'BUNDLE') sells a set list of products or variants together
+ * at the bundle's own price:
+ *
+ *   bundleItems: [{ productId: 'bag', variantId: 'black', qty: 1 }, { productId: 'strap', qty: 2 }]
+ *
+ * Unlike a kit (kitOptions, see hydrateKitProduct in server.js) there is
+ * nothing to choose. A bundle holds no stock of its own: its stock is the
+ * number of complete bundles its components make up, so it is unavailable as
+ * soon as any component runs out, and selling one consumes the components
+ * (order items carry them as `bundleComponents`, which buildStockLines() in
+ * lib/stock-reservations.js expands). Components must be plain products;
+ * kits and bundles do not nest.
+ */
+
+const { getTrackedStock } = require('./stock-reservations');
+
+const BUNDLE_TYPE = 'BUNDLE';
+const MAX_BUNDLE_ITEMS = 20;
+const MAX_COMPONENT_QTY = 99;
+
+function isBundle(product) {
+  return Boolean(product) && product.type === BUNDLE_TYPE;
+}
+
+/**
+ * Components with a quantity, one entry per product/variant. Accepts the
+ * stored array or the admin editor's text form "bag:black, strap*2".
+ */
+function normalizeBundleItems(raw) {
+  const entries = typeof raw === 'string'
+    ? raw.split(/[,;\n]/).map((part) => {
+      const match = part.trim().match(/^([^:*×\s]+)(?:\s*:\s*([^:*×\s]+))?(?:\s*[*×]\s*(\d+))?$/);
+      return match ? { productId: match[1], variantId: match[2], qty: match[3] } : null;
+    })
+    : (Array.isArray(raw) ? raw : []);
+  const out = [];
+  entries.forEach((entry) => {
+    if (!entry || typeof entry !== 'object') return;
+    const productId = String(entry.productId || '').trim();
+    const variantId = String(entry.variantId || '').trim();
+    const qty = entry.qty === undefined || entry.qty === '' ? 1 : parseInt(entry.qty, 10);
+    if (!productId || !(qty >= 1)) return;
+    const same = out.find((c) => c.productId === productId && (c.variantId || '') === variantId);
+    if (same) {
+      same.qty = Math.min(MAX_COMPONENT_QTY, same.qty + qty);
+    } else if (out.length < MAX_BUNDLE_ITEMS) {
+      out.push(variantId
+        ? { productId, variantId, qty: Math.min(MAX_COMPONENT_QTY, qty) }
+        : { productId, qty: Math.min(MAX_COMPONENT_QTY, qty) });
+    }
+  });
+  return out;
+}
+
+/** The editor's text form of `items`. */
+function formatBundleItems(items) {
+  return normalizeBundleItems(items)
+    .map((c) => `${c.productId}${c.variantId ? `:${c.variantId}` : ''}${c.qty > 1 ? `*${c.qty}` : ''}`)
+    .join(', ');
+}
+
+/**
+ * The bundle's components with their catalogue `product` and `variant`
+ * (null when missing), and whether each can be sold in the bundle.
+ */
+function resolveBundleComponents(bundle, catalog) {
+  if (!isBundle(bundle)) return [];
+  const products = Array.isArray(catalog) ? catalog : [];
+  return normalizeBundleItems(bundle.bundleItems).map((item) => {
+    const product = products.find((p) => p && p.id === item.productId) || null;
+    const variant = product && item.variantId && Array.isArray(product.variants)
+      ? (product.variants.find((v) => v && v.id === item.variantId) || null)
+      : null;
+    const sellable = Boolean(product)
+      && product.id !== bundle.id
+      && product.type !== 'KIT'
+      && product.type !== BUNDLE_TYPE
+      && (!item.variantId || Boolean(variant));
+    return { ...item, product, variant, sellable };
+  });
+}
+
+/**
+ * Complete bundles the components make up: null when none tracks stock, 0
+ * when a component is missing. Components that allow backorder never run out.
+ */
+function bundleStock(bundle, catalog) {
+  const components = resolveBundleComponents(bundle, catalog);
+  if (!components.length || components.some((c) => !c.sellable)) return 0;
+  let stock = null;
+  components.forEach((c) => {
+    if (c.product.allowBackorder === true) return;
+    const tracked = getTrackedStock(c.product, c.variantId);
+    if (tracked === null) return;
+    const makes = Math.floor(Math.max(0, tracked) / c.qty);
+    stock = stock === null ? makes : Math.min(stock, makes);
+  });
+  return stock;
+}
+
+/** What the components cost bought one by one. */
+function bundleComponentsValue(bundle, catalog) {
+  const total = resolveBundleComponents(bundle, catalog).reduce((sum, c) => {
+    if (!c.sellable) return sum;
+    const unit = (c.variant && Number(c.variant.price)) || Number(c.product.price) || 0;
+    return sum + unit * c.qty;
+  }, 0);
+  return Math.round(total * 100) / 100;
+}
+
+/** `products` with each bundle's stock taken from its components in `catalog`. */
+function applyBundleStock(products, catalog) {
+  return (Array.isArray(products) ? products : []).map((product) => {
+    if (!isBundle(product)) return product;
+    const stock = bundleStock(product, catalog);
+    const out = { ...product };
+    if (stock === null) delete out.stock;
+    else out.stock = stock;
+    // The components' own backorder settings already count in `stock`.
+    delete out.allowBackorder;
+    return out;
+  });
+}
+
+module.exports = {
+  BUNDLE_TYPE,
+  MAX_BUNDLE_ITEMS,
+  isBundle,
+  normalizeBundleItems,
+  formatBundleItems,
+  resolveBundleComponents,
+  bundleStock,
+  bundleComponentsValue,
+  applyBundleStock
+};
@@ -0,0 +1,163 @@
+'use strict';
+
+/**
+ * Scheduled publishing and sale prices.
+ *
+ * A product may carry a publishing window and, like each of its variants, a
+ * sale price with its own window. Dates are ISO strings, all optional; the
+ * admin's datetime-local values are stored in the shop's time zone
+ * (lib/tenant-time.js):
+ *
+ *   { publishAt: '2026-11-01T09:00+02:00', unpublishAt: '',
+ *     salePrice: 39, saleStartsAt: '2026-11-27T00:00+02:00', saleEndsAt: '2026-11-30T23:59+02:00' }
+ *
+ * Outside its window a product is hidden from the storefront and refused at
+ * checkout. A sale counts only while its window is open and it is below the
+ * regular price. A product-level sale cuts variants priced on their own by
+ * the same proportion, unless the variant has a sale of its own running.
+ *
+ * scheduleProduct() returns the product as it sells at a given moment:
+ * `price` is the effective price and `regularPrice` the one it replaces.
+ * Exports describe that moment under `effective` (withEffective()), which
+ * is never stored.
+ */
+
+const { toZonedIso } = require('./tenant-time');
+
+const PUBLISH_FIELDS = ['publishAt', 'unpublishAt'];
+const SALE_FIELDS = ['salePrice', 'saleStartsAt', 'saleEndsAt'];
+
+function round2(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function toDate(value) {
+  const text = String(value || '').trim();
+  return text && Number.isFinite(Date.parse(text)) ? text : '';
+}
+
+function toTime(now) {
+  return now instanceof Date ? now.getTime() : (Number(now) || Date.now());
+}
+
+function isWithin(startsAt, endsAt, at) {
+  if (startsAt && Date.parse(startsAt) > at) return false;
+  if (endsAt && Date.parse(endsAt) <= at) return false;
+  return true;
+}
+
+/**
+ * Cleans `record`'s schedule fields in place and drops the blank ones.
+ * Dates without an offset are read in `timeZone` (the shop's).
+ * Variants take only the sale fields.
+ */
+function normalizeScheduleFields(record, { variant = false, timeZone } = {}) {
+  if (!record || typeof record !== 'object') return record;
+  delete record.effective;
+  (variant ? SALE_FIELDS : PUBLISH_FIELDS.concat(SALE_FIELDS)).forEach((field) => {
+    if (record[field] === undefined) return;
+    const value = field === 'salePrice'
+      ? (Number(record[field]) > 0 ? round2(record[field]) : '')
+      : toZonedIso(record[field], timeZone);
+    if (value === '') delete record[field];
+    else record[field] = value;
+  });
+  if (variant) PUBLISH_FIELDS.forEach((field) => delete record[field]);
+  return record;
+}
+
+/** Inside its publishing window at `now` (a Date or ms). Ignores `active`. */
+function isPublished(product, now) {
+  if (!product) return false;
+  return isWithin(toDate(product.publishAt), toDate(product.unpublishAt), toTime(now));
+}
+
+/** Active and published: what the storefront may show at `now`. */
+function isVisible(product, now) {
+  return Boolean(product) && product.active !== false && isPublished(product, now);
+}
+
+/** A sale on `record` (product or variant) is running at `now` and undercuts `regularPrice`. */
+function isSaleLive(record, now, regularPrice = record && record.price) {
+  if (!record) return false;
+  const sale = Number(record.salePrice);
+  if (!(sale > 0) || sale >= (Number(regularPrice) || 0)) return false;
+  return isWithin(toDate(record.saleStartsAt), toDate(record.saleEndsAt), toTime(now));
+}
+
+/**
+ * `product` as it sells at `now`, with sale prices applied to it and its
+ * variants. Sold items keep the price they replaced as `regularPrice`.
+ */
+function scheduleProduct(product, now) {
+  if (!product || typeof product !== 'object') return product;
+  const at = toTime(now);
+  const regular = Number(product.price) || 0;
+  const onSale = isSaleLive(product, at, regular);
+  const out = { ...product };
+  if (onSale) {
+    out.price = round2(product.salePrice);
+    out.regularPrice = regular;
+  }
+  if (Array.isArray(product.variants)) {
+    out.variants = product.variants.map((variant) => {
+      if (!variant || typeof variant !== 'object') return variant;
+      const own = Number(variant.price) || 0;
+      // Unpriced variants sell at the product's price, sale included.
+      if (!own) return variant;
+      if (isSaleLive(variant, at, own)) return { ...variant, price: round2(variant.salePrice), regularPrice: own };
+      if (onSale) return { ...variant, price: round2(own * (out.price / regular)), regularPrice: own };
+      return variant;
+    });
+  }
+  return out;
+}
+
+/**
+ * A copy of `product` for exports, with what the storefront makes of it at
+ * `now`: `effective: { visible, price, onSale }`, and `{ price, onSale }` on
+ * each variant.
+ */
+function withEffective(product, now) {
+  const at = toTime(now);
+  const sold = scheduleProduct(product, at);
+  const price = Number(sold.price) || 0;
+  const onSale = sold.regularPrice !== undefined;
+  const out = { ...product, effective: { visible: isVisible(product, at), price, onSale } };
+  if (Array.isArray(product.variants)) {
+    out.variants = product.variants.map((variant, i) => {
+      if (!variant || typeof variant !== 'object') return variant;
+      const v = sold.variants[i];
+      return Number(v.price)
+        ? { ...variant, effective: { price: Number(v.price), onSale: v.regularPrice !== undefined } }
+        : { ...variant, effective: { price, onSale } };
+    });
+  }
+  return out;
+}
+
+/** Published products at `now`, priced as they sell then. For checkout. */
+function scheduleCatalog(products, now) {
+  const at = toTime(now);
+  return (Array.isArray(products) ? products : [])
+    .filter((p) => p && isPublished(p, at))
+    .map((p) => scheduleProduct(p, at));
+}
+
+/** Visible products at `now`, priced as they sell then. For the storefront. */
+function storefrontProducts(products, now) {
+  return scheduleCatalog(products, now).filter((p) => p.active !== false);
+}
+
+module.exports = {
+  PUBLISH_FIELDS,
+  SALE_FIELDS,
+  normalizeScheduleFields,
+  isPublished,
+  isVisible,
+  isSaleLive,
+  scheduleProduct,
+  withEffective,
+  scheduleCatalog,
+  storefrontProducts
+};
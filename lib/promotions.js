@@ -0,0 +1,281 @@
+'use strict';
+
+/**
+ * Rule-based promotions.
+ *
+ * Promotions are applied automatically at checkout, before any coupon. They
+ * live in config.promotions:
+ *
+ *   {
+ *     id: 'summer-bags',
+ *     name: 'Καλοκαίρι -20% στις τσάντες',
+ *     active: true,
+ *     type: 'percent',              // percent | fixed | buy_x_get_y | free_shipping
+ *     value: 20,                    // percent, or an amount in the base currency
+ *     scope: { productIds: [], categoryIds: ['bags'], variantIds: [] },
+ *     minSubtotal: 0,               // of the items in scope, base currency
+ *     minQty: 0,                    // units in scope
+ *     buyQty: 2, getQty: 1, getPercent: 100,   // buy_x_get_y only
+ *     startsAt: '', endsAt: '',     // ISO dates in the shop's zone, both optional
+ *     usageLimit: 0,                // orders in total, 0 = unlimited
+ *     perCustomerLimit: 0,          // orders per customer email
+ *     stackable: true,              // false: only ever applied on its own
+ *     combinesWithCoupons: true,
+ *     priority: 0                   // higher is listed (and kept) first
+ *   }
+ *
+ * An empty scope covers the whole cart. A category in scope also covers its
+ * sub-categories. Stackable promotions add up; a non-stackable one is only
+ * used when it beats every stackable one combined.
+ *
+ * Every use is logged in the tenant's promotionRedemptions collection, one
+ * entry per promotion and order:
+ *
+ *   { id, promotionId, orderId, pendingId, email, status: 'reserved' |
+ *     'redeemed' | 'void', createdAt, expiresAt, redeemedAt, voidedAt,
+ *     voidReason }
+ *
+ * Card orders hold a 'reserved' entry until Stripe confirms the payment; it
+ * stops counting once its expiresAt passes. Cancelled orders void theirs.
+ */
+
+const currencies = require('./currency');
+const { toZonedIso } = require('./tenant-time');
+
+const PROMOTION_TYPES = ['percent', 'fixed', 'buy_x_get_y', 'free_shipping'];
+
+function round2(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function toIdList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+  return Array.from(new Set(list.map((v) => String(v || '').trim()).filter(Boolean)));
+}
+
+function toCount(value) {
+  return Math.max(0, parseInt(value, 10) || 0);
+}
+
+function toDate(value) {
+  const text = String(value || '').trim();
+  return text && Number.isFinite(Date.parse(text)) ? text : '';
+}
+
+function normalizePromotionId(value) {
+  return String(value || '').trim().toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+}
+
+/**
+ * A promotion with every field present and in range. With
+ * `options.timeZone` (when saving from the admin form), dates without an
+ * offset are read as the shop's local time; see lib/tenant-time.js.
+ */
+function normalizePromotion(raw, options) {
+  const input = raw && typeof raw === 'object' ? raw : {};
+  const timeZone = options && options.timeZone;
+  const date = (value) => (timeZone ? toZonedIso(value, timeZone) : toDate(value));
+  const scope = input.scope && typeof input.scope === 'object' ? input.scope : {};
+  const type = PROMOTION_TYPES.includes(input.type) ? input.type : 'percent';
+  const value = Math.max(0, Number(input.value) || 0);
+  return {
+    id: normalizePromotionId(input.id || input.name),
+    name: String(input.name || input.id || '').trim().slice(0, 120),
+    active: input.active !== false,
+    type,
+    value: type === 'percent' ? Math.min(100, value) : value,
+    scope: {
+      productIds: toIdList(scope.productIds),
+      categoryIds: toIdList(scope.categoryIds),
+      variantIds: toIdList(scope.variantIds)
+    },
+    minSubtotal: Math.max(0, Number(input.minSubtotal) || 0),
+    minQty: toCount(input.minQty),
+    buyQty: Math.max(1, toCount(input.buyQty) || 1),
+    getQty: Math.max(1, toCount(input.getQty) || 1),
+    getPercent: input.getPercent === undefined || input.getPercent === ''
+      ? 100
+      : Math.max(0, Math.min(100, Number(input.getPercent) || 0)),
+    startsAt: date(input.startsAt),
+    endsAt: date(input.endsAt),
+    usageLimit: toCount(input.usageLimit),
+    perCustomerLimit: toCount(input.perCustomerLimit),
+    stackable: input.stackable !== false,
+    combinesWithCoupons: input.combinesWithCoupons !== false,
+    priority: parseInt(input.priority, 10) || 0
+  };
+}
+
+/** Active and inside its date window at `now` (a Date or ms). */
+function isPromotionLive(promotion, now) {
+  if (!promotion || promotion.active === false) return false;
+  const at = now instanceof Date ? now.getTime() : (Number(now) || Date.now());
+  if (promotion.startsAt && Date.parse(promotion.startsAt) > at) return false;
+  if (promotion.endsAt && Date.parse(promotion.endsAt) < at) return false;
+  return true;
+}
+
+/** Redeemed, or reserved by a card checkout that has not timed out. */
+function isRedemptionCounted(entry, now) {
+  if (!entry || !entry.promotionId) return false;
+  if (entry.status === 'redeemed') return true;
+  if (entry.status !== 'reserved') return false;
+  return !entry.expiresAt || Date.parse(entry.expiresAt) > now;
+}
+
+/**
+ * How often each promotion has been used, from the redemption log.
+ *
+ * @returns {{ total: Object<string, number>, byCustomer: Object<string, Object<string, number>> }}
+ */
+function countPromotionUsage(redemptions, now = Date.now()) {
+  const at = now instanceof Date ? now.getTime() : Number(now);
+  const usage = { total: {}, byCustomer: {} };
+  (Array.isArray(redemptions) ? redemptions : []).forEach((entry) => {
+    if (!isRedemptionCounted(entry, at)) return;
+    const id = entry.promotionId;
+    usage.total[id] = (usage.total[id] || 0) + 1;
+    const email = String(entry.email || '').trim().toLowerCase();
+    if (!email) return;
+    usage.byCustomer[id] = usage.byCustomer[id] || {};
+    usage.byCustomer[id][email] = (usage.byCustomer[id][email] || 0) + 1;
+  });
+  return usage;
+}
+
+/** Whether `customerEmail` may use `promotion` once more, given `usage`. */
+function withinUsageLimits(promotion, usage, customerEmail) {
+  const counts = usage || { total: {}, byCustomer: {} };
+  if (promotion.usageLimit && (counts.total[promotion.id] || 0) >= promotion.usageLimit) return false;
+  const email = String(customerEmail || '').trim().toLowerCase();
+  if (promotion.perCustomerLimit && email) {
+    const used = (counts.byCustomer[promotion.id] || {})[email] || 0;
+    if (used >= promotion.perCustomerLimit) return false;
+  }
+  return true;
+}
+
+function categoryChain(categoryId, categories) {
+  const chain = new Set();
+  let current = categoryId;
+  while (current && !chain.has(current)) {
+    chain.add(current);
+    const category = categories.find((c) => c && c.id === current);
+    current = category ? category.parentId : null;
+  }
+  return chain;
+}
+
+function itemInScope(item, scope, categories) {
+  const { productIds, categoryIds, variantIds } = scope;
+  if (!productIds.length && !categoryIds.length && !variantIds.length) return true;
+  if (productIds.includes(item.id)) return true;
+  if (item.variantId && variantIds.includes(item.variantId)) return true;
+  if (categoryIds.length && item.categoryId) {
+    const chain = categoryChain(item.categoryId, categories);
+    return categoryIds.some((id) => chain.has(id));
+  }
+  return false;
+}
+
+/** What a single promotion takes off this cart, or null when it does not apply. */
+function evaluatePromotion(promotion, cart, context) {
+  const lines = cart.items
+    .map((item) => ({ price: Number(item.price) || 0, qty: Math.max(1, Number(item.qty) || 1), item }))
+    .filter((line) => line.price > 0 && itemInScope(line.item, promotion.scope, context.categories));
+  if (!lines.length) return null;
+  const eligibleAmount = round2(lines.reduce((s, l) => s + l.price * l.qty, 0));
+  const eligibleQty = lines.reduce((s, l) => s + l.qty, 0);
+  if (eligibleAmount < currencies.convertAmount(promotion.minSubtotal, context.currency)) return null;
+  if (promotion.minQty && eligibleQty < promotion.minQty) return null;
+
+  let discount = 0;
+  let shippingDiscount = 0;
+  if (promotion.type === 'percent') {
+    discount = eligibleAmount * (promotion.value / 100);
+  } else if (promotion.type === 'fixed') {
+    discount = Math.min(eligibleAmount, currencies.convertAmount(promotion.value, context.currency));
+  } else if (promotion.type === 'buy_x_get_y') {
+    // Every buyQty + getQty units, the getQty cheapest ones are discounted.
+    const groupSize = promotion.buyQty + promotion.getQty;
+    const rewarded = Math.floor(eligibleQty / groupSize) * promotion.getQty;
+    const unitPrices = [];
+    lines.forEach((l) => { for (let i = 0; i < l.qty; i += 1) unitPrices.push(l.price); });
+    unitPrices.sort((a, b) => a - b);
+    discount = unitPrices.slice(0, rewarded).reduce((s, p) => s + p, 0) * (promotion.getPercent / 100);
+  } else if (promotion.type === 'free_shipping') {
+    shippingDiscount = Number(cart.shippingCost) || 0;
+  }
+  discount = round2(discount);
+  shippingDiscount = round2(shippingDiscount);
+  if (discount <= 0 && shippingDiscount <= 0) return null;
+  return {
+    id: promotion.id,
+    name: promotion.name,
+    type: promotion.type,
+    discount,
+    freeShipping: shippingDiscount > 0,
+    shippingDiscount
+  };
+}
+
+function combine(results, cart) {
+  const subtotal = Number(cart.subtotal) || 0;
+  const applied = [];
+  let discount = 0;
+  let shippingDiscount = 0;
+  results.forEach((result) => {
+    const goods = round2(Math.min(result.discount, Math.max(0, subtotal - discount)));
+    const shipping = shippingDiscount > 0 ? 0 : result.shippingDiscount;
+    if (goods <= 0 && shipping <= 0) return;
+    discount = round2(discount + goods);
+    shippingDiscount = round2(shippingDiscount + shipping);
+    applied.push({ id: result.id, name: result.name, type: result.type, discount: goods, freeShipping: shipping > 0 });
+  });
+  return { discount, shippingDiscount, applied };
+}
+
+/**
+ * Promotions for a priced cart.
+ *
+ * @param {object[]} promotions - config.promotions
+ * @param {object} cart - { items, subtotal, shippingCost }: items carry id,
+ *   variantId, categoryId, price and qty in the order currency; subtotal is
+ *   what the promotions may take off at most.
+ * @param {object} context - { categories, customerEmail, usage (from
+ *   countPromotionUsage), now, currency, hasCoupon }
+ * @returns {{ discount, shippingDiscount, applied: [{ id, name, type, discount, freeShipping }] }}
+ */
+function applyPromotions(promotions, cart, context = {}) {
+  const ctx = {
+    categories: Array.isArray(context.categories) ? context.categories : [],
+    currency: context.currency || null
+  };
+  const cartInput = { items: Array.isArray(cart && cart.items) ? cart.items : [], subtotal: cart.subtotal, shippingCost: cart.shippingCost };
+  const results = (Array.isArray(promotions) ? promotions : [])
+    .map(normalizePromotion)
+    .filter((p) => p.id && isPromotionLive(p, context.now || Date.now()))
+    .filter((p) => !(context.hasCoupon && !p.combinesWithCoupons))
+    .filter((p) => withinUsageLimits(p, context.usage, context.customerEmail))
+    .sort((a, b) => b.priority - a.priority)
+    .map((p) => ({ promotion: p, result: evaluatePromotion(p, cartInput, ctx) }))
+    .filter((entry) => entry.result);
+
+  const value = (combined) => combined.discount + combined.shippingDiscount;
+  let best = combine(results.filter((e) => e.promotion.stackable).map((e) => e.result), cartInput);
+  results.filter((e) => !e.promotion.stackable).forEach((e) => {
+    const alone = combine([e.result], cartInput);
+    if (value(alone) > value(best)) best = alone;
+  });
+  return best;
+}
+
+module.exports = {
+  PROMOTION_TYPES,
+  normalizePromotionId,
+  normalizePromotion,
+  isPromotionLive,
+  countPromotionUsage,
+  withinUsageLimits,
+  applyPromotions
+};
@@ -0,0 +1,173 @@
+'use strict';
+
+/**
+ * Weight- and zone-based shipping rates.
+ *
+ * Zones are shared by every shipping option (config.shippingZones) and match
+ * the buyer's postal code (tk) by prefix or by a range of prefixes:
+ *
+ *   { id: 'islands', label: 'Νησιά', postcodes: ['80-85', '49', '28100-28199'] }
+ *
+ * A postal code no zone matches falls in the default zone ''.
+ *
+ * A shipping option with `rates` is priced by total cart weight (kg, from
+ * product.weight or variant.weight) in the buyer's zone:
+ *
+ *   { id: 'courier', codFee: 2, extraKgPrice: 0.8,
+ *     rates: [{ zone: '', maxWeight: 2, price: 4, freeOver: 60 },
+ *             { zone: 'islands', maxWeight: 2, price: 7 }] }
+ *
+ * The lightest row that still fits the parcel wins (maxWeight 0 = no limit);
+ * a zone without rows of its own uses the default zone's. Past the heaviest
+ * row every started kg costs extraKgPrice, and the option is unavailable
+ * when that is 0. A row's freeOver waives it once the goods reach that
+ * amount. Options without rates keep their flat `base`. Amounts are in the
+ * base currency.
+ */
+
+const currencies = require('./currency');
+
+function round2(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function normalizeZoneId(value) {
+  return String(value || '').trim().toLowerCase().replace(/[^a-z0-9_-]/g, '').slice(0, 40);
+}
+
+function normalizePostcode(value) {
+  return String(value || '').replace(/\D/g, '');
+}
+
+/** "49" is a prefix; "80-85" or "28100-28199" a range of equal-length prefixes. */
+function postcodeMatches(postcode, pattern) {
+  const code = normalizePostcode(postcode);
+  const text = String(pattern || '').trim();
+  if (!code || !text) return false;
+  const range = text.match(/^(\d+)\s*-\s*(\d+)$/);
+  if (!range) return /^\d+$/.test(text) && code.startsWith(text);
+  const [, from, to] = range;
+  if (from.length !== to.length || code.length < from.length) return false;
+  const head = Number(code.slice(0, from.length));
+  return head >= Number(from) && head <= Number(to);
+}
+
+function splitList(value) {
+  return (Array.isArray(value) ? value : String(value || '').split(','))
+    .map((entry) => String(entry).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Zones with every field present. Accepts the stored array or the editor's
+ * text form, one zone per line: "islands | Νησιά | 80-85, 49".
+ */
+function normalizeZones(raw) {
+  const entries = typeof raw === 'string'
+    ? raw.split('\n').map((line) => {
+      const [id, label, postcodes] = line.split('|').map((part) => (part || '').trim());
+      return id ? { id, label, postcodes } : null;
+    })
+    : (Array.isArray(raw) ? raw : []);
+  const seen = new Set();
+  return entries.reduce((zones, entry) => {
+    const id = normalizeZoneId(entry && entry.id);
+    if (!id || seen.has(id)) return zones;
+    seen.add(id);
+    zones.push({ id, label: String(entry.label || '').trim() || id, postcodes: splitList(entry.postcodes) });
+    return zones;
+  }, []);
+}
+
+/**
+ * Rate rows sorted by zone and weight. Accepts the stored array or the
+ * editor's text form, one row per line: "zone | up to kg | price | free over",
+ * with "*" (or nothing) for the default zone.
+ */
+function normalizeRates(raw) {
+  const entries = typeof raw === 'string'
+    ? raw.split('\n').map((line) => {
+      if (!line.trim()) return null;
+      const [zone, maxWeight, price, freeOver] = line.split('|').map((part) => (part || '').trim());
+      return { zone: zone === '*' ? '' : zone, maxWeight, price, freeOver };
+    })
+    : (Array.isArray(raw) ? raw : []);
+  return entries
+    .filter((entry) => entry && Number.isFinite(Number(entry.price)) && String(entry.price).trim() !== '')
+    .map((entry) => ({
+      zone: normalizeZoneId(entry.zone),
+      maxWeight: Math.max(0, Number(entry.maxWeight) || 0),
+      price: round2(Math.max(0, Number(entry.price))),
+      freeOver: round2(Math.max(0, Number(entry.freeOver) || 0))
+    }))
+    .sort((a, b) => a.zone.localeCompare(b.zone) || (a.maxWeight || Infinity) - (b.maxWeight || Infinity));
+}
+
+/** Editor text for zones or rate rows (see normalizeZones/normalizeRates). */
+function formatZones(zones) {
+  return normalizeZones(zones).map((z) => `${z.id} | ${z.label} | ${z.postcodes.join(', ')}`).join('\n');
+}
+
+function formatRates(rates) {
+  return normalizeRates(rates)
+    .map((r) => [r.zone || '*', r.maxWeight, r.price, r.freeOver].join(' | '))
+    .join('\n');
+}
+
+/** Id of the first zone matching `postcode`, or '' for the default zone. */
+function resolveZone(zones, postcode) {
+  const match = normalizeZones(zones).find((zone) => zone.postcodes.some((p) => postcodeMatches(postcode, p)));
+  return match ? match.id : '';
+}
+
+/** Total weight in kg of priced cart items carrying a per-unit `weight`. */
+function cartWeight(items) {
+  const total = (Array.isArray(items) ? items : []).reduce((sum, item) => (
+    item && !item.isKitSummary ? sum + Math.max(0, Number(item.weight) || 0) * (Number(item.qty) || 1) : sum
+  ), 0);
+  return Math.round(total * 1000) / 1000;
+}
+
+/**
+ * Shipping cost of `option` for a cart. `cart.subtotal` is the goods value
+ * in `cart.currency` (the order currency); the cost is returned in it too.
+ *
+ * @returns {{ available: boolean, cost: number, zone: string, weight: number, free: boolean }}
+ */
+function quoteShipping(option, cart = {}, zones = []) {
+  const currency = cart.currency || null;
+  const weight = Math.max(0, Number(cart.weight) || 0);
+  const zone = resolveZone(zones, cart.postcode);
+  const rates = normalizeRates(option && option.rates);
+  if (!rates.length) {
+    return { available: true, cost: currencies.convertAmount(Number(option && option.base) || 0, currency), zone, weight, free: false };
+  }
+  const zoneRows = rates.filter((r) => r.zone === zone);
+  const rows = zoneRows.length ? zoneRows : rates.filter((r) => r.zone === '');
+  if (!rows.length) return { available: false, cost: 0, zone, weight, free: false };
+  let row = rows.find((r) => !r.maxWeight || weight <= r.maxWeight);
+  let price;
+  if (row) {
+    price = row.price;
+  } else {
+    const extraKgPrice = Math.max(0, Number(option.extraKgPrice) || 0);
+    if (!extraKgPrice) return { available: false, cost: 0, zone, weight, free: false };
+    row = rows[rows.length - 1];
+    price = row.price + Math.ceil(weight - row.maxWeight) * extraKgPrice;
+  }
+  const free = row.freeOver > 0 && (Number(cart.subtotal) || 0) >= currencies.convertAmount(row.freeOver, currency);
+  return { available: true, cost: free ? 0 : currencies.convertAmount(price, currency), zone, weight, free };
+}
+
+module.exports = {
+  normalizeZoneId,
+  normalizePostcode,
+  postcodeMatches,
+  normalizeZones,
+  normalizeRates,
+  formatZones,
+  formatRates,
+  resolveZone,
+  cartWeight,
+  quoteShipping
+};
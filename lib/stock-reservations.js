@@ -0,0 +1,218 @@
+'use strict';
+
+/**
+ * Stock reservations for card (Stripe) checkouts.
+ *
+ * A reservation lives on the pending order entry it belongs to
+ * (pending_orders.json → entry.reservation), so there is no second list to
+ * keep in sync:
+ *
+ *   { lines: [{ productId, variantId, productName, variantLabel, qty }],
+ *     createdAt, expiresAt, status: 'active' | 'expired' | 'cancelled', releasedAt }
+ *
+ * Only 'active' reservations that have not passed expiresAt hold stock.
+ * Released entries are kept for a grace period so a payment that still lands
+ * (late redirect or webhook) can be matched to its order, then purged.
+ *
+ * The same "stock lines" drive availability checks, reservations and the
+ * final deduction, so all three always agree on what an order consumes.
+ */
+
+// Stripe Checkout sessions must expire between 30 minutes and 24 hours after
+// they are created, which is a little after the reservation: keep a margin.
+const DEFAULT_RESERVATION_MINUTES = 35;
+const MIN_RESERVATION_MINUTES = 35;
+const MIN_STRIPE_SESSION_SECONDS = 31 * 60;
+const MAX_RESERVATION_MINUTES = 24 * 60;
+const RELEASED_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+function resolveReservationMinutes(config) {
+  const raw = Number(config && config.stockReservationMinutes);
+  if (!Number.isFinite(raw) || raw <= 0) return DEFAULT_RESERVATION_MINUTES;
+  return Math.min(MAX_RESERVATION_MINUTES, Math.max(MIN_RESERVATION_MINUTES, Math.round(raw)));
+}
+
+function reservationKey(productId, variantId) {
+  return `${productId}::${variantId || ''}`;
+}
+
+/**
+ * Stock tracked for a product or one of its variants, or null when the item
+ * has no stock figure (unlimited).
+ */
+function getTrackedStock(product, variantId) {
+  if (!product) return null;
+  let source = product;
+  if (variantId && Array.isArray(product.variants)) {
+    source = product.variants.find((v) => v.id === variantId) || null;
+    if (!source) return null;
+  }
+  if (source.stock === undefined || source.stock === null || source.stock === '') return null;
+  const stock = Number(source.stock);
+  return Number.isFinite(stock) ? stock : null;
+}
+
+/**
+ * Collapse order items into one stock line per product/variant. Kit summary
+ * lines hold no stock (their parts are separate items); a priced kit also
+ * consumes the products linked from its selected options, and a bundle
+ * consumes its components instead of itself (lib/product-bundles.js).
+ */
+function buildStockLines(items) {
+  const byKey = new Map();
+  const add = (productId, variantId, qty, names) => {
+    const key = reservationKey(productId, variantId);
+    const line = byKey.get(key) || {
+      productId,
+      variantId: variantId || undefined,
+      productName: names.productName || productId,
+      variantLabel: names.variantLabel || undefined,
+      kitName: names.kitName || undefined,
+      qty: 0
+    };
+    line.qty += qty;
+    byKey.set(key, line);
+  };
+  (items || []).forEach((item) => {
+    if (!item || item.isKitSummary || !item.id) return;
+    const qty = Math.max(0, parseInt(item.qty, 10) || 0);
+    if (!qty) return;
+    if (Array.isArray(item.bundleComponents)) {
+      item.bundleComponents.forEach((component) => {
+        if (!component || !component.productId) return;
+        add(component.productId, component.variantId, qty * Math.max(1, parseInt(component.qty, 10) || 1), {
+          productName: component.name,
+          variantLabel: component.variantLabel,
+          kitName: item.name
+        });
+      });
+      return;
+    }
+    add(item.id, item.variantId, qty, { productName: item.name, variantLabel: item.variantLabel });
+    (Array.isArray(item.selectedOptions) ? item.selectedOptions : []).forEach((opt) => {
+      if (!opt || !opt.linkedProductId) return;
+      add(opt.linkedProductId, opt.selectedVariantId, qty, {
+        productName: opt.choiceLabel,
+        variantLabel: opt.selectedVariantLabel,
+        kitName: item.name
+      });
+    });
+  });
+  return Array.from(byKey.values());
+}
+
+function createReservation(items, config, now) {
+  const createdAt = now || Date.now();
+  return {
+    lines: buildStockLines(items),
+    createdAt: new Date(createdAt).toISOString(),
+    expiresAt: new Date(createdAt + resolveReservationMinutes(config) * 60 * 1000).toISOString(),
+    status: 'active'
+  };
+}
+
+/**
+ * `expires_at` (unix seconds) for the Stripe session paying `reservation`:
+ * the reservation's expiry, but never closer to `now` than Stripe accepts.
+ */
+function stripeSessionExpiresAt(reservation, now) {
+  const at = Math.floor((now || Date.now()) / 1000);
+  const expires = Math.floor(Date.parse(reservation && reservation.expiresAt) / 1000);
+  return Number.isFinite(expires) ? Math.max(expires, at + MIN_STRIPE_SESSION_SECONDS) : at + MIN_STRIPE_SESSION_SECONDS;
+}
+
+function isReservationActive(entry, now) {
+  const reservation = entry && entry.reservation;
+  if (!reservation || reservation.status !== 'active') return false;
+  return Date.parse(reservation.expiresAt) > (now || Date.now());
+}
+
+/** Total reserved quantity per product/variant key across active reservations. */
+function summarizeReservations(pending, now) {
+  const totals = {};
+  Object.values(pending || {}).forEach((entry) => {
+    if (!isReservationActive(entry, now)) return;
+    entry.reservation.lines.forEach((line) => {
+      const key = reservationKey(line.productId, line.variantId);
+      totals[key] = (totals[key] || 0) + (Number(line.qty) || 0);
+    });
+  });
+  return totals;
+}
+
+/**
+ * Lines that cannot be sold because stock minus other shoppers' reservations
+ * is below the requested quantity. Products flagged `allowBackorder` never
+ * fall short.
+ */
+function findStockShortfalls(lines, products, reservedTotals) {
+  const shortfalls = [];
+  (lines || []).forEach((line) => {
+    const product = (products || []).find((p) => p.id === line.productId);
+    if (product && product.allowBackorder === true) return;
+    const stock = getTrackedStock(product, line.variantId);
+    if (stock === null) return;
+    const reserved = (reservedTotals || {})[reservationKey(line.productId, line.variantId)] || 0;
+    const available = Math.max(0, stock - reserved);
+    if (line.qty > available) shortfalls.push({ ...line, available });
+  });
+  return shortfalls;
+}
+
+/**
+ * Mark reservations past their expiry as released and drop entries released
+ * longer than the retention window. Mutates `pending`; returns what changed.
+ */
+function releaseExpiredReservations(pending, now) {
+  const at = now || Date.now();
+  const released = [];
+  const purged = [];
+  Object.keys(pending || {}).forEach((pendingId) => {
+    const entry = pending[pendingId];
+    const reservation = entry && entry.reservation;
+    if (!reservation) return;
+    if (reservation.status === 'active' && Date.parse(reservation.expiresAt) <= at) {
+      reservation.status = 'expired';
+      reservation.releasedAt = new Date(at).toISOString();
+      released.push(pendingId);
+    } else if (reservation.status !== 'active' && Date.parse(reservation.releasedAt) + RELEASED_RETENTION_MS <= at) {
+      delete pending[pendingId];
+      purged.push(pendingId);
+    }
+  });
+  return { released, purged };
+}
+
+/** Active reservations flattened for the admin stock view, soonest expiry first. */
+function listActiveReservations(pending, now) {
+  return Object.keys(pending || {})
+    .filter((pendingId) => isReservationActive(pending[pendingId], now))
+    .map((pendingId) => {
+      const entry = pending[pendingId];
+      const order = entry.order || {};
+      return {
+        pendingId,
+        orderId: order.id || '',
+        customer: order.customerName || order.email || '',
+        lines: entry.reservation.lines,
+        createdAt: entry.reservation.createdAt,
+        expiresAt: entry.reservation.expiresAt
+      };
+    })
+    .sort((a, b) => Date.parse(a.expiresAt) - Date.parse(b.expiresAt));
+}
+
+module.exports = {
+  DEFAULT_RESERVATION_MINUTES,
+  resolveReservationMinutes,
+  reservationKey,
+  getTrackedStock,
+  buildStockLines,
+  createReservation,
+  stripeSessionExpiresAt,
+  isReservationActive,
+  summarizeReservations,
+  findStockShortfalls,
+  releaseExpiredReservations,
+  listActiveReservations
+};
@@ -0,0 +1,348 @@
+'use strict';
+
+/**
+ * Storefront product search: tokenized, accent-insensitive matching with
+ * facet counts, filters and sorting.
+ *
+ * Text is folded before matching: decomposed, stripped of combining marks
+ * (Greek tonos and dialytika, Latin accents), lower-cased, with final sigma
+ * read as σ. A product matches when every query token is a prefix of one of
+ * its tokens, drawn from every language of the translatable name and
+ * description, the SKU, variant labels and SKUs and variant attribute values.
+ *
+ * Variant attributes come from `variant.attributes` ({ Χρώμα: 'Μαύρο' });
+ * variants without any are faceted by their label under VARIANT_FACET.
+ *
+ * Category listings share the sorts and pagination (sortProducts, paginate)
+ * without the text matching; 'relevance' there means catalogue order.
+ */
+
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 96;
+const SORTS = ['relevance', 'price_asc', 'price_desc', 'name_asc', 'newest', 'popular'];
+const VARIANT_FACET = 'variant';
+
+// Per query token, the best field it matched decides its weight.
+const FIELD_WEIGHTS = { name: 5, sku: 4, variant: 3, attribute: 2, description: 1 };
+
+function foldText(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/ς/g, 'σ');
+}
+
+function tokenize(value) {
+  return foldText(value).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/** Every language of a translatable value ({ el, en } or a plain string). */
+function translatableTexts(value) {
+  if (value && typeof value === 'object') return Object.values(value).filter((v) => typeof v === 'string');
+  return typeof value === 'string' || typeof value === 'number' ? [String(value)] : [];
+}
+
+function resolveText(value, lang) {
+  if (value && typeof value === 'object') return String(value[lang] || value.el || Object.values(value)[0] || '');
+  return String(value === undefined || value === null ? '' : value);
+}
+
+function variantsOf(product) {
+  return Array.isArray(product.variants) ? product.variants.filter((v) => v && typeof v === 'object') : [];
+}
+
+/** The lowest price the product sells at: its cheapest priced variant, else its own price. */
+function productPrice(product) {
+  const prices = variantsOf(product).map((v) => Number(v.price)).filter((p) => Number.isFinite(p) && p > 0);
+  return prices.length ? Math.min(...prices) : Math.max(0, Number(product.price) || 0);
+}
+
+/** Stock that is not set means unlimited, as at checkout. */
+function productInStock(product) {
+  const variants = variantsOf(product);
+  if (variants.length) return variants.some((v) => v.stock === undefined || v.stock === null || Number(v.stock) > 0 || v.allowBackorder === true);
+  return product.stock === undefined || product.stock === null || Number(product.stock) > 0 || product.allowBackorder === true;
+}
+
+/** { attributeName: [value, ...] } over the product's variants, in the shopper's language. */
+function productAttributes(product, lang) {
+  const out = {};
+  variantsOf(product).forEach((variant) => {
+    const attrs = variant.attributes && typeof variant.attributes === 'object' ? variant.attributes : null;
+    const entries = attrs && Object.keys(attrs).length
+      ? Object.entries(attrs).map(([name, value]) => [name, resolveText(value, lang)])
+      : [[VARIANT_FACET, resolveText(variant.label, lang) || variant.id]];
+    entries.forEach(([name, value]) => {
+      const text = String(value || '').trim();
+      if (!text) return;
+      out[name] = out[name] || [];
+      if (!out[name].includes(text)) out[name].push(text);
+    });
+  });
+  return out;
+}
+
+function fieldTokens(product) {
+  const variants = variantsOf(product);
+  const attributeValues = [];
+  variants.forEach((v) => {
+    if (v.attributes && typeof v.attributes === 'object') {
+      Object.values(v.attributes).forEach((value) => attributeValues.push(...translatableTexts(value)));
+    }
+  });
+  return {
+    name: tokenize(translatableTexts(product.name).join(' ')),
+    sku: tokenize([product.sku, product.id].join(' ')),
+    variant: tokenize(variants.map((v) => translatableTexts(v.label).concat(v.sku || '').join(' ')).join(' ')),
+    attribute: tokenize(attributeValues.join(' ')),
+    description: tokenize(translatableTexts(product.description).join(' '))
+  };
+}
+
+/** Relevance of `product` for the folded query tokens; 0 when a token matches nothing. */
+function scoreProduct(product, queryTokens) {
+  if (!queryTokens.length) return 1;
+  const fields = fieldTokens(product);
+  const compactSku = foldText(product.sku).replace(/[^\p{L}\p{N}]/gu, '');
+  let score = 0;
+  for (const token of queryTokens) {
+    let best = 0;
+    Object.entries(fields).forEach(([field, tokens]) => {
+      const hit = tokens.find((t) => t.startsWith(token));
+      if (!hit) return;
+      // Whole-word hits rank above prefixes of longer words.
+      const weight = FIELD_WEIGHTS[field] + (hit === token ? 0.5 : 0);
+      if (weight > best) best = weight;
+    });
+    if (!best && compactSku && token.length > 2 && compactSku.includes(token)) best = FIELD_WEIGHTS.sku;
+    if (!best) return 0;
+    score += best;
+  }
+  return score;
+}
+
+function toList(value) {
+  return []
+    .concat(value === undefined || value === null ? [] : value)
+    .flatMap((v) => String(v).split(','))
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+function normalizePageSize(value) {
+  return Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(value, 10) || DEFAULT_PAGE_SIZE));
+}
+
+function toPrice(value) {
+  const n = Number(String(value === undefined ? '' : value).replace(',', '.'));
+  return String(value === undefined ? '' : value).trim() !== '' && Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+/** Listing parameters from a query string: ?sort=&page=&perPage= (perPage null when absent). */
+function parseListingParams(query) {
+  const input = query && typeof query === 'object' ? query : {};
+  const sort = String(input.sort || '').trim();
+  return {
+    sort: SORTS.includes(sort) ? sort : 'relevance',
+    page: Math.max(1, parseInt(input.page, 10) || 1),
+    perPage: parseInt(input.perPage, 10) > 0 ? normalizePageSize(input.perPage) : null
+  };
+}
+
+/**
+ * Search parameters from a query string:
+ * ?q=&category=a,b&min=&max=&inStock=1&attr.Χρώμα=Μαύρο&sort=&page=&perPage=
+ */
+function parseSearchParams(query) {
+  const input = query && typeof query === 'object' ? query : {};
+  const attributes = {};
+  Object.keys(input).forEach((key) => {
+    if (!key.startsWith('attr.')) return;
+    const name = key.slice(5).trim();
+    const values = toList(input[key]);
+    if (name && values.length) attributes[name] = values;
+  });
+  return {
+    q: String(input.q || '').trim().slice(0, 200),
+    categories: toList(input.category),
+    minPrice: toPrice(input.min),
+    maxPrice: toPrice(input.max),
+    inStock: ['1', 'true', 'on'].includes(String(input.inStock || '').toLowerCase()),
+    attributes,
+    ...parseListingParams(input)
+  };
+}
+
+/** The chosen categories plus all their descendants (categories.parentId). */
+function expandCategories(ids, categories) {
+  const wanted = new Set();
+  const resolve = (ref) => (categories || []).find((c) => c && (c.id === ref || c.slug === ref));
+  ids.forEach((ref) => {
+    const cat = resolve(ref);
+    wanted.add(cat ? cat.id : ref);
+  });
+  let grew = true;
+  while (grew) {
+    grew = false;
+    (categories || []).forEach((c) => {
+      if (c && c.parentId && wanted.has(c.parentId) && !wanted.has(c.id)) {
+        wanted.add(c.id);
+        grew = true;
+      }
+    });
+  }
+  return wanted;
+}
+
+function compareBy(sort, popularity, lang) {
+  const pop = (entry) => popularity[entry.product.id] || { sold: 0, views: 0 };
+  const name = (entry) => resolveText(entry.product.name, lang);
+  const byCatalogue = (a, b) => a.index - b.index;
+  switch (sort) {
+    case 'price_asc': return (a, b) => a.price - b.price || byCatalogue(a, b);
+    case 'price_desc': return (a, b) => b.price - a.price || byCatalogue(a, b);
+    case 'name_asc': return (a, b) => name(a).localeCompare(name(b), lang, { sensitivity: 'base', numeric: true }) || byCatalogue(a, b);
+    // Products without createdAt keep their catalogue position: later = newer.
+    case 'newest': return (a, b) => String(b.product.createdAt || '').localeCompare(String(a.product.createdAt || '')) || b.index - a.index;
+    case 'popular': return (a, b) => (pop(b).sold - pop(a).sold) || (pop(b).views - pop(a).views) || byCatalogue(a, b);
+    default: return (a, b) => b.score - a.score || byCatalogue(a, b);
+  }
+}
+
+/** One page of `list`; out-of-range pages clamp to the last one. */
+function paginate(list, page, pageSize) {
+  const size = normalizePageSize(pageSize);
+  const total = Array.isArray(list) ? list.length : 0;
+  const pageCount = Math.max(1, Math.ceil(total / size));
+  const current = Math.min(Math.max(1, parseInt(page, 10) || 1), pageCount);
+  return {
+    items: (list || []).slice((current - 1) * size, current * size),
+    total,
+    page: current,
+    pageCount,
+    pageSize: size
+  };
+}
+
+/**
+ * Products in listing order for `sort`; 'relevance' keeps catalogue order.
+ *
+ * @param {object[]} products
+ * @param {string} sort - one of SORTS
+ * @param {object} [context] - { lang, popularity: { productId: { sold, views } } }
+ * @returns {object[]}
+ */
+function sortProducts(products, sort, context = {}) {
+  return (Array.isArray(products) ? products : [])
+    .filter(Boolean)
+    .map((product, index) => ({ product, index, score: 1, price: productPrice(product) }))
+    .sort(compareBy(sort, context.popularity || {}, context.lang || 'el'))
+    .map((entry) => entry.product);
+}
+
+/**
+ * Run a search over the active catalogue.
+ *
+ * Each facet is counted over the products matching the text and every other
+ * filter, so picking a value never hides the alternatives of that facet.
+ *
+ * @param {object[]} products - active products (raw, translatable fields)
+ * @param {object} params - from parseSearchParams()
+ * @param {object} [context]
+ * @param {string} [context.lang]        - language of facet values
+ * @param {object[]} [context.categories]
+ * @param {object} [context.popularity]  - { productId: { sold, views } }
+ * @param {number} [context.pageSize]  - unless params.perPage is set
+ * @returns {{ items: object[], total: number, page: number, pageCount: number, facets: object }}
+ */
+function searchProducts(products, params, context = {}) {
+  const lang = context.lang || 'el';
+  const popularity = context.popularity || {};
+  const pageSize = params.perPage || context.pageSize;
+  const queryTokens = tokenize(params.q);
+  const wantedCategories = params.categories.length ? expandCategories(params.categories, context.categories) : null;
+
+  const entries = (Array.isArray(products) ? products : [])
+    .map((product, index) => ({ product, index, score: product ? scoreProduct(product, queryTokens) : 0 }))
+    .filter((entry) => entry.score > 0)
+    .map((entry) => ({
+      ...entry,
+      price: productPrice(entry.product),
+      inStock: productInStock(entry.product),
+      attributes: productAttributes(entry.product, lang)
+    }));
+
+  const checks = {
+    category: (e) => !wantedCategories || wantedCategories.has(e.product.categoryId),
+    price: (e) => (params.minPrice === null || e.price >= params.minPrice) && (params.maxPrice === null || e.price <= params.maxPrice),
+    inStock: (e) => !params.inStock || e.inStock
+  };
+  Object.entries(params.attributes).forEach(([name, values]) => {
+    const folded = values.map(foldText);
+    checks[`attr:${name}`] = (e) => (e.attributes[name] || []).some((v) => folded.includes(foldText(v)));
+  });
+  const passes = (entry, skip) => Object.entries(checks).every(([key, check]) => key === skip || check(entry));
+
+  const categoryCounts = {};
+  const attributeCounts = {};
+  let inStockCount = 0;
+  let minPrice = null;
+  let maxPrice = null;
+  entries.forEach((entry) => {
+    if (passes(entry, 'category') && entry.product.categoryId) {
+      categoryCounts[entry.product.categoryId] = (categoryCounts[entry.product.categoryId] || 0) + 1;
+    }
+    if (passes(entry, 'inStock') && entry.inStock) inStockCount += 1;
+    if (passes(entry, 'price')) {
+      minPrice = minPrice === null ? entry.price : Math.min(minPrice, entry.price);
+      maxPrice = maxPrice === null ? entry.price : Math.max(maxPrice, entry.price);
+    }
+    Object.entries(entry.attributes).forEach(([name, values]) => {
+      if (!passes(entry, `attr:${name}`)) return;
+      const counts = attributeCounts[name] || (attributeCounts[name] = {});
+      values.forEach((value) => { counts[value] = (counts[value] || 0) + 1; });
+    });
+  });
+
+  const matched = entries.filter((entry) => passes(entry, null)).sort(compareBy(params.sort, popularity, lang));
+  const page = paginate(matched, params.page, pageSize);
+  return {
+    ...page,
+    items: page.items.map((entry) => ({
+      product: entry.product,
+      price: entry.price,
+      inStock: entry.inStock,
+      score: entry.score
+    })),
+    facets: {
+      categories: Object.entries(categoryCounts).map(([id, count]) => ({ id, count })),
+      price: { min: minPrice === null ? 0 : minPrice, max: maxPrice === null ? 0 : maxPrice },
+      inStock: inStockCount,
+      attributes: Object.entries(attributeCounts).map(([name, counts]) => ({
+        name,
+        values: Object.entries(counts)
+          .map(([value, count]) => ({ value, count }))
+          .sort((a, b) => a.value.localeCompare(b.value, lang, { numeric: true }))
+      }))
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  SORTS,
+  VARIANT_FACET,
+  foldText,
+  tokenize,
+  productPrice,
+  productInStock,
+  productAttributes,
+  scoreProduct,
+  parseListingParams,
+  parseSearchParams,
+  sortProducts,
+  paginate,
+  searchProducts
+};
@@ -0,0 +1,85 @@
+'use strict';
+
+/**
+ * Stripe webhook signature verification.
+ *
+ * Verification is delegated to `Stripe.webhooks.constructEvent`, which does
+ * the constant-time compare, accepts any of the `v1` signatures in the header
+ * (Stripe sends one per active secret while a secret is being rolled) and
+ * rejects events whose timestamp is outside the tolerance window.
+ *
+ * On our side an endpoint may have several secrets at once: the platform
+ * secret(s) from STRIPE_WEBHOOK_SECRET and, for tenants that take payments
+ * on their own Stripe account, the tenant's `stripeWebhookSecret`. Each value
+ * may list several comma-separated secrets during a rotation.
+ */
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/** Flatten secret values (strings, comma lists, arrays) into unique secrets. */
+function parseWebhookSecrets(...values) {
+  const out = [];
+  values.flat().forEach((value) => {
+    String(value || '').split(',').forEach((part) => {
+      const secret = part.trim();
+      if (secret && !out.includes(secret)) out.push(secret);
+    });
+  });
+  return out;
+}
+
+function resolveToleranceSeconds(raw) {
+  const seconds = Number(raw);
+  return Number.isFinite(seconds) && seconds > 0 ? Math.round(seconds) : DEFAULT_TOLERANCE_SECONDS;
+}
+
+/**
+ * Tenant id an event claims to belong to, read before verification so the
+ * right tenant secret can be tried. Never trust it until verified.
+ */
+function peekEventTenantId(payload) {
+  try {
+    const event = JSON.parse(Buffer.isBuffer(payload) ? payload.toString('utf8') : String(payload));
+    const obj = event && event.data && event.data.object;
+    return obj && obj.metadata && obj.metadata.tenantId ? String(obj.metadata.tenantId) : '';
+  } catch (_) {
+    return '';
+  }
+}
+
+/**
+ * Verify `payload` against each secret in turn.
+ *
+ * @param {object}        stripeLib       - the `stripe` module (or a client) exposing `webhooks`
+ * @param {Buffer|string} payload         - raw request body, exactly as received
+ * @param {string}        signatureHeader - `Stripe-Signature` header
+ * @param {string[]}      secrets         - candidate signing secrets
+ * @param {object}        [options]
+ * @param {number}        [options.toleranceSeconds=300] - replay window
+ * @returns {{ ok: true, event: object, secretIndex: number } | { ok: false, error: string }}
+ */
+function verifyStripeWebhook(stripeLib, payload, signatureHeader, secrets, options = {}) {
+  if (!stripeLib || !stripeLib.webhooks) return { ok: false, error: 'Stripe library not available' };
+  if (!signatureHeader) return { ok: false, error: 'Missing Stripe-Signature header' };
+  if (!Array.isArray(secrets) || !secrets.length) return { ok: false, error: 'No webhook secret configured' };
+  const tolerance = resolveToleranceSeconds(options.toleranceSeconds);
+  let lastError = '';
+  for (let i = 0; i < secrets.length; i += 1) {
+    try {
+      const event = stripeLib.webhooks.constructEvent(payload, signatureHeader, secrets[i], tolerance);
+      return { ok: true, event, secretIndex: i };
+    } catch (err) {
+      // Stripe appends a multi-line troubleshooting note; the first line is the reason.
+      lastError = String(err && err.message ? err.message : err).split('\n')[0].trim();
+    }
+  }
+  return { ok: false, error: lastError };
+}
+
+module.exports = {
+  DEFAULT_TOLERANCE_SECONDS,
+  parseWebhookSecrets,
+  resolveToleranceSeconds,
+  peekEventTenantId,
+  verifyStripeWebhook
+};
@@ -0,0 +1,185 @@
+'use strict';
+
+/**
+ * VAT engine.
+ *
+ * Tenants describe their rates as tax classes in config.tax:
+ *
+ *   config.tax = {
+ *     enabled: true,
+ *     pricesIncludeTax: true,        // catalog prices are gross (Greek retail default)
+ *     defaultClass: 'standard',
+ *     shippingClass: 'standard',     // shipping and COD fee
+ *     classes: { standard: 24, reduced: 13, super_reduced: 6, zero: 0 }
+ *   }
+ *
+ * A product's class comes from product.taxClass, then from its category (or
+ * the nearest parent category that has one), then from defaultClass.
+ * All amounts are rounded to cents per line; totals are sums of the rounded
+ * lines so that the order, the invoice and the CSV agree to the cent.
+ */
+
+const DEFAULT_TAX_CLASSES = Object.freeze({
+  standard: 24,
+  reduced: 13,
+  super_reduced: 6,
+  zero: 0
+});
+
+function round2(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function normalizeTaxClassId(value) {
+  return String(value || '').trim().toLowerCase().replace(/[^a-z0-9_-]/g, '').slice(0, 40);
+}
+
+/** Tenant tax settings with defaults filled in. Tax stays off until enabled. */
+function resolveTaxSettings(config) {
+  const raw = (config && config.tax) || {};
+  const classes = { ...DEFAULT_TAX_CLASSES };
+  if (raw.classes && typeof raw.classes === 'object') {
+    Object.keys(raw.classes).forEach((key) => {
+      const id = normalizeTaxClassId(key);
+      const rate = Number(raw.classes[key]);
+      if (id && Number.isFinite(rate) && rate >= 0 && rate <= 100) classes[id] = rate;
+    });
+  }
+  const pick = (value) => {
+    const id = normalizeTaxClassId(value);
+    return Object.prototype.hasOwnProperty.call(classes, id) ? id : 'standard';
+  };
+  return {
+    enabled: raw.enabled === true,
+    pricesIncludeTax: raw.pricesIncludeTax !== false,
+    defaultClass: pick(raw.defaultClass),
+    shippingClass: pick(raw.shippingClass),
+    classes
+  };
+}
+
+function taxRateFor(settings, taxClass) {
+  const rate = Number(settings.classes[taxClass]);
+  return Number.isFinite(rate) ? rate : Number(settings.classes[settings.defaultClass]) || 0;
+}
+
+/**
+ * Tax class of a product: its own, else its category's (walking up parentId),
+ * else the tenant default.
+ */
+function resolveProductTaxClass(product, categories, settings) {
+  const known = (id) => id && Object.prototype.hasOwnProperty.call(settings.classes, id);
+  const own = normalizeTaxClassId(product && product.taxClass);
+  if (known(own)) return own;
+  const list = Array.isArray(categories) ? categories : [];
+  let categoryId = product && product.categoryId;
+  const seen = new Set();
+  while (categoryId && !seen.has(categoryId)) {
+    seen.add(categoryId);
+    const category = list.find((c) => c && c.id === categoryId);
+    if (!category) break;
+    const fromCategory = normalizeTaxClassId(category.taxClass);
+    if (known(fromCategory)) return fromCategory;
+    categoryId = category.parentId;
+  }
+  return settings.defaultClass;
+}
+
+/**
+ * Split `amount` at `rate` percent. With inclusive prices the amount is gross
+ * and the tax is carved out of it; otherwise it is net and tax is added on top.
+ */
+function splitTax(amount, rate, inclusive) {
+  const value = round2(amount);
+  const r = (Number(rate) || 0) / 100;
+  if (inclusive) {
+    const net = round2(value / (1 + r));
+    return { net, tax: round2(value - net), gross: value };
+  }
+  const tax = round2(value * r);
+  return { net: value, tax, gross: round2(value + tax) };
+}
+
+/**
+ * Per-line tax for a priced cart.
+ *
+ * @param {object} settings - from resolveTaxSettings()
+ * @param {object} input - { items, subtotalBeforeDiscount, subtotal, charges: [{ key, amount }] }
+ *   items carry price, qty and taxClass; subtotal is after discounts, which are
+ *   spread over the lines in proportion to their value.
+ * @returns {{ pricesIncludeTax, lines, charges, byRate, totalNet, totalTax, totalGross }}
+ */
+function computeOrderTax(settings, input) {
+  const items = Array.isArray(input && input.items) ? input.items : [];
+  const before = Number(input.subtotalBeforeDiscount) || 0;
+  const after = Number(input.subtotal) || 0;
+  const inclusive = settings.pricesIncludeTax;
+
+  const discountTotal = round2(Math.max(0, before - after));
+  let discountLeft = discountTotal;
+  const priced = items
+    .map((item, index) => ({ item, index, amount: round2((Number(item.price) || 0) * (Number(item.qty) || 1)) }))
+    .filter((row) => row.amount > 0);
+  const lines = priced.map((row, i) => {
+    const share = i === priced.length - 1
+      ? discountLeft
+      : round2(before > 0 ? discountTotal * (row.amount / before) : 0);
+    discountLeft = round2(discountLeft - share);
+    const taxClass = normalizeTaxClassId(row.item.taxClass) || settings.defaultClass;
+    const rate = taxRateFor(settings, taxClass);
+    return {
+      index: row.index,
+      productId: row.item.id,
+      taxClass,
+      rate,
+      ...splitTax(Math.max(0, row.amount - share), rate, inclusive)
+    };
+  });
+
+  const shippingRate = taxRateFor(settings, settings.shippingClass);
+  const charges = (Array.isArray(input.charges) ? input.charges : [])
+    .filter((charge) => Number(charge.amount) > 0)
+    .map((charge) => ({
+      key: charge.key,
+      taxClass: settings.shippingClass,
+      rate: shippingRate,
+      ...splitTax(charge.amount, shippingRate, inclusive)
+    }));
+
+  const byRateMap = new Map();
+  lines.concat(charges).forEach((row) => {
+    const bucket = byRateMap.get(row.rate) || { rate: row.rate, net: 0, tax: 0, gross: 0 };
+    bucket.net = round2(bucket.net + row.net);
+    bucket.tax = round2(bucket.tax + row.tax);
+    bucket.gross = round2(bucket.gross + row.gross);
+    byRateMap.set(row.rate, bucket);
+  });
+  const byRate = Array.from(byRateMap.values()).sort((a, b) => b.rate - a.rate);
+  const sum = (key) => round2(byRate.reduce((s, row) => s + row[key], 0));
+  return {
+    pricesIncludeTax: inclusive,
+    lines,
+    charges,
+    byRate,
+    totalNet: sum('net'),
+    totalTax: sum('tax'),
+    totalGross: sum('gross')
+  };
+}
+
+/** One-line summary such as "24%: 12.40 | 13%: 1.15" for exports. */
+function formatTaxBreakdown(tax) {
+  const rows = tax && Array.isArray(tax.byRate) ? tax.byRate : [];
+  return rows.map((row) => `${row.rate}%: ${Number(row.tax || 0).toFixed(2)}`).join(' | ');
+}
+
+module.exports = {
+  DEFAULT_TAX_CLASSES,
+  normalizeTaxClassId,
+  resolveTaxSettings,
+  resolveProductTaxClass,
+  taxRateFor,
+  splitTax,
+  computeOrderTax,
+  formatTaxBreakdown
+};
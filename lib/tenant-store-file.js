@@ -0,0 +1,68 @@
+'use strict';
+
+const fs = require('fs');
+const { getCollectionSpec, collectionFilePath } = require('./tenant-store');
+const { withFileLock, writeJsonAtomic } = require('./file-lock');
+
+/**
+ * Default driver: one JSON file per tenant collection, e.g.
+ * data/tenants/<tenantId>/orders.json. Writes go to a temp file first and are
+ * renamed into place so a crash never leaves a half-written file behind, and
+ * every write holds the collection's file lock (see lib/file-lock.js).
+ */
+class FileTenantStore {
+  constructor({ tenantsDir }) {
+    if (!tenantsDir) throw new Error('tenantsDir is required');
+    this.tenantsDir = tenantsDir;
+    this.driver = 'file';
+  }
+
+  filePath(tenantId, collection) {
+    return collectionFilePath(this.tenantsDir, tenantId, collection);
+  }
+
+  load(tenantId, collection, fallback) {
+    const spec = getCollectionSpec(collection);
+    const filePath = this.filePath(tenantId, collection);
+    try {
+      const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (spec.kind === 'list' && !Array.isArray(parsed)) throw new Error('not an array');
+      return parsed;
+    } catch (err) {
+      if (err && err.code === 'ENOENT') return fallback;
+      console.warn(`[tenant-store] Malformed ${spec.file} for tenant ${tenantId}: ${err.message} – using fallback.`);
+      return fallback;
+    }
+  }
+
+  save(tenantId, collection, data) {
+    const filePath = this.filePath(tenantId, collection);
+    withFileLock(filePath, () => writeJsonAtomic(filePath, data));
+  }
+
+  update(tenantId, collection, fallback, mutator) {
+    const filePath = this.filePath(tenantId, collection);
+    return withFileLock(filePath, () => {
+      const current = this.load(tenantId, collection, fallback);
+      const next = mutator(current);
+      const value = next === undefined ? current : next;
+      writeJsonAtomic(filePath, value);
+      return value;
+    });
+  }
+
+  append(tenantId, collection, entries) {
+    if (getCollectionSpec(collection).kind !== 'list') {
+      throw new Error(`Cannot append to document collection: ${collection}`);
+    }
+    this.update(tenantId, collection, [], (rows) => {
+      rows.push(...(Array.isArray(entries) ? entries : [entries]));
+    });
+  }
+
+  has(tenantId, collection) {
+    return fs.existsSync(this.filePath(tenantId, collection));
+  }
+}
+
+module.exports = { FileTenantStore };
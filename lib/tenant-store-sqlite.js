@@ -0,0 +1,151 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { getCollectionSpec } = require('./tenant-store');
+
+function _loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (err) {
+    throw new Error('THRC_STORAGE_DRIVER=sqlite requires the optional "better-sqlite3" package (npm install better-sqlite3).');
+  }
+}
+
+/**
+ * SQLite driver. Document collections (config, analytics, pending orders) are
+ * stored as one JSON value each; list collections (orders, stock log, …) are
+ * stored one row per entry, so append() is a single INSERT instead of
+ * rewriting the whole collection.
+ *
+ * A collection that has never been written in the database is imported from
+ * `seedStore` (normally the JSON file store) on first access.
+ */
+class SqliteTenantStore {
+  constructor({ filename, seedStore }) {
+    if (!filename) throw new Error('filename is required');
+    const Database = _loadDriver();
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+    this.filename = filename;
+    this.seedStore = seedStore || null;
+    this.driver = 'sqlite';
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS tenant_collections (
+        tenant_id  TEXT NOT NULL,
+        collection TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (tenant_id, collection)
+      );
+      CREATE TABLE IF NOT EXISTS tenant_documents (
+        tenant_id  TEXT NOT NULL,
+        collection TEXT NOT NULL,
+        data       TEXT NOT NULL,
+        PRIMARY KEY (tenant_id, collection)
+      );
+      CREATE TABLE IF NOT EXISTS tenant_records (
+        seq        INTEGER PRIMARY KEY AUTOINCREMENT,
+        tenant_id  TEXT NOT NULL,
+        collection TEXT NOT NULL,
+        data       TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS tenant_records_lookup ON tenant_records (tenant_id, collection, seq);
+    `);
+    this._stmts = {
+      isKnown:      this.db.prepare('SELECT 1 FROM tenant_collections WHERE tenant_id = ? AND collection = ?'),
+      markKnown:    this.db.prepare(`INSERT INTO tenant_collections (tenant_id, collection, updated_at) VALUES (?, ?, ?)
+                                     ON CONFLICT (tenant_id, collection) DO UPDATE SET updated_at = excluded.updated_at`),
+      getDocument:  this.db.prepare('SELECT data FROM tenant_documents WHERE tenant_id = ? AND collection = ?'),
+      putDocument:  this.db.prepare(`INSERT INTO tenant_documents (tenant_id, collection, data) VALUES (?, ?, ?)
+                                     ON CONFLICT (tenant_id, collection) DO UPDATE SET data = excluded.data`),
+      listRecords:  this.db.prepare('SELECT data FROM tenant_records WHERE tenant_id = ? AND collection = ? ORDER BY seq'),
+      clearRecords: this.db.prepare('DELETE FROM tenant_records WHERE tenant_id = ? AND collection = ?'),
+      addRecord:    this.db.prepare('INSERT INTO tenant_records (tenant_id, collection, data) VALUES (?, ?, ?)')
+    };
+    this._writeDocument = this.db.transaction((tenantId, collection, data) => {
+      this._stmts.putDocument.run(tenantId, collection, JSON.stringify(data));
+      this._stmts.markKnown.run(tenantId, collection, new Date().toISOString());
+    });
+    this._replaceRecords = this.db.transaction((tenantId, collection, rows) => {
+      this._stmts.clearRecords.run(tenantId, collection);
+      rows.forEach((row) => this._stmts.addRecord.run(tenantId, collection, JSON.stringify(row)));
+      this._stmts.markKnown.run(tenantId, collection, new Date().toISOString());
+    });
+    this._appendRecords = this.db.transaction((tenantId, collection, rows) => {
+      rows.forEach((row) => this._stmts.addRecord.run(tenantId, collection, JSON.stringify(row)));
+      this._stmts.markKnown.run(tenantId, collection, new Date().toISOString());
+    });
+  }
+
+  _isKnown(tenantId, collection) {
+    return !!this._stmts.isKnown.get(tenantId, collection);
+  }
+
+  // Import a collection from the seed store the first time it is touched.
+  _ensureSeeded(tenantId, collection) {
+    if (this._isKnown(tenantId, collection)) return;
+    if (!this.seedStore || !this.seedStore.has(tenantId, collection)) return;
+    const seeded = this.seedStore.load(tenantId, collection, undefined);
+    if (seeded === undefined) return;
+    this.save(tenantId, collection, seeded);
+    console.log(`[tenant-store] sqlite:seeded ${tenantId}/${collection} from ${this.seedStore.driver} store`);
+  }
+
+  load(tenantId, collection, fallback) {
+    const spec = getCollectionSpec(collection);
+    this._ensureSeeded(tenantId, collection);
+    if (!this._isKnown(tenantId, collection)) return fallback;
+    try {
+      if (spec.kind === 'list') {
+        return this._stmts.listRecords.all(tenantId, collection).map((row) => JSON.parse(row.data));
+      }
+      const row = this._stmts.getDocument.get(tenantId, collection);
+      return row ? JSON.parse(row.data) : fallback;
+    } catch (err) {
+      console.warn(`[tenant-store] sqlite:load failed for ${tenantId}/${collection}: ${err.message} – using fallback.`);
+      return fallback;
+    }
+  }
+
+  save(tenantId, collection, data) {
+    const spec = getCollectionSpec(collection);
+    if (spec.kind === 'list') {
+      this._replaceRecords(tenantId, collection, Array.isArray(data) ? data : []);
+    } else {
+      this._writeDocument(tenantId, collection, data);
+    }
+  }
+
+  update(tenantId, collection, fallback, mutator) {
+    // IMMEDIATE takes the write lock up front so two processes cannot both
+    // read the old value before either writes.
+    return this.db.transaction(() => {
+      const current = this.load(tenantId, collection, fallback);
+      const next = mutator(current);
+      const value = next === undefined ? current : next;
+      this.save(tenantId, collection, value);
+      return value;
+    }).immediate();
+  }
+
+  append(tenantId, collection, entries) {
+    if (getCollectionSpec(collection).kind !== 'list') {
+      throw new Error(`Cannot append to document collection: ${collection}`);
+    }
+    this._ensureSeeded(tenantId, collection);
+    this._appendRecords(tenantId, collection, Array.isArray(entries) ? entries : [entries]);
+  }
+
+  has(tenantId, collection) {
+    getCollectionSpec(collection);
+    return this._isKnown(tenantId, collection) || !!(this.seedStore && this.seedStore.has(tenantId, collection));
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = { SqliteTenantStore };
@@ -0,0 +1,95 @@
+'use strict';
+
+/**
+ * Tenant data storage adapter.
+ *
+ * Every per-tenant collection (config, products, orders, stock log, …) is read
+ * and written through a store object with the same small interface, so the
+ * backing driver can change without touching route code:
+ *
+ *   store.load(tenantId, collection, fallback)   → stored value or fallback
+ *   store.save(tenantId, collection, data)       → replace the whole value
+ *   store.update(tenantId, collection, fallback, mutator)
+ *                                                → locked read-modify-write; the
+ *                                                  mutator edits the value in place
+ *                                                  or returns a replacement
+ *   store.append(tenantId, collection, entries)  → add rows to a list collection
+ *   store.has(tenantId, collection)              → true if anything is stored
+ *
+ * Drivers:
+ *   file   (default) – one JSON file per collection under data/tenants/<id>/
+ *   sqlite           – a single SQLite database; list collections are stored
+ *                      row-per-entry so appending an order is one INSERT.
+ *
+ * Select the driver with THRC_STORAGE_DRIVER=file|sqlite.
+ */
+
+const path = require('path');
+
+// kind: 'list' collections are arrays of records, 'document' collections are
+// a single JSON value (object/map).
+const COLLECTIONS = Object.freeze({
+  config:        { file: 'config.json',         kind: 'document' },
+  products:      { file: 'products.json',       kind: 'list' },
+  categories:    { file: 'categories.json',     kind: 'list' },
+  users:         { file: 'users.json',          kind: 'list' },
+  orders:        { file: 'orders.json',         kind: 'list' },
+  reviews:       { file: 'reviews.json',        kind: 'list' },
+  stockLog:      { file: 'stock_log.json',      kind: 'list' },
+  analytics:     { file: 'analytics.json',      kind: 'document' },
+  pendingOrders: { file: 'pending_orders.json', kind: 'document' },
+  tickets:       { file: 'tickets.json',        kind: 'list' },
+  returns:       { file: 'returns.json',        kind: 'list' },
+  promotionRedemptions: { file: 'promotion_redemptions.json', kind: 'list' },
+  couponRedemptions: { file: 'coupon_redemptions.json', kind: 'list' },
+  pickupPoints:  { file: 'pickup_points.json',  kind: 'list' },
+  abandonedCarts: { file: 'abandoned_carts.json', kind: 'list' }
+});
+
+const STORAGE_DRIVERS = ['file', 'sqlite'];
+
+function getCollectionSpec(collection) {
+  const spec = COLLECTIONS[collection];
+  if (!spec) throw new Error(`Unknown tenant collection: ${collection}`);
+  return spec;
+}
+
+function collectionFilePath(tenantsDir, tenantId, collection) {
+  return path.join(tenantsDir, tenantId, getCollectionSpec(collection).file);
+}
+
+/**
+ * Create the tenant store for the configured driver.
+ *
+ * @param {object} options
+ * @param {string} options.tenantsDir  - Root dir holding data/tenants/<id>/
+ * @param {string} [options.driver]    - 'file' (default) | 'sqlite'
+ * @param {string} [options.sqlitePath]- Database file for the sqlite driver
+ * @returns {object} store implementing load/save/update/append/has
+ */
+function createTenantStore(options) {
+  const opts = options || {};
+  const driver = String(opts.driver || 'file').trim().toLowerCase();
+  if (!STORAGE_DRIVERS.includes(driver)) {
+    throw new Error(`Unknown storage driver "${driver}" (expected one of: ${STORAGE_DRIVERS.join(', ')})`);
+  }
+  const { FileTenantStore } = require('./tenant-store-file');
+  const fileStore = new FileTenantStore({ tenantsDir: opts.tenantsDir });
+  if (driver === 'file') return fileStore;
+
+  const { SqliteTenantStore } = require('./tenant-store-sqlite');
+  // Existing JSON files seed the database the first time a collection is read,
+  // so switching an installation to sqlite does not lose data.
+  return new SqliteTenantStore({
+    filename: opts.sqlitePath || path.join(opts.tenantsDir, '..', 'thronos-commerce.sqlite'),
+    seedStore: fileStore
+  });
+}
+
+module.exports = {
+  COLLECTIONS,
+  STORAGE_DRIVERS,
+  getCollectionSpec,
+  collectionFilePath,
+  createTenantStore
+};
@@ -0,0 +1,93 @@
+'use strict';
+
+/**
+ * Shop-local dates.
+ *
+ * The admin sets schedules (publishing, sales, promotions, coupon expiry)
+ * through datetime-local inputs, which carry no offset: "09:00" means nine
+ * o'clock at the shop. Each tenant names its zone in config.timeZone (an
+ * IANA zone, Europe/Athens by default), and dates are stored with that
+ * zone's offset on the day they name:
+ *
+ *   '2026-11-01T09:00' → '2026-11-01T09:00+02:00'
+ *   '2026-07-01'       → '2026-07-01T00:00+03:00'
+ *
+ * so they mean the same moment whatever zone the server runs in, and their
+ * first 16 characters are still what the admin typed.
+ */
+
+const DEFAULT_TIME_ZONE = 'Europe/Athens';
+
+const WALL_CLOCK = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+const MINUTE_MS = 60 * 1000;
+
+function isValidTimeZone(zone) {
+  if (!zone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+function resolveTimeZone(config) {
+  const zone = String((config && config.timeZone) || '').trim();
+  return isValidTimeZone(zone) ? zone : DEFAULT_TIME_ZONE;
+}
+
+/** Minutes `timeZone` is ahead of UTC at the instant `at` (ms). */
+function zoneOffsetMinutes(timeZone, at) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(at)).forEach((part) => { parts[part.type] = part.value; });
+  const wall = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return Math.round((wall - Math.floor(at / 1000) * 1000) / MINUTE_MS);
+}
+
+function formatOffset(minutes) {
+  const abs = Math.abs(minutes);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${minutes < 0 ? '-' : '+'}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+/**
+ * `value` as stored: wall-clock times (no offset) are read in `timeZone`,
+ * dates with an offset keep their moment. '' when it is not a date.
+ */
+function toZonedIso(value, timeZone) {
+  const text = String(value || '').trim();
+  if (!text || !Number.isFinite(Date.parse(text))) return '';
+  const zone = isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+  const m = text.match(WALL_CLOCK);
+  let at;
+  if (m) {
+    const wall = Date.UTC(+m[1], +m[2] - 1, +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0));
+    // The offset in force at that wall time; the second pass settles days
+    // when the clocks change.
+    at = wall - zoneOffsetMinutes(zone, wall) * MINUTE_MS;
+    at = wall - zoneOffsetMinutes(zone, at) * MINUTE_MS;
+  } else {
+    at = Date.parse(text);
+  }
+  const offset = zoneOffsetMinutes(zone, at);
+  const local = new Date(at + offset * MINUTE_MS).toISOString();
+  const seconds = local.slice(17, 19) === '00' ? '' : local.slice(16, 19);
+  return `${local.slice(0, 16)}${seconds}${formatOffset(offset)}`;
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  resolveTimeZone,
+  zoneOffsetMinutes,
+  toZonedIso
+};
@@ -0,0 +1,152 @@
+'use strict';
+
+/**
+ * Quantity-tier pricing.
+ *
+ * Tiers live on a product (product.priceTiers) or on a category
+ * (category.priceTiers); a product without tiers of its own uses those of its
+ * nearest category ancestor that has some:
+ *
+ *   [{ minQty: 3, price: 9.5 }, { minQty: 10, percentOff: 15 }]
+ *
+ * `price` is the unit price, in the base currency, that replaces the
+ * product's list price; a variant priced differently gets the same
+ * proportional cut. `percentOff` comes off whatever the unit costs. The
+ * quantity that picks a tier is the product's total across all cart lines,
+ * so two colours of the same shirt count together. Kits and bundles are
+ * never tiered.
+ *
+ * views/_money.ejs mirrors tierUnitPrice() for the cart and checkout preview.
+ */
+
+function round2(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Tiers sorted by minQty, one per quantity. Accepts the stored array or the
+ * admin editor's text form "3:9.50, 10:15%".
+ */
+function normalizeTiers(raw) {
+  const entries = typeof raw === 'string'
+    ? raw.split(/[,;\n]/).map((part) => {
+      const match = part.trim().match(/^(\d+)\s*\+?\s*[:=]\s*([\d.]+)\s*(%?)$/);
+      if (!match) return null;
+      return match[3]
+        ? { minQty: match[1], percentOff: match[2] }
+        : { minQty: match[1], price: match[2] };
+    })
+    : (Array.isArray(raw) ? raw : []);
+  const byQty = new Map();
+  entries.forEach((entry) => {
+    if (!entry || typeof entry !== 'object') return;
+    const minQty = parseInt(entry.minQty, 10);
+    if (!Number.isFinite(minQty) || minQty < 2) return;
+    const percentOff = Number(entry.percentOff);
+    const price = Number(entry.price);
+    if (entry.percentOff !== undefined && entry.percentOff !== '' && percentOff > 0 && percentOff < 100) {
+      byQty.set(minQty, { minQty, percentOff: round2(percentOff) });
+    } else if (entry.price !== undefined && entry.price !== '' && price > 0) {
+      byQty.set(minQty, { minQty, price: round2(price) });
+    }
+  });
+  return Array.from(byQty.values()).sort((a, b) => a.minQty - b.minQty);
+}
+
+/** The editor's text form of `tiers`. */
+function formatTiers(tiers) {
+  return normalizeTiers(tiers)
+    .map((tier) => (tier.percentOff !== undefined ? `${tier.minQty}:${tier.percentOff}%` : `${tier.minQty}:${tier.price}`))
+    .join(', ');
+}
+
+/** The tiers that apply to `product`: its own, else its nearest category's. */
+function resolveTiers(product, categories) {
+  if (!product || product.type === 'KIT' || product.type === 'BUNDLE') return [];
+  const own = normalizeTiers(product.priceTiers);
+  if (own.length) return own;
+  const byId = new Map((Array.isArray(categories) ? categories : []).map((c) => [c && c.id, c]));
+  const seen = new Set();
+  let category = byId.get(product.categoryId);
+  while (category && !seen.has(category.id)) {
+    seen.add(category.id);
+    const tiers = normalizeTiers(category.priceTiers);
+    if (tiers.length) return tiers;
+    category = category.parentId ? byId.get(category.parentId) : null;
+  }
+  return [];
+}
+
+/** The highest tier `qty` reaches, or null. */
+function pickTier(tiers, qty) {
+  const units = Number(qty) || 0;
+  return (Array.isArray(tiers) ? tiers : []).reduce((best, tier) => (
+    tier && units >= tier.minQty && (!best || tier.minQty > best.minQty) ? tier : best
+  ), null);
+}
+
+/**
+ * Unit price for `qty` units of an item costing `unitPrice`, where the
+ * product lists at `listPrice`. Never more than `unitPrice`.
+ */
+function tierUnitPrice(unitPrice, listPrice, tiers, qty) {
+  const unit = Number(unitPrice) || 0;
+  const tier = pickTier(tiers, qty);
+  if (!tier || unit <= 0) return unit;
+  const list = Number(listPrice) || 0;
+  const tiered = tier.percentOff !== undefined
+    ? unit * (1 - tier.percentOff / 100)
+    : (list > 0 ? unit * (tier.price / list) : tier.price);
+  return Math.min(unit, round2(tiered));
+}
+
+/**
+ * Reprices checkout items (base currency) in place. Tiered items keep their
+ * list unit price as `listPrice` and the tier they reached as `tierMinQty`.
+ *
+ * @returns {number} total saved against list prices
+ */
+function applyTierPricing(items, products, categories) {
+  const lines = (Array.isArray(items) ? items : []).filter((item) => item && !item.isKitSummary && !item.sourceKitId);
+  const qtyById = {};
+  lines.forEach((item) => {
+    qtyById[item.id] = (qtyById[item.id] || 0) + (Number(item.qty) || 1);
+  });
+  const catalog = Array.isArray(products) ? products : [];
+  let saved = 0;
+  lines.forEach((item) => {
+    const product = catalog.find((p) => p && p.id === item.id);
+    const tiers = resolveTiers(product, categories);
+    const tier = pickTier(tiers, qtyById[item.id]);
+    if (!tier) return;
+    const listPrice = Number(item.price) || 0;
+    const price = tierUnitPrice(listPrice, product.price, tiers, qtyById[item.id]);
+    if (price >= listPrice) return;
+    item.listPrice = listPrice;
+    item.tierMinQty = tier.minQty;
+    item.price = price;
+    if (item.finalUnitPrice !== undefined) item.finalUnitPrice = price;
+    saved += (listPrice - price) * (Number(item.qty) || 1);
+  });
+  return round2(saved);
+}
+
+/** `{ productId: { listPrice, tiers } }` for every product with tiers. */
+function buildTierMap(products, categories) {
+  const map = {};
+  (Array.isArray(products) ? products : []).forEach((product) => {
+    const tiers = resolveTiers(product, categories);
+    if (tiers.length) map[product.id] = { listPrice: Number(product.price) || 0, tiers };
+  });
+  return map;
+}
+
+module.exports = {
+  normalizeTiers,
+  formatTiers,
+  resolveTiers,
+  pickTier,
+  tierUnitPrice,
+  applyTierPricing,
+  buildTierMap
+};
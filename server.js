@@ -23,6 +23,28 @@ const { normalizeHost, resolveTenantFromHost, tenantHostnames } = require('./uti
 const { runDomainCheck, runDomainCheckFull } = require('./utils/dns-check');
 const { getCloudflareClient, getTenantZoneId } = require('./utils/cloudflare-api');
 const RailwayRegistry = require('./utils/railway-registry');
+const { createTenantStore } = require('./lib/tenant-store');
+const { withFileLock, writeJsonAtomic } = require('./lib/file-lock');
+const stockReservations = require('./lib/stock-reservations');
+const stripeWebhook = require('./lib/stripe-webhook');
+const orderRefunds = require('./lib/order-refunds');
+const orderReturns = require('./lib/order-returns');
+const orderStatus = require('./lib/order-status');
+const orderDocuments = require('./lib/order-documents');
+const taxEngine = require('./lib/tax');
+const currencies = require('./lib/currency');
+const promotionsEngine = require('./lib/promotions');
+const couponsEngine = require('./lib/coupons');
+const tierPricing = require('./lib/tier-pricing');
+const shippingRates = require('./lib/shipping-rates');
+const couriers = require('./lib/couriers');
+const pickupPoints = require('./lib/pickup-points');
+const abandonedCarts = require('./lib/abandoned-carts');
+const storefrontSearch = require('./lib/storefront-search');
+const productAttributes = require('./lib/product-attributes');
+const productSchedule = require('./lib/product-schedule');
+const productBundles = require('./lib/product-bundles');
+const tenantTime = require('./lib/tenant-time');
 
 function safeRequire(mod) {
   try { return require(mod); } catch (e) { return null; }
@@ -151,15 +173,20 @@ function resolveAssistantEnv() {
   return { assistantUrl, assistantUrlSource, webhookSecret, webhookSecretSource };
 }
 
-function translate(lang, key) {
+// `params` fills {placeholders} in the message, e.g. t('checkout.outOfStock', { items }).
+function translate(lang, key, params) {
   const parts = key.split('.');
   let val = LOCALES[lang];
   for (const part of parts) {
     if (!val || typeof val !== 'object') { val = undefined; break; }
     val = val[part];
   }
-  if (val !== undefined && val !== null) return String(val);
-  if (lang !== 'el') return translate('el', key);
+  if (val !== undefined && val !== null) {
+    return String(val).replace(/\{(\w+)\}/g, (match, name) => (
+      params && params[name] !== undefined ? String(params[name]) : match
+    ));
+  }
+  if (lang !== 'el') return translate('el', key, params);
   return key;
 }
 
@@ -434,6 +461,15 @@ ensureDir(TENANTS_DIR);
 const TEMPLATES_DIR = path.join(DATA_ROOT, 'templates');
 ensureDir(TEMPLATES_DIR);
 
+// Tenant collections (config, products, orders, …) are read/written through a
+// storage adapter: JSON files by default, SQLite with THRC_STORAGE_DRIVER=sqlite.
+const TENANT_STORAGE_DRIVER = String(process.env.THRC_STORAGE_DRIVER || 'file').trim().toLowerCase();
+const tenantStore = createTenantStore({
+  driver: TENANT_STORAGE_DRIVER,
+  tenantsDir: TENANTS_DIR,
+  sqlitePath: process.env.THRC_SQLITE_PATH || path.join(DATA_ROOT, 'thronos-commerce.sqlite')
+});
+
 const TENANTS_REGISTRY       = path.join(DATA_ROOT, 'tenants.json');
 const REFERRAL_ACCOUNTS_FILE = path.join(DATA_ROOT, 'referral_accounts.json');
 const REFERRAL_EARNINGS_FILE = path.join(DATA_ROOT, 'referral_earnings.json');
@@ -475,9 +511,19 @@ function loadJson(filePath, fallback) {
 function saveJson(filePath, data) {
   // Atomic write: write to a temp file then rename so a crash during write
   // never produces a partially-written file.
-  const tmp = filePath + '.tmp.' + process.pid;
-  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), 'utf8');
-  fs.renameSync(tmp, filePath);
+  withFileLock(filePath, () => writeJsonAtomic(filePath, data));
+}
+
+// Locked read-modify-write of a JSON file. The mutator edits the loaded value
+// in place or returns a replacement; the saved value is returned.
+function updateJson(filePath, fallback, mutator) {
+  return withFileLock(filePath, () => {
+    const current = loadJson(filePath, fallback);
+    const next = mutator(current);
+    const value = next === undefined ? current : next;
+    writeJsonAtomic(filePath, value);
+    return value;
+  });
 }
 
 function listThemeCatalog() {
@@ -821,6 +867,13 @@ function loadSettlementLedger() {
 
 function saveSettlementLedger(rows) { saveJson(SETTLEMENT_LEDGER_FILE, rows); }
 
+// Ledger rows are booked in the order's currency; totals add them up in the
+// tenant's base currency. Rows from before multi-currency have no rate.
+function ledgerBaseAmount(row, field) {
+  const rate = Number(row && row.exchangeRate) > 0 ? Number(row.exchangeRate) : 1;
+  return (Number(row && row[field]) || 0) / rate;
+}
+
 function getTenantReferralConfig(tenant) {
   if (!tenant || typeof tenant !== 'object') return { code: '', percent: 0 };
   const ref = tenant.referral || {};
@@ -830,15 +883,21 @@ function getTenantReferralConfig(tenant) {
   return { code, percent };
 }
 
+/**
+ * Amounts are in the order's currency, like the order itself: the platform
+ * fee and referral commission are taken from the subtotal the shopper paid.
+ * Totals across orders convert them back with exchangeRate (ledgerBaseAmount).
+ */
 function buildOrderFinancialBreakdown(req, order) {
   const tenant = req.tenant || {};
   const paymentOptions = Array.isArray(order && order.paymentOptionsSnapshot) ? order.paymentOptionsSnapshot : [];
   const paymentOpt = paymentOptions.find((p) => p && (p.id === order.paymentMethodId || p.type === order.paymentMethodId)) || {};
   const gatewaySurchargeAmount = Number(order.gatewayFee || 0);
   const subtotal = Number(order.subtotalBeforeDiscount || order.subtotal || 0);
-  const discount = Number(order.quantityDiscount || 0) + Number(order.couponDiscount || 0);
+  const discount = Number(order.quantityDiscount || 0) + Number(order.promotionDiscount || 0) + Number(order.couponDiscount || 0);
   const shipping = Number(order.shippingCost || 0);
   const totalCharged = Number(order.total || 0);
+  const taxTotal = Number(order.taxTotal || 0);
   const platformFeePercent = Number(tenant.platformFeePercent || 0);
   const platformFeeAmount = +(subtotal * platformFeePercent).toFixed(2);
   const referralCfg = getTenantReferralConfig(tenant);
@@ -859,13 +918,18 @@ function buildOrderFinancialBreakdown(req, order) {
     discount,
     gatewaySurchargeAmount,
     totalCharged,
+    taxTotal,
+    totalNetOfTax: +(totalCharged - taxTotal).toFixed(2),
+    taxBreakdown: order.tax && Array.isArray(order.tax.byRate) ? order.tax.byRate : [],
     paymentMethod: order.paymentMethodId || '',
     tenantGrossAmount,
     platformFeeAmount,
     referralCommissionAmount,
     estimatedTenantNetSettlement,
     settlementDirection,
-    currency: String(order.currency || 'EUR').toUpperCase(),
+    currency: String(order.currency || currencies.DEFAULT_BASE_CURRENCY).toUpperCase(),
+    baseCurrency: String(order.baseCurrency || order.currency || currencies.DEFAULT_BASE_CURRENCY).toUpperCase(),
+    exchangeRate: Number(order.exchangeRate) || 1,
     paymentMethodType: paymentOpt.type || paymentMethod || ''
   };
 }
@@ -888,9 +952,11 @@ function createFinancialLedgerEntries(req, order) {
     settlementDirection: breakdown.settlementDirection
   }));
 
-  const settlementLedger = loadSettlementLedger();
-  const settlementExists = settlementLedger.some((r) => r && r.tenantId === tenantId && r.orderId === order.id);
-  if (!settlementExists) {
+  let settlementExists = false;
+  updateJson(SETTLEMENT_LEDGER_FILE, [], (rows) => {
+    const settlementLedger = Array.isArray(rows) ? rows : [];
+    settlementExists = settlementLedger.some((r) => r && r.tenantId === tenantId && r.orderId === order.id);
+    if (settlementExists) return settlementLedger;
     settlementLedger.push({
       id: `stl_${Date.now().toString(36)}_${crypto.randomBytes(3).toString('hex')}`,
       tenantId,
@@ -904,35 +970,46 @@ function createFinancialLedgerEntries(req, order) {
       settlementDirection: breakdown.settlementDirection,
       status: 'pending',
       currency: breakdown.currency,
+      exchangeRate: breakdown.exchangeRate,
       notes: '',
       createdAt: now,
       updatedAt: now
     });
-    saveSettlementLedger(settlementLedger);
+    return settlementLedger;
+  });
+  if (!settlementExists) {
     console.log('[finance] settlement-ledger:create', JSON.stringify({ tenantId, orderId: order.id }));
   } else {
     console.log('[finance] settlement-ledger:skip', JSON.stringify({ tenantId, orderId: order.id, reason: 'already_exists' }));
   }
 
   const referralCfg = getTenantReferralConfig(req.tenant);
-  const referralLedger = loadReferralLedger();
-  const referralExists = referralLedger.some((r) => r && r.tenantId === tenantId && r.orderId === order.id);
-  if (referralCfg.code && !referralExists) {
-    referralLedger.push({
-      id: `rfl_${Date.now().toString(36)}_${crypto.randomBytes(3).toString('hex')}`,
-      tenantId,
-      orderId: order.id,
-      referralCode: referralCfg.code,
-      referralPercent: referralCfg.percent,
-      commissionBase: breakdown.subtotal,
-      commissionAmount: breakdown.referralCommissionAmount,
-      paymentMethod: breakdown.paymentMethod,
-      status: 'pending',
-      notes: '',
-      createdAt: now,
-      updatedAt: now
+  let referralExists = false;
+  if (referralCfg.code) {
+    updateJson(REFERRAL_LEDGER_FILE, [], (rows) => {
+      const referralLedger = Array.isArray(rows) ? rows : [];
+      referralExists = referralLedger.some((r) => r && r.tenantId === tenantId && r.orderId === order.id);
+      if (referralExists) return referralLedger;
+      referralLedger.push({
+        id: `rfl_${Date.now().toString(36)}_${crypto.randomBytes(3).toString('hex')}`,
+        tenantId,
+        orderId: order.id,
+        referralCode: referralCfg.code,
+        referralPercent: referralCfg.percent,
+        commissionBase: breakdown.subtotal,
+        commissionAmount: breakdown.referralCommissionAmount,
+        currency: breakdown.currency,
+        exchangeRate: breakdown.exchangeRate,
+        paymentMethod: breakdown.paymentMethod,
+        status: 'pending',
+        notes: '',
+        createdAt: now,
+        updatedAt: now
+      });
+      return referralLedger;
     });
-    saveReferralLedger(referralLedger);
+  }
+  if (referralCfg.code && !referralExists) {
     console.log('[finance] referral-ledger:create', JSON.stringify({ tenantId, orderId: order.id, referralCode: referralCfg.code }));
   } else {
     console.log('[finance] referral-ledger:skip', JSON.stringify({
@@ -943,6 +1020,47 @@ function createFinancialLedgerEntries(req, order) {
   }
 }
 
+/**
+ * Book the reversal of an order's settlement and referral rows for a refund,
+ * in proportion to the refunded share of the order total.
+ */
+function reverseFinancialLedgerEntries(req, order, refund) {
+  const tenantId = req.tenant.id;
+  const total = Number(order.total || 0);
+  const reversal = {
+    tenantId,
+    orderId: order.id,
+    refundId: refund.id,
+    ratio: total > 0 ? Number(refund.amount || 0) / total : 0,
+    createdAt: new Date().toISOString()
+  };
+  const makeId = () => `${Date.now().toString(36)}_${crypto.randomBytes(3).toString('hex')}`;
+  let settlementRows = 0;
+  let referralRows = 0;
+  updateJson(SETTLEMENT_LEDGER_FILE, [], (rows) => {
+    const ledger = Array.isArray(rows) ? rows : [];
+    const added = orderRefunds.buildLedgerReversals(ledger, reversal, [
+      'grossAmount', 'platformFeeAmount', 'gatewaySurchargeAmount', 'referralCommissionAmount', 'netSettlementAmount'
+    ], 'stl', makeId);
+    settlementRows = added.length;
+    return ledger.concat(added);
+  });
+  updateJson(REFERRAL_LEDGER_FILE, [], (rows) => {
+    const ledger = Array.isArray(rows) ? rows : [];
+    const added = orderRefunds.buildLedgerReversals(ledger, reversal, ['commissionBase', 'commissionAmount'], 'rfl', makeId);
+    referralRows = added.length;
+    return ledger.concat(added);
+  });
+  console.log('[finance] ledger:reverse', JSON.stringify({
+    tenantId,
+    orderId: order.id,
+    refundId: refund.id,
+    ratio: +reversal.ratio.toFixed(4),
+    settlementRows,
+    referralRows
+  }));
+}
+
 /** Ensure a referral account record exists for a code */
 function ensureReferralAccount(code, percent = 0.1) {
   const accounts = loadReferralAccounts();
@@ -1012,11 +1130,29 @@ function tenantPaths(tenantId) {
     favicon:       path.join(base, 'favicon.png'),
     pendingOrders: path.join(base, 'pending_orders.json'),
     tickets:       path.join(base, 'tickets.json'),
+    returns:       path.join(base, 'returns.json'),
     media,
     backups
   };
 }
 
+// Request-shaped context for tenant work that has no shopper request behind it
+// (Stripe webhooks), so the req-based tenant helpers can be reused unchanged.
+function buildTenantRequestContext(tenant) {
+  return {
+    tenant,
+    tenantId: tenant.id,
+    tenantContext: { mode: 'background' },
+    tenantPaths: tenantPaths(tenant.id),
+    tenantStore,
+    lang: DEFAULT_CONTENT_LANG,
+    session: null,
+    query: {},
+    body: {},
+    headers: {}
+  };
+}
+
 function backupJsonWithRotation(req, type, data, keep = 20) {
   const safeType = String(type || '').replace(/[^a-z0-9_-]/gi, '').toLowerCase() || 'data';
   const now = new Date();
@@ -1108,24 +1244,503 @@ function hasExportAccess(req) {
 }
 
 function loadTenantOrders(req) {
-  try {
-    const raw = fs.readFileSync(req.tenantPaths.orders, 'utf8');
-    const parsed = JSON.parse(raw);
-    if (!Array.isArray(parsed)) throw new Error('not an array');
-    return parsed;
-  } catch (err) {
-    if (err.code !== 'ENOENT') {
-      console.warn(`[Thronos Commerce] Malformed orders.json for tenant ${req.tenant.id}: ${err.message} – falling back to empty array.`);
+  const orders = tenantStore.load(req.tenant.id, 'orders', []);
+  return Array.isArray(orders) ? orders : [];
+}
+
+function saveTenantOrders(req, orders) {
+  tenantStore.save(req.tenant.id, 'orders', orders);
+}
+
+function appendTenantOrder(req, order) {
+  tenantStore.append(req.tenant.id, 'orders', order);
+}
+
+// Apply `mutator(order)` to a single stored order under the orders lock.
+// Returns the updated order, or null when the id is unknown.
+function updateTenantOrder(req, orderId, mutator) {
+  let updated = null;
+  tenantStore.update(req.tenant.id, 'orders', [], (orders) => {
+    const list = Array.isArray(orders) ? orders : [];
+    const idx = list.findIndex((o) => o && o.id === orderId);
+    if (idx < 0) return list;
+    const copy = { ...list[idx] };
+    const next = mutator(copy) || copy;
+    list[idx] = next;
+    updated = next;
+    return list;
+  });
+  return updated;
+}
+
+// Give an order its invoice number the first time an invoice is asked for.
+// Numbers come from the orders lock, so they stay sequential per tenant.
+// Returns the order, or null when it is unknown or cannot be invoiced yet.
+function issueOrderInvoice(req, orderId) {
+  let issued = null;
+  const prefix = ((loadTenantConfig(req).invoice || {}).prefix) || orderDocuments.DEFAULT_INVOICE_PREFIX;
+  tenantStore.update(req.tenant.id, 'orders', [], (orders) => {
+    const list = Array.isArray(orders) ? orders : [];
+    const order = list.find((o) => o && o.id === orderId);
+    if (!order || !orderDocuments.isInvoiceable({ ...order, fulfillmentStatus: normalizeFulfillmentStatus(order) })) return list;
+    if (!order.invoice || !order.invoice.number) {
+      const sequence = orderDocuments.nextInvoiceSequence(list);
+      order.invoice = {
+        number: orderDocuments.formatInvoiceNumber(sequence, prefix),
+        sequence,
+        issuedAt: new Date().toISOString()
+      };
+      console.log('[invoices] issued', JSON.stringify({ tenantId: req.tenant.id, orderId, number: order.invoice.number }));
     }
-    return [];
+    issued = { ...order };
+    return list;
+  });
+  return issued;
+}
+
+function loadTenantReturns(req) {
+  const rows = tenantStore.load(req.tenant.id, 'returns', []);
+  return Array.isArray(rows) ? rows : [];
+}
+
+// Apply `mutator(rma, returns)` to one return request under the returns lock.
+// Returns the mutator's result (or null when the id is unknown).
+function updateTenantReturn(req, returnId, mutator) {
+  let result = null;
+  tenantStore.update(req.tenant.id, 'returns', [], (rows) => {
+    const list = Array.isArray(rows) ? rows : [];
+    const rma = list.find((r) => r && r.id === returnId);
+    if (rma) result = mutator(rma, list);
+    return list;
+  });
+  return result;
+}
+
+function loadTenantPickupPoints(req) {
+  return pickupPoints.normalizePickupPoints(tenantStore.load(req.tenant.id, 'pickupPoints', []));
+}
+
+function saveTenantPickupPoints(req, points) {
+  tenantStore.save(req.tenant.id, 'pickupPoints', pickupPoints.normalizePickupPoints(points));
+}
+
+function loadTenantAbandonedCarts(req) {
+  const rows = tenantStore.load(req.tenant.id, 'abandonedCarts', []);
+  return Array.isArray(rows) ? rows : [];
+}
+
+function updateTenantAbandonedCarts(req, mutator) {
+  tenantStore.update(req.tenant.id, 'abandonedCarts', [], (rows) => mutator(Array.isArray(rows) ? rows : []));
+}
+
+function loadTenantCouponRedemptions(req) {
+  const rows = tenantStore.load(req.tenant.id, 'couponRedemptions', []);
+  return Array.isArray(rows) ? rows : [];
+}
+
+/**
+ * Log a coupon use, re-checking the coupon's expiry and limits against the
+ * log under its lock, so two checkouts cannot both take the last redemption.
+ *
+ * @param {object} entry - { code, orderId, pendingId, email, discount, orderTotal,
+ *   currency, exchangeRate, status: 'reserved' | 'redeemed', expiresAt }
+ * @returns {{ ok: boolean, reason?: string, redemption?: object }}
+ */
+function claimCouponRedemption(req, config, entry) {
+  let result = { ok: false, reason: 'not_found' };
+  tenantStore.update(req.tenant.id, 'couponRedemptions', [], (rows) => {
+    const list = Array.isArray(rows) ? rows : [];
+    const coupon = couponsEngine.findCoupon(config.coupons, entry.code);
+    const email = normalizeEmail(entry.email);
+    const check = couponsEngine.checkCoupon(coupon, { email, redemptions: list });
+    if (!check.ok) {
+      result = check;
+      return list;
+    }
+    const now = new Date().toISOString();
+    const redemption = {
+      id: `cr_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      ...entry,
+      code: coupon.code,
+      batchId: coupon.batchId || undefined,
+      email,
+      createdAt: now,
+      redeemedAt: entry.status === 'redeemed' ? now : undefined
+    };
+    list.push(redemption);
+    result = { ok: true, redemption };
+    return list;
+  });
+  return result;
+}
+
+// Move the redemptions matching `predicate` to `status` ('redeemed' or 'void').
+// Returns the entries that changed.
+function updateCouponRedemptions(req, predicate, status, reason) {
+  const changed = [];
+  tenantStore.update(req.tenant.id, 'couponRedemptions', [], (rows) => {
+    const list = Array.isArray(rows) ? rows : [];
+    list.forEach((entry) => {
+      if (!entry || entry.status === status || !predicate(entry)) return;
+      entry.status = status;
+      if (status === 'redeemed') entry.redeemedAt = new Date().toISOString();
+      if (status === 'void') {
+        entry.voidedAt = new Date().toISOString();
+        entry.voidReason = reason || '';
+      }
+      changed.push(entry);
+    });
+    return list;
+  });
+  return changed;
+}
+
+function loadTenantPromotionRedemptions(req) {
+  const rows = tenantStore.load(req.tenant.id, 'promotionRedemptions', []);
+  return Array.isArray(rows) ? rows : [];
+}
+
+/**
+ * Log the uses of an order's promotions, re-checking their usage limits
+ * against the log under its lock, so two checkouts cannot both take a
+ * promotion's last use.
+ *
+ * @param {object} order - { id, email, appliedPromotions }
+ * @param {object} entry - { pendingId, status: 'reserved' | 'redeemed', expiresAt }
+ * @returns {{ ok: boolean, promotion?: object }} promotion is the one used up
+ */
+function claimPromotionRedemptions(req, config, order, entry) {
+  const ids = Array.from(new Set((order.appliedPromotions || []).map((p) => p && p.id).filter(Boolean)));
+  let result = { ok: true };
+  if (!ids.length) return result;
+  tenantStore.update(req.tenant.id, 'promotionRedemptions', [], (rows) => {
+    const list = Array.isArray(rows) ? rows : [];
+    const email = normalizeEmail(order.email);
+    const usage = promotionsEngine.countPromotionUsage(list);
+    const promotions = (Array.isArray(config.promotions) ? config.promotions : []).map((p) => promotionsEngine.normalizePromotion(p));
+    const usedUp = ids
+      .map((id) => promotions.find((p) => p.id === id))
+      .find((p) => p && !promotionsEngine.withinUsageLimits(p, usage, email));
+    if (usedUp) {
+      result = { ok: false, promotion: usedUp };
+      return list;
+    }
+    const now = new Date().toISOString();
+    ids.forEach((promotionId) => {
+      list.push({
+        id: `pr_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+        promotionId,
+        orderId: order.id,
+        ...entry,
+        email,
+        createdAt: now,
+        redeemedAt: entry.status === 'redeemed' ? now : undefined
+      });
+    });
+    return list;
+  });
+  return result;
+}
+
+// Move the promotion uses matching `predicate` to `status` ('redeemed' or 'void').
+function updatePromotionRedemptions(req, predicate, status, reason) {
+  tenantStore.update(req.tenant.id, 'promotionRedemptions', [], (rows) => {
+    const list = Array.isArray(rows) ? rows : [];
+    list.forEach((entry) => {
+      if (!entry || entry.status === status || !predicate(entry)) return;
+      entry.status = status;
+      if (status === 'redeemed') entry.redeemedAt = new Date().toISOString();
+      if (status === 'void') {
+        entry.voidedAt = new Date().toISOString();
+        entry.voidReason = reason || '';
+      }
+    });
+    return list;
+  });
+}
+
+function loadTenantStockLog(req) {
+  const rows = tenantStore.load(req.tenant.id, 'stockLog', []);
+  return Array.isArray(rows) ? rows : [];
+}
+
+function appendTenantStockLog(req, entries) {
+  const rows = Array.isArray(entries) ? entries : [entries];
+  if (rows.length) tenantStore.append(req.tenant.id, 'stockLog', rows);
+}
+
+function loadTenantReviews(req) {
+  const rows = tenantStore.load(req.tenant.id, 'reviews', []);
+  return Array.isArray(rows) ? rows : [];
+}
+
+function saveTenantReviews(req, reviews) {
+  tenantStore.save(req.tenant.id, 'reviews', reviews);
+}
+
+function loadTenantAnalytics(req) {
+  const data = tenantStore.load(req.tenant.id, 'analytics', null);
+  return Object.assign({ pageViews: {}, cities: {} }, isPlainObject(data) ? data : {});
+}
+
+function loadPendingOrders(req) {
+  const data = tenantStore.load(req.tenant.id, 'pendingOrders', {});
+  return isPlainObject(data) ? data : {};
+}
+
+/**
+ * Store a pending card order and reserve its stock in one locked update.
+ * Nothing is stored when an item is short; the caller gets the shortfalls.
+ *
+ * @returns {{ ok: boolean, reservation?: object, shortfalls?: object[] }}
+ */
+function reservePendingOrder(req, config, pendingId, entry) {
+  let result = { ok: false, shortfalls: [] };
+  tenantStore.update(req.tenant.id, 'pendingOrders', {}, (pending) => {
+    const map = isPlainObject(pending) ? pending : {};
+    stockReservations.releaseExpiredReservations(map);
+    const lines = stockReservations.buildStockLines(entry.enrichedItems);
+    const shortfalls = stockReservations.findStockShortfalls(
+      lines,
+      loadTenantProducts(req),
+      stockReservations.summarizeReservations(map)
+    );
+    if (shortfalls.length) {
+      result = { ok: false, shortfalls };
+      return map;
+    }
+    const reservation = stockReservations.createReservation(entry.enrichedItems, config);
+    map[pendingId] = { ...entry, reservation };
+    result = { ok: true, reservation };
+    return map;
+  });
+  return result;
+}
+
+function updatePendingOrder(req, pendingId, mutator) {
+  let updated = null;
+  tenantStore.update(req.tenant.id, 'pendingOrders', {}, (pending) => {
+    const map = isPlainObject(pending) ? pending : {};
+    if (!map[pendingId]) return map;
+    updated = mutator(map[pendingId]) || map[pendingId];
+    map[pendingId] = updated;
+    return map;
+  });
+  return updated;
+}
+
+function removePendingOrder(req, pendingId) {
+  tenantStore.update(req.tenant.id, 'pendingOrders', {}, (pending) => {
+    const map = isPlainObject(pending) ? pending : {};
+    delete map[pendingId];
+    return map;
+  });
+}
+
+// Give the reserved units back without forgetting the entry, so a payment
+// that still completes can be matched to it.
+function releasePendingReservation(req, pendingId, status) {
+  return updatePendingOrder(req, pendingId, (entry) => {
+    if (entry.reservation && entry.reservation.status === 'active') {
+      entry.reservation.status = status;
+      entry.reservation.releasedAt = new Date().toISOString();
+    }
+    return entry;
+  });
+}
+
+/**
+ * Turn a pending card order into a stored order. Removing the entry (and with
+ * it the reservation), deducting the stock and appending the order happen
+ * under the same pending-orders lock, so the units are never counted twice or
+ * briefly free, two concurrent finalizations cannot both succeed, and the
+ * order is visible as soon as the pending entry is gone. Only the Stripe
+ * session created for the entry can commit it.
+ *
+ * @param {string} sessionId - the paid Stripe session
+ * @param {Function} [prepare] - stamps the order (payment status etc.) before it is stored
+ * @returns {{ entry: object, lowStockAlerts: object[] } | null} null when already
+ *          finalized or when `sessionId` is not the entry's session
+ */
+function commitPendingOrder(req, config, pendingId, sessionId, prepare) {
+  let committed = null;
+  tenantStore.update(req.tenant.id, 'pendingOrders', {}, (pending) => {
+    const map = isPlainObject(pending) ? pending : {};
+    const entry = map[pendingId];
+    if (!entry) return map;
+    if (!sessionId || entry.stripeSessionId !== sessionId) {
+      console.warn('[checkout] stripe:session-mismatch', JSON.stringify({ tenantId: req.tenant.id, pendingId, sessionId }));
+      return map;
+    }
+    delete map[pendingId];
+    if (entry.reservation && !stockReservations.isReservationActive(entry)) {
+      console.warn('[checkout] reservation:late-commit', JSON.stringify({
+        tenantId: req.tenant.id,
+        pendingId,
+        status: entry.reservation.status,
+        expiresAt: entry.reservation.expiresAt
+      }));
+    }
+    const { lowStockAlerts } = deductStockForOrder(req, config, entry.order, entry.enrichedItems, 'stripe_order');
+    if (prepare) prepare(entry.order);
+    appendTenantOrder(req, entry.order);
+    committed = { entry, lowStockAlerts };
+    return map;
+  });
+  return committed;
+}
+
+function sweepExpiredReservations(tenantId) {
+  let changes = { released: [], purged: [] };
+  const hasPending = tenantStore.has(tenantId, 'pendingOrders');
+  if (!hasPending) return changes;
+  tenantStore.update(tenantId, 'pendingOrders', {}, (pending) => {
+    const map = isPlainObject(pending) ? pending : {};
+    changes = stockReservations.releaseExpiredReservations(map);
+    return map;
+  });
+  if (changes.released.length || changes.purged.length) {
+    console.log('[checkout] reservation:sweep', JSON.stringify({
+      tenantId,
+      released: changes.released.length,
+      purged: changes.purged.length
+    }));
   }
+  return changes;
 }
 
-function appendTenantOrder(req, order) {
-  ensureDir(req.tenantPaths.base);
-  const orders = loadTenantOrders(req);
-  orders.push(order);
-  saveJson(req.tenantPaths.orders, orders);
+function findOrderByStripeSession(req, sessionId) {
+  if (!sessionId) return null;
+  return loadTenantOrders(req).find((o) => o && o.stripeSessionId === sessionId) || null;
+}
+
+function incrementTenantAnalytics(req, bucket, key) {
+  if (!key) return;
+  tenantStore.update(req.tenant.id, 'analytics', null, (data) => {
+    const analytics = Object.assign({ pageViews: {}, cities: {} }, isPlainObject(data) ? data : {});
+    analytics[bucket] = isPlainObject(analytics[bucket]) ? analytics[bucket] : {};
+    analytics[bucket][key] = (analytics[bucket][key] || 0) + 1;
+    return analytics;
+  });
+}
+
+/**
+ * Deduct ordered quantities from product / variant stock in one locked
+ * read-modify-write of the products collection, then append the matching
+ * stock log rows. Items without a stock figure are unlimited and skipped.
+ *
+ * @returns {{ stockLog: object[], lowStockAlerts: object[] }}
+ */
+function deductStockForOrder(req, config, order, items, reason) {
+  const stockLog = [];
+  const lowStockAlerts = [];
+  const lowStockThreshold = Number((config.assistant && config.assistant.lowStockThreshold) || 3);
+  const lines = stockReservations.buildStockLines(items);
+  tenantStore.update(req.tenant.id, 'products', [], (raw) => {
+    const products = Array.isArray(raw) ? raw.map((p) => normalizeProductRecord(p)) : [];
+    lines.forEach((line) => {
+      const prod = products.find((p) => p.id === line.productId);
+      const current = stockReservations.getTrackedStock(prod, line.variantId);
+      if (current === null) return;
+      const target = line.variantId && Array.isArray(prod.variants)
+        ? prod.variants.find((v) => v.id === line.variantId)
+        : prod;
+      target.stock = Math.max(0, current - line.qty);
+      if (target.stock <= lowStockThreshold) {
+        lowStockAlerts.push({
+          productId: line.productId,
+          productName: line.productName,
+          variantId: line.variantId,
+          variantLabel: line.variantLabel,
+          remainingStock: target.stock
+        });
+      }
+      stockLog.push({
+        id:           Date.now().toString(36) + '_' + line.productId,
+        productId:    line.productId,
+        productName:  line.productName,
+        variantId:    line.variantId,
+        variantLabel: line.variantLabel,
+        delta:        -line.qty,
+        reason,
+        orderId:      order.id,
+        createdAt:    order.createdAt
+      });
+    });
+    return products;
+  });
+  appendTenantStockLog(req, stockLog);
+  return { stockLog, lowStockAlerts };
+}
+
+// Put returned/refunded units back on the shelf (tracked stock only) and log
+// them as positive stock movements.
+function restockForOrder(req, order, items, reason) {
+  const stockLog = [];
+  const now = new Date().toISOString();
+  const lines = stockReservations.buildStockLines(items);
+  tenantStore.update(req.tenant.id, 'products', [], (raw) => {
+    const products = Array.isArray(raw) ? raw.map((p) => normalizeProductRecord(p)) : [];
+    lines.forEach((line) => {
+      const prod = products.find((p) => p.id === line.productId);
+      const current = stockReservations.getTrackedStock(prod, line.variantId);
+      if (current === null) return;
+      const target = line.variantId && Array.isArray(prod.variants)
+        ? prod.variants.find((v) => v.id === line.variantId)
+        : prod;
+      target.stock = current + line.qty;
+      stockLog.push({
+        id:           Date.now().toString(36) + '_' + line.productId,
+        productId:    line.productId,
+        productName:  line.productName,
+        variantId:    line.variantId,
+        variantLabel: line.variantLabel,
+        delta:        line.qty,
+        reason,
+        orderId:      order.id,
+        createdAt:    now
+      });
+    });
+    return products;
+  });
+  appendTenantStockLog(req, stockLog);
+  return stockLog;
+}
+
+/**
+ * Check availability (stock minus other shoppers' reservations) and deduct in
+ * one step. Holding the pending-orders lock keeps card reservations and other
+ * checkouts from slipping in between the check and the deduction.
+ *
+ * @returns {{ ok: boolean, shortfalls: object[], lowStockAlerts: object[] }}
+ */
+function deductStockIfAvailable(req, config, order, items, reason) {
+  let result = null;
+  tenantStore.update(req.tenant.id, 'pendingOrders', {}, (pending) => {
+    const map = isPlainObject(pending) ? pending : {};
+    const shortfalls = stockReservations.findStockShortfalls(
+      stockReservations.buildStockLines(items),
+      loadTenantProducts(req),
+      stockReservations.summarizeReservations(map)
+    );
+    if (shortfalls.length) {
+      result = { ok: false, shortfalls, lowStockAlerts: [] };
+      return map;
+    }
+    result = { ok: true, shortfalls: [], ...deductStockForOrder(req, config, order, items, reason) };
+    return map;
+  });
+  return result;
+}
+
+
+function loadTenantTickets(tenantId) {
+  const rows = tenantStore.load(tenantId, 'tickets', []);
+  return Array.isArray(rows) ? rows : [];
+}
+
+function saveTenantTickets(tenantId, tickets) {
+  tenantStore.save(tenantId, 'tickets', tickets);
 }
 
 function shouldCanonicalizeToWwwHost(tenant, hostHeader) {
@@ -1254,7 +1869,7 @@ function loadTenantConfig(req) {
       homeLayoutPreset: 'split'
     }
   };
-  const cfg = loadJson(req.tenantPaths.config, fallback);
+  const cfg = tenantStore.load(req.tenant.id, 'config', fallback);
   const hasStoredKitWizardDisplay = !!(
     cfg &&
     cfg.theme &&
@@ -1317,11 +1932,23 @@ function loadTenantConfig(req) {
 }
 
 function loadTenantProducts(req) {
-  const raw = loadJson(req.tenantPaths.products, []);
+  const raw = tenantStore.load(req.tenant.id, 'products', []);
   if (!Array.isArray(raw)) return [];
   return raw.map((product) => normalizeProductRecord(product));
 }
 
+// What the storefront shows right now: active products inside their
+// publishing window, priced at any sale running (lib/product-schedule.js).
+// Bundles count stock from their components, hidden ones included.
+function loadStorefrontProducts(req) {
+  const products = loadTenantProducts(req);
+  const now = Date.now();
+  return productBundles.applyBundleStock(
+    productSchedule.storefrontProducts(products, now),
+    productSchedule.scheduleCatalog(products, now)
+  );
+}
+
 function normalizeGalleryImages(raw) {
   const source = Array.isArray(raw)
     ? raw
@@ -1340,6 +1967,12 @@ function normalizeGalleryImages(raw) {
   return normalized;
 }
 
+// Shipping weight in kg of one unit; a variant's own weight wins.
+function productWeight(product, variant) {
+  const own = variant && variant.weight !== undefined && variant.weight !== '' ? variant.weight : (product && product.weight);
+  return Math.max(0, Number(own) || 0);
+}
+
 function normalizeProductRecord(product) {
   if (!product || typeof product !== 'object') return {};
   const normalized = { ...product };
@@ -1357,7 +1990,7 @@ function normalizeProductRecord(product) {
 }
 
 function loadTenantCategories(req) {
-  const raw = loadJson(req.tenantPaths.categories, []);
+  const raw = tenantStore.load(req.tenant.id, 'categories', []);
   const list = Array.isArray(raw) ? raw : [];
   const normalized = [];
   const usedIds = new Set();
@@ -1394,27 +2027,27 @@ function loadTenantCategories(req) {
 }
 
 function loadTenantUsers(req) {
-  const users = loadJson(req.tenantPaths.users, []);
+  const users = tenantStore.load(req.tenant.id, 'users', []);
   return Array.isArray(users) ? users : [];
 }
 
 function saveTenantUsers(req, users) {
-  saveJson(req.tenantPaths.users, users);
+  tenantStore.save(req.tenant.id, 'users', users);
 }
 
 function saveTenantProducts(req, products) {
   const safeProducts = Array.isArray(products) ? products.map((p) => normalizeProductRecord(p)) : [];
-  saveJson(req.tenantPaths.products, safeProducts);
+  tenantStore.save(req.tenant.id, 'products', safeProducts);
   backupJsonWithRotation(req, 'products', safeProducts);
 }
 
 function saveTenantCategories(req, categories) {
-  saveJson(req.tenantPaths.categories, categories);
+  tenantStore.save(req.tenant.id, 'categories', categories);
   backupJsonWithRotation(req, 'categories', categories);
 }
 
 function saveTenantConfig(req, config) {
-  saveJson(req.tenantPaths.config, config);
+  tenantStore.save(req.tenant.id, 'config', config);
   backupJsonWithRotation(req, 'config', config);
 }
 
@@ -1438,8 +2071,7 @@ function deriveTrackingUrl(carrier, trackingNumber) {
 
 function normalizeFulfillmentStatus(order) {
   const raw = String(order && order.fulfillmentStatus ? order.fulfillmentStatus : '').trim().toLowerCase();
-  const allowed = new Set(['pending_payment', 'cod_pending', 'ready_to_ship', 'shipped', 'delivered', 'cancelled', 'issue']);
-  if (allowed.has(raw)) return raw;
+  if (orderStatus.FULFILLMENT_STATUSES.includes(raw)) return raw;
   const paymentStatus = String(order && order.paymentStatus ? order.paymentStatus : '').toUpperCase();
   if (paymentStatus === 'PAID') return 'ready_to_ship';
   if (paymentStatus === 'PENDING_STRIPE') return 'pending_payment';
@@ -1479,6 +2111,7 @@ function normalizeOrderForFulfillment(order) {
   return {
     ...order,
     fulfillmentStatus: normalizeFulfillmentStatus(order),
+    statusHistory: orderStatus.getStatusHistory(order),
     trackingCarrier,
     trackingNumber,
     trackingUrl,
@@ -1649,30 +2282,40 @@ function calculateCartTotals(config, cartItems, shippingMethodId, paymentMethodI
   return calculateCartTotalsWithDiscounts(config, cartItems, shippingMethodId, paymentMethodId, '');
 }
 
-function normalizeCouponCode(value) {
-  return String(value || '').trim().toUpperCase();
-}
-
-function resolveCouponDiscount(config, couponCode, subtotal) {
-  const code = normalizeCouponCode(couponCode);
+/**
+ * What a coupon takes off `subtotal`. `context` ({ email, redemptions, now })
+ * lets expiry and redemption limits be checked; the checkout re-checks them
+ * under the redemptions lock when it claims the coupon.
+ *
+ * @returns {{ code: string, discount: number, reason?: string }}
+ */
+function resolveCouponDiscount(config, couponCode, subtotal, currency, context = {}) {
+  const code = couponsEngine.normalizeCouponCode(couponCode);
   if (!code) return { code: '', discount: 0 };
-  const coupons = Array.isArray(config && config.coupons) ? config.coupons : [];
-  if (!coupons.length && code === 'WELCOME10') {
-    return { code, discount: Math.max(0, Math.min(subtotal * 0.10, subtotal)) };
-  }
-  const coupon = coupons.find((c) => normalizeCouponCode(c.code) === code && c.active !== false);
-  if (!coupon) return { code: '', discount: 0 };
-  const minSubtotal = Number(coupon.minSubtotal) || 0;
-  if (subtotal < minSubtotal) return { code: '', discount: 0 };
-  const type = String(coupon.type || 'percent').toLowerCase();
-  const rawValue = Number(coupon.value) || 0;
-  const discount = type === 'fixed'
-    ? rawValue
-    : subtotal * Math.max(0, Math.min(0.95, rawValue / 100));
+  const coupon = couponsEngine.findCoupon(config && config.coupons, code);
+  const check = couponsEngine.checkCoupon(coupon, context);
+  if (!check.ok) return { code: '', discount: 0, reason: check.reason };
+  // Coupon amounts are kept in the base currency.
+  const minSubtotal = currencies.convertAmount(coupon.minSubtotal, currency);
+  if (subtotal < minSubtotal) return { code: '', discount: 0, reason: 'min_subtotal' };
+  const discount = coupon.type === 'fixed'
+    ? currencies.convertAmount(coupon.value, currency)
+    : subtotal * Math.max(0, Math.min(0.95, coupon.value / 100));
   return { code, discount: Math.max(0, Math.min(discount, subtotal)) };
 }
 
-function calculateCartTotalsWithDiscounts(config, cartItems, shippingMethodId, paymentMethodId, couponCode) {
+/**
+ * Totals of a priced cart. `options.currency` (from currencies.pickCurrency)
+ * is the order currency: cart item prices must already be in it, and the
+ * base-currency shipping and coupon amounts are converted here.
+ * `options.promotionContext` ({ categories, customerEmail, usage, now }) lets
+ * scoped and usage-limited promotions apply; see lib/promotions.js.
+ * `options.couponContext` ({ email, redemptions }) enforces coupon limits.
+ * `options.postcode` picks the shipping zone for rate-table options; item
+ * `weight` (kg per unit) feeds the weight brackets (lib/shipping-rates.js).
+ */
+function calculateCartTotalsWithDiscounts(config, cartItems, shippingMethodId, paymentMethodId, couponCode, options = {}) {
+  const currency = options.currency || null;
   const shippingMethod = (config.shippingOptions || []).find((s) => s.id === shippingMethodId);
   const paymentMethod  = (config.paymentOptions  || []).find((p) => p.id === paymentMethodId);
   if (!shippingMethod) throw new Error('Invalid shipping method');
@@ -1682,29 +2325,62 @@ function calculateCartTotalsWithDiscounts(config, cartItems, shippingMethodId, p
     !shippingMethod.allowedPaymentMethods.includes(paymentMethod.id)
   ) throw new Error('Ο συγκεκριμένος τρόπος πληρωμής δεν είναι διαθέσιμος για αυτή τη μέθοδο αποστολής.');
 
+  // Quantity tiers are already in the item prices (lib/tier-pricing.js).
   const subtotalBeforeDiscount     = cartItems.reduce((s, i) => s + (Number(i.price) || 0) * (i.qty || 1), 0);
-  const quantityDiscount = cartItems.reduce((s, i) => {
-    const qty = Number(i.qty) || 1;
-    const lineSubtotal = (Number(i.price) || 0) * qty;
-    const rate = qty >= 10 ? 0.10 : (qty >= 5 ? 0.05 : 0);
-    return s + (lineSubtotal * rate);
-  }, 0);
-  const subtotalAfterQtyDiscount = Math.max(0, subtotalBeforeDiscount - quantityDiscount);
-  const coupon = resolveCouponDiscount(config, couponCode, subtotalAfterQtyDiscount);
-  const subtotal = Math.max(0, subtotalAfterQtyDiscount - coupon.discount);
-  const shippingCost = Number(shippingMethod.base) || 0;
-  const codFee       = paymentMethod.id === 'COD' ? Number(shippingMethod.codFee || 0) : 0;
+  // Weight/zone rate tables when the option has them, else its flat base.
+  const shippingQuote = shippingRates.quoteShipping(shippingMethod, {
+    weight: shippingRates.cartWeight(cartItems),
+    postcode: options.postcode,
+    subtotal: subtotalBeforeDiscount,
+    currency
+  }, config.shippingZones);
+  if (!shippingQuote.available) throw new Error('Η μέθοδος αποστολής δεν εξυπηρετεί αυτόν τον ΤΚ ή αυτό το βάρος δέματος.');
+  const shippingBeforeDiscount = shippingQuote.cost;
+  // Promotions come before the coupon; the ones that do not combine with
+  // coupons sit out when the shopper's coupon is valid.
+  const promotions = promotionsEngine.applyPromotions(
+    config.promotions,
+    { items: cartItems, subtotal: subtotalBeforeDiscount, shippingCost: shippingBeforeDiscount },
+    {
+      ...(options.promotionContext || {}),
+      currency,
+      hasCoupon: resolveCouponDiscount(config, couponCode, subtotalBeforeDiscount, currency, options.couponContext).discount > 0
+    }
+  );
+  const subtotalAfterPromotions = Math.max(0, subtotalBeforeDiscount - promotions.discount);
+  const coupon = resolveCouponDiscount(config, couponCode, subtotalAfterPromotions, currency, options.couponContext);
+  const subtotal = Math.max(0, subtotalAfterPromotions - coupon.discount);
+  const shippingCost = Math.max(0, shippingBeforeDiscount - promotions.shippingDiscount);
+  const codFee       = paymentMethod.id === 'COD' ? currencies.convertAmount(Number(shippingMethod.codFee || 0), currency) : 0;
   const gatewayFee   = subtotal * (Number(paymentMethod.gatewaySurchargePercent) || 0);
-  const total        = subtotal + shippingCost + codFee + gatewayFee;
+  // VAT on goods, shipping and the COD fee; only added on top when the
+  // tenant's prices are tax-exclusive.
+  const taxSettings = taxEngine.resolveTaxSettings(config);
+  const tax = taxSettings.enabled
+    ? taxEngine.computeOrderTax(taxSettings, {
+      items: cartItems,
+      subtotalBeforeDiscount,
+      subtotal,
+      charges: [{ key: 'shipping', amount: shippingCost }, { key: 'cod', amount: codFee }]
+    })
+    : null;
+  const taxAdded     = tax && !tax.pricesIncludeTax ? tax.totalTax : 0;
+  const total        = subtotal + shippingCost + codFee + gatewayFee + taxAdded;
   return {
     subtotalBeforeDiscount,
-    quantityDiscount,
+    promotionDiscount: promotions.discount,
+    shippingDiscount: promotions.shippingDiscount,
+    appliedPromotions: promotions.applied,
     couponCodeApplied: coupon.code,
     couponDiscount: coupon.discount,
     subtotal,
     shippingCost,
+    shippingZone: shippingQuote.zone,
+    shippingWeight: shippingQuote.weight,
     codFee,
     gatewayFee,
+    tax,
+    taxTotal: tax ? tax.totalTax : 0,
     total,
     shippingMethod,
     paymentMethod
@@ -1830,8 +2506,7 @@ function extractThemeSkeletonConfig(config) {
 function saveTemplateFromTenant(templateId, tenantId, displayName) {
   const clean = sanitizeTemplateId(templateId);
   if (!clean) throw new Error('invalid template id');
-  const srcPaths = tenantPaths(tenantId);
-  const srcCfg = loadJson(srcPaths.config, {});
+  const srcCfg = tenantStore.load(tenantId, 'config', {});
   const dir = path.join(TEMPLATES_DIR, clean);
   ensureDir(dir);
   const tpl = {
@@ -1847,9 +2522,8 @@ function saveTemplateFromTenant(templateId, tenantId, displayName) {
 
 // Seed a new tenant's files from a template tenant (default: 'demo')
 function seedTenantFilesFromTemplate(tenantId, templateId = 'demo') {
-  const newPaths = tenantPaths(tenantId);
+  tenantPaths(tenantId);
   const templateMeta = loadJson(path.join(TEMPLATES_DIR, sanitizeTemplateId(templateId), 'template.json'), null);
-  const tplPaths = tenantPaths(templateId);
 
   const baseConfig = {
     storeName: tenantId,
@@ -1873,30 +2547,23 @@ function seedTenantFilesFromTemplate(tenantId, templateId = 'demo') {
     }
   };
 
-  if (!fs.existsSync(newPaths.config)) {
+  if (!tenantStore.has(tenantId, 'config')) {
     let nextConfig = Object.assign({}, baseConfig);
     if (templateMeta && templateMeta.themeConfig) {
       nextConfig = Object.assign(nextConfig, templateMeta.themeConfig);
     } else {
-      const tplConfig = loadJson(tplPaths.config, baseConfig);
+      const tplConfig = tenantStore.load(templateId, 'config', baseConfig);
       nextConfig = Object.assign({}, nextConfig, extractThemeSkeletonConfig(tplConfig));
       nextConfig.shippingOptions = tplConfig.shippingOptions || [];
       nextConfig.paymentOptions = tplConfig.paymentOptions || [];
     }
     nextConfig.storeName = tenantId;
-    saveJson(newPaths.config, nextConfig);
-  }
-
-  if (!fs.existsSync(newPaths.products)) {
-    saveJson(newPaths.products, []);
+    tenantStore.save(tenantId, 'config', nextConfig);
   }
 
-  if (!fs.existsSync(newPaths.categories)) {
-    saveJson(newPaths.categories, []);
-  }
-  if (!fs.existsSync(newPaths.orders)) saveJson(newPaths.orders, []);
-  if (!fs.existsSync(newPaths.users)) saveJson(newPaths.users, []);
-  if (!fs.existsSync(newPaths.tickets)) saveJson(newPaths.tickets, []);
+  ['products', 'categories', 'orders', 'users', 'tickets'].forEach((collection) => {
+    if (!tenantStore.has(tenantId, collection)) tenantStore.save(tenantId, collection, []);
+  });
 }
 
 // ── Mailer ────────────────────────────────────────────────────────────────────
@@ -1942,8 +2609,9 @@ async function sendOrderEmail({ tenant, config, order }) {
     `Κατάστημα: ${storeName} (${tenant.domain || tenant.id})`,
     `Κωδικός παραγγελίας: ${order.id}`,
     `Προϊόν: ${order.productName}`,
-    `Σύνολο: ${Number(order.total).toFixed(2)} €`,
+    `Σύνολο: ${currencies.formatMoney(order.total, order.currency)}`,
     `Τρόπος αποστολής: ${order.shippingMethodLabel}`,
+    ...(order.pickupPoint ? [`Σημείο παραλαβής: ${pickupPoints.formatPickupPoint(order.pickupPoint)}`] : []),
     `Τρόπος πληρωμής: ${order.paymentMethodLabel}`,
     '',
     `Πελάτης: ${order.customerName}`,
@@ -1988,6 +2656,7 @@ async function sendTrackingUpdateEmail({ tenant, config, order }) {
     `Αριθμός tracking: ${order.trackingNumber || '—'}`,
     `Μεταφορέας: ${order.trackingCarrier || '—'}`,
     ...(trackingUrl ? [`Παρακολούθηση: ${trackingUrl}`] : []),
+    ...(order.pickupPoint ? [`Σημείο παραλαβής: ${pickupPoints.formatPickupPoint(order.pickupPoint)}`] : []),
     '',
     storeName
   ];
@@ -1997,6 +2666,93 @@ async function sendTrackingUpdateEmail({ tenant, config, order }) {
   console.log(`[Thronos Commerce] Tracking email sent for ${order.id} → ${recipient}`);
 }
 
+async function sendRefundEmail({ tenant, config, order, refund }) {
+  const transport = buildTransport();
+  if (!transport) return;
+  const recipient = normalizeEmail(order && order.email);
+  if (!recipient) return;
+  const notif = (config && config.notifications) || {};
+  const storeName = resolveTranslatable(config.storeName, DEFAULT_CONTENT_LANG);
+  const fromName = config.notificationFromName || storeName || 'Thronos Commerce Store';
+  const from = `"${fromName}" <${process.env.THRC_SMTP_FROM || process.env.THRC_SMTP_USER}>`;
+  const replyToEmail = (notif.replyToEmail || '').trim();
+  const currency = refund.currency || order.currency;
+  const subject = `[${tenant.id}] Επιστροφή χρημάτων — παραγγελία #${order.id}`;
+  const lines = [
+    `Παραγγελία: #${order.id}`,
+    `Ποσό επιστροφής: ${currencies.formatMoney(refund.amount, currency)}`,
+    ...(refund.lines || []).map((l) => `  - ${l.name}${l.variantLabel ? ` (${l.variantLabel})` : ''} ×${l.qty}`),
+    ...(refund.shippingAmount > 0 ? [`  - Μεταφορικά: ${currencies.formatMoney(refund.shippingAmount, currency)}`] : []),
+    '',
+    'Το ποσό θα εμφανιστεί στην κάρτα σας σε 5–10 εργάσιμες ημέρες.',
+    '',
+    storeName
+  ];
+  const mailMsg = { from, to: recipient, subject, text: lines.join('\n') };
+  if (replyToEmail) mailMsg.replyTo = replyToEmail;
+  await transport.sendMail(mailMsg);
+  console.log(`[Thronos Commerce] Refund email sent for ${order.id} → ${recipient}`);
+}
+
+// Reminder lines name what the catalogue sells under the cart's ids; the names
+// the browser posted are never mailed. Kit summaries and lines no longer in
+// the catalogue are left out.
+function abandonedCartEmailLines(tenant, cart) {
+  const lang = cart.lang === 'en' ? 'en' : DEFAULT_CONTENT_LANG;
+  const products = loadTenantProducts({ tenant });
+  return cart.items.filter((item) => !item.isKitSummary).map((item) => {
+    const product = products.find((p) => p && p.id === item.id);
+    if (!product) return null;
+    const variant = item.variantId && Array.isArray(product.variants)
+      ? product.variants.find((v) => v && v.id === item.variantId)
+      : null;
+    const name = resolveTranslatable(product.name, lang) || product.id;
+    const variantLabel = variant ? resolveTranslatable(variant.label, lang) || variant.id : '';
+    return `  - ${name}${variantLabel ? ` (${variantLabel})` : ''} ×${item.qty}`;
+  }).filter(Boolean);
+}
+
+async function sendAbandonedCartEmail({ tenant, config, cart, step }) {
+  const transport = buildTransport();
+  if (!transport) return false;
+  const itemLines = abandonedCartEmailLines(tenant, cart);
+  if (!itemLines.length) return false;
+  const notif = (config && config.notifications) || {};
+  const storeName = resolveTranslatable(config.storeName, cart.lang === 'en' ? 'en' : DEFAULT_CONTENT_LANG);
+  const fromName = config.notificationFromName || storeName || 'Thronos Commerce Store';
+  const from = `"${fromName}" <${process.env.THRC_SMTP_FROM || process.env.THRC_SMTP_USER}>`;
+  const replyToEmail = (notif.replyToEmail || '').trim();
+  const baseCurrency = currencies.resolveCurrencySettings(config).base;
+  const en = cart.lang === 'en';
+  const subject = en
+    ? (step === 0 ? `You left items in your cart — ${storeName}` : `Your cart is still waiting — ${storeName}`)
+    : (step === 0 ? `Ξεχάσατε προϊόντα στο καλάθι σας — ${storeName}` : `Το καλάθι σας σας περιμένει — ${storeName}`);
+  const lines = [
+    en ? 'Your cart is saved:' : 'Το καλάθι σας έχει αποθηκευτεί:',
+    ...itemLines,
+    ...(cart.value ? [`${en ? 'Value' : 'Αξία'}: ${currencies.formatMoney(cart.value, baseCurrency)}`] : []),
+    '',
+    en ? 'Pick up where you left off:' : 'Συνεχίστε από εκεί που σταματήσατε:',
+    cart.recoveryUrl,
+    '',
+    storeName,
+    '',
+    en ? 'No more cart reminders:' : 'Διακοπή υπενθυμίσεων καλαθιού:',
+    cart.unsubscribeUrl
+  ];
+  const mailMsg = {
+    from,
+    to: cart.email,
+    subject,
+    text: lines.join('\n'),
+    headers: { 'List-Unsubscribe': `<${cart.unsubscribeUrl}>` }
+  };
+  if (replyToEmail) mailMsg.replyTo = replyToEmail;
+  await transport.sendMail(mailMsg);
+  console.log(`[Thronos Commerce] Abandoned cart email ${step + 1} sent for ${cart.id} → ${cart.email}`);
+  return true;
+}
+
 // ── Generic webhook (mobile / Viber bridge) ───────────────────────────────────
 
 async function sendOrderWebhook({ tenant, config, order }) {
@@ -2086,14 +2842,61 @@ async function dispatchAssistantEvent(req, eventType, payload) {
 // Tenant notification settings live in config.notifications (set via admin panel).
 // No tenant-level SMTP credentials — all mail goes through the platform transport.
 
-async function sendOrderEmails(order, config) {
-  const transport = buildTransport();
-  if (!transport) {
-    console.log('[Thronos Commerce] Platform SMTP not configured – skipping sendOrderEmails.');
-    return;
-  }
-
-  const notif = (config && config.notifications) || {};
+function invoiceSellerFor(config) {
+  const invoice = config.invoice || {};
+  const notif = config.notifications || {};
+  return {
+    name: invoice.legalName || resolveTranslatable(config.storeName, DEFAULT_CONTENT_LANG) || '',
+    address: invoice.address || '',
+    vatNumber: invoice.vatNumber || '',
+    taxOffice: invoice.taxOffice || '',
+    email: notif.supportEmail || notif.replyToEmail || ''
+  };
+}
+
+/**
+ * Render an order's invoice or packing slip. Invoices are numbered on first
+ * use. Resolves to { filename, content } or null when no document applies.
+ */
+async function renderOrderDocument(req, config, orderId, kind, lang) {
+  if (!orderDocuments.isPdfAvailable()) return null;
+  const options = { seller: invoiceSellerFor(config), lang: lang === 'en' ? 'en' : 'el' };
+  if (kind === 'invoice') {
+    const order = issueOrderInvoice(req, orderId);
+    if (!order) return null;
+    return { filename: `${order.invoice.number}.pdf`, content: await orderDocuments.renderInvoicePdf(order, options) };
+  }
+  const order = loadTenantOrders(req).find((o) => o && o.id === orderId);
+  if (!order) return null;
+  return { filename: `packing-slip-${order.id}.pdf`, content: await orderDocuments.renderPackingSlipPdf(order, options) };
+}
+
+function sendPdf(res, document) {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${document.filename}"`);
+  return res.send(document.content);
+}
+
+// Invoice PDF for the customer confirmation mail, when the tenant opted in.
+async function buildInvoiceAttachments(req, config, order) {
+  if (!config.invoice || !config.invoice.attachToEmail) return [];
+  try {
+    const document = await renderOrderDocument(req, config, order.id, 'invoice', req.lang);
+    return document ? [{ filename: document.filename, content: document.content, contentType: 'application/pdf' }] : [];
+  } catch (err) {
+    console.error('[invoices] attachment failed', err && err.message ? err.message : err);
+    return [];
+  }
+}
+
+async function sendOrderEmails(order, config, options = {}) {
+  const transport = buildTransport();
+  if (!transport) {
+    console.log('[Thronos Commerce] Platform SMTP not configured – skipping sendOrderEmails.');
+    return;
+  }
+
+  const notif = (config && config.notifications) || {};
   // notificationEmail: where merchant order alerts go (tenant-configured, no env fallback)
   const notificationEmail = (notif.notificationEmail || (config.notificationEmails && config.notificationEmails[0]) || '').trim();
   const replyToEmail = (notif.replyToEmail || '').trim();
@@ -2104,8 +2907,9 @@ async function sendOrderEmails(order, config) {
   const bodyLines = [
     `Κωδικός παραγγελίας: ${order.id}`,
     `Προϊόν: ${order.productName}`,
-    `Σύνολο: ${Number(order.total).toFixed(2)} €`,
+    `Σύνολο: ${currencies.formatMoney(order.total, order.currency)}`,
     `Αποστολή: ${order.shippingMethodLabel}`,
+    ...(order.pickupPoint ? [`Σημείο παραλαβής: ${pickupPoints.formatPickupPoint(order.pickupPoint)}`] : []),
     `Πληρωμή: ${order.paymentMethodLabel}`,
     `Πελάτης: ${order.customerName}`,
     `Email πελάτη: ${order.email}`,
@@ -2133,6 +2937,7 @@ async function sendOrderEmails(order, config) {
       text: `Γεια σας ${order.customerName},\n\nΛάβαμε την παραγγελία σας!\n\n${bodyLines}\n\nΕυχαριστούμε!\n${storeName}${supportEmail ? '\n\nΕπικοινωνία: ' + supportEmail : ''}`
     };
     if (replyToEmail) customerMsg.replyTo = replyToEmail;
+    if (Array.isArray(options.attachments) && options.attachments.length) customerMsg.attachments = options.attachments;
     sends.push(transport.sendMail(customerMsg));
   }
 
@@ -2467,7 +3272,7 @@ app.use((req, res, next) => {
   req.lang = getLangFromRequest(req);
   if (req.session) req.session.lang = req.lang;
   res.locals.lang = req.lang;
-  res.locals.t = (key) => translate(req.lang, key);
+  res.locals.t = (key, params) => translate(req.lang, key, params);
   res.locals.contentLangs = CONTENT_LANGS;
   res.locals.resolveField = (value, lang = req.lang) => resolveTranslatable(value, lang);
   next();
@@ -2537,6 +3342,7 @@ app.use((req, res, next) => {
   req.tenantContext = { mode };
   req.isPlatformRequest = isPlatformRequest;
   req.tenantPaths = tenantPaths(tenant.id);
+  req.tenantStore = tenantStore;
   res.locals.user = req.session ? req.session.user : null;
   res.locals.tenantId = tenant.id;
   res.locals.tenantContext = req.tenantContext;
@@ -2546,9 +3352,46 @@ app.use((req, res, next) => {
   next();
 });
 
+app.locals.formatMoney = currencies.formatMoney;
+
+// Shopper currency: `?currency=USD` switches to one of the tenant's display
+// currencies and the choice sticks for the session. Admin pages stay in base.
+const CURRENCY_EXEMPT_PREFIXES = ['/admin', '/root', '/api', '/stripe'];
+app.use((req, res, next) => {
+  if (!req.tenant || CURRENCY_EXEMPT_PREFIXES.some((prefix) => req.path.startsWith(prefix))) return next();
+  const settings = currencies.resolveCurrencySettings(loadTenantConfig(req));
+  const chosenByTenant = (req.session && req.session.currencyByTenant) || {};
+  const requested = req.query.currency !== undefined ? req.query.currency : chosenByTenant[req.tenant.id];
+  req.currency = currencies.pickCurrency(settings, requested);
+  if (req.session && req.query.currency !== undefined) {
+    req.session.currencyByTenant = { ...chosenByTenant, [req.tenant.id]: req.currency.code };
+  }
+  res.locals.currency = req.currency;
+  res.locals.currencyCodes = [settings.base].concat(settings.display.map((entry) => entry.code));
+  res.locals.currencyJson = safeJsonForScript({
+    code: req.currency.code,
+    rate: req.currency.rate,
+    symbol: req.currency.symbol,
+    decimals: currencies.currencyDecimals(req.currency.code)
+  });
+  res.locals.formatPrice = (amount) => currencies.formatMoney(currencies.convertAmount(amount, req.currency), req.currency.code);
+  next();
+});
+
+// Quantity tiers for the cart and checkout previews (views/_money.ejs). Built
+// on first use, so pages that never show the cart skip the catalogue read.
+app.use((req, res, next) => {
+  if (!req.tenant || CURRENCY_EXEMPT_PREFIXES.some((prefix) => req.path.startsWith(prefix))) return next();
+  res.locals.priceTiersJson = () => safeJsonForScript(tierPricing.buildTierMap(
+    loadStorefrontProducts(req),
+    loadTenantCategories(req)
+  ));
+  next();
+});
+
 // ── Subscription enforcement ──────────────────────────────────────────────
 const SUBSCRIPTION_GRACE_DAYS = 10;
-const SUBSCRIPTION_EXEMPT_PATHS = ['/admin', '/root', '/login', '/logout', '/signup', '/api', '/checkout', '/cart', '/my-orders', '/account', '/favicon.ico', '/styles.css', '/manifest', '/sitemap'];
+const SUBSCRIPTION_EXEMPT_PATHS = ['/admin', '/root', '/login', '/logout', '/signup', '/api', '/checkout', '/stripe', '/cart', '/my-orders', '/account', '/favicon.ico', '/styles.css', '/manifest', '/sitemap'];
 
 app.use((req, res, next) => {
   // Never enforce on platform preview requests or exempt paths
@@ -2613,8 +3456,14 @@ function buildAdminViewModel(req, extra) {
   const activeThemeKey = resolveThemeKeyForTenant(req.tenant, config && config.theme ? config.theme.presetId : DEFAULT_THEME_KEY);
   const orders = loadTenantOrders(req);
   const unresolvedOrdersCount = orders.filter((o) => isOrderUnresolved(o)).length;
-  const stockLog = loadJson(req.tenantPaths.stockLog, []);
-  const analytics = loadJson(req.tenantPaths.analytics, { pageViews: {}, cities: {} });
+  const stockLog = loadTenantStockLog(req);
+  const analytics = loadTenantAnalytics(req);
+  sweepExpiredReservations(req.tenant.id);
+  const activeReservations = stockReservations.listActiveReservations(loadPendingOrders(req));
+  const reservedByProduct = {};
+  activeReservations.forEach((r) => r.lines.forEach((line) => {
+    reservedByProduct[line.productId] = (reservedByProduct[line.productId] || 0) + (Number(line.qty) || 0);
+  }));
 
   // Build per-product order counts for chart
   const orderCounts = {};
@@ -2628,18 +3477,18 @@ function buildAdminViewModel(req, extra) {
     if (city) cityCounts[city] = (cityCounts[city] || 0) + 1;
   });
 
-  const tickets = loadJson(req.tenantPaths.tickets, []);
+  const tickets = loadTenantTickets(req.tenant.id);
   const settlementLedger = loadSettlementLedger().filter((row) => row.tenantId === req.tenant.id);
   const referralLedger = loadReferralLedger().filter((row) => row.tenantId === req.tenant.id);
   const pendingSettlementEstimate = settlementLedger
     .filter((row) => row.settlementDirection === 'payable_to_tenant' && ['pending', 'approved', 'partially_settled'].includes(row.status))
-    .reduce((sum, row) => sum + Number(row.netSettlementAmount || 0), 0);
+    .reduce((sum, row) => sum + ledgerBaseAmount(row, 'netSettlementAmount'), 0);
   const pendingPlatformDues = settlementLedger
     .filter((row) => row.settlementDirection === 'receivable_from_tenant' && ['pending', 'approved', 'partially_settled'].includes(row.status))
-    .reduce((sum, row) => sum + Number(row.netSettlementAmount || 0), 0);
+    .reduce((sum, row) => sum + ledgerBaseAmount(row, 'netSettlementAmount'), 0);
   const pendingReferralImpact = referralLedger
     .filter((row) => ['pending', 'approved'].includes(row.status))
-    .reduce((sum, row) => sum + Number(row.commissionAmount || 0), 0);
+    .reduce((sum, row) => sum + ledgerBaseAmount(row, 'commissionAmount'), 0);
   const now = Date.now();
   const lastAdminActiveAt = Number(req.session && req.session.adminLastActiveAt ? req.session.adminLastActiveAt : 0);
   const adminReauthRemainingMs = lastAdminActiveAt
@@ -2653,6 +3502,11 @@ function buildAdminViewModel(req, extra) {
     rawConfig: config,
     categories: categories.map((c) => localizeCategoryContent(c, contentLang)),
     rawCategories: categories,
+    taxSettings: taxEngine.resolveTaxSettings(config),
+    shippingZonesText: shippingRates.formatZones(config.shippingZones),
+    shippingRatesText: (config.shippingOptions || []).map((opt) => shippingRates.formatRates(opt.rates)),
+    courierList: couriers.listCouriers(),
+    pickupPointsList: loadTenantPickupPoints(req),
     products: products.map((p) => localizeProductContent(p, contentLang)),
     rawProducts: products,
     productsJson: JSON.stringify(products, null, 2),
@@ -2661,6 +3515,8 @@ function buildAdminViewModel(req, extra) {
     contentLang,
     contentLangs: CONTENT_LANGS,
     stockLog: stockLog.slice(-100).reverse(),
+    activeReservations,
+    reservedByProduct,
     analytics,
     orderCounts,
     cityCounts,
@@ -2702,6 +3558,8 @@ function buildAdminPaymentsViewModel(req, extra) {
       stripeEnabled: !!stripeOpt,
       paypalEnabled: !!paypalOpt
     },
+    taxSettings: taxEngine.resolveTaxSettings(config),
+    currencySettings: currencies.resolveCurrencySettings(config),
     message: null,
     error: null,
     ...(extra || {})
@@ -2745,7 +3603,7 @@ app.get('/favicon.ico', (req, res) => {
 app.get('/sitemap.xml', (req, res) => {
   const config = loadTenantConfig(req);
   const categories = loadTenantCategories(req);
-  const products = loadTenantProducts(req).filter((p) => p && p.active !== false);
+  const products = loadStorefrontProducts(req);
   const baseUrl = `${req.protocol}://${req.get('host')}`;
   const urls = [
     buildTenantLink(req, '/'),
@@ -2787,10 +3645,10 @@ app.get('/', (req, res) => {
       return res.redirect(buildTenantLink(req, '/intro', Object.assign({ next: nextTarget }, req.lang !== 'el' ? { lang: req.lang } : {})));
     }
     const categories = loadTenantCategories(req);
-    const allProducts = loadTenantProducts(req).filter((p) => p && p.active !== false);
-    const hydratedAllProducts = allProducts.map((p) => hydrateKitProduct(p, allProducts, req.lang, {
+    const allProducts = loadStorefrontProducts(req);
+    const hydrate = (p) => hydrateKitProduct(p, allProducts, req.lang, {
       defaultPartsOnly: shouldDefaultPartsOnly(req.tenant, config)
-    }));
+    });
 
     const rawCategory = String(req.query.category || '');
     let catSlug = normalizeSlug(rawCategory);
@@ -2798,16 +3656,31 @@ app.get('/', (req, res) => {
       const aliasMap = { spare: 'spare-parts' };
       catSlug = aliasMap[catSlug] || catSlug;
     }
-    let products = hydratedAllProducts;
+    let hydratedAllProducts;
+    let products;
+    let listing = null;
 
     if (catSlug) {
+      // Category pages sort and page the raw catalogue and hydrate only the
+      // kits on the current page; the rest stay as stored.
       const cat = categories.find((c) => normalizeSlug(c.slug) === catSlug || normalizeSlug(c.id) === catSlug);
-      if (cat) {
-        products = hydratedAllProducts.filter((p) => p.categoryId === cat.id);
-      } else {
-        products = [];
-      }
-    } else if (!config.theme || config.theme.presetId !== 'eukolakis_classic_diy') {
+      const listingParams = storefrontSearch.parseListingParams(req.query);
+      const sorted = storefrontSearch.sortProducts(
+        cat ? allProducts.filter((p) => p.categoryId === cat.id) : [],
+        listingParams.sort,
+        { lang: req.lang, popularity: listingParams.sort === 'popular' ? buildProductPopularity(req) : {} }
+      );
+      const page = storefrontSearch.paginate(sorted, listingParams.page, listingParams.perPage);
+      products = page.items.map(hydrate);
+      const hydratedById = new Map(products.map((p) => [p.id, p]));
+      hydratedAllProducts = allProducts.map((p) => hydratedById.get(p.id) || p);
+      listing = buildCategoryListing(req, cat ? cat.slug : catSlug, listingParams, page);
+    } else {
+      hydratedAllProducts = allProducts.map(hydrate);
+      products = hydratedAllProducts;
+    }
+
+    if (!catSlug && (!config.theme || config.theme.presetId !== 'eukolakis_classic_diy')) {
       const homepageCfg = config.homepage || {};
       const featuredIds = []
         .concat(Array.isArray(homepageCfg.featuredPrimary) ? homepageCfg.featuredPrimary : [])
@@ -2833,6 +3706,7 @@ app.get('/', (req, res) => {
       products: products.map((p) => localizeProductContent(p, viewLang)),
       allProducts: localizedAllProducts,
       activeCategory: catSlug || null,
+      listing,
       tenant: req.tenant,
       storefrontAssetAudit,
       subscription: getSubscriptionInfo(req.tenant),
@@ -2843,6 +3717,131 @@ app.get('/', (req, res) => {
   }
 });
 
+const CATEGORY_PAGE_SIZES = [12, 24, 48, 96];
+
+// Links for a paged category listing. Defaults (relevance sort, first page,
+// default page size) stay out of the URL so each page has one address.
+function buildCategoryListing(req, categorySlug, params, page) {
+  const link = (overrides) => {
+    const state = { sort: params.sort, perPage: params.perPage, page: 1, ...overrides };
+    return buildTenantLink(req, '/', {
+      category: categorySlug,
+      sort: state.sort === 'relevance' ? '' : state.sort,
+      perPage: state.perPage && state.perPage !== storefrontSearch.DEFAULT_PAGE_SIZE ? state.perPage : '',
+      page: state.page > 1 ? state.page : ''
+    });
+  };
+  return {
+    total: page.total,
+    page: page.page,
+    pageCount: page.pageCount,
+    perPage: page.pageSize,
+    sort: params.sort,
+    prevUrl: page.page > 1 ? link({ page: page.page - 1 }) : '',
+    nextUrl: page.page < page.pageCount ? link({ page: page.page + 1 }) : '',
+    pageUrls: Array.from({ length: page.pageCount }, (_, i) => link({ page: i + 1 })),
+    sorts: storefrontSearch.SORTS.map((sort) => ({ id: sort, url: link({ sort }) })),
+    perPageOptions: CATEGORY_PAGE_SIZES.map((size) => ({ size, url: link({ perPage: size }) }))
+  };
+}
+
+// Units sold (cancelled orders aside) and product page views, for the
+// "popular" sort of storefront listings.
+function buildProductPopularity(req) {
+  const popularity = {};
+  const entryFor = (id) => popularity[id] || (popularity[id] = { sold: 0, views: 0 });
+  loadTenantOrders(req).forEach((order) => {
+    if (!order || normalizeFulfillmentStatus(order) === 'cancelled') return;
+    (Array.isArray(order.items) ? order.items : []).forEach((item) => {
+      if (item && item.id) entryFor(item.id).sold += Math.max(1, parseInt(item.qty, 10) || 1);
+    });
+  });
+  Object.entries(loadTenantAnalytics(req).pageViews || {}).forEach(([id, views]) => {
+    entryFor(id).views += Number(views) || 0;
+  });
+  return popularity;
+}
+
+// Price filters arrive in the shopper's currency (base currency for the
+// JSON endpoint, which skips the currency middleware); products are priced in base.
+function runStorefrontSearch(req, query) {
+  const params = storefrontSearch.parseSearchParams(query);
+  const rate = req.currency && Number(req.currency.rate) > 0 ? Number(req.currency.rate) : 1;
+  const toBase = (amount) => (amount === null ? null : amount / rate);
+  const categories = loadTenantCategories(req);
+  const products = loadStorefrontProducts(req);
+  const result = storefrontSearch.searchProducts(products, {
+    ...params,
+    minPrice: toBase(params.minPrice),
+    maxPrice: toBase(params.maxPrice)
+  }, {
+    lang: req.lang,
+    categories,
+    popularity: params.sort === 'popular' ? buildProductPopularity(req) : {}
+  });
+  return { params, categories, result };
+}
+
+// Storefront search: results page, and the same search as JSON for widgets.
+app.get('/search', (req, res) => {
+  if (req.isPlatformRequest) return res.redirect('/');
+  try {
+    const config = loadTenantConfig(req);
+    const { params, categories, result } = runStorefrontSearch(req, req.query);
+    const allProducts = loadStorefrontProducts(req);
+    const localizedCategories = categories.map((c) => localizeCategoryContent(c, req.lang));
+    console.log('[storefront] search', JSON.stringify({
+      tenantId: req.tenant.id,
+      q: params.q,
+      sort: params.sort,
+      total: result.total
+    }));
+    res.render('search', {
+      config: localizeConfigContent(config, req.lang),
+      tenant: req.tenant,
+      params,
+      result: {
+        ...result,
+        items: result.items.map((item) => ({
+          ...item,
+          product: localizeProductContent(hydrateKitProduct(item.product, allProducts, req.lang, {
+            defaultPartsOnly: shouldDefaultPartsOnly(req.tenant, config)
+          }), req.lang)
+        }))
+      },
+      categoryNames: Object.fromEntries(localizedCategories.map((c) => [c.id, c.name])),
+      variantFacet: storefrontSearch.VARIANT_FACET,
+      sorts: storefrontSearch.SORTS
+    });
+  } catch (err) {
+    console.error('[storefront] search render failed:', err && err.stack ? err.stack : err);
+    res.status(500).send('<!doctype html><html><body style="font-family:system-ui;padding:20px;"><h2>Store temporarily unavailable</h2><p>Please try again shortly.</p></body></html>');
+  }
+});
+
+app.get('/api/search', (req, res) => {
+  const { params, result } = runStorefrontSearch(req, req.query);
+  return res.json({
+    ok: true,
+    q: params.q,
+    sort: params.sort,
+    total: result.total,
+    page: result.page,
+    pageCount: result.pageCount,
+    facets: result.facets,
+    items: result.items.map(({ product, price, inStock }) => ({
+      id: product.id,
+      name: resolveTranslatable(product.name, req.lang),
+      sku: product.sku || '',
+      imageUrl: product.imageUrl || '',
+      categoryId: product.categoryId || '',
+      price,
+      inStock,
+      url: buildTenantLink(req, `/product/${product.id}`)
+    }))
+  });
+});
+
 app.get('/intro', (req, res) => {
   if (req.isPlatformRequest) return res.redirect('/');
   try {
@@ -2875,7 +3874,7 @@ app.get('/intro', (req, res) => {
 // Product detail
 app.get('/product/:id', (req, res) => {
   const config = loadTenantConfig(req);
-  const products = loadTenantProducts(req).filter((p) => p && p.active !== false);
+  const products = loadStorefrontProducts(req);
   const product = products.find((p) => p.id === req.params.id);
 
   if (!product) {
@@ -2884,30 +3883,150 @@ app.get('/product/:id', (req, res) => {
 
   // Track page views (fire-and-forget)
   try {
-    const analytics = loadJson(req.tenantPaths.analytics, { pageViews: {}, cities: {} });
-    analytics.pageViews[product.id] = (analytics.pageViews[product.id] || 0) + 1;
-    saveJson(req.tenantPaths.analytics, analytics);
+    incrementTenantAnalytics(req, 'pageViews', product.id);
   } catch (_) { /* non-critical */ }
 
   const hydratedProduct = hydrateKitProduct(product, products, req.lang, {
     defaultPartsOnly: shouldDefaultPartsOnly(req.tenant, config)
   });
   const productCategories = loadTenantCategories(req);
+  // Components may be hidden from the storefront yet sold in the bundle.
+  const bundleCatalog = productBundles.isBundle(product)
+    ? productSchedule.scheduleCatalog(loadTenantProducts(req), Date.now())
+    : [];
   res.render('product', {
     config: localizeConfigContent(config, req.lang),
     product: localizeProductContent(hydratedProduct, req.lang),
     tenant: req.tenant,
     categories: productCategories,
+    priceTiers: tierPricing.resolveTiers(product, productCategories),
+    attributeGroups: productAttributes.variantOptionGroups(
+      product.variants,
+      productAttributes.resolveAttributeDefinitions(product, productCategories)
+    ),
+    bundleComponents: productBundles.resolveBundleComponents(product, bundleCatalog).map((c) => ({
+      productId: c.productId,
+      name: c.product ? resolveTranslatable(c.product.name, req.lang) || c.productId : c.productId,
+      variantLabel: c.variant ? resolveTranslatable(c.variant.label, req.lang) || c.variant.id : '',
+      imageUrl: (c.variant && c.variant.imageUrl) || (c.product && c.product.imageUrl) || '',
+      qty: c.qty,
+      sellable: c.sellable,
+      // Only components the storefront shows get a page link.
+      url: c.product && productSchedule.isVisible(c.product) ? buildTenantLink(req, '/product/' + c.productId) : ''
+    })),
+    bundleValue: productBundles.bundleComponentsValue(product, bundleCatalog),
     storefrontAssetAudit: buildTenantAssetAudit(req, config, productCategories)
   });
 });
 
+// Rates the checkout page needs to preview VAT; the server recomputes on submit.
+function buildCheckoutTaxJson(req, config) {
+  const settings = taxEngine.resolveTaxSettings(config);
+  if (!settings.enabled) return 'null';
+  const categories = loadTenantCategories(req);
+  const productRates = {};
+  loadTenantProducts(req).forEach((p) => {
+    if (p && p.id) productRates[p.id] = taxEngine.taxRateFor(settings, taxEngine.resolveProductTaxClass(p, categories, settings));
+  });
+  return safeJsonForScript({
+    pricesIncludeTax: settings.pricesIncludeTax,
+    defaultRate: taxEngine.taxRateFor(settings, settings.defaultClass),
+    shippingRate: taxEngine.taxRateFor(settings, settings.shippingClass),
+    productRates
+  });
+}
+
+// Names of the promotions running now, listed on the checkout page; whether
+// a cart qualifies is only decided on submit.
+function listCheckoutPromotions(config) {
+  const now = Date.now();
+  return (Array.isArray(config.promotions) ? config.promotions : [])
+    .map(promotionsEngine.normalizePromotion)
+    .filter((promo) => promo.id && promotionsEngine.isPromotionLive(promo, now))
+    .sort((a, b) => b.priority - a.priority)
+    .map((promo) => promo.name);
+}
+
+// Points each pickup shipping option offers, keyed by option id, for the
+// checkout's point picker. Options delivering to an address are left out.
+function buildCheckoutPickupJson(req, config) {
+  const options = (config.shippingOptions || []).filter((opt) => pickupPoints.normalizePickupType(opt.pickupType));
+  if (!options.length) return '{}';
+  const points = loadTenantPickupPoints(req);
+  const byOption = {};
+  options.forEach((opt) => {
+    byOption[opt.id] = pickupPoints.pointsForOption(points, opt)
+      .map(({ id, name, address, city, postcode, hours }) => ({ id, name, address, city, postcode, hours }));
+  });
+  return safeJsonForScript(byOption);
+}
+
 // Checkout page
 app.get('/checkout', (req, res) => {
-  const config = localizeConfigContent(loadTenantConfig(req), req.lang);
-  res.render('checkout', { config, tenant: req.tenant, user: req.session.user || null });
+  const rawConfig = loadTenantConfig(req);
+  const config = localizeConfigContent(rawConfig, req.lang);
+  // A recovery link just restored a cart: hand it to the browser once.
+  const restoredByTenant = req.session.restoredCartByTenant || {};
+  const restored = restoredByTenant[req.tenant.id] || null;
+  if (restored) {
+    delete restoredByTenant[req.tenant.id];
+    req.session.restoredCartByTenant = restoredByTenant;
+  }
+  res.render('checkout', {
+    config,
+    tenant: req.tenant,
+    user: req.session.user || null,
+    restoredCartJson: restored ? safeJsonForScript(restored.items) : 'null',
+    restoredEmail: restored ? restored.email : '',
+    checkoutError: null,
+    checkoutTaxJson: buildCheckoutTaxJson(req, rawConfig),
+    checkoutPickupJson: buildCheckoutPickupJson(req, rawConfig),
+    checkoutPromotions: listCheckoutPromotions(rawConfig)
+  });
 });
 
+// Re-show the checkout form (the cart stays in the browser) naming the items
+// that are short, instead of silently selling stock we do not have.
+function renderStockShortfall(req, res, shortfalls) {
+  console.warn('[checkout] stock:shortfall', JSON.stringify({
+    tenantId: req.tenant.id,
+    items: shortfalls.map((l) => ({ productId: l.productId, variantId: l.variantId, qty: l.qty, available: l.available }))
+  }));
+  const items = shortfalls.map((l) => translate(req.lang, 'checkout.outOfStockItem', {
+    name: `${l.kitName ? `${l.kitName} → ` : ''}${l.productName}${l.variantLabel ? ` – ${l.variantLabel}` : ''}`,
+    available: l.available
+  })).join(', ');
+  return renderCheckoutError(req, res, 409, translate(req.lang, 'checkout.outOfStock', { items }));
+}
+
+function renderCheckoutError(req, res, status, checkoutError) {
+  const rawConfig = loadTenantConfig(req);
+  const config = localizeConfigContent(rawConfig, req.lang);
+  return res.status(status).render('checkout', {
+    config,
+    tenant: req.tenant,
+    user: req.session.user || null,
+    checkoutError,
+    checkoutTaxJson: buildCheckoutTaxJson(req, rawConfig),
+    checkoutPickupJson: buildCheckoutPickupJson(req, rawConfig),
+    checkoutPromotions: listCheckoutPromotions(rawConfig)
+  });
+}
+
+// The promotion applied while the cart was priced, but other orders used up
+// its limit before this one could claim a use.
+function renderPromotionUnavailable(req, res, promotion) {
+  console.warn('[checkout] promotion:unavailable', JSON.stringify({ tenantId: req.tenant.id, promotionId: promotion.id }));
+  return renderCheckoutError(req, res, 409, translate(req.lang, 'checkout.promotionUnavailable', { name: promotion.name }));
+}
+
+// The coupon passed the checks while the cart was priced, but another order
+// took its last redemption (or it expired) before this one could claim it.
+function renderCouponUnavailable(req, res, code) {
+  console.warn('[checkout] coupon:unavailable', JSON.stringify({ tenantId: req.tenant.id, code }));
+  return renderCheckoutError(req, res, 409, translate(req.lang, 'checkout.couponUnavailable', { code }));
+}
+
 app.post('/api/checkout/cart-snapshot', (req, res) => {
   const raw = req.body && req.body.items;
   if (!Array.isArray(raw)) {
@@ -2934,62 +4053,123 @@ app.post('/api/checkout/cart-snapshot', (req, res) => {
     tenantId,
     count: snapshot.length
   }));
+  try {
+    captureAbandonedCart(req, raw, req.body.email);
+  } catch (err) {
+    console.error('[checkout] abandoned-cart:capture-failed', JSON.stringify({ tenantId, error: err.message }));
+  }
   return res.json({ ok: true, count: snapshot.length });
 });
 
-// Checkout submit (multi-item cart)
-app.post('/checkout', async (req, res) => {
-  console.log('[checkout] submit:start', JSON.stringify({
-    tenantId: req.tenant && req.tenant.id,
-    host: req.headers.host || '',
-    paymentMethodId: req.body && req.body.paymentMethodId
-  }));
-  const config = loadTenantConfig(req);
+// Catalogue value of storefront cart lines in the base currency, for the
+// abandoned-cart report. Kit summaries carry no price of their own.
+function abandonedCartValue(req, items) {
   const products = loadTenantProducts(req);
-  const {
-    name, email, wallet, notes, shippingMethodId, paymentMethodId,
-    city, phone, address, doorbell, tk, cartJson, couponCode
-  } = req.body;
-  const sessionEmail = req.session.user ? normalizeEmail(req.session.user.email) : '';
-  const checkoutEmail = sessionEmail || normalizeEmail(email);
+  return items.reduce((sum, item) => {
+    if (item.isKitSummary) return sum;
+    const product = products.find((p) => p && p.id === item.id);
+    if (!product) return sum;
+    const variant = item.variantId && Array.isArray(product.variants)
+      ? product.variants.find((v) => v.id === item.variantId)
+      : null;
+    return sum + (Number(variant && variant.price) || Number(product.price) || 0) * item.qty;
+  }, 0);
+}
 
-  // ── Parse cart items ──────────────────────────────────────────────
-  let cartItems = [];
-  try { cartItems = JSON.parse(cartJson || '[]'); } catch (_) {}
-  const tenantId = req.tenant && req.tenant.id ? String(req.tenant.id) : '';
-  const snapshotByTenant = (req.session && req.session.checkoutCartSnapshotByTenant && typeof req.session.checkoutCartSnapshotByTenant === 'object')
-    ? req.session.checkoutCartSnapshotByTenant
+/**
+ * Keep the shopper's cart server-side once they have given an email (typed at
+ * checkout or from their account), so recovery emails can bring it back after
+ * the session is gone. The cart id rides in the session, so later snapshots
+ * from the storefront widget update the same record without the email. A
+ * typed email never attaches the session to someone else's open cart.
+ */
+function captureAbandonedCart(req, rawItems, rawEmail) {
+  const settings = abandonedCarts.normalizeAbandonedCartSettings(loadTenantConfig(req).abandonedCarts);
+  if (!settings.enabled) return null;
+  const tenantId = req.tenant.id;
+  const idsByTenant = (req.session.abandonedCartIdByTenant && typeof req.session.abandonedCartIdByTenant === 'object')
+    ? req.session.abandonedCartIdByTenant
     : {};
-  const tenantSnapshot = tenantId && Array.isArray(snapshotByTenant[tenantId]) ? snapshotByTenant[tenantId] : [];
-  if ((!Array.isArray(cartItems) || !cartItems.length) && tenantSnapshot.length) {
-    cartItems = tenantSnapshot.slice();
-    console.log('[checkout] submit:session-fallback', JSON.stringify({
-      tenantId,
-      count: cartItems.length
-    }));
-  }
-  if (Array.isArray(cartItems)) {
-    cartItems = cartItems
-      .filter((item) => item && typeof item === 'object' && String(item.id || '').trim())
-      .map((item) => ({
-        id: String(item.id || '').trim(),
-        qty: Math.max(1, parseInt(item.qty, 10) || 1),
-        variantId: item.variantId ? String(item.variantId).trim() : '',
-        isKitSummary: !!item.isKitSummary,
-        selectedOptions: Array.isArray(item.selectedOptions) ? item.selectedOptions : []
-      }))
-      .slice(0, 120);
-  }
-  if (!Array.isArray(cartItems) || cartItems.length === 0) {
-    console.warn('[checkout] submit:empty-cart', JSON.stringify({
-      tenantId: req.tenant && req.tenant.id
+  const email = req.session.user ? normalizeEmail(req.session.user.email) : normalizeEmail(rawEmail);
+  if (!idsByTenant[tenantId] && !email) return null;
+  const items = abandonedCarts.normalizeCartItems(rawItems);
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  const signedLink = (pathname, id) => baseUrl + buildTenantLink(req, `${pathname}/${id}`, {
+    sig: abandonedCarts.signCartToken(SESSION_SECRET, tenantId, id)
+  });
+  let captured = null;
+  updateTenantAbandonedCarts(req, (carts) => {
+    const result = abandonedCarts.captureCart(carts, {
+      id: idsByTenant[tenantId],
+      email,
+      emailVerified: !!req.session.user,
+      lang: req.lang,
+      items,
+      value: abandonedCartValue(req, items),
+      recoveryUrl: (id) => signedLink('/cart/recover', id),
+      unsubscribeUrl: (id) => signedLink('/cart/unsubscribe', id)
+    });
+    captured = result.cart;
+    return result.carts;
+  });
+  if (captured) idsByTenant[tenantId] = captured.id;
+  else delete idsByTenant[tenantId];
+  req.session.abandonedCartIdByTenant = idsByTenant;
+  console.log('[checkout] abandoned-cart:capture', JSON.stringify({
+    tenantId,
+    cartId: captured ? captured.id : null,
+    items: captured ? captured.itemCount : 0
+  }));
+  return captured;
+}
+
+// Close the buyer's open abandoned cart, crediting a recovery when a reminder
+// or recovery link came first. Runs for COD and for confirmed card orders.
+function recordAbandonedCartConversion(req, order) {
+  let closed = null;
+  updateTenantAbandonedCarts(req, (carts) => {
+    closed = abandonedCarts.recordConversion(carts, order);
+    return carts;
+  });
+  if (closed) {
+    console.log('[checkout] abandoned-cart:converted', JSON.stringify({
+      tenantId: req.tenant.id,
+      cartId: closed.id,
+      orderId: order.id,
+      status: closed.status
     }));
-    return res.status(400).send('Cart is empty');
   }
+  return closed;
+}
 
-  // Validate & enrich items from server-side product catalog
-  // Resolves variant price & label server-side (never trust client price)
-  const allProductsCatalog = loadTenantProducts(req);
+// Lets the checkout page preview a coupon. Amounts are in the base currency;
+// the page converts them and the server re-prices everything on submit.
+app.post('/api/checkout/coupon', (req, res) => {
+  const code = couponsEngine.normalizeCouponCode(req.body && req.body.code);
+  if (!code) return res.status(400).json({ ok: false, reason: 'not_found' });
+  const config = loadTenantConfig(req);
+  const coupon = couponsEngine.findCoupon(config.coupons, code);
+  const email = req.session.user ? normalizeEmail(req.session.user.email) : normalizeEmail(req.body.email);
+  const check = couponsEngine.checkCoupon(coupon, { email, redemptions: loadTenantCouponRedemptions(req) });
+  if (!check.ok) return res.json({ ok: false, code, reason: check.reason });
+  return res.json({ ok: true, code, type: coupon.type, value: coupon.value, minSubtotal: coupon.minSubtotal });
+});
+
+// Rate-table shipping costs for the checkout preview, in the base currency, so
+// product weights never reach the browser. The order is re-quoted on submit.
+/**
+ * Cart lines priced from the catalogue the way checkout sells them: variant
+ * prices and labels, kit options (parts-only kits add their linked parts as
+ * lines of their own), bundle components and quantity tiers. Products
+ * outside their publishing window drop out; running sales apply. Prices are
+ * in the base currency. The shipping preview prices carts with this too, so
+ * its weight and free-shipping threshold match what checkout charges.
+ */
+function enrichCheckoutItems(req, config, cartItems) {
+  const allProductsCatalog = productSchedule.scheduleCatalog(loadTenantProducts(req), Date.now());
+  const taxSettings = taxEngine.resolveTaxSettings(config);
+  const taxCategories = taxSettings.enabled ? loadTenantCategories(req) : [];
+  const taxClassOf = (product) => taxEngine.resolveProductTaxClass(product, taxCategories, taxSettings);
   const enrichedItems = [];
   for (const ci of cartItems) {
     const found = hydrateKitProduct(allProductsCatalog.find((p) => p.id === ci.id), allProductsCatalog, req.lang, {
@@ -2997,15 +4177,35 @@ app.post('/checkout', async (req, res) => {
     });
     if (found) {
       let serverPrice = Number(found.price) || 0;
+      let regularPrice = found.regularPrice;
       let variantLabel = '';
       let variantId = (ci.variantId || '').trim();
       let selectedOptions = [];
       let optionSummary = '';
+      let bundleComponents;
+      if (productBundles.isBundle(found)) {
+        // Sold whole at the bundle price; stock comes off each component.
+        const components = productBundles.resolveBundleComponents(found, allProductsCatalog);
+        if (!components.length || components.some((c) => !c.sellable)) continue;
+        variantId = '';
+        bundleComponents = components.map((c) => ({
+          productId: c.productId,
+          variantId: c.variantId || undefined,
+          name: resolveTranslatable(c.product.name, req.lang) || c.productId,
+          variantLabel: c.variant ? (resolveTranslatable(c.variant.label, req.lang) || c.variant.id) : undefined,
+          sku: (c.variant && c.variant.sku) || c.product.sku || undefined,
+          qty: c.qty
+        }));
+        optionSummary = bundleComponents
+          .map((c) => `${c.qty}× ${c.name}${c.variantLabel ? ` (${c.variantLabel})` : ''}`)
+          .join(' | ');
+      }
       // Resolve variant price
       if (variantId && Array.isArray(found.variants)) {
         const variant = found.variants.find((v) => v.id === variantId);
         if (variant) {
           serverPrice  = Number(variant.price) || serverPrice;
+          if (Number(variant.price)) regularPrice = variant.regularPrice;
           variantLabel = variant.label || '';
         } else {
           variantId = ''; // invalid variant → clear
@@ -3086,6 +4286,9 @@ app.post('/checkout', async (req, res) => {
                   imageUrl: linkedImage,
                   price: linkedPrice,
                   qty: Math.max(1, parseInt(ci.qty, 10) || 1),
+                  taxClass: taxClassOf(linked),
+                  categoryId: linked.categoryId || undefined,
+                  weight: productWeight(linked, linkedVariant),
                   sourceKitId: found.id,
                   sourceKitOption: `${o.groupLabel}: ${o.choiceLabel}${variantLabel ? ` (${variantLabel})` : ''}`
                 });
@@ -3103,19 +4306,163 @@ app.post('/checkout', async (req, res) => {
         variantLabel: variantLabel || undefined,
         selectedOptions: selectedOptions.length ? selectedOptions : undefined,
         optionSummary: optionSummary || undefined,
+        bundleComponents,
         basePrice: Number(found.price) || 0,
+        regularPrice: found.type === 'KIT' ? undefined : regularPrice,
         finalUnitPrice: serverPrice,
         price:        serverPrice,
         qty:          Math.max(1, parseInt(ci.qty, 10) || 1),
+        taxClass:     taxClassOf(found),
+        categoryId:   found.categoryId || undefined,
+        weight:       productWeight(found, variantId && Array.isArray(found.variants) ? found.variants.find((v) => v.id === variantId) : null),
         isKitSummary: found.type === 'KIT' && found.kitPayMode === 'parts_only'
       });
     }
   }
+  tierPricing.applyTierPricing(enrichedItems, allProductsCatalog, loadTenantCategories(req));
+  return enrichedItems;
+}
+
+app.post('/api/checkout/shipping-quote', (req, res) => {
+  const config = loadTenantConfig(req);
+  const rawItems = Array.isArray(req.body && req.body.items) ? req.body.items.slice(0, 120) : [];
+  const cartItems = rawItems
+    .filter((ci) => ci && typeof ci === 'object' && String(ci.id || '').trim())
+    .map((ci) => ({
+      id: String(ci.id || '').trim(),
+      qty: Math.max(1, parseInt(ci.qty, 10) || 1),
+      variantId: ci.variantId ? String(ci.variantId).trim() : '',
+      isKitSummary: !!ci.isKitSummary,
+      selectedOptions: Array.isArray(ci.selectedOptions) ? ci.selectedOptions : []
+    }));
+  const items = enrichCheckoutItems(req, config, cartItems);
+  const subtotal = items.reduce((sum, item) => sum + item.price * item.qty, 0);
+  const weight = shippingRates.cartWeight(items);
+  const postcode = String((req.body && req.body.tk) || '');
+  const options = {};
+  (config.shippingOptions || []).forEach((opt) => {
+    const quote = shippingRates.quoteShipping(opt, { weight, postcode, subtotal }, config.shippingZones);
+    options[opt.id] = quote.available ? { cost: quote.cost, free: quote.free } : null;
+  });
+  return res.json({ ok: true, zone: shippingRates.resolveZone(config.shippingZones, postcode), weight, options });
+});
+
+function couponRedemptionEntry(order) {
+  return {
+    code: order.couponCode,
+    orderId: order.id,
+    email: order.email,
+    discount: +Number(order.couponDiscount || 0).toFixed(2),
+    orderTotal: order.total,
+    currency: order.currency,
+    exchangeRate: order.exchangeRate
+  };
+}
+
+// Checkout submit (multi-item cart)
+app.post('/checkout', async (req, res) => {
+  console.log('[checkout] submit:start', JSON.stringify({
+    tenantId: req.tenant && req.tenant.id,
+    host: req.headers.host || '',
+    paymentMethodId: req.body && req.body.paymentMethodId
+  }));
+  const config = loadTenantConfig(req);
+  const products = loadTenantProducts(req);
+  const {
+    name, email, wallet, notes, shippingMethodId, paymentMethodId,
+    city, phone, address, doorbell, tk, cartJson, couponCode, pickupPointId
+  } = req.body;
+  const sessionEmail = req.session.user ? normalizeEmail(req.session.user.email) : '';
+  const checkoutEmail = sessionEmail || normalizeEmail(email);
+
+  // ── Parse cart items ──────────────────────────────────────────────
+  let cartItems = [];
+  try { cartItems = JSON.parse(cartJson || '[]'); } catch (_) {}
+  const tenantId = req.tenant && req.tenant.id ? String(req.tenant.id) : '';
+  const snapshotByTenant = (req.session && req.session.checkoutCartSnapshotByTenant && typeof req.session.checkoutCartSnapshotByTenant === 'object')
+    ? req.session.checkoutCartSnapshotByTenant
+    : {};
+  const tenantSnapshot = tenantId && Array.isArray(snapshotByTenant[tenantId]) ? snapshotByTenant[tenantId] : [];
+  if ((!Array.isArray(cartItems) || !cartItems.length) && tenantSnapshot.length) {
+    cartItems = tenantSnapshot.slice();
+    console.log('[checkout] submit:session-fallback', JSON.stringify({
+      tenantId,
+      count: cartItems.length
+    }));
+  }
+  if (Array.isArray(cartItems)) {
+    cartItems = cartItems
+      .filter((item) => item && typeof item === 'object' && String(item.id || '').trim())
+      .map((item) => ({
+        id: String(item.id || '').trim(),
+        qty: Math.max(1, parseInt(item.qty, 10) || 1),
+        variantId: item.variantId ? String(item.variantId).trim() : '',
+        isKitSummary: !!item.isKitSummary,
+        selectedOptions: Array.isArray(item.selectedOptions) ? item.selectedOptions : []
+      }))
+      .slice(0, 120);
+  }
+  if (!Array.isArray(cartItems) || cartItems.length === 0) {
+    console.warn('[checkout] submit:empty-cart', JSON.stringify({
+      tenantId: req.tenant && req.tenant.id
+    }));
+    return res.status(400).send('Cart is empty');
+  }
+
+  // Validate & enrich items from server-side product catalog
+  // (never trust client price).
+  const enrichedItems = enrichCheckoutItems(req, config, cartItems);
   if (!enrichedItems.length) return res.status(400).send('No valid products in cart');
 
+  // The order is priced and charged in the shopper's currency.
+  const orderCurrency = req.currency || currencies.pickCurrency(currencies.resolveCurrencySettings(config), '');
+  if (orderCurrency.rate !== 1) {
+    const convert = (amount) => currencies.convertAmount(amount, orderCurrency);
+    enrichedItems.forEach((item) => {
+      item.price = convert(item.price);
+      if (item.basePrice !== undefined) item.basePrice = convert(item.basePrice);
+      if (item.regularPrice !== undefined) item.regularPrice = convert(item.regularPrice);
+      if (item.listPrice !== undefined) item.listPrice = convert(item.listPrice);
+      if (item.finalUnitPrice !== undefined) item.finalUnitPrice = convert(item.finalUnitPrice);
+      if (Array.isArray(item.selectedOptions)) {
+        item.selectedOptions = item.selectedOptions.map((o) => ({ ...o, priceDelta: convert(o.priceDelta) }));
+      }
+    });
+  }
+
+  // Already in the item prices; kept on the order for reporting only.
+  const tierSavings = Math.round(enrichedItems.reduce((sum, item) => (
+    item.listPrice !== undefined ? sum + (item.listPrice - item.price) * item.qty : sum
+  ), 0) * 100) / 100;
+
+  // Pickup options deliver to a point from the tenant's list, not to the address.
+  const selectedShipping = (config.shippingOptions || []).find((opt) => opt.id === shippingMethodId);
+  let pickupPoint = null;
+  if (selectedShipping && pickupPoints.normalizePickupType(selectedShipping.pickupType)) {
+    pickupPoint = pickupPoints.pointsForOption(loadTenantPickupPoints(req), selectedShipping)
+      .find((p) => p.id === String(pickupPointId || '').trim()) || null;
+    if (!pickupPoint) {
+      return renderCheckoutError(req, res, 400, translate(req.lang, 'checkout.pickupPointRequired'));
+    }
+  }
+
   let totals;
   try {
-    totals = calculateCartTotalsWithDiscounts(config, enrichedItems, shippingMethodId, paymentMethodId, couponCode);
+    totals = calculateCartTotalsWithDiscounts(config, enrichedItems, shippingMethodId, paymentMethodId, couponCode, {
+      currency: orderCurrency,
+      promotionContext: Array.isArray(config.promotions) && config.promotions.length
+        ? {
+          categories: loadTenantCategories(req),
+          customerEmail: checkoutEmail,
+          usage: promotionsEngine.countPromotionUsage(loadTenantPromotionRedemptions(req))
+        }
+        : undefined,
+      couponContext: couponCode
+        ? { email: checkoutEmail, redemptions: loadTenantCouponRedemptions(req) }
+        : undefined,
+      // As the checkout page quotes it: a point without a postcode ships to the typed one's zone.
+      postcode: pickupPoint && pickupPoint.postcode ? pickupPoint.postcode : tk
+    });
   } catch (err) {
     return res.status(400).send(err.message);
   }
@@ -3147,27 +4494,44 @@ app.post('/checkout', async (req, res) => {
     notes:    notes  || '',
     shippingMethodId,
     paymentMethodId,
+    pickupPoint: pickupPoint ? pickupPoints.orderPickupPoint(pickupPoint) : null,
     paymentOptionsSnapshot: Array.isArray(config.paymentOptions) ? config.paymentOptions : [],
     shippingMethodLabel: totals.shippingMethod.label,
     paymentMethodLabel:  totals.paymentMethod.label,
     subtotal:    totals.subtotal,
     subtotalBeforeDiscount: totals.subtotalBeforeDiscount,
-    quantityDiscount: totals.quantityDiscount,
+    tierSavings,
+    promotionDiscount: totals.promotionDiscount,
+    shippingDiscount: totals.shippingDiscount,
+    appliedPromotions: totals.appliedPromotions,
     couponCode: totals.couponCodeApplied || '',
     couponDiscount: totals.couponDiscount || 0,
     shippingCost: totals.shippingCost,
+    shippingZone: totals.shippingZone,
+    shippingWeight: totals.shippingWeight,
     codFee:      totals.codFee,
     gatewayFee:  totals.gatewayFee,
+    tax:         totals.tax,
+    taxTotal:    totals.taxTotal,
     total:       totals.total,
     paymentStatus: totals.paymentMethod.type === 'stripe' ? 'PENDING_STRIPE' : 'PENDING_COD',
     fulfillmentStatus: totals.paymentMethod.type === 'stripe' ? 'pending_payment' : 'cod_pending',
+    statusHistory: [{
+      status: totals.paymentMethod.type === 'stripe' ? 'pending_payment' : 'cod_pending',
+      at: new Date().toISOString(),
+      actor: 'customer',
+      note: '',
+      customerVisible: true
+    }],
     shippedAt: null,
     deliveredAt: null,
     trackingNumber: '',
     trackingCarrier: '',
     trackingUrl: '',
     trackingToken,
-    currency: 'EUR',
+    currency: orderCurrency.code,
+    exchangeRate: orderCurrency.rate,
+    baseCurrency: orderCurrency.base,
     createdAt: new Date().toISOString()
   };
 
@@ -3180,24 +4544,64 @@ app.post('/checkout', async (req, res) => {
       try {
         // Save pending order before redirecting to Stripe
         const pendingId = `po_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
-        const pending   = loadJson(req.tenantPaths.pendingOrders, {});
-        pending[pendingId] = { order, enrichedItems };
-        saveJson(req.tenantPaths.pendingOrders, pending);
+        const reserved = reservePendingOrder(req, config, pendingId, { order, enrichedItems });
+        if (!reserved.ok) return renderStockShortfall(req, res, reserved.shortfalls);
+        // Promotion uses are held until Stripe confirms the payment, like the stock.
+        const promotionClaim = claimPromotionRedemptions(req, config, order, {
+          pendingId,
+          status: 'reserved',
+          expiresAt: reserved.reservation.expiresAt
+        });
+        if (!promotionClaim.ok) {
+          removePendingOrder(req, pendingId);
+          return renderPromotionUnavailable(req, res, promotionClaim.promotion);
+        }
+        if (order.couponCode) {
+          // Held until Stripe confirms the payment, like the stock.
+          const claim = claimCouponRedemption(req, config, {
+            ...couponRedemptionEntry(order),
+            pendingId,
+            status: 'reserved',
+            expiresAt: reserved.reservation.expiresAt
+          });
+          if (!claim.ok) {
+            removePendingOrder(req, pendingId);
+            updatePromotionRedemptions(req, (r) => r.pendingId === pendingId, 'void', 'coupon_unavailable');
+            return renderCouponUnavailable(req, res, order.couponCode);
+          }
+        }
 
         const baseUrl   = `${req.protocol}://${req.get('host')}`;
-        const lineItems = enrichedItems.map((item) => ({
-          price_data: {
-            currency:     'eur',
-            product_data: { name: item.variantLabel ? `${item.name} – ${item.variantLabel}` : item.name },
-            unit_amount:  Math.round(item.price * 100)
-          },
-          quantity: item.qty
-        }));
+        const stripeCurrency = order.currency.toLowerCase();
+        const minor = (amount) => currencies.toMinorUnits(amount, order.currency);
+        // Stripe line items cannot be negative: a discounted cart is charged
+        // as one line carrying the discounted goods total.
+        const discounted = totals.subtotal < totals.subtotalBeforeDiscount;
+        const lineItems = discounted
+          ? [{
+            price_data: {
+              currency:     stripeCurrency,
+              product_data: { name: order.productName.slice(0, 250) || `Order ${order.id}` },
+              unit_amount:  minor(totals.subtotal)
+            },
+            quantity: 1
+          }]
+          : enrichedItems.map((item) => ({
+            price_data: {
+              currency:     stripeCurrency,
+              product_data: { name: item.variantLabel ? `${item.name} – ${item.variantLabel}` : item.name },
+              unit_amount:  minor(item.price)
+            },
+            quantity: item.qty
+          }));
         if (totals.shippingCost > 0) {
-          lineItems.push({ price_data: { currency: 'eur', product_data: { name: totals.shippingMethod.label || 'Μεταφορικά' }, unit_amount: Math.round(totals.shippingCost * 100) }, quantity: 1 });
+          lineItems.push({ price_data: { currency: stripeCurrency, product_data: { name: totals.shippingMethod.label || 'Μεταφορικά' }, unit_amount: minor(totals.shippingCost) }, quantity: 1 });
         }
         if (totals.codFee > 0) {
-          lineItems.push({ price_data: { currency: 'eur', product_data: { name: 'Επιβάρυνση αντικαταβολής' }, unit_amount: Math.round(totals.codFee * 100) }, quantity: 1 });
+          lineItems.push({ price_data: { currency: stripeCurrency, product_data: { name: 'Επιβάρυνση αντικαταβολής' }, unit_amount: minor(totals.codFee) }, quantity: 1 });
+        }
+        if (totals.tax && !totals.tax.pricesIncludeTax && totals.taxTotal > 0) {
+          lineItems.push({ price_data: { currency: stripeCurrency, product_data: { name: 'ΦΠΑ' }, unit_amount: minor(totals.taxTotal) }, quantity: 1 });
         }
 
         const session = await stripe.checkout.sessions.create({
@@ -3206,17 +4610,53 @@ app.post('/checkout', async (req, res) => {
           line_items:           lineItems,
           customer_email:       checkoutEmail,
           success_url: `${baseUrl}/checkout/stripe-success?pending_id=${pendingId}&session_id={CHECKOUT_SESSION_ID}`,
-          cancel_url:  `${baseUrl}/checkout`
+          cancel_url:  `${baseUrl}/checkout/stripe-cancel?pending_id=${pendingId}`,
+          // Lets the webhook find the pending order when the shopper never returns.
+          client_reference_id: pendingId,
+          metadata:    { kind: 'tenant_order', tenantId: req.tenant.id, pendingId, orderId: order.id, currency: order.currency, exchangeRate: String(order.exchangeRate) },
+          // Ends with the stock reservation, within Stripe's limits.
+          expires_at:  stockReservations.stripeSessionExpiresAt(reserved.reservation)
+        }).catch((err) => {
+          removePendingOrder(req, pendingId);
+          updatePromotionRedemptions(req, (r) => r.pendingId === pendingId, 'void', 'stripe_session_failed');
+          updateCouponRedemptions(req, (r) => r.pendingId === pendingId, 'void', 'stripe_session_failed');
+          throw err;
         });
+        updatePendingOrder(req, pendingId, (entry) => ({ ...entry, stripeSessionId: session.id }));
 
         return res.redirect(303, session.url);
       } catch (stripeErr) {
         console.error('[Stripe] create session failed:', stripeErr.message);
-        // Fall through to normal order if Stripe fails
+        // A card order must not be booked unpaid: ask the shopper to retry.
+        return renderCheckoutError(req, res, 502, translate(req.lang, 'checkout.cardPaymentFailed'));
       }
+    } else {
+      console.error('[checkout] stripe:not-configured', JSON.stringify({ tenantId: req.tenant.id, paymentMethod: totals.paymentMethod.id }));
+      return renderCheckoutError(req, res, 502, translate(req.lang, 'checkout.cardPaymentFailed'));
+    }
+  }
+
+  const promotionClaim = claimPromotionRedemptions(req, config, order, { status: 'redeemed' });
+  if (!promotionClaim.ok) return renderPromotionUnavailable(req, res, promotionClaim.promotion);
+
+  let couponClaim = null;
+  if (order.couponCode) {
+    couponClaim = claimCouponRedemption(req, config, { ...couponRedemptionEntry(order), status: 'redeemed' });
+    if (!couponClaim.ok) {
+      updatePromotionRedemptions(req, (r) => r.orderId === order.id, 'void', 'coupon_unavailable');
+      return renderCouponUnavailable(req, res, order.couponCode);
     }
   }
 
+  // ── Stock check + deduction (per item) ────────────────────────────
+  const stock = deductStockIfAvailable(req, config, order, enrichedItems, 'order');
+  if (!stock.ok) {
+    updatePromotionRedemptions(req, (r) => r.orderId === order.id, 'void', 'out_of_stock');
+    if (couponClaim) updateCouponRedemptions(req, (r) => r.id === couponClaim.redemption.id, 'void', 'out_of_stock');
+    return renderStockShortfall(req, res, stock.shortfalls);
+  }
+  const { lowStockAlerts } = stock;
+
   let proofHash = '';
   try {
     proofHash = await recordOrderOnChain(order, req.tenant);
@@ -3224,75 +4664,19 @@ app.post('/checkout', async (req, res) => {
     console.error('[checkout] chain:attest-failed', chainErr && chainErr.message ? chainErr.message : chainErr);
   }
   order.proofHash = proofHash;
-  appendTenantOrder(req, order);
+  // Ledger entries first: they stamp order.finance, which must be persisted.
   createFinancialLedgerEntries(req, order);
-
-  // ── Stock deduction (per item) ────────────────────────────────────
-  const allProductsMut = loadTenantProducts(req);
-  const stockLog = loadJson(req.tenantPaths.stockLog, []);
-  const lowStockAlerts = [];
-  const lowStockThreshold = Number((config.assistant && config.assistant.lowStockThreshold) || 3);
-  enrichedItems.forEach((ci) => {
-    if (ci.isKitSummary) return;
-    const pIdx = allProductsMut.findIndex((p) => p.id === ci.id);
-    if (pIdx < 0) return;
-    const prod = allProductsMut[pIdx];
-    if (ci.variantId && Array.isArray(prod.variants)) {
-      const vIdx = prod.variants.findIndex((v) => v.id === ci.variantId);
-      if (vIdx >= 0) {
-        prod.variants[vIdx].stock = Math.max(0, (prod.variants[vIdx].stock || 0) - ci.qty);
-        if (prod.variants[vIdx].stock <= lowStockThreshold) {
-          lowStockAlerts.push({
-            productId: ci.id,
-            productName: ci.name,
-            variantId: ci.variantId,
-            variantLabel: ci.variantLabel,
-            remainingStock: prod.variants[vIdx].stock
-          });
-        }
-        stockLog.push({
-          id:           Date.now().toString(36) + '_' + ci.id,
-          productId:    ci.id,
-          productName:  ci.name,
-          variantId:    ci.variantId,
-          variantLabel: ci.variantLabel,
-          delta:        -ci.qty,
-          reason:       'order',
-          orderId,
-          createdAt:    order.createdAt
-        });
-      }
-    } else if ((prod.stock || 0) > 0) {
-      prod.stock = Math.max(0, prod.stock - ci.qty);
-      if (prod.stock <= lowStockThreshold) {
-        lowStockAlerts.push({
-          productId: ci.id,
-          productName: ci.name,
-          remainingStock: prod.stock
-        });
-      }
-      stockLog.push({
-        id:          Date.now().toString(36) + '_' + ci.id,
-        productId:   ci.id,
-        productName: ci.name,
-        delta:       -ci.qty,
-        reason:      'order',
-        orderId,
-        createdAt:   order.createdAt
-      });
-    }
-  });
-  saveJson(req.tenantPaths.products, allProductsMut);
-  saveJson(req.tenantPaths.stockLog, stockLog);
+  appendTenantOrder(req, order);
+  try {
+    recordAbandonedCartConversion(req, order);
+  } catch (err) {
+    console.error('[checkout] abandoned-cart:convert-failed', JSON.stringify({ tenantId: req.tenant.id, orderId: order.id, error: err.message }));
+  }
 
   // ── Analytics: track city ──────────────────────────────────────
-  if (order.city) {
-    try {
-      const analytics = loadJson(req.tenantPaths.analytics, { pageViews: {}, cities: {} });
-      analytics.cities[order.city] = (analytics.cities[order.city] || 0) + 1;
-      saveJson(req.tenantPaths.analytics, analytics);
-    } catch (_) { /* non-critical */ }
-  }
+  try {
+    incrementTenantAnalytics(req, 'cities', order.city);
+  } catch (_) { /* non-critical */ }
 
   try {
     await sendOrderEmail({ tenant: req.tenant, config, order });
@@ -3311,7 +4695,7 @@ app.post('/checkout', async (req, res) => {
     status: order.fulfillmentStatus || 'pending',
     total: order.total,
     shipping_cost: order.shippingCost || 0,
-    currency: order.currency || 'EUR',
+    currency: order.currency || currencies.DEFAULT_BASE_CURRENCY,
     shipping_method: order.shippingMethodLabel || order.shippingMethodId || '',
     payment_method: order.paymentMethodLabel || order.paymentMethodId || 'COD',
     payment_status: order.paymentStatus || 'pending',
@@ -3336,9 +4720,9 @@ app.post('/checkout', async (req, res) => {
 
   const mailFrom = (process.env.THRC_SMTP_FROM || process.env.THRC_SMTP_USER || '').trim();
   const mailSubject = `Νέα παραγγελία #${order.id} – ${resolveTranslatable(config.storeName, DEFAULT_CONTENT_LANG)}`;
-  sendOrderEmails(order, config).catch((err) =>
-    console.error('[Thronos Commerce] sendOrderEmails failed:', err.message)
-  );
+  buildInvoiceAttachments(req, config, order)
+    .then((attachments) => sendOrderEmails(order, config, { attachments }))
+    .catch((err) => console.error('[Thronos Commerce] sendOrderEmails failed:', err.message));
   attestMailToThronos(order, { from: mailFrom, to: [order.email], subject: mailSubject }).catch(
     (err) => console.error('[Thronos Commerce] attestMailToThronos failed:', err.message)
   );
@@ -3354,39 +4738,53 @@ app.post('/checkout', async (req, res) => {
 });
 
 // ── Stripe success / cancel ───────────────────────────────────────────────────
-app.get('/checkout/stripe-success', async (req, res) => {
-  const { pending_id, session_id } = req.query;
-  const config = loadTenantConfig(req);
-  const stripe = stripeForTenant(config);
-
-  if (!stripe || !pending_id || !session_id) return res.redirect(buildTenantLink(req, '/checkout'));
 
-  const pending = loadJson(req.tenantPaths.pendingOrders, {});
-  const entry   = pending[pending_id];
-  if (!entry) {
-    return res.redirect(buildTenantLink(req, '/checkout', { error: 'order_not_found' }));
+/**
+ * Record the order behind a paid Stripe Checkout session. The success redirect
+ * and the `checkout.session.completed` webhook both land here; whichever comes
+ * first stores the order and runs the side effects (ledger, emails, events),
+ * the other gets the same order back with `created: false`.
+ *
+ * @param {object} req       - shopper request or buildTenantRequestContext()
+ * @param {object} config    - tenant config
+ * @param {string} pendingId - pending order id from the session metadata / URL
+ * @param {string} sessionId - Stripe Checkout session id
+ * @param {object} [options]
+ * @param {string} [options.source]    - 'redirect' | 'webhook', for the logs
+ * @param {string} [options.userEmail] - logged-in shopper to link the order to
+ * @returns {Promise<{ order: object, created: boolean } | null>} null when nothing is pending
+ */
+async function finalizeStripeOrder(req, config, pendingId, sessionId, options = {}) {
+  const existing = findOrderByStripeSession(req, sessionId);
+  if (existing) return { order: existing, created: false };
+
+  const committed = commitPendingOrder(req, config, pendingId, sessionId, (order) => {
+    order.paymentStatus = 'PAID';
+    orderStatus.recordOrderStatus(order, 'ready_to_ship', { actor: 'stripe', customerVisible: true });
+    order.stripeSessionId = sessionId;
+    if (options.userEmail) order.userEmail = normalizeEmail(options.userEmail);
+  });
+  if (!committed) {
+    const raced = findOrderByStripeSession(req, sessionId);
+    return raced ? { order: raced, created: false } : null;
   }
 
-  // Verify payment
+  const { order } = committed.entry;
+  const { lowStockAlerts } = committed;
+  console.log('[checkout] stripe:finalized', JSON.stringify({
+    tenantId: req.tenant.id,
+    orderId: order.id,
+    pendingId,
+    source: options.source || 'redirect'
+  }));
+  updatePromotionRedemptions(req, (r) => r.orderId === order.id, 'redeemed');
+  if (order.couponCode) updateCouponRedemptions(req, (r) => r.orderId === order.id, 'redeemed');
   try {
-    const session = await stripe.checkout.sessions.retrieve(session_id);
-    if (session.payment_status !== 'paid') return res.redirect(buildTenantLink(req, '/checkout', { error: 'payment_failed' }));
+    recordAbandonedCartConversion(req, order);
   } catch (err) {
-    console.error('[Stripe] retrieve session failed:', err.message);
-    return res.redirect(buildTenantLink(req, '/checkout', { error: 'payment_error' }));
-  }
-
-  const { order, enrichedItems } = entry;
-  order.paymentStatus   = 'PAID';
-  order.fulfillmentStatus = order.fulfillmentStatus === 'cancelled' ? 'cancelled' : 'ready_to_ship';
-  order.stripeSessionId = session_id;
-  if (req.session.user) {
-    order.userEmail = normalizeEmail(req.session.user.email);
+    console.error('[checkout] abandoned-cart:convert-failed', JSON.stringify({ tenantId: req.tenant.id, orderId: order.id, error: err.message }));
   }
 
-  delete pending[pending_id];
-  saveJson(req.tenantPaths.pendingOrders, pending);
-
   let proofHash = '';
   try {
     proofHash = await recordOrderOnChain(order, req.tenant);
@@ -3394,66 +4792,29 @@ app.get('/checkout/stripe-success', async (req, res) => {
     console.error('[checkout] stripe chain:attest-failed', chainErr && chainErr.message ? chainErr.message : chainErr);
   }
   order.proofHash = proofHash;
-  appendTenantOrder(req, order);
   createFinancialLedgerEntries(req, order);
-
-  // Stock deduction
-  const allProductsMut = loadTenantProducts(req);
-  const stockLog = loadJson(req.tenantPaths.stockLog, []);
-  const lowStockAlerts = [];
-  const lowStockThreshold = Number((config.assistant && config.assistant.lowStockThreshold) || 3);
-  enrichedItems.forEach((ci) => {
-    const pIdx = allProductsMut.findIndex((p) => p.id === ci.id);
-    if (pIdx < 0) return;
-    const prod = allProductsMut[pIdx];
-    if (ci.variantId && Array.isArray(prod.variants)) {
-      const vIdx = prod.variants.findIndex((v) => v.id === ci.variantId);
-      if (vIdx >= 0) {
-        prod.variants[vIdx].stock = Math.max(0, (prod.variants[vIdx].stock || 0) - ci.qty);
-        if (prod.variants[vIdx].stock <= lowStockThreshold) {
-          lowStockAlerts.push({
-            productId: ci.id,
-            productName: ci.name,
-            variantId: ci.variantId,
-            variantLabel: ci.variantLabel,
-            remainingStock: prod.variants[vIdx].stock
-          });
-        }
-        stockLog.push({ id: Date.now().toString(36) + '_s', productId: ci.id, productName: ci.name, variantId: ci.variantId, variantLabel: ci.variantLabel, delta: -ci.qty, reason: 'stripe_order', orderId: order.id, createdAt: order.createdAt });
-      }
-    } else if ((prod.stock || 0) > 0) {
-      prod.stock = Math.max(0, prod.stock - ci.qty);
-      if (prod.stock <= lowStockThreshold) {
-        lowStockAlerts.push({
-          productId: ci.id,
-          productName: ci.name,
-          remainingStock: prod.stock
-        });
-      }
-      stockLog.push({ id: Date.now().toString(36) + '_s', productId: ci.id, productName: ci.name, delta: -ci.qty, reason: 'stripe_order', orderId: order.id, createdAt: order.createdAt });
-    }
+  updateTenantOrder(req, order.id, (stored) => {
+    stored.proofHash = proofHash;
+    stored.finance = order.finance;
+    return stored;
   });
-  saveJson(req.tenantPaths.products, allProductsMut);
-  saveJson(req.tenantPaths.stockLog, stockLog);
 
-  if (order.city) {
-    try {
-      const analytics = loadJson(req.tenantPaths.analytics, { pageViews: {}, cities: {} });
-      analytics.cities[order.city] = (analytics.cities[order.city] || 0) + 1;
-      saveJson(req.tenantPaths.analytics, analytics);
-    } catch (_) {}
-  }
+  try {
+    incrementTenantAnalytics(req, 'cities', order.city);
+  } catch (_) {}
 
   try { await sendOrderEmail({ tenant: req.tenant, config, order }); } catch (_) {}
   try { await sendOrderWebhook({ tenant: req.tenant, config, order }); } catch (_) {}
-  sendOrderEmails(order, config).catch(() => {});
+  buildInvoiceAttachments(req, config, order)
+    .then((attachments) => sendOrderEmails(order, config, { attachments }))
+    .catch(() => {});
   fireVASync(req.tenant.id, 'order.placed', {
     order_number: order.id,
     customer_id: order.email || 'guest',
     status: order.fulfillmentStatus || 'pending',
     total: order.total,
     shipping_cost: order.shippingCost || 0,
-    currency: order.currency || 'EUR',
+    currency: order.currency || currencies.DEFAULT_BASE_CURRENCY,
     shipping_method: order.shippingMethodLabel || order.shippingMethodId || '',
     payment_method: order.paymentMethodLabel || 'CARD',
     payment_status: 'paid',
@@ -3469,18 +4830,79 @@ app.get('/checkout/stripe-success', async (req, res) => {
       unit_price: ci.price, total_price: (ci.price || 0) * (ci.qty || 1),
     })) : [],
   });
+  if (lowStockAlerts.length && config.assistant && config.assistant.notifyLowStock !== false) {
+    dispatchAssistantEvent(req, 'low_stock', { alerts: lowStockAlerts, orderId: order.id });
+  }
 
-  if (req.session) {
-    req.session.lastCompletedOrder = {
-      orderId: order.id,
-      tenantId: req.tenant.id,
-      at: Date.now()
-    };
+  return { order, created: true };
+}
+
+app.get('/checkout/stripe-success', async (req, res) => {
+  const { pending_id, session_id } = req.query;
+  const config = loadTenantConfig(req);
+  const stripe = stripeForTenant(config);
+
+  if (!stripe || !pending_id || !session_id) return res.redirect(buildTenantLink(req, '/checkout'));
+
+  const rememberOrder = (order) => {
+    if (req.session) {
+      req.session.lastCompletedOrder = {
+        orderId: order.id,
+        tenantId: req.tenant.id,
+        at: Date.now()
+      };
+    }
+    return res.redirect(303, buildTenantLink(req, '/checkout/complete', { orderId: order.id }));
+  };
+
+  // The webhook may have recorded the order before the shopper got back here.
+  const alreadyRecorded = findOrderByStripeSession(req, session_id);
+  if (alreadyRecorded) return rememberOrder(alreadyRecorded);
+
+  if (!loadPendingOrders(req)[pending_id]) {
+    return res.redirect(buildTenantLink(req, '/checkout', { error: 'order_not_found' }));
   }
-  return res.redirect(303, buildTenantLink(req, '/checkout/complete', { orderId: order.id }));
+
+  // Verify payment
+  try {
+    const session = await stripe.checkout.sessions.retrieve(session_id);
+    if (session.payment_status !== 'paid') return res.redirect(buildTenantLink(req, '/checkout', { error: 'payment_failed' }));
+    // A paid session only settles the pending order it was created for.
+    if (!session.metadata || session.metadata.pendingId !== pending_id) {
+      return res.redirect(buildTenantLink(req, '/checkout', { error: 'payment_error' }));
+    }
+  } catch (err) {
+    console.error('[Stripe] retrieve session failed:', err.message);
+    return res.redirect(buildTenantLink(req, '/checkout', { error: 'payment_error' }));
+  }
+
+  const result = await finalizeStripeOrder(req, config, pending_id, session_id, {
+    source: 'redirect',
+    userEmail: req.session.user ? req.session.user.email : ''
+  });
+  if (!result) return res.redirect(buildTenantLink(req, '/checkout', { error: 'order_not_found' }));
+  return rememberOrder(result.order);
 });
 
-app.get('/checkout/stripe-cancel', (req, res) => res.redirect(buildTenantLink(req, '/checkout')));
+app.get('/checkout/stripe-cancel', async (req, res) => {
+  const pendingId = String(req.query.pending_id || '').trim();
+  const entry = pendingId ? releasePendingReservation(req, pendingId, 'cancelled') : null;
+  if (entry) {
+    console.log('[checkout] reservation:cancelled', JSON.stringify({ tenantId: req.tenant.id, pendingId }));
+    updatePromotionRedemptions(req, (r) => r.pendingId === pendingId && r.status === 'reserved', 'void', 'stripe_cancelled');
+    updateCouponRedemptions(req, (r) => r.pendingId === pendingId && r.status === 'reserved', 'void', 'stripe_cancelled');
+    // Close the Stripe page too, so the shopper cannot pay for stock that is no longer held.
+    const stripe = entry.stripeSessionId ? stripeForTenant(loadTenantConfig(req)) : null;
+    if (stripe) {
+      try {
+        await stripe.checkout.sessions.expire(entry.stripeSessionId);
+      } catch (err) {
+        console.warn('[Stripe] expire session failed:', err.message);
+      }
+    }
+  }
+  return res.redirect(buildTenantLink(req, '/checkout'));
+});
 
 app.get('/checkout/complete', (req, res) => {
   const config = loadTenantConfig(req);
@@ -3510,6 +4932,7 @@ app.get('/checkout/complete', (req, res) => {
     }
     if (tenantId) {
       req.session.checkoutCartSnapshotByTenant[tenantId] = [];
+      if (req.session.abandonedCartIdByTenant) delete req.session.abandonedCartIdByTenant[tenantId];
     }
     console.log('[checkout] complete:cart-clear', JSON.stringify({
       tenantId,
@@ -3642,11 +5065,106 @@ app.get('/my-orders', requireUser, (req, res) => {
   const orders = loadTenantOrders(req)
     .filter((o) => normalizeEmail(o.userEmail) === email)
     .map((o) => normalizeOrderForFulfillment(o))
+    .map((o) => ({ ...o, invoiceAvailable: orderDocuments.isInvoiceable(o) }))
     .slice()
     .reverse();
   res.render('my-orders', { config, tenant: req.tenant, user: req.session.user, orders });
 });
 
+// Customer copies of the order documents; the shop's own links live under /admin/orders.
+const ORDER_DOCUMENT_KINDS = { 'invoice.pdf': 'invoice', 'packing-slip.pdf': 'packing_slip' };
+
+app.get('/my-orders/:orderId/:document', requireUser, async (req, res, next) => {
+  const kind = ORDER_DOCUMENT_KINDS[req.params.document];
+  if (!kind) return next();
+  const email = normalizeEmail(req.session.user.email);
+  const order = loadTenantOrders(req).find((o) => o && o.id === req.params.orderId && normalizeEmail(o.userEmail) === email);
+  if (!order) return res.status(404).send(req.lang === 'el' ? 'Δεν βρέθηκε η παραγγελία.' : 'Order not found.');
+  try {
+    const document = await renderOrderDocument(req, loadTenantConfig(req), order.id, kind, req.lang);
+    if (!document) {
+      return res.status(409).send(req.lang === 'el' ? 'Το παραστατικό δεν είναι ακόμη διαθέσιμο.' : 'This document is not available yet.');
+    }
+    return sendPdf(res, document);
+  } catch (err) {
+    console.error('[invoices] render failed', err && err.stack ? err.stack : String(err));
+    return res.status(500).send('PDF unavailable.');
+  }
+});
+
+// Signed link from an abandoned-cart email: put the saved cart back in the
+// shopper's session and browser, then continue at checkout.
+app.get('/cart/recover/:cartId', (req, res) => {
+  const tenantId = req.tenant.id;
+  const cartId = String(req.params.cartId || '');
+  if (!abandonedCarts.verifyCartToken(SESSION_SECRET, tenantId, cartId, req.query.sig)) {
+    console.warn('[checkout] abandoned-cart:bad-link', JSON.stringify({ tenantId, cartId }));
+    return res.redirect(buildTenantLink(req, '/'));
+  }
+  let cart = null;
+  updateTenantAbandonedCarts(req, (carts) => {
+    cart = carts.find((c) => c && c.id === cartId && c.status === 'open') || null;
+    if (cart) {
+      cart.restoredAt = new Date().toISOString();
+      cart.restoreCount = (Number(cart.restoreCount) || 0) + 1;
+    }
+    return carts;
+  });
+  if (!cart) {
+    // Already ordered or expired: nothing left to restore.
+    console.log('[checkout] abandoned-cart:closed-link', JSON.stringify({ tenantId, cartId }));
+    return res.redirect(buildTenantLink(req, '/'));
+  }
+  // Names and prices of plain lines follow the catalogue as it sells now; kit
+  // lines keep what the product page computed and are re-priced at checkout
+  // like any cart.
+  const products = productSchedule.scheduleCatalog(loadTenantProducts(req), Date.now());
+  const items = cart.items.filter((item) => products.some((p) => p && p.id === item.id)).map((item) => {
+    if (item.isKitSummary || item.selectedOptions) return item;
+    const product = products.find((p) => p.id === item.id);
+    const variant = item.variantId && Array.isArray(product.variants)
+      ? product.variants.find((v) => v.id === item.variantId)
+      : null;
+    return {
+      ...item,
+      name: resolveTranslatable(product.name, req.lang) || item.name,
+      price: Number(variant && variant.price) || Number(product.price) || 0
+    };
+  });
+  req.session.checkoutCartSnapshotByTenant = {
+    ...(req.session.checkoutCartSnapshotByTenant || {}),
+    [tenantId]: items.map((item) => ({
+      id: item.id,
+      qty: item.qty,
+      variantId: item.variantId || '',
+      isKitSummary: !!item.isKitSummary,
+      selectedOptions: item.selectedOptions || []
+    }))
+  };
+  req.session.restoredCartByTenant = { ...(req.session.restoredCartByTenant || {}), [tenantId]: { items, email: cart.email } };
+  req.session.abandonedCartIdByTenant = { ...(req.session.abandonedCartIdByTenant || {}), [tenantId]: cart.id };
+  console.log('[checkout] abandoned-cart:restore', JSON.stringify({ tenantId, cartId, items: items.length }));
+  return res.redirect(buildTenantLink(req, '/checkout'));
+});
+
+// Signed opt-out link from an abandoned-cart email: no more reminders to
+// that address, for this cart or later ones.
+app.get('/cart/unsubscribe/:cartId', (req, res) => {
+  const tenantId = req.tenant.id;
+  const cartId = String(req.params.cartId || '');
+  if (!abandonedCarts.verifyCartToken(SESSION_SECRET, tenantId, cartId, req.query.sig)) {
+    console.warn('[checkout] abandoned-cart:bad-link', JSON.stringify({ tenantId, cartId }));
+    return res.redirect(buildTenantLink(req, '/'));
+  }
+  let cart = null;
+  updateTenantAbandonedCarts(req, (carts) => {
+    cart = abandonedCarts.unsubscribeCart(carts, cartId);
+    return carts;
+  });
+  console.log('[checkout] abandoned-cart:unsubscribe', JSON.stringify({ tenantId, cartId, found: !!cart }));
+  return res.send(`<!doctype html><html><body style="font-family:system-ui;padding:20px;"><p>${translate(req.lang, 'checkout.cartRemindersStopped')}</p><p><a href="${buildTenantLink(req, '/')}">${translate(req.lang, 'checkout.backToStore')}</a></p></body></html>`);
+});
+
 app.get('/track', (req, res) => {
   const config = localizeConfigContent(loadTenantConfig(req), req.lang);
   return res.render('track-order', { config, tenant: req.tenant, order: null, error: null });
@@ -3674,13 +5192,127 @@ app.post('/track', (req, res) => {
       error: req.lang === 'el' ? 'Δεν βρέθηκε παραγγελία με αυτά τα στοιχεία.' : 'No order found for these details.'
     });
   }
-  return res.render('track-order', { config, tenant: req.tenant, order: normalizeOrderForFulfillment(order), error: null });
+  return res.render('track-order', {
+    config,
+    tenant: req.tenant,
+    order: normalizeOrderForFulfillment(order),
+    statusHistory: orderStatus.customerStatusHistory(order),
+    error: null
+  });
+});
+
+// ── Returns (RMA) – customer side ────────────────────────────────────────────
+
+const RETURN_ERRORS = {
+  el: {
+    not_found: 'Δεν βρέθηκε παραγγελία με αυτά τα στοιχεία.',
+    not_returnable: 'Επιστροφή μπορεί να ζητηθεί μόνο για παραγγελίες που έχουν αποσταλεί.',
+    reason_required: 'Επιλέξτε λόγο επιστροφής.',
+    quantity_exceeds_remaining: 'Η ποσότητα ξεπερνά ό,τι μπορεί να επιστραφεί.',
+    nothing_selected: 'Επιλέξτε τουλάχιστον ένα προϊόν.'
+  },
+  en: {
+    not_found: 'No order found for these details.',
+    not_returnable: 'Returns can only be requested for orders that have shipped.',
+    reason_required: 'Please choose a reason for the return.',
+    quantity_exceeds_remaining: 'The quantity is more than can be returned.',
+    nothing_selected: 'Select at least one item.'
+  }
+};
+
+function returnErrorMessage(req, code) {
+  const messages = req.lang === 'el' ? RETURN_ERRORS.el : RETURN_ERRORS.en;
+  return messages[code] || code;
+}
+
+// The logged-in owner, or anyone who knows the order id and its email (as on /track).
+function findCustomerOrder(req, orderId, email) {
+  if (!orderId) return null;
+  const order = loadTenantOrders(req).find((o) => o && o.id === orderId);
+  if (!order) return null;
+  const sessionEmail = req.session && req.session.user ? normalizeEmail(req.session.user.email) : '';
+  if (sessionEmail && normalizeEmail(order.userEmail) === sessionEmail) return order;
+  if (email && normalizeEmail(order.email) === normalizeEmail(email)) return order;
+  return null;
+}
+
+function renderReturnRequest(req, res, order, extra = {}) {
+  const config = localizeConfigContent(loadTenantConfig(req), req.lang);
+  const returns = order ? loadTenantReturns(req).filter((r) => r.orderId === order.id) : [];
+  return res.status(extra.status || 200).render('return-request', {
+    config,
+    tenant: req.tenant,
+    order,
+    email: extra.email || '',
+    returnableLines: order ? orderReturns.getReturnableLines(order, returns) : [],
+    returnable: order ? orderReturns.isOrderReturnable(order) : false,
+    returns,
+    reasons: orderReturns.RETURN_REASONS,
+    message: extra.message || null,
+    error: extra.error || null
+  });
+}
+
+app.get('/returns/new', (req, res) => {
+  const orderId = String(req.query.orderId || '').trim();
+  const email = String(req.query.email || '').trim();
+  const order = findCustomerOrder(req, orderId, email);
+  if (!order) {
+    return renderReturnRequest(req, res, null, { status: 404, error: returnErrorMessage(req, 'not_found') });
+  }
+  return renderReturnRequest(req, res, order, { email });
+});
+
+app.post('/returns', (req, res) => {
+  const orderId = String(req.body.orderId || '').trim();
+  const email = String(req.body.email || '').trim();
+  const order = findCustomerOrder(req, orderId, email);
+  if (!order) {
+    return renderReturnRequest(req, res, null, { status: 404, error: returnErrorMessage(req, 'not_found') });
+  }
+  const quantities = {};
+  Object.keys(req.body).forEach((key) => {
+    const match = /^qty_(\d+)$/.exec(key);
+    if (match) quantities[match[1]] = req.body[key];
+  });
+
+  let result = null;
+  tenantStore.update(req.tenant.id, 'returns', [], (rows) => {
+    const list = Array.isArray(rows) ? rows : [];
+    result = orderReturns.buildReturnRequest(order, list, {
+      quantities,
+      reason: String(req.body.reason || ''),
+      comments: req.body.comments,
+      email: normalizeEmail(order.email)
+    });
+    if (result.ok) list.push(result.rma);
+    return list;
+  });
+  if (!result.ok) {
+    return renderReturnRequest(req, res, order, { status: 400, email, error: returnErrorMessage(req, result.error) });
+  }
+
+  const { rma } = result;
+  console.log('[returns] requested', JSON.stringify({ tenantId: req.tenant.id, orderId, returnId: rma.id, items: rma.lines.length }));
+  fireVASync(req.tenant.id, 'order.status_changed', {
+    order_number: orderId,
+    status: 'return_requested',
+    return_id: rma.id,
+    reason: rma.reason,
+    items: rma.lines.map((l) => ({ sku: l.productId, name: l.name, quantity: l.qty }))
+  });
+  return renderReturnRequest(req, res, order, {
+    email,
+    message: req.lang === 'el'
+      ? `Το αίτημα επιστροφής ${rma.id} καταχωρήθηκε. Θα ενημερωθείτε μόλις εξεταστεί.`
+      : `Return request ${rma.id} submitted. We will let you know once it has been reviewed.`
+  });
 });
 
 // ── Reviews API ──────────────────────────────────────────────────────────────
 
 app.get('/api/products/:productId/reviews', (req, res) => {
-  const reviews = loadJson(req.tenantPaths.reviews, []);
+  const reviews = loadTenantReviews(req);
   const filtered = reviews.filter((r) => r.productId === req.params.productId);
   res.json(filtered);
 });
@@ -3731,9 +5363,9 @@ app.post('/api/products/:productId/reviews', (req, res) => {
     verified: true,
     createdAt: new Date().toISOString()
   };
-  const reviews = loadJson(req.tenantPaths.reviews, []);
+  const reviews = loadTenantReviews(req);
   reviews.push(review);
-  saveJson(req.tenantPaths.reviews, reviews);
+  saveTenantReviews(req, reviews);
   res.json({ ok: true, review });
 });
 
@@ -3774,7 +5406,8 @@ app.get('/admin/payments', (req, res) => {
 
 app.get('/admin/export/products.json', (req, res) => {
   if (!hasExportAccess(req)) return renderExportBlockedPage(req, res);
-  const products = loadTenantProducts(req);
+  const now = Date.now();
+  const products = loadTenantProducts(req).map((p) => productSchedule.withEffective(p, now));
   res.setHeader('Content-Type', 'application/json; charset=utf-8');
   res.setHeader('Content-Disposition', `attachment; filename=\"${req.tenant.id}-products.json\"`);
   res.send(JSON.stringify(products, null, 2));
@@ -3782,12 +5415,17 @@ app.get('/admin/export/products.json', (req, res) => {
 
 app.get('/admin/export/products.csv', (req, res) => {
   if (!hasExportAccess(req)) return renderExportBlockedPage(req, res);
-  const products = loadTenantProducts(req);
+  const now = Date.now();
+  const products = loadTenantProducts(req).map((p) => productSchedule.withEffective(p, now));
   const esc = (v) => `"${String(v === undefined ? '' : v).replace(/"/g, '""')}"`;
   const rows = [[
-    'id', 'type', 'categoryId', 'name_el', 'name_en', 'sku', 'price', 'stock', 'featured', 'imageUrl',
+    'id', 'type', 'categoryId', 'name_el', 'name_en', 'sku', 'price', 'stock', 'featured', 'taxClass', 'priceTiers', 'weight', 'imageUrl',
     'galleryImages',
-    'variantId', 'variantLabel_el', 'variantLabel_en', 'variantSku', 'variantPrice', 'variantStock', 'variantImageUrl'
+    'variantId', 'variantLabel_el', 'variantLabel_en', 'variantSku', 'variantPrice', 'variantStock', 'variantImageUrl',
+    'publishAt', 'unpublishAt', 'salePrice', 'saleStartsAt', 'saleEndsAt', 'variantSalePrice', 'variantSaleStartsAt', 'variantSaleEndsAt',
+    'bundleItems',
+    // Derived at export time; the import ignores them.
+    'visibleNow', 'effectivePrice'
   ]];
   products.forEach((p) => {
     const galleryCsv = Array.isArray(p.galleryImages) ? p.galleryImages.join(',') : '';
@@ -3801,6 +5439,9 @@ app.get('/admin/export/products.csv', (req, res) => {
       Number(p.price) || 0,
       p.stock === undefined ? '' : Number(p.stock),
       p.featured ? '1' : '0',
+      p.taxClass || '',
+      tierPricing.formatTiers(p.priceTiers),
+      p.weight === undefined ? '' : Number(p.weight),
       p.imageUrl || '',
       galleryCsv,
       '',
@@ -3809,7 +5450,18 @@ app.get('/admin/export/products.csv', (req, res) => {
       '',
       '',
       '',
-      ''
+      '',
+      p.publishAt || '',
+      p.unpublishAt || '',
+      p.salePrice === undefined ? '' : Number(p.salePrice),
+      p.saleStartsAt || '',
+      p.saleEndsAt || '',
+      '',
+      '',
+      '',
+      productBundles.formatBundleItems(p.bundleItems),
+      p.effective.visible ? '1' : '0',
+      p.effective.price
     ];
     rows.push(baseRow);
     if (Array.isArray(p.variants)) {
@@ -3826,13 +5478,27 @@ app.get('/admin/export/products.csv', (req, res) => {
           '',
           '',
           '',
+          '',
+          '',
+          '',
           v.id || '',
           resolveTranslatable(v.label, 'el'),
           resolveTranslatable(v.label, 'en'),
           v.sku || '',
           v.price === undefined ? '' : Number(v.price),
           v.stock === undefined ? '' : Number(v.stock),
-          v.imageUrl || ''
+          v.imageUrl || '',
+          '',
+          '',
+          '',
+          '',
+          '',
+          v.salePrice === undefined ? '' : Number(v.salePrice),
+          v.saleStartsAt || '',
+          v.saleEndsAt || '',
+          '',
+          p.effective.visible ? '1' : '0',
+          v.effective.price
         ]);
       });
     }
@@ -3843,11 +5509,11 @@ app.get('/admin/export/products.csv', (req, res) => {
   res.send(csv);
 });
 
-app.get('/admin/export/orders.csv', (req, res) => {
-  const orders = loadTenantOrders(req);
+function buildOrdersCsv(orders) {
   const esc = (v) => `"${String(v === undefined || v === null ? '' : v).replace(/"/g, '""')}"`;
-  const rows = [['id', 'createdAt', 'customerName', 'email', 'city', 'paymentStatus', 'subtotal', 'shippingCost', 'total', 'items']];
+  const rows = [['id', 'createdAt', 'customerName', 'email', 'city', 'paymentStatus', 'subtotal', 'shippingCost', 'total', 'currency', 'exchangeRate', 'taxTotal', 'netAmount', 'taxBreakdown', 'items']];
   orders.forEach((o) => {
+    const taxTotal = Number(o.taxTotal || 0);
     const items = Array.isArray(o.items)
       ? o.items.map((it) => `${it.name || it.id} x${Number(it.qty) || 1}`).join(' | ')
       : (o.productName || '');
@@ -3861,29 +5527,72 @@ app.get('/admin/export/orders.csv', (req, res) => {
       Number(o.subtotal || 0).toFixed(2),
       Number(o.shippingCost || 0).toFixed(2),
       Number(o.total || 0).toFixed(2),
+      String(o.currency || currencies.DEFAULT_BASE_CURRENCY).toUpperCase(),
+      o.exchangeRate || 1,
+      taxTotal.toFixed(2),
+      (Number(o.total || 0) - taxTotal).toFixed(2),
+      taxEngine.formatTaxBreakdown(o.tax),
       items
     ]);
   });
-  const csv = rows.map((row) => row.map(esc).join(',')).join('\n');
+  return rows.map((row) => row.map(esc).join(',')).join('\n');
+}
+
+app.get('/admin/export/orders.csv', (req, res) => {
+  const csv = buildOrdersCsv(loadTenantOrders(req));
   res.setHeader('Content-Type', 'text/csv; charset=utf-8');
   res.setHeader('Content-Disposition', `attachment; filename=\"${req.tenant.id}-orders.csv\"`);
   res.send(csv);
 });
 
-app.get('/admin/import/variants-template.csv', (req, res) => {
-  const rows = [
-    ['productId', 'variantName', 'variantSku', 'priceEUR', 'stock', 'imageUrl', 'videoUrl', 'videoDescription'],
-    ['example-product-id', 'Variant name', 'example-sku', '19.90', '5', '/tenants/' + req.tenant.id + '/media/variants/example-product-id/example-sku/example.png', '', '']
-  ];
+const VARIANT_CSV_COLUMNS = ['productId', 'variantName', 'variantSku', 'priceEUR', 'stock', 'imageUrl', 'videoUrl', 'videoDescription'];
+// Variant attributes travel as one "attr.<name>" column per attribute.
+const VARIANT_CSV_ATTR_PREFIX = 'attr.';
+
+function variantsCsv(rows) {
   const esc = (value) => {
-    const v = String(value || '');
+    const v = String(value === undefined || value === null ? '' : value);
     if (/[",\n]/.test(v)) return `"${v.replace(/"/g, '""')}"`;
     return v;
   };
-  const csv = rows.map((row) => row.map(esc).join(',')).join('\n');
+  return rows.map((row) => row.map(esc).join(',')).join('\n');
+}
+
+app.get('/admin/import/variants-template.csv', (req, res) => {
+  const rows = [
+    VARIANT_CSV_COLUMNS.concat(['attr.Μέγεθος', 'attr.Χρώμα']),
+    ['example-product-id', 'M / Μαύρο', 'example-sku', '19.90', '5', '/tenants/' + req.tenant.id + '/media/variants/example-product-id/example-sku/example.png', '', '', 'M', 'Μαύρο']
+  ];
   res.setHeader('Content-Type', 'text/csv; charset=utf-8');
   res.setHeader('Content-Disposition', `attachment; filename=\"${req.tenant.id}-variants-template.csv\"`);
-  res.send(csv);
+  res.send(variantsCsv(rows));
+});
+
+// Every variant in the import format, so it can be edited and imported back.
+app.get('/admin/export/variants.csv', (req, res) => {
+  if (!hasExportAccess(req)) return renderExportBlockedPage(req, res);
+  const products = loadTenantProducts(req);
+  const attributeNames = productAttributes.variantAttributeNames(products);
+  const rows = [VARIANT_CSV_COLUMNS.concat(attributeNames.map((name) => VARIANT_CSV_ATTR_PREFIX + name))];
+  products.forEach((p) => {
+    (Array.isArray(p.variants) ? p.variants : []).forEach((v) => {
+      if (!v || typeof v !== 'object') return;
+      const attrs = productAttributes.normalizeVariantAttributes(v.attributes);
+      rows.push([
+        p.id || '',
+        resolveTranslatable(v.label, DEFAULT_CONTENT_LANG),
+        v.sku || '',
+        v.price === undefined ? '' : Number(v.price),
+        v.stock === undefined ? '' : Number(v.stock),
+        v.imageUrl || '',
+        v.videoUrl || '',
+        v.contentDescription || ''
+      ].concat(attributeNames.map((name) => attrs[name] || '')));
+    });
+  });
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename=\"${req.tenant.id}-variants.csv\"`);
+  res.send(variantsCsv(rows));
 });
 
 app.get('/admin/import/categories-template.csv', (req, res) => {
@@ -4022,6 +5731,7 @@ app.post('/admin/import/products', importUpload.single('file'), async (req, res)
   const errors = [];
   const currentProducts = loadTenantProducts(req);
   const map = new Map((mode === 'replace' ? [] : currentProducts).map((p) => [p.id, { ...p }]));
+  const timeZone = tenantTime.resolveTimeZone(loadTenantConfig(req));
   let variantsTouched = 0;
   for (let i = 1; i < rows.length; i += 1) {
     const cols = rows[i];
@@ -4032,7 +5742,7 @@ app.post('/admin/import/products', importUpload.single('file'), async (req, res)
     const existing = map.get(productId) || {};
     const next = { ...existing, id: productId };
     const typeRaw = get('type').toUpperCase();
-    if (typeRaw) next.type = ['NORMAL', 'PART', 'KIT'].includes(typeRaw) ? typeRaw : 'NORMAL';
+    if (typeRaw) next.type = ['NORMAL', 'PART', 'KIT', 'BUNDLE'].includes(typeRaw) ? typeRaw : 'NORMAL';
     const categoryId = get('categoryId');
     if (categoryId) next.categoryId = categoryId;
     const nameEl = get('name_el');
@@ -4050,9 +5760,25 @@ app.post('/admin/import/products', importUpload.single('file'), async (req, res)
     }
     const featuredRaw = get('featured');
     if (featuredRaw) next.featured = ['1', 'true', 'yes'].includes(featuredRaw.toLowerCase());
+    const taxClass = taxEngine.normalizeTaxClassId(get('taxClass'));
+    if (taxClass) next.taxClass = taxClass;
+    if (get('priceTiers')) {
+      const priceTiers = tierPricing.normalizeTiers(get('priceTiers'));
+      if (priceTiers.length) next.priceTiers = priceTiers;
+    }
+    if (get('bundleItems')) {
+      const bundleItems = productBundles.normalizeBundleItems(get('bundleItems'));
+      if (bundleItems.length) next.bundleItems = bundleItems;
+    }
+    if (get('weight') !== '') next.weight = Math.max(0, numberOr(get('weight'), 0));
     if (get('price') !== '') next.price = numberOr(get('price'), Number(next.price) || 0);
     if (get('stock') !== '') next.stock = numberOr(get('stock'), Number(next.stock) || 0);
     if (!variantId) {
+      // A blank schedule cell on a product row clears that field.
+      productSchedule.PUBLISH_FIELDS.concat(productSchedule.SALE_FIELDS).forEach((field) => {
+        if (idx(field) >= 0) next[field] = get(field);
+      });
+      productSchedule.normalizeScheduleFields(next, { timeZone });
       if (!next.name) {
         errors.push(`Row ${i + 1}: name_el/name_en required for base product row`);
         continue;
@@ -4071,9 +5797,15 @@ app.post('/admin/import/products', importUpload.single('file'), async (req, res)
       stock: get('variantStock') === '' ? 0 : numberOr(get('variantStock'), 0),
       imageUrl: get('variantImageUrl') || undefined
     };
+    productSchedule.SALE_FIELDS.forEach((field) => {
+      const column = 'variant' + field.charAt(0).toUpperCase() + field.slice(1);
+      if (idx(column) >= 0) variant[field] = get(column);
+    });
     const vIdx = next.variants.findIndex((v) => v.id === variantId);
-    if (vIdx >= 0) next.variants[vIdx] = { ...next.variants[vIdx], ...variant };
-    else next.variants.push(variant);
+    const merged = vIdx >= 0 ? { ...next.variants[vIdx], ...variant } : variant;
+    productSchedule.normalizeScheduleFields(merged, { variant: true, timeZone });
+    if (vIdx >= 0) next.variants[vIdx] = merged;
+    else next.variants.push(merged);
     variantsTouched += 1;
     map.set(productId, next);
   }
@@ -4099,19 +5831,36 @@ app.post('/admin/import/variants', importUpload.single('file'), async (req, res)
     }));
   }
   const products = loadTenantProducts(req);
+  const categories = loadTenantCategories(req);
+  const attrColumns = headers
+    .map((h, col) => ({ name: h.startsWith(VARIANT_CSV_ATTR_PREFIX) ? h.slice(VARIANT_CSV_ATTR_PREFIX.length).trim() : '', col }))
+    .filter((c) => c.name);
   let okRows = 0;
   const failRows = [];
   for (let i = 1; i < rows.length; i += 1) {
     const cols = rows[i];
     const get = (k) => String(cols[idx(k)] || '').trim();
     const productId = get('productId');
-    const variantName = get('variantName');
     const variantSku = get('variantSku');
-    if (!productId || !variantName) { failRows.push(`Row ${i + 1}: productId + variantName required`); continue; }
     const product = products.find((p) => p.id === productId);
+    const attributeDefs = product ? productAttributes.resolveAttributeDefinitions(product, categories) : [];
+    const attributes = productAttributes.normalizeVariantAttributes(
+      Object.fromEntries(attrColumns.map((c) => [c.name, cols[c.col]])),
+      attributeDefs
+    );
+    const hasAttributes = Object.keys(attributes).length > 0;
+    // A row with attributes but no name is labelled from them ("M / Μαύρο").
+    const variantName = get('variantName') || productAttributes.variantLabel(attributes, attributeDefs);
+    if (!productId || !variantName) { failRows.push(`Row ${i + 1}: productId + variantName required`); continue; }
     if (!product) { failRows.push(`Row ${i + 1}: product "${productId}" not found`); continue; }
     product.variants = Array.isArray(product.variants) ? product.variants : [];
-    const existingIdx = product.variants.findIndex((v) => (variantSku ? String(v.sku || '') === variantSku : resolveTranslatable(v.label, DEFAULT_CONTENT_LANG) === variantName));
+    let existingIdx = variantSku ? product.variants.findIndex((v) => String(v.sku || '') === variantSku) : -1;
+    if (existingIdx < 0 && hasAttributes) {
+      existingIdx = product.variants.indexOf(productAttributes.findVariantByAttributes(product.variants, attributes));
+    }
+    if (existingIdx < 0 && !variantSku) {
+      existingIdx = product.variants.findIndex((v) => resolveTranslatable(v.label, DEFAULT_CONTENT_LANG) === variantName);
+    }
     const price = Number(get('priceEUR'));
     const stock = Number(get('stock'));
     const nextVariant = {
@@ -4124,7 +5873,8 @@ app.post('/admin/import/variants', importUpload.single('file'), async (req, res)
       videoUrl: get('videoUrl') || undefined,
       contentDescription: get('videoDescription') || undefined
     };
-    if (existingIdx >= 0) product.variants[existingIdx] = { ...product.variants[existingIdx], ...nextVariant };
+    if (hasAttributes) nextVariant.attributes = attributes;
+    if (existingIdx >= 0) product.variants[existingIdx] = { ...product.variants[existingIdx], ...nextVariant, id: product.variants[existingIdx].id || nextVariant.id };
     else product.variants.push(nextVariant);
     okRows += 1;
   }
@@ -4270,14 +6020,80 @@ app.post('/admin/import/categories', importUpload.single('file'), async (req, re
   return res.render('admin', buildAdminViewModel(req, { message }));
 });
 
+// Pickup points (lib/pickup-points.js). The export doubles as the template:
+// edit it and import it back, merging by id or replacing the whole list.
+app.get('/admin/export/pickup-points.csv', (req, res) => {
+  const rows = pickupPoints.pickupPointsToCsvRows(loadTenantPickupPoints(req));
+  const esc = (value) => {
+    const v = String(value || '');
+    if (/[",\n]/.test(v)) return `"${v.replace(/"/g, '""')}"`;
+    return v;
+  };
+  const csv = rows.map((row) => row.map(esc).join(',')).join('\n');
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename=\"${req.tenant.id}-pickup-points.csv\"`);
+  res.send(csv);
+});
+
+app.post('/admin/import/pickup-points', importUpload.single('file'), async (req, res) => {
+  const permissions = getSupportPermissions(req.tenant.supportTier);
+  if (!permissions.canEditSettings) {
+    return res.status(403).render('admin', buildAdminViewModel(req, { error: 'Το πακέτο υποστήριξης δεν επιτρέπει αλλαγή μεταφορικών/πληρωμών.' }));
+  }
+  const auth = await verifyAdminAction(req, req.body.password);
+  if (!auth.ok) return res.status(401).render('admin', buildAdminViewModel(req, { error: 'Λάθος κωδικός διαχειριστή.' }));
+  if (!req.file) return res.status(400).render('admin', buildAdminViewModel(req, { error: 'Δεν ανέβηκε αρχείο CSV.' }));
+  if (path.extname(req.file.originalname || '').toLowerCase() !== '.csv') {
+    return res.status(400).render('admin', buildAdminViewModel(req, { error: 'Υποστηρίζεται μόνο CSV αρχείο.' }));
+  }
+
+  const rows = parseCsv(req.file.buffer.toString('utf8').replace(/^\uFEFF/, '')).filter((r) => r.some((c) => String(c || '').trim()));
+  const { points, errors } = pickupPoints.pickupPointsFromCsv(rows);
+  if (!points.length) {
+    return res.status(400).render('admin', buildAdminViewModel(req, {
+      error: `Δεν εισήχθη κανένα σημείο παραλαβής. ${errors.slice(0, 20).join(' | ')}`
+    }));
+  }
+  const mode = String(req.body.importMode || 'merge').toLowerCase() === 'replace' ? 'replace' : 'merge';
+  const byId = new Map((mode === 'replace' ? [] : loadTenantPickupPoints(req)).map((p) => [p.id, p]));
+  let created = 0;
+  points.forEach((point) => {
+    if (!byId.has(point.id)) created += 1;
+    byId.set(point.id, point);
+  });
+  saveTenantPickupPoints(req, Array.from(byId.values()));
+  console.log('[admin-shipping] pickup-points:import', JSON.stringify({
+    tenantId: req.tenant.id,
+    mode,
+    imported: points.length,
+    created,
+    failed: errors.length,
+    total: byId.size
+  }));
+
+  const message = `Σημεία παραλαβής: ${created} νέα, ${points.length - created} ενημερώσεις, σύνολο ${byId.size}.`;
+  if (errors.length) {
+    return res.render('admin', buildAdminViewModel(req, { message, error: `Προβλήματα γραμμών: ${errors.slice(0, 20).join(' | ')}` }));
+  }
+  return res.render('admin', buildAdminViewModel(req, { message }));
+});
+
 // Admin orders view
 app.get('/admin/orders', (req, res) => {
   try {
     const config = loadTenantConfig(req);
     const allOrders = loadTenantOrders(req);
-    const orders = allOrders.slice(-100).reverse().map((order) => normalizeOrderForFulfillment(order));
+    const orders = allOrders.slice(-100).reverse().map((order) => ({
+      ...normalizeOrderForFulfillment(order),
+      statusOptions: orderStatus.nextOrderStatuses(normalizeFulfillmentStatus(order)),
+      invoiceAvailable: orderDocuments.isInvoiceable({ ...order, fulfillmentStatus: normalizeFulfillmentStatus(order) }),
+      refundableLines: orderRefunds.getRefundableLines(order),
+      refundedTotal: orderRefunds.getRefundedTotal(order)
+    }));
     const message = typeof req.query.message === 'string' ? String(req.query.message) : null;
     const error = typeof req.query.error === 'string' ? String(req.query.error) : null;
+    const bulkResults = req.session && req.session.orderBulkResults ? req.session.orderBulkResults : null;
+    if (bulkResults) delete req.session.orderBulkResults;
     console.log('[admin-orders] render', JSON.stringify({
       tenantId: req.tenant && req.tenant.id,
       count: orders.length
@@ -4286,6 +6102,8 @@ app.get('/admin/orders', (req, res) => {
       tenant: req.tenant,
       config,
       orders,
+      bulkResults,
+      couriers: couriers.enabledCouriers(config),
       permissions: getSupportPermissions(req.tenant.supportTier),
       message,
       error
@@ -4345,57 +6163,723 @@ app.post('/admin/orders/tracking', async (req, res) => {
   const trackingNumber = String(req.body.trackingNumber || '').trim();
   const trackingCarrier = String(req.body.trackingCarrier || '').trim().toLowerCase();
   const fulfillmentStatus = String(req.body.fulfillmentStatus || '').trim().toLowerCase();
-  const allowedStatuses = new Set(['pending_payment', 'cod_pending', 'ready_to_ship', 'shipped', 'delivered', 'cancelled', 'issue']);
+  const note = String(req.body.statusNote || '').trim();
 
   if (!orderId) {
     return res.redirect(buildTenantLink(req, '/admin/orders', { error: 'Order ID is required.' }));
   }
 
-  const orders = loadTenantOrders(req);
-  const idx = orders.findIndex((o) => o.id === orderId);
-  if (idx < 0) {
+  let statusResult = null;
+  const next = updateTenantOrder(req, orderId, (order) => {
+    order.fulfillmentStatus = normalizeFulfillmentStatus(order);
+    statusResult = orderStatus.recordOrderStatus(order, fulfillmentStatus || order.fulfillmentStatus, {
+      actor: 'admin',
+      note,
+      customerVisible: req.body.noteVisible === 'on'
+    });
+    if (!statusResult.ok) return order;
+    order.trackingNumber = trackingNumber;
+    order.trackingCarrier = trackingCarrier;
+    order.trackingUrl = deriveTrackingUrl(trackingCarrier, trackingNumber);
+    return order;
+  });
+  if (!next) {
     return res.redirect(buildTenantLink(req, '/admin/orders', { error: 'Order not found.' }));
   }
+  if (!statusResult.ok) {
+    return res.redirect(buildTenantLink(req, '/admin/orders', {
+      error: `Δεν επιτρέπεται η αλλαγή κατάστασης σε «${fulfillmentStatus}».`
+    }));
+  }
+
+  if (statusResult.changed && next.fulfillmentStatus === 'cancelled') {
+    updatePromotionRedemptions(req, (r) => r.orderId === orderId, 'void', 'order_cancelled');
+    if (next.couponCode) updateCouponRedemptions(req, (r) => r.orderId === orderId, 'void', 'order_cancelled');
+  }
+
+  if (next.trackingNumber) {
+    try {
+      await sendTrackingUpdateEmail({
+        tenant: req.tenant,
+        config: loadTenantConfig(req),
+        order: next
+      });
+    } catch (err) {
+      console.error('[admin-orders] tracking-email:failed', err && err.message ? err.message : err);
+    }
+  }
+
+  console.log('[admin-orders] tracking-save', JSON.stringify({
+    tenantId: req.tenant && req.tenant.id,
+    orderId,
+    trackingNumber: !!trackingNumber,
+    trackingCarrier,
+    fulfillmentStatus: next.fulfillmentStatus,
+    statusChanged: statusResult.changed
+  }));
+  fireVASync(req.tenant.id, 'order.status_changed', {
+    order_number: orderId,
+    status: next.fulfillmentStatus,
+    tracking_number: trackingNumber || undefined,
+  });
+  return res.redirect(buildTenantLink(req, '/admin/orders', { message: 'Tracking ενημερώθηκε.' }));
+});
+
+// Bulk actions on the orders selected in admin-orders.ejs. Status changes run
+// under one orders lock and go through the order state machine, so each order
+// reports its own result; the VA gets one order.status_changed batch.
+const BULK_ORDER_STATUS = { ship: 'shipped', deliver: 'delivered', cancel: 'cancelled' };
+const BULK_ORDER_LIMIT = 200;
+
+app.post('/admin/orders/bulk', async (req, res) => {
+  const auth = await verifyAdminAction(req, req.body.password);
+  if (!auth.ok) {
+    return res.redirect(buildTenantLink(req, '/admin/orders', { error: 'Λάθος κωδικός διαχειριστή.' }));
+  }
+
+  const action = String(req.body.action || '').trim();
+  const orderIds = Array.from(new Set([].concat(req.body.orderIds || []).map((id) => String(id).trim()).filter(Boolean)));
+  if (!orderIds.length) {
+    return res.redirect(buildTenantLink(req, '/admin/orders', { error: 'Επιλέξτε τουλάχιστον μία παραγγελία.' }));
+  }
+  if (orderIds.length > BULK_ORDER_LIMIT) {
+    return res.redirect(buildTenantLink(req, '/admin/orders', { error: `Έως ${BULK_ORDER_LIMIT} παραγγελίες ανά ενέργεια.` }));
+  }
+
+  if (action === 'csv' || action === 'packing_slips') {
+    const wanted = new Set(orderIds);
+    const selected = loadTenantOrders(req).filter((o) => o && wanted.has(o.id));
+    console.log('[admin-orders] bulk', JSON.stringify({ tenantId: req.tenant.id, action, count: selected.length }));
+    if (action === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${req.tenant.id}-orders-selected.csv"`);
+      return res.send(buildOrdersCsv(selected));
+    }
+    return res.render('packing-slips', {
+      config: loadTenantConfig(req),
+      tenant: req.tenant,
+      orders: selected.map((o) => normalizeOrderForFulfillment(o))
+    });
+  }
+
+  const to = BULK_ORDER_STATUS[action];
+  if (!to) {
+    return res.redirect(buildTenantLink(req, '/admin/orders', { error: 'Άγνωστη ενέργεια.' }));
+  }
+
+  const note = String(req.body.statusNote || '').trim();
+  const results = [];
+  tenantStore.update(req.tenant.id, 'orders', [], (orders) => {
+    const list = Array.isArray(orders) ? orders : [];
+    orderIds.forEach((orderId) => {
+      const order = list.find((o) => o && o.id === orderId);
+      if (!order) {
+        results.push({ orderId, ok: false, error: 'not_found' });
+        return;
+      }
+      const from = normalizeFulfillmentStatus(order);
+      order.fulfillmentStatus = from;
+      const outcome = orderStatus.recordOrderStatus(order, to, {
+        actor: 'admin',
+        note,
+        customerVisible: req.body.noteVisible === 'on'
+      });
+      results.push(outcome.ok
+        ? { orderId, ok: true, from, status: order.fulfillmentStatus, changed: outcome.changed }
+        : { orderId, ok: false, from, error: outcome.error });
+    });
+    return list;
+  });
+
+  const changed = results.filter((r) => r.ok && r.changed);
+  const cancelledIds = new Set(changed.filter((r) => r.status === 'cancelled').map((r) => r.orderId));
+  if (cancelledIds.size) {
+    updatePromotionRedemptions(req, (r) => cancelledIds.has(r.orderId), 'void', 'order_cancelled');
+    updateCouponRedemptions(req, (r) => cancelledIds.has(r.orderId), 'void', 'order_cancelled');
+  }
+  console.log('[admin-orders] bulk', JSON.stringify({
+    tenantId: req.tenant.id,
+    action,
+    requested: orderIds.length,
+    changed: changed.length,
+    failed: results.filter((r) => !r.ok).length
+  }));
+  if (changed.length) {
+    fireVASync(req.tenant.id, 'order.status_changed', {
+      batch: true,
+      orders: changed.map((r) => ({ order_number: r.orderId, status: r.status, previous_status: r.from }))
+    });
+  }
+  if (req.session) req.session.orderBulkResults = { action, status: to, results };
+  return res.redirect(buildTenantLink(req, '/admin/orders', {
+    message: `${changed.length}/${orderIds.length} παραγγελίες ενημερώθηκαν σε «${to}».`
+  }));
+});
+
+const REFUND_ERRORS = {
+  already_refunded: 'Η παραγγελία έχει ήδη επιστραφεί πλήρως.',
+  quantity_exceeds_remaining: 'Η ποσότητα ξεπερνά ό,τι απομένει προς επιστροφή.',
+  nothing_selected: 'Επιλέξτε τουλάχιστον ένα είδος ή τα μεταφορικά.'
+};
+
+/**
+ * Refund (part of) a Stripe-paid order through the tenant's Stripe account and
+ * book everything that follows from it: the refund entry on the order, the
+ * payment status, optional restock, ledger reversals and the customer email.
+ *
+ * @param {object} req
+ * @param {object} config  - tenant config
+ * @param {string} orderId
+ * @param {object} request - { type: 'full'|'partial', quantities, includeShipping, restock, reason, returnId }
+ * @returns {Promise<{ ok: true, order: object, refund: object } | { ok: false, error: string }>}
+ */
+async function refundOrder(req, config, orderId, request) {
+  const stripe = stripeForTenant(config);
+  if (!stripe) return { ok: false, error: 'Το Stripe δεν είναι ρυθμισμένο για αυτό το κατάστημα.' };
+
+  // Claim the refund as 'pending' first so concurrent refunds cannot overspend.
+  const refundId = `rf_${Date.now().toString(36)}_${crypto.randomBytes(3).toString('hex')}`;
+  let planError = 'Order not found.';
+  let refund = null;
+  const claimed = updateTenantOrder(req, orderId, (order) => {
+    if (!order.stripeSessionId || !['PAID', 'PARTIALLY_REFUNDED'].includes(order.paymentStatus)) {
+      planError = 'Επιστροφή χρημάτων γίνεται μόνο σε πληρωμένες παραγγελίες Stripe.';
+      return order;
+    }
+    const planned = orderRefunds.planRefund(order, request);
+    if (!planned.ok) {
+      planError = REFUND_ERRORS[planned.error] || planned.error;
+      return order;
+    }
+    refund = {
+      id: refundId,
+      status: 'pending',
+      ...planned.plan,
+      currency: order.currency || currencies.DEFAULT_BASE_CURRENCY,
+      restock: !!request.restock,
+      reason: String(request.reason || '').trim().slice(0, 300),
+      ...(request.returnId ? { returnId: request.returnId } : {}),
+      createdAt: new Date().toISOString()
+    };
+    order.refunds = (Array.isArray(order.refunds) ? order.refunds : []).concat(refund);
+    return order;
+  });
+  if (!claimed || !refund) return { ok: false, error: planError };
+
+  let stripeRefund = null;
+  try {
+    const session = await stripe.checkout.sessions.retrieve(claimed.stripeSessionId);
+    const paymentIntent = session && (typeof session.payment_intent === 'string'
+      ? session.payment_intent
+      : session.payment_intent && session.payment_intent.id);
+    if (!paymentIntent) throw new Error('Stripe session has no payment intent');
+    stripeRefund = await stripe.refunds.create({
+      payment_intent: paymentIntent,
+      amount: currencies.toMinorUnits(refund.amount, refund.currency),
+      reason: 'requested_by_customer',
+      metadata: { tenantId: req.tenant.id, orderId, refundId }
+    }, { idempotencyKey: refundId });
+  } catch (err) {
+    console.error('[admin-orders] refund:stripe-failed', JSON.stringify({ tenantId: req.tenant.id, orderId, refundId, error: err.message }));
+    updateTenantOrder(req, orderId, (order) => {
+      order.refunds = (order.refunds || []).map((r) => (r.id === refundId
+        ? { ...r, status: 'failed', error: String(err.message || err).slice(0, 300), completedAt: new Date().toISOString() }
+        : r));
+      return order;
+    });
+    return { ok: false, error: `Η επιστροφή απέτυχε στο Stripe: ${err.message}` };
+  }
+
+  const order = updateTenantOrder(req, orderId, (stored) => {
+    stored.refunds = (stored.refunds || []).map((r) => (r.id === refundId
+      ? { ...r, status: 'succeeded', stripeRefundId: stripeRefund.id, completedAt: new Date().toISOString() }
+      : r));
+    stored.refundedTotal = orderRefunds.getRefundedTotal(stored);
+    stored.paymentStatus = orderRefunds.refundPaymentStatus(stored);
+    return stored;
+  });
+  const completed = order.refunds.find((r) => r.id === refundId);
+
+  if (completed.restock && completed.lines.length) {
+    restockForOrder(req, order, completed.lines.map((line) => ({
+      ...order.items[line.index],
+      qty: line.qty
+    })), 'refund');
+  }
+  reverseFinancialLedgerEntries(req, order, completed);
+
+  try {
+    await sendRefundEmail({ tenant: req.tenant, config, order, refund: completed });
+  } catch (err) {
+    console.error('[admin-orders] refund-email:failed', err && err.message ? err.message : err);
+  }
+
+  console.log('[admin-orders] refund', JSON.stringify({
+    tenantId: req.tenant.id,
+    orderId,
+    refundId,
+    type: completed.type,
+    amount: completed.amount,
+    restocked: completed.restock,
+    paymentStatus: order.paymentStatus
+  }));
+  return { ok: true, order, refund: completed };
+}
+
+app.post('/admin/orders/refund', async (req, res) => {
+  const auth = await verifyAdminAction(req, req.body.password);
+  if (!auth.ok) {
+    return res.redirect(buildTenantLink(req, '/admin/orders', { error: 'Λάθος κωδικός διαχειριστή.' }));
+  }
+
+  const orderId = String(req.body.orderId || '').trim();
+  const quantities = {};
+  Object.keys(req.body).forEach((key) => {
+    const match = /^qty_(\d+)$/.exec(key);
+    if (match) quantities[match[1]] = req.body[key];
+  });
+  const result = await refundOrder(req, loadTenantConfig(req), orderId, {
+    type: req.body.refundType === 'full' ? 'full' : 'partial',
+    quantities,
+    includeShipping: req.body.includeShipping === 'on',
+    restock: req.body.restock === 'on',
+    reason: req.body.reason
+  });
+  if (!result.ok) {
+    return res.redirect(buildTenantLink(req, '/admin/orders', { error: result.error }));
+  }
+
+  const { order, refund } = result;
+  fireVASync(req.tenant.id, 'order.status_changed', {
+    order_number: orderId,
+    status: order.fulfillmentStatus,
+    payment_status: order.paymentStatus,
+    refund_amount: refund.amount
+  });
+  return res.redirect(buildTenantLink(req, '/admin/orders', {
+    message: `Επιστράφηκαν ${refund.amount.toFixed(2)} ${refund.currency}.`
+  }));
+});
+
+// ── Courier shipments ───────────────────────────────────────────────────────
+
+// Carriers are called at their production endpoints. THRC_COURIER_BASE_URL
+// (operator only, e.g. tests/mock-courier-server.js) redirects all of them.
+const COURIER_BASE_URL = String(process.env.THRC_COURIER_BASE_URL || '').trim();
+
+function courierClient(config, courierId) {
+  return couriers.createCourierClient(config, courierId, { baseUrl: COURIER_BASE_URL });
+}
+
+// A 'creating' placeholder marks a voucher request in flight. One left
+// behind by a crashed request is given up after a few carrier timeouts.
+const SHIPMENT_CLAIM_TTL_MS = 4 * couriers.REQUEST_TIMEOUT_MS;
+
+function isStaleShipmentClaim(shipment) {
+  return shipment.state === 'creating'
+    && !(Date.now() - Date.parse(shipment.createdAt) < SHIPMENT_CLAIM_TTL_MS);
+}
+
+/**
+ * Ask the carrier where an order's shipment is and bring the order up to
+ * date: tracking events, courier state and, when the state implies one, the
+ * fulfillment status. A delivery reported for an order nobody marked shipped
+ * passes through shipped, so the history stays a valid walk of the state
+ * machine.
+ *
+ * @returns {Promise<{ order: object, state: string, statusChanged: boolean }|null>}
+ *          null when the order has no voucher (yet).
+ */
+async function syncCourierTracking(req, orderId) {
+  const current = loadTenantOrders(req).find((o) => o && o.id === orderId);
+  if (!current || !current.shipment || !current.shipment.trackingNumber) return null;
+  const config = loadTenantConfig(req);
+  const tracking = await courierClient(config, current.shipment.carrier)
+    .fetchTracking(current.shipment.trackingNumber);
+
+  let from = '';
+  let previousState = '';
+  const order = updateTenantOrder(req, orderId, (o) => {
+    previousState = (o.shipment && o.shipment.state) || '';
+    o.shipment = { ...o.shipment, state: tracking.state, events: tracking.events, checkedAt: new Date().toISOString() };
+    from = normalizeFulfillmentStatus(o);
+    const target = couriers.fulfillmentStatusFor(tracking.state);
+    if (!target || target === from) return o;
+    o.fulfillmentStatus = from;
+    const details = { actor: 'courier', customerVisible: true };
+    if (!orderStatus.recordOrderStatus(o, target, details).ok && target === 'delivered'
+      && orderStatus.canTransitionOrder(from, 'shipped')) {
+      orderStatus.recordOrderStatus(o, 'shipped', details);
+      orderStatus.recordOrderStatus(o, target, details);
+    }
+    return o;
+  });
+  if (!order) return null;
+
+  const statusChanged = order.fulfillmentStatus !== from;
+  if (tracking.state !== previousState) {
+    console.log('[couriers] tracking', JSON.stringify({
+      tenantId: req.tenant.id,
+      orderId,
+      carrier: order.shipment.carrier,
+      state: tracking.state,
+      fulfillmentStatus: order.fulfillmentStatus,
+      statusChanged
+    }));
+  }
+  if (statusChanged) {
+    if (order.fulfillmentStatus !== 'issue') {
+      try {
+        await sendTrackingUpdateEmail({ tenant: req.tenant, config, order });
+      } catch (err) {
+        console.error('[couriers] tracking-email:failed', err && err.message ? err.message : err);
+      }
+    }
+    fireVASync(req.tenant.id, 'order.status_changed', {
+      order_number: orderId,
+      status: order.fulfillmentStatus,
+      previous_status: from,
+      tracking_number: order.trackingNumber || undefined
+    });
+  }
+  return { order, state: tracking.state, statusChanged };
+}
+
+app.post('/admin/orders/:orderId/shipment', async (req, res) => {
+  const auth = await verifyAdminAction(req, req.body.password);
+  if (!auth.ok) {
+    return res.redirect(buildTenantLink(req, '/admin/orders', { error: 'Λάθος κωδικός διαχειριστή.' }));
+  }
+
+  const orderId = String(req.params.orderId || '').trim();
+  const courierId = String(req.body.courier || '').trim().toLowerCase();
+
+  // Claim the order with a 'creating' placeholder first, so two submits
+  // cannot both ask the carrier for a voucher.
+  let claimError = 'Order not found.';
+  let claimedAt = '';
+  const order = updateTenantOrder(req, orderId, (o) => {
+    if (o.shipment && !isStaleShipmentClaim(o.shipment)) {
+      claimError = o.shipment.state === 'creating'
+        ? 'Η έκδοση voucher για την παραγγελία είναι ήδη σε εξέλιξη.'
+        : 'Η παραγγελία έχει ήδη voucher.';
+      return o;
+    }
+    if (['delivered', 'cancelled'].includes(normalizeFulfillmentStatus(o))) {
+      claimError = 'Δεν εκδίδεται voucher για παραδομένη ή ακυρωμένη παραγγελία.';
+      return o;
+    }
+    claimedAt = new Date().toISOString();
+    o.shipment = { carrier: courierId, state: 'creating', createdAt: claimedAt };
+    return o;
+  });
+  if (!order || !claimedAt) {
+    return res.redirect(buildTenantLink(req, '/admin/orders', { error: claimError }));
+  }
+
+  let created;
+  try {
+    created = await courierClient(loadTenantConfig(req), courierId)
+      .createShipment(couriers.buildShipment(order));
+  } catch (err) {
+    console.error('[couriers] shipment:failed', JSON.stringify({
+      tenantId: req.tenant.id,
+      orderId,
+      carrier: courierId,
+      error: err && err.message ? err.message : String(err)
+    }));
+    updateTenantOrder(req, orderId, (o) => {
+      if (o.shipment && o.shipment.state === 'creating' && o.shipment.createdAt === claimedAt) delete o.shipment;
+      return o;
+    });
+    return res.redirect(buildTenantLink(req, '/admin/orders', {
+      error: `Αποτυχία έκδοσης voucher: ${err && err.message ? err.message : err}`
+    }));
+  }
+
+  updateTenantOrder(req, orderId, (o) => {
+    o.shipment = {
+      carrier: courierId,
+      trackingNumber: created.trackingNumber,
+      carrierRef: created.carrierRef || '',
+      createdAt: new Date().toISOString(),
+      state: 'created',
+      events: []
+    };
+    o.trackingCarrier = courierId;
+    o.trackingNumber = created.trackingNumber;
+    o.trackingUrl = deriveTrackingUrl(courierId, created.trackingNumber);
+    return o;
+  });
+  console.log('[admin-orders] shipment-create', JSON.stringify({
+    tenantId: req.tenant.id,
+    orderId,
+    carrier: courierId,
+    trackingNumber: created.trackingNumber
+  }));
+  return res.redirect(buildTenantLink(req, '/admin/orders', {
+    message: `Εκδόθηκε voucher ${created.trackingNumber}.`
+  }));
+});
+
+app.get('/admin/orders/:orderId/label.pdf', async (req, res) => {
+  const order = loadTenantOrders(req).find((o) => o && o.id === req.params.orderId);
+  if (!order || !order.shipment || !order.shipment.trackingNumber) {
+    return res.redirect(buildTenantLink(req, '/admin/orders', { error: 'Η παραγγελία δεν έχει voucher.' }));
+  }
+  try {
+    const content = await courierClient(loadTenantConfig(req), order.shipment.carrier)
+      .fetchLabel(order.shipment.trackingNumber);
+    return sendPdf(res, { filename: `label-${order.shipment.trackingNumber}.pdf`, content });
+  } catch (err) {
+    console.error('[couriers] label:failed', JSON.stringify({
+      tenantId: req.tenant.id,
+      orderId: order.id,
+      error: err && err.message ? err.message : String(err)
+    }));
+    return res.redirect(buildTenantLink(req, '/admin/orders', {
+      error: `Αποτυχία λήψης ετικέτας: ${err && err.message ? err.message : err}`
+    }));
+  }
+});
+
+app.post('/admin/orders/:orderId/shipment/refresh', async (req, res) => {
+  const auth = await verifyAdminAction(req, req.body.password);
+  if (!auth.ok) {
+    return res.redirect(buildTenantLink(req, '/admin/orders', { error: 'Λάθος κωδικός διαχειριστή.' }));
+  }
+  try {
+    const result = await syncCourierTracking(req, String(req.params.orderId || '').trim());
+    if (!result) {
+      return res.redirect(buildTenantLink(req, '/admin/orders', { error: 'Η παραγγελία δεν έχει voucher.' }));
+    }
+    return res.redirect(buildTenantLink(req, '/admin/orders', {
+      message: `Κατάσταση αποστολής: ${result.state} · παραγγελία: ${result.order.fulfillmentStatus}.`
+    }));
+  } catch (err) {
+    return res.redirect(buildTenantLink(req, '/admin/orders', {
+      error: `Αποτυχία ενημέρωσης tracking: ${err && err.message ? err.message : err}`
+    }));
+  }
+});
+
+// ── Order documents (invoices, packing slips) ────────────────────────────────
+
+app.get('/admin/orders/:orderId/:document', async (req, res, next) => {
+  const kind = ORDER_DOCUMENT_KINDS[req.params.document];
+  if (!kind) return next();
+  try {
+    const document = await renderOrderDocument(req, loadTenantConfig(req), req.params.orderId, kind, req.lang);
+    if (!document) {
+      return res.redirect(buildTenantLink(req, '/admin/orders', {
+        error: orderDocuments.isPdfAvailable()
+          ? 'Δεν μπορεί να εκδοθεί παραστατικό για αυτή την παραγγελία.'
+          : 'Η δημιουργία PDF δεν είναι διαθέσιμη (λείπει το pdfkit).'
+      }));
+    }
+    return sendPdf(res, document);
+  } catch (err) {
+    console.error('[invoices] render failed', err && err.stack ? err.stack : String(err));
+    return res.redirect(buildTenantLink(req, '/admin/orders', { error: 'Αποτυχία δημιουργίας PDF.' }));
+  }
+});
+
+// ── Returns (RMA) – admin side ───────────────────────────────────────────────
+
+app.get('/admin/returns', (req, res) => {
+  try {
+    const config = loadTenantConfig(req);
+    const ordersById = new Map(loadTenantOrders(req).map((o) => [o.id, o]));
+    const statusFilter = String(req.query.status || '').trim();
+    const returns = loadTenantReturns(req)
+      .filter((r) => !statusFilter || r.status === statusFilter)
+      .slice()
+      .reverse()
+      .map((r) => {
+        const order = ordersById.get(r.orderId) || null;
+        return {
+          ...r,
+          order,
+          refundable: !!(order && order.stripeSessionId && ['PAID', 'PARTIALLY_REFUNDED'].includes(order.paymentStatus))
+        };
+      });
+    res.render('admin-returns', {
+      tenant: req.tenant,
+      config,
+      returns,
+      statusFilter,
+      statuses: Object.keys(orderReturns.RETURN_TRANSITIONS),
+      message: typeof req.query.message === 'string' ? req.query.message : null,
+      error: typeof req.query.error === 'string' ? req.query.error : null
+    });
+  } catch (err) {
+    console.error('[admin-returns] render failed:', err && err.stack ? err.stack : String(err));
+    res.status(500).send('<p>Admin returns page temporarily unavailable. <a href="javascript:history.back()">Go back</a></p>');
+  }
+});
+
+const RETURN_ACTIONS = { approve: 'approved', reject: 'rejected', receive: 'received', refund: 'refunded' };
+
+app.post('/admin/returns/:returnId/status', async (req, res) => {
+  const back = (query) => res.redirect(buildTenantLink(req, '/admin/returns', query));
+  const auth = await verifyAdminAction(req, req.body.password);
+  if (!auth.ok) return back({ error: 'Λάθος κωδικός διαχειριστή.' });
+
+  const returnId = String(req.params.returnId || '').trim();
+  const to = RETURN_ACTIONS[String(req.body.action || '').trim()];
+  if (!to) return back({ error: 'Μη έγκυρη ενέργεια.' });
+  const note = String(req.body.note || '');
+
+  // Move the status under the returns lock first, so a double submit cannot
+  // restock or refund twice.
+  const moved = updateTenantReturn(req, returnId, (rma) => {
+    const result = orderReturns.applyReturnTransition(rma, to, { actor: 'admin', note });
+    return result.ok ? { ...rma } : result;
+  });
+  if (!moved) return back({ error: 'Το αίτημα επιστροφής δεν βρέθηκε.' });
+  if (moved.ok === false) return back({ error: 'Η αλλαγή κατάστασης δεν επιτρέπεται.' });
+
+  const order = loadTenantOrders(req).find((o) => o.id === moved.orderId);
+  if (to === 'received' && order && req.body.restock === 'on') {
+    restockForOrder(req, order, moved.lines.map((line) => ({ ...order.items[line.index], qty: line.qty })), 'return');
+    updateTenantReturn(req, returnId, (rma) => { rma.restocked = true; return rma; });
+  }
+  if (to === 'refunded' && order && order.stripeSessionId) {
+    const quantities = {};
+    moved.lines.forEach((line) => { quantities[line.index] = line.qty; });
+    const refunded = await refundOrder(req, loadTenantConfig(req), order.id, {
+      type: 'partial',
+      quantities,
+      restock: false,
+      reason: `RMA ${returnId}`,
+      returnId
+    });
+    if (!refunded.ok) {
+      // Put the return back so the refund can be retried.
+      updateTenantReturn(req, returnId, (rma) => {
+        rma.status = 'received';
+        rma.history = (rma.history || []).concat({ status: 'received', at: new Date().toISOString(), actor: 'system', note: refunded.error });
+        return rma;
+      });
+      return back({ error: refunded.error });
+    }
+    updateTenantReturn(req, returnId, (rma) => {
+      rma.refundId = refunded.refund.id;
+      rma.refundAmount = refunded.refund.amount;
+      return rma;
+    });
+  }
+
+  console.log('[admin-returns] status', JSON.stringify({ tenantId: req.tenant.id, returnId, orderId: moved.orderId, status: to }));
+  fireVASync(req.tenant.id, 'order.status_changed', {
+    order_number: moved.orderId,
+    status: `return_${to}`,
+    return_id: returnId,
+    note: note || undefined,
+    items: moved.lines.map((l) => ({ sku: l.productId, name: l.name, quantity: l.qty }))
+  });
+  return back({ message: `Επιστροφή ${returnId}: ${to}.` });
+});
+
+// ── Promotions – admin side ─────────────────────────────────────────────────
+
+app.get('/admin/promotions', (req, res) => {
+  try {
+    const config = loadTenantConfig(req);
+    const usage = promotionsEngine.countPromotionUsage(loadTenantPromotionRedemptions(req));
+    const now = Date.now();
+    const promotions = (Array.isArray(config.promotions) ? config.promotions : [])
+      .map(promotionsEngine.normalizePromotion)
+      .sort((a, b) => b.priority - a.priority)
+      .map((promo) => ({ ...promo, used: usage.total[promo.id] || 0, live: promotionsEngine.isPromotionLive(promo, now) }));
+    res.render('admin-promotions', {
+      tenant: req.tenant,
+      config,
+      promotions,
+      blankPromotion: promotionsEngine.normalizePromotion({}),
+      types: promotionsEngine.PROMOTION_TYPES,
+      categories: loadTenantCategories(req),
+      baseCurrency: currencies.resolveCurrencySettings(config).base,
+      message: typeof req.query.message === 'string' ? req.query.message : null,
+      error: typeof req.query.error === 'string' ? req.query.error : null
+    });
+  } catch (err) {
+    console.error('[admin-promotions] render failed:', err && err.stack ? err.stack : String(err));
+    res.status(500).send('<p>Admin promotions page temporarily unavailable. <a href="javascript:history.back()">Go back</a></p>');
+  }
+});
 
+app.post('/admin/promotions', async (req, res) => {
+  const back = (query) => res.redirect(buildTenantLink(req, '/admin/promotions', query));
+  const permissions = getSupportPermissions(req.tenant.supportTier);
+  if (!permissions.canEditSettings) return back({ error: 'Το πακέτο υποστήριξης δεν επιτρέπει αλλαγή προσφορών.' });
+  const auth = await verifyAdminAction(req, req.body.password);
+  if (!auth.ok) return back({ error: 'Λάθος κωδικός διαχειριστή.' });
+
+  const body = req.body;
+  const config = loadTenantConfig(req);
+  // Names in Greek leave nothing for the id, so new promotions get a generated one.
+  const promotionId = promotionsEngine.normalizePromotionId(body.id || body.name)
+    || `promo-${Date.now().toString(36)}${crypto.randomBytes(2).toString('hex')}`;
+  const promotion = promotionsEngine.normalizePromotion({
+    id: promotionId,
+    name: body.name,
+    active: body.active === '1',
+    type: body.type,
+    value: body.value,
+    scope: {
+      productIds: body.productIds,
+      categoryIds: [].concat(body.categoryIds || []),
+      variantIds: body.variantIds
+    },
+    minSubtotal: body.minSubtotal,
+    minQty: body.minQty,
+    buyQty: body.buyQty,
+    getQty: body.getQty,
+    getPercent: body.getPercent,
+    startsAt: body.startsAt,
+    endsAt: body.endsAt,
+    usageLimit: body.usageLimit,
+    perCustomerLimit: body.perCustomerLimit,
+    stackable: body.stackable === '1',
+    combinesWithCoupons: body.combinesWithCoupons === '1',
+    priority: body.priority
+  }, { timeZone: tenantTime.resolveTimeZone(config) });
+  if (!promotion.id || !promotion.name) return back({ error: 'Δώστε όνομα προσφοράς.' });
+  if (promotion.type !== 'free_shipping' && promotion.type !== 'buy_x_get_y' && !(promotion.value > 0)) {
+    return back({ error: 'Η αξία της έκπτωσης πρέπει να είναι μεγαλύτερη από 0.' });
+  }
+  if (promotion.startsAt && promotion.endsAt && Date.parse(promotion.endsAt) < Date.parse(promotion.startsAt)) {
+    return back({ error: 'Η λήξη δεν μπορεί να είναι πριν από την έναρξη.' });
+  }
+
+  const list = Array.isArray(config.promotions) ? config.promotions.slice() : [];
+  const idx = list.findIndex((p) => p && promotionsEngine.normalizePromotionId(p.id) === promotion.id);
   const now = new Date().toISOString();
-  const next = { ...orders[idx] };
-  next.trackingNumber = trackingNumber;
-  next.trackingCarrier = trackingCarrier;
-  next.trackingUrl = deriveTrackingUrl(trackingCarrier, trackingNumber);
-  next.fulfillmentStatus = allowedStatuses.has(fulfillmentStatus)
-    ? fulfillmentStatus
-    : normalizeFulfillmentStatus(next);
-  if (next.fulfillmentStatus === 'shipped' && !next.shippedAt) next.shippedAt = now;
-  if (next.fulfillmentStatus === 'delivered' && !next.deliveredAt) next.deliveredAt = now;
-
-  orders[idx] = next;
-  saveJson(req.tenantPaths.orders, orders);
+  if (idx >= 0) list[idx] = { ...promotion, createdAt: list[idx].createdAt || now, updatedAt: now };
+  else list.push({ ...promotion, createdAt: now, updatedAt: now });
+  config.promotions = list;
+  saveTenantConfig(req, config);
+  console.log('[admin-promotions] save', JSON.stringify({ tenantId: req.tenant.id, promotionId: promotion.id, type: promotion.type, active: promotion.active }));
+  return back({ message: `Η προσφορά ${promotion.name} αποθηκεύτηκε.` });
+});
 
-  if (next.trackingNumber) {
-    try {
-      await sendTrackingUpdateEmail({
-        tenant: req.tenant,
-        config: loadTenantConfig(req),
-        order: next
-      });
-    } catch (err) {
-      console.error('[admin-orders] tracking-email:failed', err && err.message ? err.message : err);
-    }
-  }
+app.post('/admin/promotions/:promotionId/delete', async (req, res) => {
+  const back = (query) => res.redirect(buildTenantLink(req, '/admin/promotions', query));
+  const permissions = getSupportPermissions(req.tenant.supportTier);
+  if (!permissions.canEditSettings) return back({ error: 'Το πακέτο υποστήριξης δεν επιτρέπει αλλαγή προσφορών.' });
+  const auth = await verifyAdminAction(req, req.body.password);
+  if (!auth.ok) return back({ error: 'Λάθος κωδικός διαχειριστή.' });
 
-  console.log('[admin-orders] tracking-save', JSON.stringify({
-    tenantId: req.tenant && req.tenant.id,
-    orderId,
-    trackingNumber: !!trackingNumber,
-    trackingCarrier,
-    fulfillmentStatus: next.fulfillmentStatus
-  }));
-  fireVASync(req.tenant.id, 'order.status_changed', {
-    order_number: orderId,
-    status: next.fulfillmentStatus,
-    tracking_number: trackingNumber || undefined,
-  });
-  return res.redirect(buildTenantLink(req, '/admin/orders', { message: 'Tracking ενημερώθηκε.' }));
+  const promotionId = promotionsEngine.normalizePromotionId(req.params.promotionId);
+  const config = loadTenantConfig(req);
+  const list = Array.isArray(config.promotions) ? config.promotions : [];
+  const next = list.filter((p) => !p || promotionsEngine.normalizePromotionId(p.id) !== promotionId);
+  if (next.length === list.length) return back({ error: 'Η προσφορά δεν βρέθηκε.' });
+  config.promotions = next;
+  saveTenantConfig(req, config);
+  console.log('[admin-promotions] delete', JSON.stringify({ tenantId: req.tenant.id, promotionId }));
+  return back({ message: 'Η προσφορά διαγράφηκε.' });
 });
 
 app.post('/admin/settings', async (req, res) => {
@@ -4528,6 +7012,9 @@ app.post('/admin/settings', async (req, res) => {
   config.heroTitle = buildTranslatableFromBody(req.body, 'heroTitle', heroTitle || config.heroTitle || config.storeName);
   config.heroSubtitle = buildTranslatableFromBody(req.body, 'heroSubtitle', heroSubtitle || config.heroSubtitle || config.heroText);
   config.web3Domain = web3Domain || config.web3Domain;
+  if (hasBodyField(req.body, 'timeZone')) {
+    config.timeZone = tenantTime.resolveTimeZone({ timeZone: req.body.timeZone });
+  }
   config.logoPath = normalizeMediaPath(hasBodyField(req.body, 'logoPath') ? logoPath : config.logoPath) || '/logo.svg';
   config.theme = config.theme || {};
   config.theme.presetId = resolveThemeKeyForTenant(req.tenant, themePresetId || config.theme.presetId || DEFAULT_THEME_KEY);
@@ -4700,38 +7187,192 @@ app.post('/admin/settings', async (req, res) => {
   );
 });
 
+// ── Coupons – admin side ────────────────────────────────────────────────────
+
+function couponsRedirect(req, res, query) {
+  return res.redirect(buildTenantLink(req, '/admin/coupons', query));
+}
+
+function readCouponFields(body) {
+  return {
+    type: body.type,
+    value: body.value,
+    minSubtotal: body.minSubtotal,
+    active: String(body.active || '0') === '1',
+    expiresAt: body.expiresAt,
+    maxRedemptions: body.maxRedemptions,
+    maxPerEmail: body.maxPerEmail
+  };
+}
+
+app.get('/admin/coupons', (req, res) => {
+  try {
+    const config = loadTenantConfig(req);
+    const redemptions = loadTenantCouponRedemptions(req);
+    const usage = couponsEngine.summarizeCouponUsage(redemptions);
+    const now = Date.now();
+    const emptyUsage = { redemptions: 0, reserved: 0, voided: 0, discount: 0, revenue: 0, lastRedeemedAt: '' };
+    const all = (Array.isArray(config.coupons) ? config.coupons : [])
+      .map(couponsEngine.normalizeCoupon)
+      .filter((c) => c.code)
+      .map((c) => ({ ...c, usage: usage[c.code] || emptyUsage, check: couponsEngine.checkCoupon(c, { now, redemptions }) }));
+    // Batch codes are shown per batch, not one by one.
+    const batches = new Map();
+    all.filter((c) => c.batchId).forEach((c) => {
+      const batch = batches.get(c.batchId) || {
+        batchId: c.batchId, type: c.type, value: c.value, expiresAt: c.expiresAt, codes: 0, used: 0, discount: 0, revenue: 0
+      };
+      batch.codes += 1;
+      if (c.usage.redemptions) batch.used += 1;
+      batch.discount = +(batch.discount + c.usage.discount).toFixed(2);
+      batch.revenue = +(batch.revenue + c.usage.revenue).toFixed(2);
+      batches.set(c.batchId, batch);
+    });
+    const selected = couponsEngine.normalizeCouponCode(req.query.code);
+    res.render('admin-coupons', {
+      tenant: req.tenant,
+      config,
+      coupons: all.filter((c) => !c.batchId),
+      batches: Array.from(batches.values()),
+      selected,
+      selectedRedemptions: selected ? redemptions.filter((r) => r.code === selected).slice().reverse() : [],
+      baseCurrency: currencies.resolveCurrencySettings(config).base,
+      maxBatchSize: couponsEngine.MAX_BATCH_SIZE,
+      message: typeof req.query.message === 'string' ? req.query.message : null,
+      error: typeof req.query.error === 'string' ? req.query.error : null
+    });
+  } catch (err) {
+    console.error('[admin-coupons] render failed:', err && err.stack ? err.stack : String(err));
+    res.status(500).send('<p>Admin coupons page temporarily unavailable. <a href="javascript:history.back()">Go back</a></p>');
+  }
+});
+
 app.post('/admin/coupons', async (req, res) => {
-  const { password, code, type, value, minSubtotal, active } = req.body;
   const permissions = getSupportPermissions(req.tenant.supportTier);
-  if (!permissions.canEditSettings) {
-    return res.status(403).render('admin', buildAdminViewModel(req, { error: 'Το πακέτο υποστήριξης δεν επιτρέπει αλλαγή κουπονιών.' }));
-  }
-  const auth = await verifyAdminAction(req, password);
-  if (!auth.ok) {
-    return res.status(401).render('admin', buildAdminViewModel(req, { error: 'Λάθος κωδικός διαχειριστή.' }));
+  if (!permissions.canEditSettings) return couponsRedirect(req, res, { error: 'Το πακέτο υποστήριξης δεν επιτρέπει αλλαγή κουπονιών.' });
+  const auth = await verifyAdminAction(req, req.body.password);
+  if (!auth.ok) return couponsRedirect(req, res, { error: 'Λάθος κωδικός διαχειριστή.' });
+
+  const config = loadTenantConfig(req);
+  const coupon = couponsEngine.normalizeCoupon(
+    { code: req.body.code, ...readCouponFields(req.body) },
+    { timeZone: tenantTime.resolveTimeZone(config) }
+  );
+  if (!coupon.code || !/^[A-Z0-9_-]{3,40}$/.test(coupon.code)) {
+    return couponsRedirect(req, res, { error: 'Δώστε έγκυρο coupon code (3-40 λατινικοί χαρακτήρες, ψηφία, - ή _).' });
   }
-  const normalizedCode = normalizeCouponCode(code || '');
-  if (!normalizedCode) {
-    return res.status(400).render('admin', buildAdminViewModel(req, { error: 'Δώστε έγκυρο coupon code.' }));
+  const coupons = Array.isArray(config.coupons) ? config.coupons.slice() : [];
+  const idx = coupons.findIndex((c) => couponsEngine.normalizeCouponCode(c.code) === coupon.code);
+  if (idx >= 0) coupons[idx] = { ...coupons[idx], ...coupon, batchId: coupons[idx].batchId || undefined };
+  else coupons.push({ ...coupon, batchId: undefined, createdAt: new Date().toISOString() });
+  config.coupons = coupons;
+  saveTenantConfig(req, config);
+  console.log('[admin-coupons] save', JSON.stringify({ tenantId: req.tenant.id, code: coupon.code, active: coupon.active }));
+  return couponsRedirect(req, res, { message: `Το κουπόνι ${coupon.code} αποθηκεύτηκε.` });
+});
+
+app.post('/admin/coupons/batch', async (req, res) => {
+  const permissions = getSupportPermissions(req.tenant.supportTier);
+  if (!permissions.canEditSettings) return couponsRedirect(req, res, { error: 'Το πακέτο υποστήριξης δεν επιτρέπει αλλαγή κουπονιών.' });
+  const auth = await verifyAdminAction(req, req.body.password);
+  if (!auth.ok) return couponsRedirect(req, res, { error: 'Λάθος κωδικός διαχειριστή.' });
+
+  const count = parseInt(req.body.count, 10) || 0;
+  if (count < 1 || count > couponsEngine.MAX_BATCH_SIZE) {
+    return couponsRedirect(req, res, { error: `Το πλήθος κωδικών πρέπει να είναι από 1 έως ${couponsEngine.MAX_BATCH_SIZE}.` });
   }
-  const couponType = String(type || 'percent').toLowerCase() === 'fixed' ? 'fixed' : 'percent';
-  const couponValue = Math.max(0, Number(value) || 0);
-  const couponMinSubtotal = Math.max(0, Number(minSubtotal) || 0);
   const config = loadTenantConfig(req);
+  const template = couponsEngine.normalizeCoupon(
+    { ...readCouponFields(req.body), active: true, maxRedemptions: 1, maxPerEmail: 0 },
+    { timeZone: tenantTime.resolveTimeZone(config) }
+  );
+  if (!(template.value > 0)) return couponsRedirect(req, res, { error: 'Η αξία της έκπτωσης πρέπει να είναι μεγαλύτερη από 0.' });
+
   const coupons = Array.isArray(config.coupons) ? config.coupons.slice() : [];
-  const idx = coupons.findIndex((c) => normalizeCouponCode(c.code) === normalizedCode);
-  const nextCoupon = {
-    code: normalizedCode,
-    type: couponType,
-    value: couponValue,
-    minSubtotal: couponMinSubtotal,
-    active: String(active || '1') !== '0'
-  };
-  if (idx >= 0) coupons[idx] = Object.assign({}, coupons[idx], nextCoupon);
-  else coupons.push(nextCoupon);
+  const batchId = `b_${Date.now().toString(36)}${crypto.randomBytes(2).toString('hex')}`;
+  const createdAt = new Date().toISOString();
+  const codes = couponsEngine.generateCouponCodes(req.body.prefix, count, coupons.map((c) => c.code));
+  codes.forEach((code) => coupons.push({ ...template, code, batchId, createdAt }));
   config.coupons = coupons;
   saveTenantConfig(req, config);
-  return res.render('admin', buildAdminViewModel(req, { message: `Το κουπόνι ${normalizedCode} αποθηκεύτηκε.` }));
+  console.log('[admin-coupons] batch', JSON.stringify({ tenantId: req.tenant.id, batchId, count: codes.length }));
+  return couponsRedirect(req, res, { message: `Δημιουργήθηκαν ${codes.length} κωδικοί μίας χρήσης (${batchId}).` });
+});
+
+app.get('/admin/coupons/batch/:batchId.csv', (req, res) => {
+  const batchId = String(req.params.batchId || '').trim();
+  const config = loadTenantConfig(req);
+  const usage = couponsEngine.summarizeCouponUsage(loadTenantCouponRedemptions(req));
+  const codes = (Array.isArray(config.coupons) ? config.coupons : [])
+    .map(couponsEngine.normalizeCoupon)
+    .filter((c) => c.code && c.batchId === batchId);
+  if (!codes.length) return couponsRedirect(req, res, { error: 'Η παρτίδα δεν βρέθηκε.' });
+  const esc = (v) => `"${String(v === undefined || v === null ? '' : v).replace(/"/g, '""')}"`;
+  const rows = [['code', 'type', 'value', 'minSubtotal', 'expiresAt', 'active', 'used']]
+    .concat(codes.map((c) => [c.code, c.type, c.value, c.minSubtotal, c.expiresAt, c.active ? 1 : 0, usage[c.code] ? usage[c.code].redemptions : 0]));
+  console.log('[admin-coupons] batch-export', JSON.stringify({ tenantId: req.tenant.id, batchId, count: codes.length }));
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${req.tenant.id}-coupons-${batchId}.csv"`);
+  return res.send(rows.map((row) => row.map(esc).join(',')).join('\n'));
+});
+
+// ── Admin: abandoned carts ────────────────────────────────────────────────────
+
+const ABANDONED_CART_REPORT_DAYS = [7, 30, 90, 0];
+
+function abandonedCartsRedirect(req, res, query) {
+  return res.redirect(buildTenantLink(req, '/admin/abandoned-carts', query));
+}
+
+app.get('/admin/abandoned-carts', (req, res) => {
+  try {
+    const config = loadTenantConfig(req);
+    const settings = abandonedCarts.normalizeAbandonedCartSettings(config.abandonedCarts);
+    const requestedDays = parseInt(req.query.days, 10);
+    const days = ABANDONED_CART_REPORT_DAYS.includes(requestedDays) ? requestedDays : 30;
+    const since = days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() : '';
+    const carts = loadTenantAbandonedCarts(req);
+    res.render('admin-abandoned-carts', {
+      tenant: req.tenant,
+      config,
+      settings,
+      days,
+      reportDays: ABANDONED_CART_REPORT_DAYS,
+      report: abandonedCarts.summarizeAbandonedCarts(carts, settings, { since }),
+      carts: carts
+        .filter((c) => c && (!since || c.createdAt >= since))
+        .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))
+        .slice(0, 100),
+      mailerReady: !!buildTransport(),
+      baseCurrency: currencies.resolveCurrencySettings(config).base,
+      message: typeof req.query.message === 'string' ? req.query.message : null,
+      error: typeof req.query.error === 'string' ? req.query.error : null
+    });
+  } catch (err) {
+    console.error('[admin-abandoned-carts] render failed:', err && err.stack ? err.stack : String(err));
+    res.status(500).send('<p>Admin abandoned carts page temporarily unavailable. <a href="javascript:history.back()">Go back</a></p>');
+  }
+});
+
+app.post('/admin/abandoned-carts', async (req, res) => {
+  const permissions = getSupportPermissions(req.tenant.supportTier);
+  if (!permissions.canEditSettings) return abandonedCartsRedirect(req, res, { error: 'Το πακέτο υποστήριξης δεν επιτρέπει αλλαγή ρυθμίσεων.' });
+  const auth = await verifyAdminAction(req, req.body.password);
+  if (!auth.ok) return abandonedCartsRedirect(req, res, { error: 'Λάθος κωδικός διαχειριστή.' });
+
+  const settings = abandonedCarts.normalizeAbandonedCartSettings({
+    enabled: String(req.body.enabled || '0') === '1',
+    delaysHours: req.body.delaysHours,
+    expireDays: req.body.expireDays
+  });
+  if (settings.enabled && !settings.delaysHours.length) {
+    return abandonedCartsRedirect(req, res, { error: 'Δώστε τουλάχιστον μία καθυστέρηση υπενθύμισης (0.25–720 ώρες).' });
+  }
+  const config = loadTenantConfig(req);
+  config.abandonedCarts = settings;
+  saveTenantConfig(req, config);
+  console.log('[admin-abandoned-carts] save', JSON.stringify({ tenantId: req.tenant.id, ...settings }));
+  return abandonedCartsRedirect(req, res, { message: 'Οι ρυθμίσεις εγκαταλελειμμένων καλαθιών αποθηκεύτηκαν.' });
 });
 
 app.post('/admin/notifications', async (req, res) => {
@@ -4837,6 +7478,10 @@ app.post('/admin/payments', async (req, res) => {
     const sk = (req.body.stripeSecretKey || '').trim();
     if (sk) config.stripeSecretKey = sk;
   }
+  if (req.body.stripeWebhookSecret !== undefined) {
+    const whsec = (req.body.stripeWebhookSecret || '').trim();
+    if (whsec) config.stripeWebhookSecret = whsec;
+  }
   config.paypalEmail = (req.body.paypalEmail || '').trim();
   const stripeEnabled = req.body.enableStripe === 'on';
   const paypalEnabled = req.body.enablePaypal === 'on';
@@ -4864,6 +7509,131 @@ app.post('/admin/payments', async (req, res) => {
   return res.redirect(buildTenantLink(req, '/admin/payments', { message: 'Τα στοιχεία Stripe αποθηκεύτηκαν.' }));
 });
 
+app.post('/admin/payments/invoice', async (req, res) => {
+  const permissions = getSupportPermissions(req.tenant.supportTier);
+  if (!permissions.canEditSettings) {
+    return res.redirect(buildTenantLink(req, '/admin/payments', { error: 'Το πακέτο υποστήριξης δεν επιτρέπει αλλαγή ρυθμίσεων.' }));
+  }
+  const auth = await verifyAdminAction(req, req.body.password);
+  if (!auth.ok) {
+    return res.redirect(buildTenantLink(req, '/admin/payments', { error: 'Λάθος κωδικός διαχειριστή.' }));
+  }
+
+  const config = loadTenantConfig(req);
+  const str = (v, max) => String(v || '').trim().slice(0, max);
+  config.invoice = {
+    ...(config.invoice || {}),
+    legalName: str(req.body.invoiceLegalName, 200),
+    vatNumber: str(req.body.invoiceVatNumber, 40),
+    taxOffice: str(req.body.invoiceTaxOffice, 120),
+    address: str(req.body.invoiceAddress, 300),
+    prefix: str(req.body.invoicePrefix, 12).replace(/[^A-Za-z0-9_-]/g, '') || orderDocuments.DEFAULT_INVOICE_PREFIX,
+    attachToEmail: req.body.invoiceAttachToEmail === 'on'
+  };
+  saveTenantConfig(req, config);
+  console.log('[admin-payments] invoice-settings', JSON.stringify({ tenantId: req.tenant.id, prefix: config.invoice.prefix, attachToEmail: config.invoice.attachToEmail }));
+  return res.redirect(buildTenantLink(req, '/admin/payments', { message: 'Οι ρυθμίσεις παραστατικών αποθηκεύτηκαν.' }));
+});
+
+app.post('/admin/payments/currency', async (req, res) => {
+  const permissions = getSupportPermissions(req.tenant.supportTier);
+  if (!permissions.canEditSettings) {
+    return res.redirect(buildTenantLink(req, '/admin/payments', { error: 'Το πακέτο υποστήριξης δεν επιτρέπει αλλαγή ρυθμίσεων.' }));
+  }
+  const auth = await verifyAdminAction(req, req.body.password);
+  if (!auth.ok) {
+    return res.redirect(buildTenantLink(req, '/admin/payments', { error: 'Λάθος κωδικός διαχειριστή.' }));
+  }
+
+  const base = currencies.normalizeCurrencyCode(req.body.currencyBase);
+  if (!base) {
+    return res.redirect(buildTenantLink(req, '/admin/payments', { error: 'Το βασικό νόμισμα πρέπει να είναι κωδικός ISO 4217 (π.χ. EUR).' }));
+  }
+  // One display currency per line: "USD 1.08" (units per 1 unit of the base).
+  const display = [];
+  const lines = String(req.body.currencyDisplay || '').split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  for (const line of lines) {
+    const [rawCode, rawRate] = line.split(/[\s=:;]+/);
+    const code = currencies.normalizeCurrencyCode(rawCode);
+    const rate = Number(String(rawRate || '').replace(',', '.'));
+    if (!code || !Number.isFinite(rate) || rate <= 0) {
+      return res.redirect(buildTenantLink(req, '/admin/payments', { error: `Μη έγκυρη γραμμή νομίσματος: ${line.slice(0, 40)}` }));
+    }
+    if (code !== base && !display.some((entry) => entry.code === code)) display.push({ code, rate });
+  }
+
+  const config = loadTenantConfig(req);
+  const previousBase = currencies.resolveCurrencySettings(config).base;
+  config.currency = { base, display, updatedAt: new Date().toISOString() };
+  saveTenantConfig(req, config);
+  console.log('[admin-payments] currency-settings', JSON.stringify({
+    tenantId: req.tenant.id,
+    base,
+    display: display.map((entry) => `${entry.code}:${entry.rate}`)
+  }));
+  const message = previousBase !== base
+    ? `Το βασικό νόμισμα έγινε ${base}. Οι τιμές του καταλόγου δεν μετατράπηκαν· ελέγξτε τις.`
+    : 'Οι ρυθμίσεις νομισμάτων αποθηκεύτηκαν.';
+  return res.redirect(buildTenantLink(req, '/admin/payments', { message }));
+});
+
+app.post('/admin/payments/tax', async (req, res) => {
+  const permissions = getSupportPermissions(req.tenant.supportTier);
+  if (!permissions.canEditSettings) {
+    return res.redirect(buildTenantLink(req, '/admin/payments', { error: 'Το πακέτο υποστήριξης δεν επιτρέπει αλλαγή ρυθμίσεων.' }));
+  }
+  const auth = await verifyAdminAction(req, req.body.password);
+  if (!auth.ok) {
+    return res.redirect(buildTenantLink(req, '/admin/payments', { error: 'Λάθος κωδικός διαχειριστή.' }));
+  }
+
+  const config = loadTenantConfig(req);
+  const current = taxEngine.resolveTaxSettings(config);
+  const parseRate = (value) => {
+    if (String(value === undefined ? '' : value).trim() === '') return null;
+    const rate = Number(String(value).replace(',', '.'));
+    return Number.isFinite(rate) && rate >= 0 && rate <= 100 ? rate : NaN;
+  };
+  // Built-in classes always stay; custom ones are dropped by clearing their rate.
+  const classes = {};
+  for (const id of Object.keys(current.classes)) {
+    const rate = parseRate(req.body[`taxRate_${id}`]);
+    if (Number.isNaN(rate)) {
+      return res.redirect(buildTenantLink(req, '/admin/payments', { error: `Μη έγκυρος συντελεστής ΦΠΑ για ${id}.` }));
+    }
+    if (rate !== null) classes[id] = rate;
+    else if (Object.prototype.hasOwnProperty.call(taxEngine.DEFAULT_TAX_CLASSES, id)) classes[id] = current.classes[id];
+  }
+  const newClassId = taxEngine.normalizeTaxClassId(req.body.newTaxClassId);
+  if (newClassId) {
+    const rate = parseRate(req.body.newTaxClassRate);
+    if (rate === null || Number.isNaN(rate)) {
+      return res.redirect(buildTenantLink(req, '/admin/payments', { error: 'Ο νέος συντελεστής ΦΠΑ πρέπει να είναι από 0 έως 100.' }));
+    }
+    classes[newClassId] = rate;
+  }
+  const pick = (value) => {
+    const id = taxEngine.normalizeTaxClassId(value);
+    return Object.prototype.hasOwnProperty.call(classes, id) ? id : 'standard';
+  };
+  config.tax = {
+    enabled: req.body.taxEnabled === 'on',
+    pricesIncludeTax: req.body.taxPricesIncludeTax !== 'exclusive',
+    defaultClass: pick(req.body.taxDefaultClass),
+    shippingClass: pick(req.body.taxShippingClass),
+    classes
+  };
+  saveTenantConfig(req, config);
+  console.log('[admin-payments] tax-settings', JSON.stringify({
+    tenantId: req.tenant.id,
+    enabled: config.tax.enabled,
+    pricesIncludeTax: config.tax.pricesIncludeTax,
+    classes: Object.keys(classes).length
+  }));
+  return res.redirect(buildTenantLink(req, '/admin/payments', { message: 'Οι ρυθμίσεις ΦΠΑ αποθηκεύτηκαν.' }));
+});
+
+
 // Shipping & Payment options editor
 app.post('/admin/shipping-payment', async (req, res) => {
   const { password } = req.body;
@@ -4886,15 +7656,32 @@ app.post('/admin/shipping-payment', async (req, res) => {
 
   const config = loadTenantConfig(req);
 
-  // Update shippingOptions: only label, base, codFee — never touch id or allowedPaymentMethods
+  // Update shippingOptions: label, base, codFee and rate table — never touch id or allowedPaymentMethods
   (config.shippingOptions || []).forEach((opt, i) => {
     const label  = req.body[`ship_label_${i}`];
     const base   = req.body[`ship_base_${i}`];
     const codFee = req.body[`ship_codFee_${i}`];
+    const rates  = req.body[`ship_rates_${i}`];
+    const extraKg = req.body[`ship_extraKg_${i}`];
+    const pickupType = req.body[`ship_pickupType_${i}`];
     if (label  !== undefined) opt.label  = label;
     if (base   !== undefined) opt.base   = parseFloat(base)   || 0;
     if (codFee !== undefined) opt.codFee = parseFloat(codFee) || 0;
+    if (rates  !== undefined) {
+      const normalizedRates = shippingRates.normalizeRates(rates);
+      if (normalizedRates.length) opt.rates = normalizedRates;
+      else delete opt.rates;
+    }
+    if (extraKg !== undefined) opt.extraKgPrice = Math.max(0, parseFloat(extraKg) || 0);
+    if (pickupType !== undefined) {
+      const normalizedType = pickupPoints.normalizePickupType(pickupType);
+      if (normalizedType) opt.pickupType = normalizedType;
+      else delete opt.pickupType;
+    }
   });
+  if (req.body.shippingZones !== undefined) {
+    config.shippingZones = shippingRates.normalizeZones(req.body.shippingZones);
+  }
 
   // Update paymentOptions: label only — gatewaySurchargePercent is root-admin-only
   (config.paymentOptions || []).forEach((opt, i) => {
@@ -4903,15 +7690,64 @@ app.post('/admin/shipping-payment', async (req, res) => {
   });
 
   saveTenantConfig(req, config);
+  console.log('[admin-shipping] save', JSON.stringify({
+    tenantId: req.tenant.id,
+    zones: config.shippingZones ? config.shippingZones.length : 0,
+    ratedOptions: (config.shippingOptions || []).filter((opt) => Array.isArray(opt.rates) && opt.rates.length).length,
+    pickupOptions: (config.shippingOptions || []).filter((opt) => opt.pickupType).length
+  }));
 
   res.render('admin', buildAdminViewModel(req, {
     message: 'Τα μεταφορικά και οι τρόποι πληρωμής αποθηκεύτηκαν.'
   }));
 });
 
+// Courier accounts (lib/couriers.js). Secret fields left blank keep their
+// stored value, so the form never has to render them back.
+app.post('/admin/couriers', async (req, res) => {
+  const permissions = getSupportPermissions(req.tenant.supportTier);
+  if (!permissions.canEditSettings) {
+    return res
+      .status(403)
+      .render('admin', buildAdminViewModel(req, {
+        error: 'Το πακέτο υποστήριξης δεν επιτρέπει αλλαγή μεταφορικών/πληρωμών.'
+      }));
+  }
+
+  const auth = await verifyAdminAction(req, req.body.password);
+  if (!auth.ok) {
+    return res
+      .status(401)
+      .render('admin', buildAdminViewModel(req, { error: 'Λάθος κωδικός διαχειριστή.' }));
+  }
+
+  const config = loadTenantConfig(req);
+  const stored = config.couriers && typeof config.couriers === 'object' ? config.couriers : {};
+  config.couriers = {};
+  couriers.listCouriers().forEach((courier) => {
+    const previous = stored[courier.id] || {};
+    const next = { enabled: req.body[`courier_${courier.id}_enabled`] === 'on' };
+    courier.fields.forEach((field) => {
+      const value = String(req.body[`courier_${courier.id}_${field}`] || '').trim();
+      next[field] = !value && courier.secrets.includes(field) ? (previous[field] || '') : value;
+    });
+    config.couriers[courier.id] = next;
+  });
+
+  saveTenantConfig(req, config);
+  console.log('[admin-couriers] save', JSON.stringify({
+    tenantId: req.tenant.id,
+    enabled: couriers.enabledCouriers(config).map((c) => c.id)
+  }));
+
+  res.render('admin', buildAdminViewModel(req, {
+    message: 'Οι ρυθμίσεις courier αποθηκεύτηκαν.'
+  }));
+});
+
 // Categories CRUD
 app.post('/admin/categories/add', async (req, res) => {
-  const { password, id, name, slug, parentId, image, showInMainNav, navOrder } = req.body;
+  const { password, id, name, slug, parentId, image, showInMainNav, navOrder, taxClass, priceTiers, attributes } = req.body;
   const permissions = getSupportPermissions(req.tenant.supportTier);
   if (!permissions.canEditCategories) {
     return res
@@ -4963,6 +7799,12 @@ app.post('/admin/categories/add', async (req, res) => {
   if (parentId && parentId.trim()) newCat.parentId = parentId.trim();
   newCat.showInMainNav = showInMainNav === 'on';
   if (navOrder !== undefined && navOrder !== '') newCat.navOrder = Number(navOrder) || 0;
+  const normalizedTaxClass = taxEngine.normalizeTaxClassId(taxClass);
+  if (normalizedTaxClass) newCat.taxClass = normalizedTaxClass;
+  const normalizedTiers = tierPricing.normalizeTiers(priceTiers || '');
+  if (normalizedTiers.length) newCat.priceTiers = normalizedTiers;
+  const attributeDefs = productAttributes.normalizeAttributeDefinitions(attributes || '');
+  if (attributeDefs.length) newCat.attributes = attributeDefs;
   categories.push(newCat);
   saveTenantCategories(req, categories);
 
@@ -4973,7 +7815,7 @@ app.post('/admin/categories/add', async (req, res) => {
 });
 
 app.post('/admin/categories/update', async (req, res) => {
-  const { password, categoryId, name, slug, parentId, image, showInMainNav, navOrder } = req.body;
+  const { password, categoryId, name, slug, parentId, image, showInMainNav, navOrder, taxClass, priceTiers, attributes } = req.body;
   const permissions = getSupportPermissions(req.tenant.supportTier);
   if (!permissions.canEditCategories) {
     return res
@@ -5057,6 +7899,21 @@ app.post('/admin/categories/update', async (req, res) => {
   }
   categories[idx].showInMainNav = showInMainNav === 'on';
   if (navOrder !== undefined && navOrder !== '') categories[idx].navOrder = Number(navOrder) || 0;
+  if (taxClass !== undefined) {
+    const normalizedTaxClass = taxEngine.normalizeTaxClassId(taxClass);
+    if (normalizedTaxClass) categories[idx].taxClass = normalizedTaxClass;
+    else delete categories[idx].taxClass;
+  }
+  if (priceTiers !== undefined) {
+    const normalizedTiers = tierPricing.normalizeTiers(priceTiers);
+    if (normalizedTiers.length) categories[idx].priceTiers = normalizedTiers;
+    else delete categories[idx].priceTiers;
+  }
+  if (attributes !== undefined) {
+    const attributeDefs = productAttributes.normalizeAttributeDefinitions(attributes);
+    if (attributeDefs.length) categories[idx].attributes = attributeDefs;
+    else delete categories[idx].attributes;
+  }
   saveTenantCategories(req, categories);
 
   res.render(
@@ -5165,6 +8022,7 @@ app.post('/admin/products', async (req, res) => {
     const categories = loadTenantCategories(req);
     const config = loadTenantConfig(req);
     const storeName = resolveTranslatable(config.storeName, DEFAULT_CONTENT_LANG) || '';
+    const timeZone = tenantTime.resolveTimeZone(config);
     parsed.forEach((p) => {
       const localizedName = resolveTranslatable(p.name, DEFAULT_CONTENT_LANG);
       const localizedDescription = resolveTranslatable(p.description, DEFAULT_CONTENT_LANG);
@@ -5182,6 +8040,37 @@ app.post('/admin/products', async (req, res) => {
       p.galleryImages = normalizedProduct.galleryImages;
       p.gallery = normalizedProduct.gallery;
       if (typeof p.active !== 'boolean') p.active = true;
+      if (p.weight !== undefined) {
+        const weight = Math.round(Math.max(0, Number(p.weight) || 0) * 1000) / 1000;
+        if (weight) p.weight = weight;
+        else delete p.weight;
+      }
+      if (p.priceTiers !== undefined) {
+        const priceTiers = tierPricing.normalizeTiers(p.priceTiers);
+        if (priceTiers.length) p.priceTiers = priceTiers;
+        else delete p.priceTiers;
+      }
+      productSchedule.normalizeScheduleFields(p, { timeZone });
+      if (p.bundleItems !== undefined) {
+        const bundleItems = productBundles.normalizeBundleItems(p.bundleItems).filter((c) => c.productId !== p.id);
+        if (bundleItems.length) p.bundleItems = bundleItems;
+        else delete p.bundleItems;
+      }
+      if (Array.isArray(p.variants)) p.variants.forEach((v) => productSchedule.normalizeScheduleFields(v, { variant: true, timeZone }));
+      if (p.attributes !== undefined) {
+        const attributeDefs = productAttributes.normalizeAttributeDefinitions(p.attributes);
+        if (attributeDefs.length) p.attributes = attributeDefs;
+        else delete p.attributes;
+      }
+      if (Array.isArray(p.variants)) {
+        const attributeDefs = productAttributes.resolveAttributeDefinitions(p, categories);
+        p.variants.forEach((v) => {
+          if (!v || typeof v !== 'object' || v.attributes === undefined) return;
+          const attrs = productAttributes.normalizeVariantAttributes(v.attributes, attributeDefs);
+          if (Object.keys(attrs).length) v.attributes = attrs;
+          else delete v.attributes;
+        });
+      }
     });
     saveTenantProducts(req, parsed);
     // Sync each product to the VA in the background
@@ -5217,6 +8106,33 @@ app.post('/admin/products', async (req, res) => {
   }
 });
 
+// Variant matrix for the product editor: every combination of the product's
+// attribute values (its own, else its category's). Nothing is saved here;
+// the editor shows the rows and the usual product save stores them.
+app.post('/admin/products/variant-matrix', async (req, res) => {
+  const permissions = getSupportPermissions(req.tenant.supportTier);
+  if (!permissions.canEditProducts) {
+    return res.status(403).json({ ok: false, error: 'Το πακέτο υποστήριξης δεν επιτρέπει αλλαγή προϊόντων.' });
+  }
+  const auth = await verifyAdminAction(req, req.body.password);
+  if (!auth.ok) return res.status(401).json({ ok: false, error: 'Λάθος κωδικός διαχειριστή.' });
+  const product = req.body.product && typeof req.body.product === 'object' ? req.body.product : {};
+  const attributeDefs = productAttributes.resolveAttributeDefinitions(product, loadTenantCategories(req));
+  try {
+    const matrix = productAttributes.generateVariantMatrix(product, attributeDefs);
+    console.log('[admin-products] variant-matrix', JSON.stringify({
+      tenantId: req.tenant.id,
+      productId: product.id || null,
+      variants: matrix.variants.length,
+      created: matrix.created,
+      dropped: matrix.dropped
+    }));
+    return res.json({ ok: true, attributes: attributeDefs, ...matrix });
+  } catch (err) {
+    return res.status(400).json({ ok: false, error: err.message });
+  }
+});
+
 // Manual stock adjustment
 app.post('/admin/stock/adjust', async (req, res) => {
   const { password, productId, newStock, reason } = req.body;
@@ -5239,8 +8155,7 @@ app.post('/admin/stock/adjust', async (req, res) => {
   products[pIdx].stock = qty;
   saveTenantProducts(req, products);
 
-  const stockLog = loadJson(req.tenantPaths.stockLog, []);
-  stockLog.push({
+  appendTenantStockLog(req, {
     id:          Date.now().toString(36),
     productId,
     productName: resolveTranslatable(products[pIdx].name, DEFAULT_CONTENT_LANG),
@@ -5249,7 +8164,6 @@ app.post('/admin/stock/adjust', async (req, res) => {
     orderId:     null,
     createdAt:   new Date().toISOString()
   });
-  saveJson(req.tenantPaths.stockLog, stockLog);
 
   const pName = resolveTranslatable(products[pIdx].name, DEFAULT_CONTENT_LANG);
   res.render('admin', buildAdminViewModel(req, { message: `Απόθεμα "${pName}" ενημερώθηκε σε ${qty}.` }));
@@ -5874,9 +8788,9 @@ app.post('/admin/tickets/new', async (req, res) => {
     replies:   []
   };
 
-  const tickets = loadJson(req.tenantPaths.tickets, []);
+  const tickets = loadTenantTickets(req.tenant.id);
   tickets.push(ticket);
-  saveJson(req.tenantPaths.tickets, tickets);
+  saveTenantTickets(req.tenant.id, tickets);
 
   // Email to platform support team (uses platform SMTP transport)
   try {
@@ -5900,13 +8814,12 @@ app.post('/root/tickets/reply', async (req, res) => {
   const { password, tenantId, ticketId, replyText } = req.body;
   if (!verifyRootPassword(password)) { setRootFlash(req, { error: 'Λάθος root κωδικός.' }); return res.redirect('/root/tickets'); }
 
-  const tenantPaths = tenantPaths(tenantId);
-  const tickets = loadJson(tenantPaths.tickets, []);
+  const tickets = loadTenantTickets(tenantId);
   const tIdx    = tickets.findIndex((t) => t.id === ticketId);
   if (tIdx >= 0) {
     tickets[tIdx].replies.push({ from: 'support', text: replyText.trim(), createdAt: new Date().toISOString() });
     tickets[tIdx].status = 'replied';
-    saveJson(tenantPaths.tickets, tickets);
+    saveTenantTickets(tenantId, tickets);
   }
 
   setRootFlash(req, { message: 'Η απάντηση στο ticket στάλθηκε.' });
@@ -5918,10 +8831,9 @@ app.post('/root/tickets/close', async (req, res) => {
   const { password, tenantId, ticketId } = req.body;
   if (!verifyRootPassword(password)) { setRootFlash(req, { error: 'Λάθος root κωδικός.' }); return res.redirect('/root/tickets'); }
 
-  const tenantPaths = tenantPaths(tenantId);
-  const tickets = loadJson(tenantPaths.tickets, []);
+  const tickets = loadTenantTickets(tenantId);
   const tIdx    = tickets.findIndex((t) => t.id === ticketId);
-  if (tIdx >= 0) { tickets[tIdx].status = 'resolved'; saveJson(tenantPaths.tickets, tickets); }
+  if (tIdx >= 0) { tickets[tIdx].status = 'resolved'; saveTenantTickets(tenantId, tickets); }
   setRootFlash(req, { message: 'Το ticket έκλεισε.' });
   res.redirect('/root/tickets');
 });
@@ -5937,8 +8849,7 @@ function buildRootViewModel(extra, req) {
   const tenantPaymentConfigs = {};
   tenants.forEach((t) => {
     try {
-      const cfgPath = path.join(TENANTS_DIR, t.id, 'config.json');
-      const cfg = fs.existsSync(cfgPath) ? JSON.parse(fs.readFileSync(cfgPath, 'utf8')) : {};
+      const cfg = tenantStore.load(t.id, 'config', {}) || {};
       tenantPaymentConfigs[t.id] = cfg.paymentOptions || [];
     } catch (_) {
       tenantPaymentConfigs[t.id] = [];
@@ -5972,31 +8883,31 @@ function buildRootViewModel(extra, req) {
     const key = row.referralCode || 'unknown';
     if (!acc[key]) acc[key] = { pending: 0, approved: 0, paid: 0, orders: 0 };
     acc[key].orders += 1;
-    if (row.status === 'paid') acc[key].paid += Number(row.commissionAmount || 0);
-    else if (row.status === 'approved') acc[key].approved += Number(row.commissionAmount || 0);
-    else if (row.status === 'pending') acc[key].pending += Number(row.commissionAmount || 0);
+    if (row.status === 'paid') acc[key].paid += ledgerBaseAmount(row, 'commissionAmount');
+    else if (row.status === 'approved') acc[key].approved += ledgerBaseAmount(row, 'commissionAmount');
+    else if (row.status === 'pending') acc[key].pending += ledgerBaseAmount(row, 'commissionAmount');
     return acc;
   }, {});
   const settlementTotalsByTenant = settlementLedger.reduce((acc, row) => {
     const key = row.tenantId || 'unknown';
     if (!acc[key]) acc[key] = { pendingPayable: 0, pendingReceivable: 0, settled: 0 };
     if (row.status === 'settled') {
-      acc[key].settled += Number(row.netSettlementAmount || 0);
+      acc[key].settled += ledgerBaseAmount(row, 'netSettlementAmount');
     } else if (row.status === 'pending' || row.status === 'approved' || row.status === 'partially_settled') {
-      if (row.settlementDirection === 'payable_to_tenant') acc[key].pendingPayable += Number(row.netSettlementAmount || 0);
-      if (row.settlementDirection === 'receivable_from_tenant') acc[key].pendingReceivable += Number(row.netSettlementAmount || 0);
+      if (row.settlementDirection === 'payable_to_tenant') acc[key].pendingPayable += ledgerBaseAmount(row, 'netSettlementAmount');
+      if (row.settlementDirection === 'receivable_from_tenant') acc[key].pendingReceivable += ledgerBaseAmount(row, 'netSettlementAmount');
     }
     return acc;
   }, {});
   const pendingReferralPayouts = referralLedger
     .filter((row) => row.status === 'pending' || row.status === 'approved')
-    .reduce((sum, row) => sum + Number(row.commissionAmount || 0), 0);
+    .reduce((sum, row) => sum + ledgerBaseAmount(row, 'commissionAmount'), 0);
   const pendingTenantPayables = settlementLedger
     .filter((row) => (row.status === 'pending' || row.status === 'approved' || row.status === 'partially_settled') && row.settlementDirection === 'payable_to_tenant')
-    .reduce((sum, row) => sum + Number(row.netSettlementAmount || 0), 0);
+    .reduce((sum, row) => sum + ledgerBaseAmount(row, 'netSettlementAmount'), 0);
   const pendingTenantReceivables = settlementLedger
     .filter((row) => (row.status === 'pending' || row.status === 'approved' || row.status === 'partially_settled') && row.settlementDirection === 'receivable_from_tenant')
-    .reduce((sum, row) => sum + Number(row.netSettlementAmount || 0), 0);
+    .reduce((sum, row) => sum + ledgerBaseAmount(row, 'netSettlementAmount'), 0);
   const unresolvedFinanceCount = referralLedger.filter((r) => ['pending', 'approved', 'disputed'].includes(r.status)).length
     + settlementLedger.filter((r) => ['pending', 'approved', 'partially_settled', 'disputed'].includes(r.status)).length;
 
@@ -6012,7 +8923,7 @@ function buildRootViewModel(extra, req) {
   const allTickets = [];
   tenants.forEach((t) => {
     try {
-      const tks = loadJson(tenantPaths(t.id).tickets, []);
+      const tks = loadTenantTickets(t.id);
       tks.filter((tk) => tk.status !== 'resolved').forEach((tk) => {
         allTickets.push({ ...tk, _tenantId: t.id });
       });
@@ -6055,7 +8966,7 @@ function getRootNavCounts() {
   const ts = loadTenantsRegistry();
   let openTicketCount = 0;
   ts.forEach((t) => {
-    try { openTicketCount += loadJson(tenantPaths(t.id).tickets, []).filter((tk) => tk.status !== 'resolved').length; } catch (_) {}
+    try { openTicketCount += loadTenantTickets(t.id).filter((tk) => tk.status !== 'resolved').length; } catch (_) {}
   });
   const refL = loadReferralLedger();
   const stL  = loadSettlementLedger();
@@ -6079,13 +8990,13 @@ function buildDashboardViewModel(req) {
   }).length;
   const recentTickets = [];
   tenants.forEach((t) => {
-    try { loadJson(tenantPaths(t.id).tickets, []).filter((tk) => tk.status !== 'resolved').forEach((tk) => recentTickets.push({ ...tk, _tenantId: t.id })); } catch (_) {}
+    try { loadTenantTickets(t.id).filter((tk) => tk.status !== 'resolved').forEach((tk) => recentTickets.push({ ...tk, _tenantId: t.id })); } catch (_) {}
   });
   recentTickets.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
   const pendingReferralAmount = loadReferralLedger()
     .filter((r) => r.status === 'pending' || r.status === 'approved')
-    .reduce((s, r) => s + Number(r.commissionAmount || 0), 0);
+    .reduce((s, r) => s + ledgerBaseAmount(r, 'commissionAmount'), 0);
 
   return {
     page: 'dashboard', ...navCounts,
@@ -6104,8 +9015,7 @@ function buildTenantsViewModel(req, extra) {
   const tenantPaymentConfigs = {};
   tenants.forEach((t) => {
     try {
-      const cfgPath = path.join(TENANTS_DIR, t.id, 'config.json');
-      tenantPaymentConfigs[t.id] = fs.existsSync(cfgPath) ? (JSON.parse(fs.readFileSync(cfgPath, 'utf8')).paymentOptions || []) : [];
+      tenantPaymentConfigs[t.id] = (tenantStore.load(t.id, 'config', {}) || {}).paymentOptions || [];
     } catch (_) { tenantPaymentConfigs[t.id] = []; }
   });
   return {
@@ -6156,24 +9066,24 @@ function buildFinanceViewModel(req, extra) {
     const k = r.referralCode || 'unknown';
     if (!acc[k]) acc[k] = { pending: 0, approved: 0, paid: 0, orders: 0 };
     acc[k].orders += 1;
-    if (r.status === 'paid')     acc[k].paid     += Number(r.commissionAmount || 0);
-    else if (r.status === 'approved') acc[k].approved += Number(r.commissionAmount || 0);
-    else if (r.status === 'pending')  acc[k].pending  += Number(r.commissionAmount || 0);
+    if (r.status === 'paid')     acc[k].paid     += ledgerBaseAmount(r, 'commissionAmount');
+    else if (r.status === 'approved') acc[k].approved += ledgerBaseAmount(r, 'commissionAmount');
+    else if (r.status === 'pending')  acc[k].pending  += ledgerBaseAmount(r, 'commissionAmount');
     return acc;
   }, {});
   const settlementTotalsByTenant = settlementLedger.reduce((acc, r) => {
     const k = r.tenantId || 'unknown';
     if (!acc[k]) acc[k] = { pendingPayable: 0, pendingReceivable: 0, settled: 0 };
-    if (r.status === 'settled') acc[k].settled += Number(r.netSettlementAmount || 0);
+    if (r.status === 'settled') acc[k].settled += ledgerBaseAmount(r, 'netSettlementAmount');
     else if (['pending', 'approved', 'partially_settled'].includes(r.status)) {
-      if (r.settlementDirection === 'payable_to_tenant')     acc[k].pendingPayable    += Number(r.netSettlementAmount || 0);
-      if (r.settlementDirection === 'receivable_from_tenant') acc[k].pendingReceivable += Number(r.netSettlementAmount || 0);
+      if (r.settlementDirection === 'payable_to_tenant')     acc[k].pendingPayable    += ledgerBaseAmount(r, 'netSettlementAmount');
+      if (r.settlementDirection === 'receivable_from_tenant') acc[k].pendingReceivable += ledgerBaseAmount(r, 'netSettlementAmount');
     }
     return acc;
   }, {});
-  const pendingReferralPayouts   = referralLedger.filter((r) => r.status === 'pending' || r.status === 'approved').reduce((s, r) => s + Number(r.commissionAmount || 0), 0);
-  const pendingTenantPayables    = settlementLedger.filter((r) => ['pending', 'approved', 'partially_settled'].includes(r.status) && r.settlementDirection === 'payable_to_tenant').reduce((s, r) => s + Number(r.netSettlementAmount || 0), 0);
-  const pendingTenantReceivables = settlementLedger.filter((r) => ['pending', 'approved', 'partially_settled'].includes(r.status) && r.settlementDirection === 'receivable_from_tenant').reduce((s, r) => s + Number(r.netSettlementAmount || 0), 0);
+  const pendingReferralPayouts   = referralLedger.filter((r) => r.status === 'pending' || r.status === 'approved').reduce((s, r) => s + ledgerBaseAmount(r, 'commissionAmount'), 0);
+  const pendingTenantPayables    = settlementLedger.filter((r) => ['pending', 'approved', 'partially_settled'].includes(r.status) && r.settlementDirection === 'payable_to_tenant').reduce((s, r) => s + ledgerBaseAmount(r, 'netSettlementAmount'), 0);
+  const pendingTenantReceivables = settlementLedger.filter((r) => ['pending', 'approved', 'partially_settled'].includes(r.status) && r.settlementDirection === 'receivable_from_tenant').reduce((s, r) => s + ledgerBaseAmount(r, 'netSettlementAmount'), 0);
   const pendingByCode = {};
   refEarnings.filter((e) => e.status === 'pending').forEach((e) => {
     if (!pendingByCode[e.refCode]) pendingByCode[e.refCode] = { total: 0, rows: [] };
@@ -6203,7 +9113,7 @@ function buildTicketsViewModel(req) {
   const allTickets = [], resolvedTickets = [];
   tenants.forEach((t) => {
     try {
-      loadJson(tenantPaths(t.id).tickets, []).forEach((tk) => {
+      loadTenantTickets(t.id).forEach((tk) => {
         if (tk.status === 'resolved') resolvedTickets.push({ ...tk, _tenantId: t.id });
         else allTickets.push({ ...tk, _tenantId: t.id });
       });
@@ -6476,13 +9386,12 @@ app.post('/root/tenants/payment-config', (req, res) => {
     return res.status(404).render('root-tenants', buildTenantsViewModel(req, { error: `Tenant "${tenantId}" δεν βρέθηκε.` }));
   }
 
-  const cfgPath = path.join(TENANTS_DIR, tenantId, 'config.json');
-  const config = fs.existsSync(cfgPath) ? JSON.parse(fs.readFileSync(cfgPath, 'utf8')) : {};
+  const config = tenantStore.load(tenantId, 'config', {}) || {};
   (config.paymentOptions || []).forEach((opt, i) => {
     const surcharge = req.body[`surcharge_${i}`];
     if (surcharge !== undefined) opt.gatewaySurchargePercent = parseFloat(surcharge) || 0;
   });
-  saveJson(cfgPath, config);
+  tenantStore.save(tenantId, 'config', config);
   console.log(`[Root Admin] Updated payment surcharges for tenant: ${tenantId}`);
 
   setRootFlash(req, { message: `Τα surcharges για τον tenant "${tenantId}" αποθηκεύτηκαν.` });
@@ -6493,29 +9402,35 @@ app.post('/root/tenants/payment-config', (req, res) => {
 app.post('/stripe/webhook', async (req, res) => {
   try {
     const sig = req.headers['stripe-signature'] || '';
-    const secret = process.env.STRIPE_WEBHOOK_SECRET || '';
-    let event;
+    const payload = Buffer.isBuffer(req.body) ? req.body : Buffer.from(typeof req.body === 'string' ? req.body : JSON.stringify(req.body || {}));
+
+    // Candidate secrets: the tenant's own endpoint secret (tenants on their own
+    // Stripe account) first, then the platform ones. Remember who owns each so
+    // a tenant's secret can only vouch for that tenant's events.
+    const candidates = [];
+    const hintedTenantId = stripeWebhook.peekEventTenantId(payload)
+      || (req.tenant && !req.isPlatformRequest ? req.tenant.id : '');
+    const hintedTenant = hintedTenantId ? findTenantById(hintedTenantId) : null;
+    if (hintedTenant) {
+      const tenantConfig = loadTenantConfig(buildTenantRequestContext(hintedTenant));
+      stripeWebhook.parseWebhookSecrets(tenantConfig.stripeWebhookSecret)
+        .forEach((secret) => candidates.push({ secret, tenantId: hintedTenant.id }));
+    }
+    stripeWebhook.parseWebhookSecrets(process.env.STRIPE_WEBHOOK_SECRET)
+      .forEach((secret) => candidates.push({ secret, tenantId: null }));
 
-    // Verify signature when secret is configured
-    if (secret) {
-      try {
-        // Simple HMAC-SHA256 verification (Stripe-compatible payload structure)
-        const payload = Buffer.isBuffer(req.body) ? req.body : Buffer.from(req.body);
-        const parts = sig.split(',').reduce((acc, p) => {
-          const [k, v] = p.split('='); acc[k] = v; return acc;
-        }, {});
-        const ts = parts.t;
-        const expected = crypto.createHmac('sha256', secret)
-          .update(`${ts}.${payload.toString()}`)
-          .digest('hex');
-        if (expected !== parts.v1) {
-          console.warn('[Stripe Webhook] Invalid signature');
-          return res.status(400).json({ error: 'Invalid signature' });
-        }
-        event = JSON.parse(payload.toString());
-      } catch (err) {
-        return res.status(400).json({ error: err.message });
+    let event;
+    let verifiedFor = null;
+    if (candidates.length) {
+      const verified = stripeWebhook.verifyStripeWebhook(StripeLib, payload, sig, candidates.map((c) => c.secret), {
+        toleranceSeconds: process.env.STRIPE_WEBHOOK_TOLERANCE_SECONDS
+      });
+      if (!verified.ok) {
+        console.warn('[Stripe Webhook] Invalid signature', JSON.stringify({ tenantId: hintedTenantId, error: verified.error }));
+        return res.status(400).json({ error: 'Invalid signature' });
       }
+      event = verified.event;
+      verifiedFor = candidates[verified.secretIndex].tenantId;
     } else {
       // In production, webhook secret is required — reject unverified events
       if (process.env.NODE_ENV === 'production') {
@@ -6524,7 +9439,7 @@ app.post('/stripe/webhook', async (req, res) => {
       }
       // Dev/testing only — accept raw JSON
       try {
-        event = typeof req.body === 'object' ? req.body : JSON.parse(req.body.toString());
+        event = JSON.parse(payload.toString());
       } catch (err) {
         return res.status(400).json({ error: 'Invalid JSON' });
       }
@@ -6536,6 +9451,60 @@ app.post('/stripe/webhook', async (req, res) => {
     const obj = event.data && event.data.object;
     if (!obj) return res.json({ received: true });
 
+    // Events signed with a tenant secret come from that tenant's own Stripe
+    // account: they may only settle its shop orders.
+    if (verifiedFor) {
+      const meta = obj.metadata || {};
+      if (meta.tenantId !== verifiedFor || meta.kind !== 'tenant_order') {
+        console.warn('[Stripe Webhook] tenant-event:ignored', JSON.stringify({ tenantId: verifiedFor, type: event.type, id: obj.id }));
+        return res.json({ received: true });
+      }
+    }
+
+    // Card checkout of a tenant shop: record the order even if the shopper
+    // never made it back to the success page. Referral commission for these
+    // is booked by createFinancialLedgerEntries, not below.
+    if (event.type === 'checkout.session.completed' && obj.metadata && obj.metadata.kind === 'tenant_order') {
+      const orderTenant = findTenantById(obj.metadata.tenantId);
+      if (!orderTenant || !obj.metadata.pendingId) {
+        console.warn('[Stripe Webhook] order:unknown-tenant', JSON.stringify({ tenantId: obj.metadata.tenantId || '', sessionId: obj.id }));
+        return res.json({ received: true });
+      }
+      const tenantReq = buildTenantRequestContext(orderTenant);
+      const tenantConfig = loadTenantConfig(tenantReq);
+      let session = obj;
+      if (!candidates.length) {
+        // Unsigned (dev) event: anyone could have posted it. Only Stripe's own
+        // copy of the session can settle an order.
+        const stripe = stripeForTenant(tenantConfig);
+        try {
+          session = stripe ? await stripe.checkout.sessions.retrieve(obj.id) : null;
+        } catch (err) {
+          session = null;
+        }
+        const meta = (session && session.metadata) || {};
+        if (!session || meta.pendingId !== obj.metadata.pendingId || meta.tenantId !== orderTenant.id) {
+          console.warn('[Stripe Webhook] order:unverified-ignored', JSON.stringify({ tenantId: orderTenant.id, sessionId: obj.id }));
+          return res.json({ received: true });
+        }
+      }
+      if (session.payment_status !== 'paid') return res.json({ received: true });
+      let result;
+      try {
+        result = await finalizeStripeOrder(tenantReq, tenantConfig, obj.metadata.pendingId, session.id, { source: 'webhook' });
+      } catch (err) {
+        // Non-2xx makes Stripe retry; finalization is idempotent.
+        console.error('[Stripe Webhook] order:finalize-failed', err.message);
+        return res.status(500).json({ error: 'Order finalization failed' });
+      }
+      console.log('[Stripe Webhook] order:' + (result ? (result.created ? 'recorded' : 'already-recorded') : 'not-pending'), JSON.stringify({
+        tenantId: orderTenant.id,
+        pendingId: obj.metadata.pendingId,
+        orderId: result ? result.order.id : ''
+      }));
+      return res.json({ received: true });
+    }
+
     // Resolve tenantId from metadata
     const tenantId = (obj.metadata && obj.metadata.tenantId) || '';
     const externalId = obj.id || '';
@@ -7314,6 +10283,103 @@ try {
   console.error('[boot] Railway registry error:', e.message);
 }
 
+// Release stock held by abandoned card checkouts even when nobody visits the
+// tenant's admin or checkout pages.
+const RESERVATION_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+setInterval(() => {
+  loadTenantsRegistry().forEach((t) => {
+    try {
+      sweepExpiredReservations(t.id);
+    } catch (err) {
+      console.error('[checkout] reservation:sweep-failed', JSON.stringify({ tenantId: t.id, error: err.message }));
+    }
+  });
+}, RESERVATION_SWEEP_INTERVAL_MS).unref();
+
+// Expire stale abandoned carts and send the reminders that fell due. A
+// reminder is marked sent before the email goes out, so a slow or failing
+// mail server never makes the next sweep send it twice.
+async function sendAbandonedCartReminders(t) {
+  const pseudoReq = { tenant: t };
+  const config = loadTenantConfig(pseudoReq);
+  const settings = abandonedCarts.normalizeAbandonedCartSettings(config.abandonedCarts);
+  if (!settings.enabled) return;
+  const canSend = !!buildTransport();
+  const now = Date.now();
+  const due = [];
+  let expired = 0;
+  updateTenantAbandonedCarts(pseudoReq, (carts) => {
+    carts.forEach((cart) => {
+      if (abandonedCarts.isCartExpired(cart, settings, now)) {
+        cart.status = 'expired';
+        cart.expiredAt = new Date(now).toISOString();
+        expired += 1;
+        return;
+      }
+      const step = canSend ? abandonedCarts.dueReminderStep(cart, settings, now) : -1;
+      if (step < 0) return;
+      cart.reminders = (cart.reminders || []).concat({ step, sentAt: new Date(now).toISOString() });
+      due.push({ cart: { ...cart }, step });
+    });
+    return carts;
+  });
+  for (const { cart, step } of due) {
+    try {
+      await sendAbandonedCartEmail({ tenant: t, config, cart, step });
+    } catch (err) {
+      console.error('[checkout] abandoned-cart:email-failed', JSON.stringify({ tenantId: t.id, cartId: cart.id, step, error: err.message }));
+    }
+  }
+  if (due.length || expired) {
+    console.log('[checkout] abandoned-cart:sweep', JSON.stringify({ tenantId: t.id, reminders: due.length, expired }));
+  }
+}
+
+const ABANDONED_CART_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+let abandonedCartSweepRunning = false;
+setInterval(async () => {
+  if (abandonedCartSweepRunning) return;
+  abandonedCartSweepRunning = true;
+  try {
+    for (const t of loadTenantsRegistry()) {
+      try {
+        await sendAbandonedCartReminders(t);
+      } catch (err) {
+        console.error('[checkout] abandoned-cart:sweep-failed', JSON.stringify({ tenantId: t.id, error: err.message }));
+      }
+    }
+  } finally {
+    abandonedCartSweepRunning = false;
+  }
+}, ABANDONED_CART_SWEEP_INTERVAL_MS).unref();
+
+// Poll the carriers for every open courier shipment, one request at a time,
+// so fulfillment statuses follow the parcels without anyone pressing refresh.
+const COURIER_POLL_INTERVAL_MS = 30 * 60 * 1000;
+const COURIER_FINAL_STATES = ['delivered', 'returned'];
+let courierPollRunning = false;
+setInterval(async () => {
+  if (courierPollRunning) return;
+  courierPollRunning = true;
+  try {
+    for (const t of loadTenantsRegistry()) {
+      const pseudoReq = { tenant: t };
+      const open = loadTenantOrders(pseudoReq).filter((o) => (
+        o && o.shipment && o.shipment.trackingNumber && isOrderUnresolved(o) && !COURIER_FINAL_STATES.includes(o.shipment.state)
+      ));
+      for (const order of open) {
+        try {
+          await syncCourierTracking(pseudoReq, order.id);
+        } catch (err) {
+          console.error('[couriers] poll:failed', JSON.stringify({ tenantId: t.id, orderId: order.id, error: err.message }));
+        }
+      }
+    }
+  } finally {
+    courierPollRunning = false;
+  }
+}, COURIER_POLL_INTERVAL_MS).unref();
+
 app.listen(PORT, () => {
   console.log(`[boot] Thronos Commerce listening on port ${PORT}`);
 });
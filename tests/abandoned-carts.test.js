@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeAbandonedCartSettings,
+  normalizeCartItems,
+  captureCart,
+  dueReminderStep,
+  isCartExpired,
+  signCartToken,
+  verifyCartToken,
+  unsubscribeCart,
+  recordConversion,
+  summarizeAbandonedCarts
+} = require('../lib/abandoned-carts');
+
+const HOUR = 60 * 60 * 1000;
+const T0 = new Date('2026-03-01T10:00:00Z');
+const items = [
+  { id: 'bag', qty: 2, name: 'Τσάντα', price: 20, imageUrl: '/img/bag.jpg', cartKey: 'bag', extra: 'dropped' },
+  { id: '', qty: 1 }
+];
+
+function at(hours) {
+  return new Date(T0.getTime() + hours * HOUR);
+}
+
+test('settings keep up to three ascending delays and a bounded expiry', () => {
+  assert.deepEqual(normalizeAbandonedCartSettings({}), { enabled: false, delaysHours: [1, 24, 72], expireDays: 14 });
+  assert.deepEqual(
+    normalizeAbandonedCartSettings({ enabled: true, delaysHours: '48, 2, 2, 0, 6, 96', expireDays: '500' }),
+    { enabled: true, delaysHours: [2, 6, 48], expireDays: 90 }
+  );
+  assert.deepEqual(normalizeAbandonedCartSettings({ delaysHours: [] }).delaysHours, []);
+});
+
+test('cart lines keep the fields the storefront renders', () => {
+  assert.deepEqual(normalizeCartItems(items), [
+    { id: 'bag', qty: 2, name: 'Τσάντα', price: 20, imageUrl: '/img/bag.jpg', cartKey: 'bag' }
+  ]);
+});
+
+test('captures need an email, update the open cart and drop emptied ones', () => {
+  assert.equal(captureCart([], { items }, T0).cart, null);
+
+  const first = captureCart([], {
+    email: ' Maria@Example.com ', lang: 'el', items, value: 40, recoveryUrl: (id) => `https://shop.gr/cart/recover/${id}?sig=x`
+  }, T0);
+  const cart = first.cart;
+  assert.equal(cart.email, 'maria@example.com');
+  assert.equal(cart.itemCount, 2);
+  assert.equal(cart.recoveryUrl, `https://shop.gr/cart/recover/${cart.id}?sig=x`);
+
+  // The storefront widget posts later snapshots by cart id, without the email.
+  const later = captureCart(first.carts, { id: cart.id, items: [{ id: 'bag', qty: 3, name: 'Τσάντα', price: 20 }], value: 60 }, at(1));
+  assert.equal(later.carts.length, 1);
+  assert.equal(later.cart.id, cart.id);
+  assert.equal(later.cart.email, 'maria@example.com');
+  assert.equal(later.cart.recoveryUrl, cart.recoveryUrl);
+  assert.equal(later.cart.createdAt, T0.toISOString());
+  assert.equal(later.cart.value, 60);
+
+  assert.deepEqual(captureCart(later.carts, { id: cart.id, items: [] }, at(2)), { carts: [], cart: null });
+});
+
+test('a typed email never attaches to another shopper\'s open cart', () => {
+  const victim = captureCart([], { email: 'maria@example.com', items, value: 40 }, T0);
+  const typed = captureCart(victim.carts, {
+    email: 'Maria@example.com', items: [{ id: 'bag', qty: 9, name: 'Click here' }], value: 180
+  }, at(1));
+  assert.equal(typed.carts.length, 2);
+  assert.notEqual(typed.cart.id, victim.cart.id);
+  assert.equal(typed.carts[0].items[0].qty, 2);
+
+  // A logged-in shopper owns the address and picks their open cart back up.
+  const own = captureCart(typed.carts, { email: 'maria@example.com', emailVerified: true, items, value: 40 }, at(2));
+  assert.equal(own.cart.id, victim.cart.id);
+  assert.equal(own.carts.length, 2);
+});
+
+test('an unsubscribed address gets no reminders, now or on later carts', () => {
+  const settings = normalizeAbandonedCartSettings({ enabled: true, delaysHours: [1] });
+  const first = captureCart([], {
+    email: 'a@b.gr', items, value: 40, unsubscribeUrl: (id) => `https://shop.gr/cart/unsubscribe/${id}?sig=x`
+  }, T0);
+  assert.equal(first.cart.unsubscribeUrl, `https://shop.gr/cart/unsubscribe/${first.cart.id}?sig=x`);
+  assert.equal(unsubscribeCart(first.carts, 'cart_missing'), null);
+  assert.equal(unsubscribeCart(first.carts, first.cart.id, at(0.5)).unsubscribedAt, at(0.5).toISOString());
+  assert.equal(dueReminderStep(first.carts[0], settings, at(2).getTime()), -1);
+
+  const next = captureCart(first.carts, { email: 'a@b.gr', items, value: 40 }, at(3));
+  assert.notEqual(next.cart.id, first.cart.id);
+  assert.equal(next.cart.unsubscribedAt, at(0.5).toISOString());
+  assert.equal(dueReminderStep(next.cart, settings, at(5).getTime()), -1);
+});
+
+test('reminders fall due by idle time and carts expire', () => {
+  const settings = normalizeAbandonedCartSettings({ enabled: true, delaysHours: [1, 24] });
+  const { cart } = captureCart([], { email: 'a@b.gr', items, value: 40 }, T0);
+  assert.equal(dueReminderStep(cart, settings, at(0.5).getTime()), -1);
+  assert.equal(dueReminderStep(cart, settings, at(1).getTime()), 0);
+  cart.reminders.push({ step: 0, sentAt: at(1).toISOString() });
+  assert.equal(dueReminderStep(cart, settings, at(5).getTime()), -1);
+  assert.equal(dueReminderStep(cart, settings, at(24).getTime()), 1);
+  cart.reminders.push({ step: 1, sentAt: at(24).toISOString() });
+  assert.equal(dueReminderStep(cart, settings, at(200).getTime()), -1);
+  assert.equal(isCartExpired(cart, settings, at(24 * 14).getTime()), false);
+  assert.equal(isCartExpired(cart, settings, at(24 * 14 + 1).getTime()), true);
+});
+
+test('recovery links are signed per tenant', () => {
+  const token = signCartToken('secret', 'demo', 'cart_1');
+  assert.match(token, /^[A-Za-z0-9_-]+$/);
+  assert.equal(verifyCartToken('secret', 'demo', 'cart_1', token), true);
+  assert.equal(verifyCartToken('secret', 'other', 'cart_1', token), false);
+  assert.equal(verifyCartToken('secret', 'demo', 'cart_2', token), false);
+  assert.equal(verifyCartToken('secret', 'demo', 'cart_1', ''), false);
+});
+
+test('orders close carts and the report splits abandoned from recovered revenue', () => {
+  const settings = normalizeAbandonedCartSettings({ enabled: true, delaysHours: [1, 24] });
+  let carts = [];
+  ['reminded@x.gr', 'quick@x.gr', 'lost@x.gr', 'idle@x.gr'].forEach((email) => {
+    carts = captureCart(carts, { email, items, value: 40 }, T0).carts;
+  });
+  carts[0].reminders = [{ step: 0, sentAt: at(1).toISOString() }];
+  carts[2].reminders = [{ step: 0, sentAt: at(1).toISOString() }, { step: 1, sentAt: at(24).toISOString() }];
+  carts[2].status = 'expired';
+
+  const recovered = recordConversion(carts, { id: 'ord_1', email: 'Reminded@x.gr', total: 55, exchangeRate: 1.1 }, at(2));
+  assert.equal(recovered.status, 'recovered');
+  assert.equal(recovered.orderTotal, 50);
+  assert.equal(recordConversion(carts, { id: 'ord_2', email: 'quick@x.gr', total: 40 }, at(0.2)).status, 'converted');
+  assert.equal(recordConversion(carts, { id: 'ord_3', email: 'nobody@x.gr', total: 40 }), null);
+
+  // An order closes every open cart of its address; one takes the revenue.
+  let twice = captureCart([], { email: 'two@x.gr', items, value: 40 }, T0).carts;
+  twice = captureCart(twice, { email: 'two@x.gr', items, value: 40 }, at(0.1)).carts;
+  twice[1].restoredAt = at(1).toISOString();
+  assert.equal(recordConversion(twice, { id: 'ord_4', email: 'two@x.gr', total: 40 }, at(2)), twice[1]);
+  assert.deepEqual(twice.map((c) => [c.status, c.orderTotal]), [['converted', 0], ['recovered', 40]]);
+
+  const report = summarizeAbandonedCarts(carts, settings, { now: at(3).getTime() });
+  assert.deepEqual(
+    [report.abandoned, report.abandonedValue, report.recovered, report.recoveredRevenue, report.open, report.expired, report.remindersSent],
+    [3, 120, 1, 50, 1, 1, 3]
+  );
+  assert.equal(report.recoveryRate, 33.3);
+  assert.deepEqual(report.bySteps.map((s) => [s.sent, s.recovered]), [[2, 1], [1, 0]]);
+  assert.equal(summarizeAbandonedCarts(carts, settings, { now: at(3).getTime(), since: at(1).toISOString() }).abandoned, 0);
+});
@@ -0,0 +1,280 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const vm = require('node:vm');
+const { spawn } = require('node:child_process');
+const { createTenantStore } = require('../lib/tenant-store');
+const stockReservations = require('../lib/stock-reservations');
+const orderStatus = require('../lib/order-status');
+const currencies = require('../lib/currency');
+const promotionsEngine = require('../lib/promotions');
+
+// ── Concurrent checkouts must not lose orders or stock changes ───────────────
+// Runs the real checkout persistence helpers from server.js (order append,
+// stock deduction, card reservations) against a temporary tenant, both
+// interleaved inside one process and from several processes at once.
+
+const serverSource = fs.readFileSync(path.resolve(__dirname, '..', 'server.js'), 'utf8');
+
+function extractFunctionSource(name) {
+  let start = serverSource.indexOf(`function ${name}(`);
+  if (start < 0) throw new Error(`Function not found: ${name}`);
+  if (serverSource.slice(start - 6, start) === 'async ') start -= 6;
+  const braceStart = serverSource.indexOf(') {', start) + 2;
+  let depth = 0;
+  for (let i = braceStart; i < serverSource.length; i += 1) {
+    const ch = serverSource[i];
+    if (ch === '{') depth += 1;
+    else if (ch === '}') {
+      depth -= 1;
+      if (depth === 0) return serverSource.slice(start, i + 1);
+    }
+  }
+  throw new Error(`Could not parse function source: ${name}`);
+}
+
+function loadCheckoutHelpers(tenantStore, sideEffects = []) {
+  const names = [
+    'isPlainObject', 'appendTenantOrder', 'loadTenantOrders', 'updateTenantOrder', 'appendTenantStockLog',
+    'deductStockForOrder', 'deductStockIfAvailable', 'reservePendingOrder', 'commitPendingOrder',
+    'findOrderByStripeSession', 'updateCouponRedemptions', 'claimPromotionRedemptions', 'updatePromotionRedemptions',
+    'finalizeStripeOrder'
+  ];
+  const record = (name) => async (...args) => { sideEffects.push(name); return args; };
+  const context = vm.createContext({
+    tenantStore,
+    stockReservations,
+    orderStatus,
+    currencies,
+    promotionsEngine,
+    crypto: require('node:crypto'),
+    console: { ...console, log: () => {} },
+    normalizeProductRecord: (p) => ({ ...p }),
+    normalizeEmail: (e) => String(e || '').trim().toLowerCase(),
+    loadTenantProducts: (req) => tenantStore.load(req.tenant.id, 'products', []),
+    // Side effects of a finalized order, counted instead of performed.
+    recordOrderOnChain: async () => {
+      await new Promise((resolve) => setTimeout(resolve, Math.random() * 5));
+      return 'hash';
+    },
+    createFinancialLedgerEntries: (req, order) => { sideEffects.push('ledger'); order.finance = { totalCharged: order.total }; },
+    incrementTenantAnalytics: () => {},
+    sendOrderEmail: record('sendOrderEmail'),
+    sendOrderWebhook: record('sendOrderWebhook'),
+    sendOrderEmails: record('sendOrderEmails'),
+    buildInvoiceAttachments: async () => [],
+    fireVASync: record('order.placed'),
+    dispatchAssistantEvent: record('low_stock')
+  });
+  const src = names.map(extractFunctionSource).join('\n');
+  return new vm.Script(`${src}; ({ ${names.join(', ')} });`).runInContext(context);
+}
+
+const TENANT_ID = 'demo';
+const INITIAL_STOCK = 1000;
+
+function seedTenant(tenantsDir) {
+  const store = createTenantStore({ tenantsDir });
+  store.save(TENANT_ID, 'products', [
+    { id: 'tee', name: 'Tee', price: 10, stock: INITIAL_STOCK },
+    { id: 'cap', name: 'Cap', price: 5, variants: [{ id: 'red', label: 'Red', stock: INITIAL_STOCK }] }
+  ]);
+  store.save(TENANT_ID, 'orders', []);
+  return store;
+}
+
+// One checkout = what POST /checkout persists after the order is built.
+function placeOrder(helpers, req, tag) {
+  const order = { id: `${tag}_${Math.random().toString(36).slice(2)}`, createdAt: new Date().toISOString() };
+  const items = [
+    { id: 'tee', name: 'Tee', qty: 1 },
+    { id: 'cap', name: 'Cap', variantId: 'red', variantLabel: 'Red', qty: 2 }
+  ];
+  helpers.appendTenantOrder(req, order);
+  helpers.deductStockForOrder(req, {}, order, items, 'order');
+}
+
+function assertNothingLost(store, expectedOrders) {
+  const orders = store.load(TENANT_ID, 'orders', []);
+  assert.equal(orders.length, expectedOrders, 'every order is stored');
+  assert.equal(new Set(orders.map((o) => o.id)).size, expectedOrders, 'no duplicate orders');
+  const products = store.load(TENANT_ID, 'products', []);
+  assert.equal(products.find((p) => p.id === 'tee').stock, INITIAL_STOCK - expectedOrders);
+  assert.equal(products.find((p) => p.id === 'cap').variants[0].stock, INITIAL_STOCK - expectedOrders * 2);
+  assert.equal(store.load(TENANT_ID, 'stockLog', []).length, expectedOrders * 2, 'one stock log row per line');
+  const leftovers = fs.readdirSync(path.join(store.tenantsDir, TENANT_ID)).filter((f) => /\.(tmp|lock)/.test(f));
+  assert.deepEqual(leftovers, [], 'no temp or lock files left behind');
+}
+
+// Worker mode: spawned by the multi-process test below.
+if (process.env.THRC_CHECKOUT_WORKER) {
+  const store = createTenantStore({ tenantsDir: process.env.THRC_CHECKOUT_WORKER });
+  const helpers = loadCheckoutHelpers(store);
+  const req = { tenant: { id: TENANT_ID } };
+  const count = Number(process.env.THRC_CHECKOUT_COUNT) || 1;
+  for (let i = 0; i < count; i += 1) placeOrder(helpers, req, `p${process.pid}`);
+  return;
+}
+
+test('interleaved async checkouts in one process keep every order and stock change', async () => {
+  const tenantsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'thrc-checkout-'));
+  const store = seedTenant(tenantsDir);
+  const helpers = loadCheckoutHelpers(store);
+  const req = { tenant: { id: TENANT_ID } };
+
+  const checkouts = Array.from({ length: 40 }, (_, i) => (async () => {
+    // Yield like the real handler does (chain attestation, email) so the
+    // checkouts genuinely interleave.
+    await new Promise((resolve) => setTimeout(resolve, Math.random() * 5));
+    placeOrder(helpers, req, `c${i}`);
+  })());
+  await Promise.all(checkouts);
+
+  assertNothingLost(store, 40);
+});
+
+test('checkouts from several processes at once keep every order and stock change', async () => {
+  const tenantsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'thrc-checkout-'));
+  const store = seedTenant(tenantsDir);
+  const WORKERS = 4;
+  const PER_WORKER = 15;
+
+  const runs = Array.from({ length: WORKERS }, () => new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [__filename], {
+      env: { ...process.env, THRC_CHECKOUT_WORKER: tenantsDir, THRC_CHECKOUT_COUNT: String(PER_WORKER) },
+      stdio: ['ignore', 'ignore', 'pipe']
+    });
+    let stderr = '';
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('exit', (code) => (code === 0 ? resolve() : reject(new Error(`worker exited ${code}: ${stderr}`))));
+  }));
+  await Promise.all(runs);
+
+  assertNothingLost(store, WORKERS * PER_WORKER);
+});
+
+test('a pending Stripe order can only be committed once', async () => {
+  const tenantsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'thrc-checkout-'));
+  const store = seedTenant(tenantsDir);
+  const helpers = loadCheckoutHelpers(store);
+  const req = { tenant: { id: TENANT_ID } };
+  const items = [{ id: 'tee', name: 'Tee', qty: 3 }];
+
+  assert.ok(helpers.reservePendingOrder(req, {}, 'po_1', { order: { id: 'A' }, enrichedItems: items, stripeSessionId: 'cs_A' }).ok);
+  assert.ok(helpers.reservePendingOrder(req, {}, 'po_2', { order: { id: 'B' }, enrichedItems: items, stripeSessionId: 'cs_B' }).ok);
+  assert.equal(helpers.commitPendingOrder(req, {}, 'po_1', 'cs_B'), null, 'another order\'s session cannot commit it');
+
+  const commits = await Promise.all([1, 2, 3].map(async () => {
+    await new Promise((resolve) => setTimeout(resolve, Math.random() * 5));
+    return helpers.commitPendingOrder(req, {}, 'po_1', 'cs_A');
+  }));
+  assert.equal(commits.filter(Boolean).length, 1, 'exactly one request finalizes the order');
+  assert.deepEqual(store.load(TENANT_ID, 'orders', []).map((o) => o.id), ['A'], 'order stored with the commit');
+  assert.deepEqual(Object.keys(store.load(TENANT_ID, 'pendingOrders', {})), ['po_2'], 'other pending orders survive');
+  assert.equal(store.load(TENANT_ID, 'products', []).find((p) => p.id === 'tee').stock, INITIAL_STOCK - 3, 'stock deducted once');
+});
+
+test('concurrent card checkouts cannot reserve more than the last units', async () => {
+  const tenantsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'thrc-checkout-'));
+  const store = createTenantStore({ tenantsDir });
+  store.save(TENANT_ID, 'products', [{ id: 'last', name: 'Last one', price: 10, stock: 2 }]);
+  const helpers = loadCheckoutHelpers(store);
+  const req = { tenant: { id: TENANT_ID } };
+
+  const results = await Promise.all(Array.from({ length: 5 }, (_, i) => (async () => {
+    await new Promise((resolve) => setTimeout(resolve, Math.random() * 5));
+    return helpers.reservePendingOrder(req, {}, `po_${i}`, {
+      order: { id: `O${i}` },
+      enrichedItems: [{ id: 'last', name: 'Last one', qty: 1 }]
+    });
+  })()));
+  assert.equal(results.filter((r) => r.ok).length, 2, 'only as many reservations as units in stock');
+  assert.equal(results.find((r) => !r.ok).shortfalls[0].available, 0);
+  assert.equal(Object.keys(store.load(TENANT_ID, 'pendingOrders', {})).length, 2);
+});
+
+test('cash-on-delivery checkouts cannot oversell stock held by a card reservation', async () => {
+  const tenantsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'thrc-checkout-'));
+  const store = createTenantStore({ tenantsDir });
+  store.save(TENANT_ID, 'products', [{ id: 'last', name: 'Last one', price: 10, stock: 3 }]);
+  const helpers = loadCheckoutHelpers(store);
+  const req = { tenant: { id: TENANT_ID } };
+  const items = [{ id: 'last', name: 'Last one', qty: 1 }];
+
+  assert.ok(helpers.reservePendingOrder(req, {}, 'po_card', { order: { id: 'CARD' }, enrichedItems: items }).ok);
+  const results = await Promise.all(Array.from({ length: 4 }, (_, i) => (async () => {
+    await new Promise((resolve) => setTimeout(resolve, Math.random() * 5));
+    return helpers.deductStockIfAvailable(req, {}, { id: `COD${i}` }, items, 'order');
+  })()));
+
+  assert.equal(results.filter((r) => r.ok).length, 2, 'one unit stays held for the card shopper');
+  assert.equal(results.find((r) => !r.ok).shortfalls[0].productName, 'Last one');
+  assert.equal(store.load(TENANT_ID, 'products', [])[0].stock, 1);
+});
+
+test('the Stripe success redirect and webhook record a paid order exactly once', async () => {
+  const tenantsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'thrc-checkout-'));
+  const store = seedTenant(tenantsDir);
+  const sideEffects = [];
+  const helpers = loadCheckoutHelpers(store, sideEffects);
+  const shopperReq = { tenant: { id: TENANT_ID }, session: {} };
+  const webhookReq = { tenant: { id: TENANT_ID }, session: null };
+  const items = [{ id: 'tee', name: 'Tee', qty: 2 }];
+
+  assert.ok(helpers.reservePendingOrder(shopperReq, {}, 'po_paid', {
+    order: { id: 'PAID1', total: 20 },
+    enrichedItems: items,
+    stripeSessionId: 'cs_1'
+  }).ok);
+
+  const results = await Promise.all([
+    helpers.finalizeStripeOrder(shopperReq, {}, 'po_paid', 'cs_1', { source: 'redirect', userEmail: 'Shopper@Example.com' }),
+    helpers.finalizeStripeOrder(webhookReq, {}, 'po_paid', 'cs_1', { source: 'webhook' }),
+    helpers.finalizeStripeOrder(webhookReq, {}, 'po_paid', 'cs_1', { source: 'webhook' })
+  ]);
+  assert.equal(results.filter((r) => r.created).length, 1, 'one caller records the order');
+  assert.ok(results.every((r) => r.order.id === 'PAID1'), 'the others get the same order back');
+
+  // A late webhook retry after everything settled.
+  const retry = await helpers.finalizeStripeOrder(webhookReq, {}, 'po_paid', 'cs_1', { source: 'webhook' });
+  assert.equal(retry.created, false);
+
+  const orders = store.load(TENANT_ID, 'orders', []);
+  assert.equal(orders.length, 1, 'order recorded once');
+  assert.equal(orders[0].paymentStatus, 'PAID');
+  assert.equal(orders[0].stripeSessionId, 'cs_1');
+  assert.equal(orders[0].proofHash, 'hash');
+  assert.deepEqual(orders[0].finance, { totalCharged: 20 }, 'ledger breakdown persisted on the order');
+  assert.equal(store.load(TENANT_ID, 'products', []).find((p) => p.id === 'tee').stock, INITIAL_STOCK - 2, 'stock deducted once');
+  assert.equal(sideEffects.filter((e) => e === 'ledger').length, 1, 'ledger entries created once');
+  assert.equal(sideEffects.filter((e) => e === 'order.placed').length, 1, 'order.placed fired once');
+  assert.equal(sideEffects.filter((e) => e === 'sendOrderEmail').length, 1, 'customer emailed once');
+
+  assert.equal(await helpers.finalizeStripeOrder(webhookReq, {}, 'po_unknown', 'cs_2', { source: 'webhook' }), null);
+});
+
+test('concurrent checkouts cannot take more promotion uses than its limit', async () => {
+  const tenantsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'thrc-checkout-'));
+  const store = seedTenant(tenantsDir);
+  const helpers = loadCheckoutHelpers(store);
+  const req = { tenant: { id: TENANT_ID } };
+  const config = { promotions: [{ id: 'launch', name: 'Launch', type: 'percent', value: 10, usageLimit: 2 }] };
+
+  const results = await Promise.all(Array.from({ length: 5 }, (_, i) => (async () => {
+    await new Promise((resolve) => setTimeout(resolve, Math.random() * 5));
+    const order = { id: `O${i}`, email: `s${i}@x.gr`, appliedPromotions: [{ id: 'launch' }] };
+    return helpers.claimPromotionRedemptions(req, config, order, i % 2
+      ? { pendingId: `po_${i}`, status: 'reserved', expiresAt: new Date(Date.now() + 60000).toISOString() }
+      : { status: 'redeemed' });
+  })()));
+  assert.equal(results.filter((r) => r.ok).length, 2, 'card reservations count against the limit too');
+  assert.equal(results.find((r) => !r.ok).promotion.id, 'launch');
+
+  // A cancelled order gives its use back.
+  const taken = store.load(TENANT_ID, 'promotionRedemptions', []).filter((r) => r.status !== 'void');
+  helpers.updatePromotionRedemptions(req, (r) => r.orderId === taken[0].orderId, 'void', 'order_cancelled');
+  assert.ok(helpers.claimPromotionRedemptions(req, config, { id: 'O9', email: 'late@x.gr', appliedPromotions: [{ id: 'launch' }] }, { status: 'redeemed' }).ok);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeCoupon,
+  findCoupon,
+  checkCoupon,
+  generateCouponCodes,
+  summarizeCouponUsage
+} = require('../lib/coupons');
+
+const NOW = Date.parse('2026-06-15T12:00:00Z');
+
+test('coupons are normalized and looked up case-insensitively', () => {
+  const coupon = normalizeCoupon({ code: ' summer25 ', type: 'FIXED', value: '5', maxRedemptions: '10' });
+  assert.equal(coupon.code, 'SUMMER25');
+  assert.equal(coupon.type, 'fixed');
+  assert.equal(coupon.maxRedemptions, 10);
+  assert.equal(coupon.maxPerEmail, 0);
+  assert.equal(findCoupon([{ code: 'SUMMER25', value: 5 }], 'Summer25').value, 5);
+  assert.equal(findCoupon([], 'WELCOME10'), null);
+});
+
+test('inactive, expired and unknown coupons are rejected', () => {
+  assert.deepEqual(checkCoupon(null, { now: NOW }), { ok: false, reason: 'not_found' });
+  assert.deepEqual(checkCoupon(normalizeCoupon({ code: 'A', active: false }), { now: NOW }), { ok: false, reason: 'inactive' });
+  assert.deepEqual(checkCoupon(normalizeCoupon({ code: 'A', expiresAt: '2026-06-01T00:00:00Z' }), { now: NOW }), { ok: false, reason: 'expired' });
+  assert.deepEqual(checkCoupon(normalizeCoupon({ code: 'A', expiresAt: '2026-07-01T00:00:00Z' }), { now: NOW }), { ok: true });
+});
+
+test('an expiry typed in the admin is the shop\'s local time', () => {
+  // 13:00 in Athens (summer time) is 10:00 UTC, before NOW.
+  const coupon = normalizeCoupon({ code: 'NOON', expiresAt: '2026-06-15T13:00' }, { timeZone: 'Europe/Athens' });
+  assert.equal(coupon.expiresAt, '2026-06-15T13:00+03:00');
+  assert.deepEqual(checkCoupon(coupon, { now: NOW }), { ok: false, reason: 'expired' });
+  const lisbon = normalizeCoupon({ code: 'NOON', expiresAt: '2026-06-15T13:00' }, { timeZone: 'Europe/Lisbon' });
+  assert.deepEqual(checkCoupon(lisbon, { now: NOW }), { ok: true });
+});
+
+test('limits count redemptions and live card reservations, not voided or timed-out ones', () => {
+  const coupon = normalizeCoupon({ code: 'TWO', maxRedemptions: 2, maxPerEmail: 1 });
+  const redemptions = [
+    { code: 'TWO', email: 'a@x.gr', status: 'redeemed' },
+    { code: 'TWO', email: 'b@x.gr', status: 'void' },
+    { code: 'TWO', email: 'c@x.gr', status: 'reserved', expiresAt: '2026-06-15T11:00:00Z' },
+    { code: 'OTHER', email: 'd@x.gr', status: 'redeemed' }
+  ];
+  assert.deepEqual(checkCoupon(coupon, { now: NOW, redemptions, email: 'a@x.gr' }), { ok: false, reason: 'email_limit_reached' });
+  assert.deepEqual(checkCoupon(coupon, { now: NOW, redemptions, email: 'b@x.gr' }), { ok: true });
+  redemptions.push({ code: 'TWO', email: 'e@x.gr', status: 'reserved', expiresAt: '2026-06-15T13:00:00Z' });
+  assert.deepEqual(checkCoupon(coupon, { now: NOW, redemptions, email: 'b@x.gr' }), { ok: false, reason: 'limit_reached' });
+});
+
+test('batches generate unique prefixed codes that avoid existing ones', () => {
+  const codes = generateCouponCodes('xmas!', 50, ['XMAS-AAAAAAAA']);
+  assert.equal(codes.length, 50);
+  assert.equal(new Set(codes).size, 50);
+  codes.forEach((code) => assert.match(code, /^XMAS-[A-HJ-NP-Z2-9]{8}$/));
+  assert.equal(generateCouponCodes('', 5000, []).length, 500);
+});
+
+test('usage summary sums redeemed orders in the base currency', () => {
+  const summary = summarizeCouponUsage([
+    { code: 'A', status: 'redeemed', discount: 10, orderTotal: 90, redeemedAt: '2026-06-01T10:00:00Z' },
+    { code: 'A', status: 'redeemed', discount: 11, orderTotal: 99, exchangeRate: 1.1, redeemedAt: '2026-06-02T10:00:00Z' },
+    { code: 'A', status: 'void', discount: 10, orderTotal: 90 },
+    { code: 'A', status: 'reserved', discount: 10, orderTotal: 90, expiresAt: '2026-06-15T13:00:00Z' }
+  ], NOW);
+  assert.deepEqual(summary.A, {
+    redemptions: 2, reserved: 1, voided: 1, discount: 20, revenue: 180, lastRedeemedAt: '2026-06-02T10:00:00Z'
+  });
+});
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  listCouriers,
+  enabledCouriers,
+  createCourierClient,
+  fulfillmentStatusFor,
+  buildShipment,
+  buildSoapEnvelope,
+  parseXml,
+  soapResult
+} = require('../lib/couriers');
+const { DEFAULT_BASE_URL: ACS_URL } = require('../lib/courier-acs');
+const mockCourier = require('./mock-courier-server');
+
+const order = {
+  id: 'ord_1001',
+  customerName: 'Μαρία Παπαδοπούλου',
+  email: 'maria@example.com',
+  phone: '6900000000',
+  address: 'Ερμού 10',
+  city: 'Αθήνα',
+  tk: '105 63',
+  notes: 'Κουδούνι 2ος',
+  paymentMethodId: 'COD',
+  total: 55,
+  exchangeRate: 1.1,
+  shippingWeight: 1.2,
+  pickupPoint: { id: 'locker-42' }
+};
+
+const config = {
+  couriers: {
+    acs: { enabled: true, apiKey: 'k', companyId: 'c', userId: 'u' },
+    elta: { enabled: true, userCode: 'u', password: 'p' },
+    geniki: { enabled: true, username: 'u', password: 'p' },
+    boxnow: { enabled: true, clientId: 'id', clientSecret: 's', warehouseId: 'wh-1' }
+  }
+};
+
+test('shipments are carrier-neutral and collect COD in the base currency', () => {
+  const shipment = buildShipment(order);
+  assert.equal(shipment.codAmount, 50);
+  assert.equal(shipment.weightKg, 1.2);
+  assert.equal(shipment.lockerId, 'locker-42');
+  assert.deepEqual(shipment.recipient, {
+    name: 'Μαρία Παπαδοπούλου', phone: '6900000000', email: 'maria@example.com', address: 'Ερμού 10', city: 'Αθήνα', postcode: '10563'
+  });
+  const prepaid = buildShipment({ ...order, paymentMethodId: 'stripe', shippingWeight: 0 });
+  assert.deepEqual([prepaid.codAmount, prepaid.weightKg], [0, 0.5]);
+});
+
+test('tracking states map onto fulfillment statuses', () => {
+  assert.equal(fulfillmentStatusFor('created'), '');
+  assert.equal(fulfillmentStatusFor('out_for_delivery'), 'shipped');
+  assert.equal(fulfillmentStatusFor('delivered'), 'delivered');
+  assert.equal(fulfillmentStatusFor('returned'), 'issue');
+});
+
+test('only enabled carriers build clients', () => {
+  assert.deepEqual(listCouriers().map((c) => c.id), ['acs', 'elta', 'geniki', 'boxnow']);
+  const partial = { couriers: { acs: { enabled: true }, elta: { enabled: false } } };
+  assert.deepEqual(enabledCouriers(partial).map((c) => c.id), ['acs']);
+  assert.throws(() => createCourierClient(partial, 'elta'), /not enabled/);
+  assert.throws(() => createCourierClient(partial, 'fedex'), /Unknown courier/);
+});
+
+test('tenant settings cannot redirect a carrier; only the operator can', () => {
+  const redirected = { couriers: { acs: { enabled: true, baseUrl: 'http://169.254.169.254/latest' } } };
+  assert.equal(createCourierClient(redirected, 'acs').url, ACS_URL);
+  assert.equal(createCourierClient(redirected, 'acs', { baseUrl: 'http://127.0.0.1:9/' }).url, 'http://127.0.0.1:9/acs');
+});
+
+test('SOAP envelopes round-trip and faults surface as errors', () => {
+  const xml = buildSoapEnvelope('http://voucher.gr/', 'Ping', { a: 'x & y', nested: { b: 1 } });
+  const body = parseXml(xml).Envelope.Body;
+  assert.deepEqual(body.Ping, { a: 'x & y', nested: { b: '1' } });
+  assert.deepEqual(parseXml('<r><i>1</i><i>2</i></r>'), { r: { i: ['1', '2'] } });
+  const fault = '<soap:Envelope xmlns:soap="x"><soap:Body><soap:Fault><faultstring>Bad key</faultstring></soap:Fault></soap:Body></soap:Envelope>';
+  assert.throws(() => soapResult(fault, 'Ping'), /Bad key/);
+});
+
+test('every adapter creates, labels and tracks a shipment against the mock', async () => {
+  const mock = await mockCourier.start();
+  try {
+    for (const id of ['acs', 'elta', 'geniki', 'boxnow']) {
+      const client = createCourierClient(config, id, { baseUrl: mock.url });
+      const { trackingNumber } = await client.createShipment(buildShipment(order));
+      assert.ok(trackingNumber, `${id} voucher`);
+
+      const label = await client.fetchLabel(trackingNumber);
+      assert.equal(label.subarray(0, 5).toString(), '%PDF-', `${id} label`);
+
+      assert.equal((await client.fetchTracking(trackingNumber)).state, 'created', `${id} fresh`);
+      mock.setState(trackingNumber, 'in_transit');
+      mock.setState(trackingNumber, 'out_for_delivery');
+      const moving = await client.fetchTracking(trackingNumber);
+      assert.equal(moving.state, 'out_for_delivery', `${id} out for delivery`);
+      assert.equal(moving.events.length, 2);
+      mock.setState(trackingNumber, 'delivered');
+      assert.equal((await client.fetchTracking(trackingNumber)).state, 'delivered', `${id} delivered`);
+    }
+    const acsCreate = mock.state.requests.find((r) => r.operation === 'ACS_Create_Voucher');
+    assert.equal(acsCreate.params.Cod_Ammount, 50);
+    const boxnowCreate = mock.state.requests.find((r) => r.operation === 'POST /api/v1/delivery-requests');
+    assert.equal(boxnowCreate.params.destination.locationId, 'locker-42');
+  } finally {
+    await mock.close();
+  }
+});
+
+test('carrier errors are raised, and BoxNow needs a locker', async () => {
+  const mock = await mockCourier.start();
+  try {
+    const client = (id) => createCourierClient(config, id, { baseUrl: mock.url });
+    await assert.rejects(client('acs').fetchTracking('nope'), /ACS: Voucher not found/);
+    await assert.rejects(client('elta').fetchLabel('nope'), /ELTA: Ανύπαρκτο voucher/);
+    await assert.rejects(
+      client('boxnow').createShipment(buildShipment({ ...order, pickupPoint: null })),
+      /no locker/
+    );
+    const geniki = client('geniki');
+    const { trackingNumber } = await geniki.createShipment(buildShipment(order));
+    mock.setState(trackingNumber, 'returned');
+    assert.equal((await geniki.fetchTracking(trackingNumber)).state, 'returned');
+  } finally {
+    await mock.close();
+  }
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  resolveCurrencySettings,
+  pickCurrency,
+  convertAmount,
+  formatMoney,
+  toMinorUnits
+} = require('../lib/currency');
+
+test('currency settings default to EUR and drop invalid display entries', () => {
+  assert.deepEqual(resolveCurrencySettings({}), { base: 'EUR', display: [] });
+  const settings = resolveCurrencySettings({
+    currency: {
+      base: 'eur',
+      display: [
+        { code: 'usd', rate: 1.08 },
+        { code: 'EUR', rate: 1 },
+        { code: 'GBP', rate: 0 },
+        { code: 'dollars', rate: 2 },
+        { code: 'USD', rate: 9 },
+        { code: 'JPY', rate: 160 }
+      ]
+    }
+  });
+  assert.deepEqual(settings, { base: 'EUR', display: [{ code: 'USD', rate: 1.08 }, { code: 'JPY', rate: 160 }] });
+});
+
+test('shoppers only get currencies the tenant offers', () => {
+  const settings = resolveCurrencySettings({ currency: { base: 'EUR', display: [{ code: 'USD', rate: 1.08 }] } });
+  assert.deepEqual(pickCurrency(settings, 'usd'), { code: 'USD', rate: 1.08, base: 'EUR', symbol: '$' });
+  assert.deepEqual(pickCurrency(settings, 'GBP'), { code: 'EUR', rate: 1, base: 'EUR', symbol: '€' });
+  assert.deepEqual(pickCurrency(settings, undefined), { code: 'EUR', rate: 1, base: 'EUR', symbol: '€' });
+});
+
+test('conversion rounds to the currency precision and Stripe gets minor units', () => {
+  const usd = { code: 'USD', rate: 1.08 };
+  const jpy = { code: 'JPY', rate: 160.3 };
+  assert.equal(convertAmount(19.99, usd), 21.59);
+  assert.equal(convertAmount(19.99, jpy), 3204);
+  assert.equal(convertAmount(5, null), 5);
+  assert.equal(toMinorUnits(21.59, 'USD'), 2159);
+  assert.equal(toMinorUnits(3204, 'JPY'), 3204);
+  assert.equal(formatMoney(12.4, 'EUR'), '12.40 €');
+  assert.equal(formatMoney(3204, 'JPY'), '3204 ¥');
+  assert.equal(formatMoney(1, 'XYZ'), '1.00 XYZ');
+});
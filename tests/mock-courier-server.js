@@ -0,0 +1,263 @@
+'use strict';
+
+/**
+ * Local stand-in for the carrier APIs behind lib/courier-*.js. Each carrier
+ * is mounted under its own prefix, matching createCourierClient()'s
+ * `baseUrl` option (THRC_COURIER_BASE_URL for the server):
+ *
+ *   acs    → <url>/acs
+ *   elta   → <url>/elta
+ *   geniki → <url>/geniki
+ *   boxnow → <url>/boxnow
+ *
+ * Vouchers are kept in memory. setState(trackingNumber, state) moves a
+ * parcel to one of COURIER_STATES, and the next tracking call reports it in
+ * that carrier's own format.
+ *
+ * Run it directly (node tests/mock-courier-server.js [port]) to try the
+ * admin shipment screens without carrier accounts; POST /_state with
+ * { trackingNumber, state } then plays the carrier's part.
+ */
+
+const http = require('http');
+const { buildSoapEnvelope, parseXml } = require('../lib/couriers');
+
+const LABEL_PDF = Buffer.from('%PDF-1.4\n1 0 obj<</Type/Catalog>>endobj\ntrailer<</Root 1 0 R>>\n%%EOF\n');
+
+// Checkpoint wording shared by the ELTA and ACS tracking replies.
+const GREEK_TITLES = {
+  in_transit: 'ΣΕ ΜΕΤΑΦΟΡΑ',
+  out_for_delivery: 'ΣΕ ΔΙΑΝΟΜΗ',
+  delivered: 'ΠΑΡΑΔΟΘΗΚΕ',
+  returned: 'ΕΠΙΣΤΡΟΦΗ ΣΤΟΝ ΑΠΟΣΤΟΛΕΑ',
+  exception: 'ΑΔΥΝΑΜΙΑ ΕΠΙΔΟΣΗΣ'
+};
+const GENIKI_CODES = { in_transit: 'TRN', out_for_delivery: 'OFD', delivered: 'DLV', returned: 'RTN', exception: 'NDL' };
+const BOXNOW_STATES = {
+  created: 'new',
+  in_transit: 'in-depot',
+  out_for_delivery: 'final-destination',
+  delivered: 'delivered',
+  returned: 'returned',
+  exception: 'lost'
+};
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function sendSoap(res, namespace, operation, result) {
+  res.writeHead(200, { 'Content-Type': 'text/xml; charset=utf-8' });
+  res.end(buildSoapEnvelope(namespace, `${operation}Response`, { [`${operation}Result`]: result }));
+}
+
+function xmlList(tag, rows) {
+  // buildSoapEnvelope nests plain objects only; repeated siblings are joined by hand.
+  return rows.map((row) => `<${tag}>${Object.keys(row).map((k) => `<${k}>${row[k]}</${k}>`).join('')}</${tag}>`).join('');
+}
+
+function start(port = 0) {
+  const state = { vouchers: new Map(), requests: [], seq: 0 };
+
+  function createVoucher(carrier, prefix, shipment) {
+    state.seq += 1;
+    const trackingNumber = `${prefix}${String(100000 + state.seq)}`;
+    state.vouchers.set(trackingNumber, { carrier, shipment, history: [] });
+    return trackingNumber;
+  }
+
+  function setState(trackingNumber, next) {
+    const voucher = state.vouchers.get(trackingNumber);
+    if (!voucher) throw new Error(`Unknown voucher ${trackingNumber}`);
+    voucher.history.push({ state: next, at: new Date().toISOString() });
+  }
+
+  function history(trackingNumber) {
+    const voucher = state.vouchers.get(trackingNumber);
+    return voucher ? voucher.history : [];
+  }
+
+  function current(trackingNumber) {
+    const h = history(trackingNumber);
+    return h.length ? h[h.length - 1].state : 'created';
+  }
+
+  async function acs(req, res) {
+    const body = JSON.parse((await readBody(req)) || '{}');
+    const params = body.ACSInputParameters || {};
+    state.requests.push({ carrier: 'acs', operation: body.ACSAlias, params });
+    if (!req.headers.acsapikey) return sendJson(res, 200, { ACSExecution_HasError: true, ACSExecutionErrorMessage: 'Missing API key' });
+    const ok = (output) => sendJson(res, 200, { ACSExecution_HasError: false, ACSOutputResponce: output });
+    const voucherNo = String(params.Voucher_No || '');
+    if (body.ACSAlias === 'ACS_Create_Voucher') {
+      return ok({ ACSValueOutput: [{ Voucher_No: createVoucher('acs', '72', params), Error_Message: null }] });
+    }
+    if (!state.vouchers.has(voucherNo)) return sendJson(res, 200, { ACSExecution_HasError: true, ACSExecutionErrorMessage: 'Voucher not found' });
+    if (body.ACSAlias === 'ACS_Print_Voucher') return ok({ ACSValueOutput: [{ Voucher_PDF: LABEL_PDF.toString('base64') }] });
+    if (body.ACSAlias === 'ACS_Trackingsummary') {
+      const now = current(voucherNo);
+      return ok({ ACSValueOutput: [{
+        delivery_flag: now === 'delivered' ? 1 : 0,
+        returned_flag: now === 'returned' ? 1 : 0,
+        non_delivery_reason_code: now === 'exception' ? 'ΑΠΩΝ' : null
+      }] });
+    }
+    if (body.ACSAlias === 'ACS_TrackingDetails') {
+      return ok({ ACSTableOutput: { Table_Data: history(voucherNo).map((h) => ({
+        checkpoint_date_time: h.at,
+        checkpoint_action: GREEK_TITLES[h.state] || h.state,
+        checkpoint_location: 'ΑΘΗΝΑ'
+      })) } });
+    }
+    return sendJson(res, 200, { ACSExecution_HasError: true, ACSExecutionErrorMessage: `Unknown alias ${body.ACSAlias}` });
+  }
+
+  async function elta(req, res) {
+    const NS = 'http://elta-courier.gr/';
+    const call = (parseXml(await readBody(req)).Envelope || {}).Body || {};
+    const operation = Object.keys(call)[0];
+    const params = call[operation] || {};
+    state.requests.push({ carrier: 'elta', operation, params });
+    if (!params.PEL_USER_CODE) return sendSoap(res, NS, operation, { st_flag: 1, st_title: 'Λάθος κωδικός χρήστη' });
+    if (operation === 'CREATEAWB02') return sendSoap(res, NS, operation, { st_flag: 0, st_title: '', vg_code: createVoucher('elta', 'HB', params) });
+    const vg = String(params.VG_CODE || params.WPEL_VG || '');
+    if (!state.vouchers.has(vg)) return sendSoap(res, NS, operation, { st_flag: 1, st_title: 'Ανύπαρκτο voucher' });
+    if (operation === 'PELB64VG') return sendSoap(res, NS, operation, { st_flag: 0, B64String: LABEL_PDF.toString('base64') });
+    if (operation === 'PELTT01') {
+      res.writeHead(200, { 'Content-Type': 'text/xml; charset=utf-8' });
+      const items = xmlList('item', history(vg).map((h) => ({
+        web_date: h.at.slice(0, 10),
+        web_time: h.at.slice(11, 16),
+        web_status_title: GREEK_TITLES[h.state] || h.state,
+        web_station: 'ΑΘΗΝΑ'
+      })));
+      return res.end(buildSoapEnvelope(NS, `${operation}Response`, { [`${operation}Result`]: { st_flag: 0, web_status: '' } })
+        .replace('<web_status></web_status>', `<web_status>${items}</web_status>`));
+    }
+    return sendSoap(res, NS, operation, { st_flag: 1, st_title: `Unknown operation ${operation}` });
+  }
+
+  async function geniki(req, res, url) {
+    const NS = 'http://voucher.gr/';
+    if (req.method === 'GET' && url.pathname.endsWith('/GetVouchersPdf')) {
+      state.requests.push({ carrier: 'geniki', operation: 'GetVouchersPdf', params: Object.fromEntries(url.searchParams) });
+      if (url.searchParams.get('authKey') !== 'geniki-key' || !state.vouchers.has(url.searchParams.get('voucherNumbers'))) {
+        res.writeHead(404);
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': 'application/pdf' });
+      return res.end(LABEL_PDF);
+    }
+    const call = (parseXml(await readBody(req)).Envelope || {}).Body || {};
+    const operation = Object.keys(call)[0];
+    const params = call[operation] || {};
+    state.requests.push({ carrier: 'geniki', operation, params });
+    if (operation === 'Authenticate') {
+      return sendSoap(res, NS, operation, params.sUsrName ? { Result: 0, Key: 'geniki-key' } : { Result: 1, Key: '' });
+    }
+    if ((params.sAuthKey || params.authKey) !== 'geniki-key') return sendSoap(res, NS, operation, { Result: 11 });
+    if (operation === 'CreateJob') {
+      const voucher = createVoucher('geniki', '49', params.oVoucher || {});
+      return sendSoap(res, NS, operation, { Result: 0, JobId: 5000 + state.seq, Voucher: voucher });
+    }
+    if (operation === 'TrackAndTrace') {
+      if (!state.vouchers.has(String(params.voucherNo))) return sendSoap(res, NS, operation, { Result: 2 });
+      res.writeHead(200, { 'Content-Type': 'text/xml; charset=utf-8' });
+      const checkpoints = xmlList('Checkpoint', history(String(params.voucherNo)).map((h) => ({
+        StatusCode: GENIKI_CODES[h.state] || 'TRN',
+        Status: h.state,
+        StatusDate: h.at,
+        Shop: 'ΑΘΗΝΑ'
+      })));
+      return res.end(buildSoapEnvelope(NS, `${operation}Response`, { [`${operation}Result`]: { Result: 0, Checkpoints: '' } })
+        .replace('<Checkpoints></Checkpoints>', `<Checkpoints>${checkpoints}</Checkpoints>`));
+    }
+    return sendSoap(res, NS, operation, { Result: 99 });
+  }
+
+  async function boxnow(req, res, url) {
+    const raw = await readBody(req);
+    const body = raw ? JSON.parse(raw) : {};
+    const route = url.pathname.replace(/^\/boxnow/, '');
+    state.requests.push({ carrier: 'boxnow', operation: `${req.method} ${route}`, params: body });
+    if (route === '/api/v1/auth-sessions') {
+      if (!body.client_id) return sendJson(res, 401, { code: 'P401' });
+      return sendJson(res, 200, { access_token: 'boxnow-token', token_type: 'Bearer', expires_in: 3600 });
+    }
+    if (req.headers.authorization !== 'Bearer boxnow-token') return sendJson(res, 401, { code: 'P401' });
+    if (req.method === 'POST' && route === '/api/v1/delivery-requests') {
+      if (!body.destination || !body.destination.locationId) return sendJson(res, 400, { code: 'P402', message: 'Invalid destination' });
+      const parcelId = createVoucher('boxnow', '9', body);
+      return sendJson(res, 200, { id: `dr-${parcelId}`, parcels: [{ id: parcelId }] });
+    }
+    const label = route.match(/^\/api\/v1\/parcels\/([^/]+)\/label\.pdf$/);
+    if (label && state.vouchers.has(decodeURIComponent(label[1]))) {
+      res.writeHead(200, { 'Content-Type': 'application/pdf' });
+      return res.end(LABEL_PDF);
+    }
+    if (route === '/api/v1/parcels') {
+      const id = url.searchParams.get('parcelId');
+      if (!state.vouchers.has(id)) return sendJson(res, 200, { data: [] });
+      return sendJson(res, 200, { data: [{
+        id,
+        state: BOXNOW_STATES[current(id)],
+        events: history(id).map((h) => ({ type: h.state, createTime: h.at, locationDisplayName: 'BOX NOW Locker' }))
+      }] });
+    }
+    return sendJson(res, 404, { code: 'P404' });
+  }
+
+  // POST /_state { trackingNumber, state } drives parcels when run standalone.
+  async function control(req, res) {
+    try {
+      const body = JSON.parse((await readBody(req)) || '{}');
+      setState(String(body.trackingNumber || ''), String(body.state || ''));
+      return sendJson(res, 200, { ok: true });
+    } catch (err) {
+      return sendJson(res, 404, { ok: false, error: err.message });
+    }
+  }
+
+  const handlers = { acs, elta, geniki, boxnow, _state: control };
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const handler = handlers[url.pathname.split('/')[1]];
+    if (!handler) {
+      res.writeHead(404);
+      return res.end();
+    }
+    return Promise.resolve(handler(req, res, url)).catch((err) => {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end(String(err && err.message));
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.on('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        state,
+        setState,
+        close: () => new Promise((done) => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { start, LABEL_PDF };
+
+if (require.main === module) {
+  start(Number(process.argv[2]) || 4010).then((mock) => {
+    console.log('[mock-courier] listening', JSON.stringify({ url: mock.url }));
+  });
+}
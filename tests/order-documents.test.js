@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isPdfAvailable,
+  resolvePdfFonts,
+  isInvoiceable,
+  formatInvoiceNumber,
+  nextInvoiceSequence,
+  buildInvoiceData,
+  renderInvoicePdf,
+  renderPackingSlipPdf
+} = require('../lib/order-documents');
+
+function paidOrder(extra) {
+  return {
+    id: 'o1',
+    createdAt: '2026-03-01T10:00:00.000Z',
+    customerName: 'Μαρία Παπαδοπούλου',
+    address: 'Ερμού 10',
+    tk: '10563',
+    city: 'Αθήνα',
+    currency: 'EUR',
+    fulfillmentStatus: 'ready_to_ship',
+    subtotalBeforeDiscount: 50,
+    quantityDiscount: 0,
+    couponDiscount: 5,
+    couponCode: 'SAVE5',
+    shippingCost: 4,
+    codFee: 2,
+    gatewayFee: 0,
+    total: 51,
+    items: [
+      { id: 'tee', name: 'Tee', variantLabel: 'M', variantSku: 'TEE-M', qty: 2, price: 20 },
+      { id: 'kit', name: 'Kit', qty: 1, price: 0, isKitSummary: true },
+      { id: 'cap', name: 'Cap – Red', variantLabel: 'Red', qty: 1, price: 10 }
+    ],
+    ...extra
+  };
+}
+
+// ── Numbering ─────────────────────────────────────────────────────────────────
+
+test('invoice numbers are sequential per tenant and padded', () => {
+  assert.equal(nextInvoiceSequence([]), 1);
+  assert.equal(nextInvoiceSequence([{ invoice: { sequence: 4 } }, {}, { invoice: { sequence: 11 } }]), 12);
+  assert.equal(formatInvoiceNumber(12), 'INV-000012');
+  assert.equal(formatInvoiceNumber(7, ' A 2026 '), 'A2026-000007');
+  assert.equal(formatInvoiceNumber(7, 'SHOP'), 'SHOP-000007');
+});
+
+test('unpaid card orders and cancelled orders get no invoice', () => {
+  assert.equal(isInvoiceable(paidOrder()), true);
+  assert.equal(isInvoiceable(paidOrder({ fulfillmentStatus: 'cod_pending' })), true);
+  assert.equal(isInvoiceable(paidOrder({ fulfillmentStatus: 'pending_payment' })), false);
+  assert.equal(isInvoiceable(paidOrder({ fulfillmentStatus: 'cancelled' })), false);
+  assert.equal(isInvoiceable(paidOrder({ fulfillmentStatus: 'cancelled', invoice: { number: 'INV-000001' } })), true);
+});
+
+// ── Invoice data ──────────────────────────────────────────────────────────────
+
+test('invoice data lists the physical lines and non-zero adjustments', () => {
+  const data = buildInvoiceData(paidOrder({ refunds: [{ status: 'succeeded', amount: 10 }, { status: 'failed', amount: 5 }] }));
+  assert.deepEqual(data.lines.map((l) => [l.description, l.sku, l.qty, l.amount]), [
+    ['Tee – M', 'TEE-M', 2, 40],
+    ['Cap – Red', 'cap', 1, 10]
+  ]);
+  assert.equal(data.subtotal, 50);
+  assert.deepEqual(data.adjustments.map((a) => [a.key, a.amount]), [['coupon', -5], ['shipping', 4], ['codFee', 2]]);
+  assert.equal(data.adjustments[0].note, 'SAVE5');
+  assert.equal(data.total, 51);
+  assert.equal(data.refunded, 10);
+});
+
+test('fonts come from the environment first, then known system paths', () => {
+  const exists = (p) => ['/opt/noto.ttf', '/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf'].includes(p);
+  assert.deepEqual(resolvePdfFonts({ THRC_PDF_FONT: '/opt/noto.ttf' }, exists), {
+    regular: '/opt/noto.ttf',
+    bold: '/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf'
+  });
+  assert.deepEqual(resolvePdfFonts({}, () => false), { regular: null, bold: null });
+});
+
+// ── Rendering ─────────────────────────────────────────────────────────────────
+
+test('invoices and packing slips render to PDF', { skip: !isPdfAvailable() && 'pdfkit not installed' }, async () => {
+  const order = paidOrder({ invoice: { number: 'INV-000001', sequence: 1, issuedAt: '2026-03-02T10:00:00.000Z' } });
+  const invoice = await renderInvoicePdf(order, { seller: { name: 'Demo', vatNumber: '123456789' } });
+  const slip = await renderPackingSlipPdf(order, { lang: 'en', seller: { name: 'Demo' } });
+  assert.equal(invoice.subarray(0, 5).toString(), '%PDF-');
+  assert.equal(slip.subarray(0, 5).toString(), '%PDF-');
+});
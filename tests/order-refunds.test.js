@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getRefundedTotal,
+  getRefundableLines,
+  planRefund,
+  refundPaymentStatus,
+  buildLedgerReversals
+} = require('../lib/order-refunds');
+const { resolveTaxSettings, computeOrderTax } = require('../lib/tax');
+
+// 2 × 20 + 1 × 10 = 50, 10% coupon → 45, + 5 shipping = 50 charged.
+function paidOrder(extra) {
+  return {
+    id: 'o1',
+    total: 50,
+    subtotalBeforeDiscount: 50,
+    subtotal: 45,
+    shippingCost: 5,
+    codFee: 0,
+    paymentStatus: 'PAID',
+    items: [
+      { id: 'tee', name: 'Tee', price: 20, qty: 2 },
+      { id: 'kit', name: 'Kit', price: 0, qty: 1, isKitSummary: true },
+      { id: 'cap', name: 'Cap', variantId: 'red', variantLabel: 'Red', price: 10, qty: 1 }
+    ],
+    ...extra
+  };
+}
+
+// ── Refundable lines ──────────────────────────────────────────────────────────
+
+test('refundable lines skip kit summaries and carry the discounted unit amount', () => {
+  const lines = getRefundableLines(paidOrder());
+  assert.deepEqual(lines.map((l) => [l.index, l.productId, l.unitAmount, l.remainingQty]), [
+    [0, 'tee', 18, 2],
+    [2, 'cap', 9, 1]
+  ]);
+});
+
+test('earlier refunds reduce what is left, failed ones do not', () => {
+  const order = paidOrder({
+    refunds: [
+      { id: 'r1', status: 'succeeded', amount: 18, lines: [{ index: 0, qty: 1 }] },
+      { id: 'r2', status: 'failed', amount: 9, lines: [{ index: 2, qty: 1 }] }
+    ]
+  });
+  assert.equal(getRefundedTotal(order), 18);
+  const lines = getRefundableLines(order);
+  assert.equal(lines.find((l) => l.index === 0).remainingQty, 1);
+  assert.equal(lines.find((l) => l.index === 2).remainingQty, 1);
+});
+
+// ── Planning ──────────────────────────────────────────────────────────────────
+
+test('a partial refund sums the selected lines and optional shipping', () => {
+  const planned = planRefund(paidOrder(), { type: 'partial', quantities: { 0: '1', 2: '1' }, includeShipping: true });
+  assert.equal(planned.ok, true);
+  assert.equal(planned.plan.amount, 32);
+  assert.equal(planned.plan.shippingAmount, 5);
+  assert.deepEqual(planned.plan.lines.map((l) => [l.productId, l.qty, l.amount]), [['tee', 1, 18], ['cap', 1, 9]]);
+});
+
+test('with tax-exclusive prices, lines and shipping are refunded with their VAT', () => {
+  // 100 goods + 10 shipping + 26.40 VAT = 136.40 charged.
+  const items = [
+    { id: 'tee', name: 'Tee', price: 40, qty: 2 },
+    { id: 'cap', name: 'Cap', price: 20, qty: 1 }
+  ];
+  const tax = computeOrderTax(resolveTaxSettings({ tax: { enabled: true, pricesIncludeTax: false } }), {
+    items, subtotalBeforeDiscount: 100, subtotal: 100, charges: [{ key: 'shipping', amount: 10 }]
+  });
+  const order = { id: 'o2', total: 136.4, subtotalBeforeDiscount: 100, subtotal: 100, shippingCost: 10, paymentStatus: 'PAID', items, tax };
+  assert.equal(tax.totalGross, order.total);
+  assert.deepEqual(getRefundableLines(order).map((l) => [l.productId, l.unitAmount]), [['tee', 49.6], ['cap', 24.8]]);
+
+  const everything = planRefund(order, { type: 'partial', quantities: { 0: 2, 1: 1 }, includeShipping: true });
+  assert.deepEqual([everything.plan.amount, everything.plan.shippingAmount], [136.4, 12.4]);
+  const succeeded = { ...order, refunds: [{ id: 'r1', status: 'succeeded', ...everything.plan }] };
+  assert.equal(refundPaymentStatus(succeeded), 'REFUNDED');
+
+  assert.equal(planRefund(order, { type: 'partial', quantities: { 0: 1 } }).plan.amount, 49.6);
+});
+
+test('a partial refund cannot exceed the remaining quantity or be empty', () => {
+  assert.equal(planRefund(paidOrder(), { type: 'partial', quantities: { 0: 3 } }).error, 'quantity_exceeds_remaining');
+  assert.equal(planRefund(paidOrder(), { type: 'partial', quantities: {} }).error, 'nothing_selected');
+});
+
+test('a full refund returns whatever is left, shipping included once', () => {
+  const order = paidOrder({
+    refunds: [{ id: 'r1', status: 'succeeded', type: 'partial', amount: 23, shippingAmount: 5, lines: [{ index: 0, qty: 1 }] }]
+  });
+  const planned = planRefund(order, { type: 'full' });
+  assert.equal(planned.plan.amount, 27);
+  assert.equal(planned.plan.shippingAmount, 0);
+  assert.deepEqual(planned.plan.lines.map((l) => [l.productId, l.qty]), [['tee', 1], ['cap', 1]]);
+});
+
+test('pending refunds already hold their amount', () => {
+  const order = paidOrder({ refunds: [{ id: 'r1', status: 'pending', type: 'full', amount: 50, lines: [] }] });
+  assert.equal(planRefund(order, { type: 'full' }).error, 'already_refunded');
+});
+
+test('payment status reflects succeeded refunds only', () => {
+  assert.equal(refundPaymentStatus(paidOrder()), 'PAID');
+  assert.equal(refundPaymentStatus(paidOrder({ refunds: [{ status: 'succeeded', amount: 10 }] })), 'PARTIALLY_REFUNDED');
+  assert.equal(refundPaymentStatus(paidOrder({ refunds: [{ status: 'succeeded', amount: 50 }] })), 'REFUNDED');
+  assert.equal(refundPaymentStatus(paidOrder({ refunds: [{ status: 'pending', amount: 50 }] })), 'PAID');
+});
+
+// ── Ledger reversals ──────────────────────────────────────────────────────────
+
+test('ledger reversals negate the refunded share of the order rows once', () => {
+  const rows = [
+    { id: 'stl_1', tenantId: 'demo', orderId: 'o1', grossAmount: 50, netSettlementAmount: 45, status: 'settled' },
+    { id: 'stl_2', tenantId: 'demo', orderId: 'o2', grossAmount: 30, netSettlementAmount: 27, status: 'pending' },
+    { id: 'stl_3', tenantId: 'demo', orderId: 'o1', grossAmount: 50, netSettlementAmount: 45, status: 'cancelled' }
+  ];
+  let n = 0;
+  const refund = { tenantId: 'demo', orderId: 'o1', refundId: 'rf_1', ratio: 0.5, createdAt: '2026-03-01T00:00:00.000Z' };
+  const added = buildLedgerReversals(rows, refund, ['grossAmount', 'netSettlementAmount'], 'stl', () => `r${++n}`);
+  assert.equal(added.length, 1);
+  assert.deepEqual(
+    { id: added[0].id, reversesId: added[0].reversesId, gross: added[0].grossAmount, net: added[0].netSettlementAmount, status: added[0].status, type: added[0].entryType },
+    { id: 'stl_r1', reversesId: 'stl_1', gross: -25, net: -22.5, status: 'pending', type: 'reversal' }
+  );
+  assert.deepEqual(buildLedgerReversals(rows.concat(added), refund, ['grossAmount'], 'stl', () => 'x'), [], 'same refund not booked twice');
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  canTransition,
+  getReturnableLines,
+  isOrderReturnable,
+  buildReturnRequest,
+  applyReturnTransition
+} = require('../lib/order-returns');
+
+const NOW = Date.parse('2026-03-01T10:00:00.000Z');
+
+function shippedOrder(extra) {
+  return {
+    id: 'o1',
+    email: 'maria@example.com',
+    fulfillmentStatus: 'delivered',
+    items: [
+      { id: 'tee', name: 'Tee', qty: 2, price: 20 },
+      { id: 'kit', name: 'Kit', qty: 1, isKitSummary: true },
+      { id: 'cap', name: 'Cap', variantId: 'red', variantLabel: 'Red', qty: 1, price: 10 }
+    ],
+    ...extra
+  };
+}
+
+// ── Eligibility ───────────────────────────────────────────────────────────────
+
+test('only shipped or delivered orders can be returned', () => {
+  assert.equal(isOrderReturnable(shippedOrder()), true);
+  assert.equal(isOrderReturnable(shippedOrder({ fulfillmentStatus: 'shipped' })), true);
+  assert.equal(isOrderReturnable(shippedOrder({ fulfillmentStatus: 'ready_to_ship' })), false);
+  assert.equal(buildReturnRequest(shippedOrder({ fulfillmentStatus: 'cod_pending' }), [], { reason: 'damaged', quantities: { 0: 1 } }).error, 'not_returnable');
+});
+
+test('open returns reduce the returnable quantity, rejected ones do not', () => {
+  const returns = [
+    { orderId: 'o1', status: 'approved', lines: [{ index: 0, qty: 1 }] },
+    { orderId: 'o1', status: 'rejected', lines: [{ index: 2, qty: 1 }] },
+    { orderId: 'o2', status: 'requested', lines: [{ index: 0, qty: 2 }] }
+  ];
+  const lines = getReturnableLines(shippedOrder(), returns);
+  assert.deepEqual(lines.map((l) => [l.index, l.productId, l.remainingQty]), [[0, 'tee', 1], [2, 'cap', 1]]);
+});
+
+// ── Requests ──────────────────────────────────────────────────────────────────
+
+test('a return request keeps the chosen lines, reason and a first history step', () => {
+  const result = buildReturnRequest(shippedOrder(), [], {
+    quantities: { 0: '1', 2: '0' },
+    reason: 'damaged',
+    comments: '  torn seam  '
+  }, NOW);
+  assert.equal(result.ok, true);
+  const { rma } = result;
+  assert.equal(rma.status, 'requested');
+  assert.equal(rma.email, 'maria@example.com');
+  assert.equal(rma.comments, 'torn seam');
+  assert.deepEqual(rma.lines.map((l) => [l.productId, l.qty]), [['tee', 1]]);
+  assert.deepEqual(rma.history, [{ status: 'requested', at: '2026-03-01T10:00:00.000Z', actor: 'customer', note: '' }]);
+});
+
+test('invalid requests are refused', () => {
+  assert.equal(buildReturnRequest(shippedOrder(), [], { quantities: { 0: 1 } }).error, 'reason_required');
+  assert.equal(buildReturnRequest(shippedOrder(), [], { reason: 'nope', quantities: { 0: 1 } }).error, 'reason_required');
+  assert.equal(buildReturnRequest(shippedOrder(), [], { reason: 'other', quantities: {} }).error, 'nothing_selected');
+  assert.equal(buildReturnRequest(shippedOrder(), [], { reason: 'other', quantities: { 0: 3 } }).error, 'quantity_exceeds_remaining');
+});
+
+// ── Status flow ───────────────────────────────────────────────────────────────
+
+test('statuses move requested → approved → received → refunded only', () => {
+  assert.equal(canTransition('requested', 'approved'), true);
+  assert.equal(canTransition('requested', 'received'), false);
+  assert.equal(canTransition('received', 'rejected'), false);
+  assert.equal(canTransition('refunded', 'received'), false);
+
+  const rma = buildReturnRequest(shippedOrder(), [], { reason: 'other', quantities: { 0: 1 } }, NOW).rma;
+  ['approved', 'received', 'refunded'].forEach((to, i) => {
+    assert.equal(applyReturnTransition(rma, to, { note: i === 0 ? 'ok' : '' }, NOW + i * 1000).ok, true);
+  });
+  assert.equal(rma.status, 'refunded');
+  assert.deepEqual(rma.history.map((h) => [h.status, h.actor]), [
+    ['requested', 'customer'], ['approved', 'admin'], ['received', 'admin'], ['refunded', 'admin']
+  ]);
+  assert.equal(rma.history[1].note, 'ok');
+  assert.equal(applyReturnTransition(rma, 'approved').error, 'invalid_transition');
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  canTransitionOrder,
+  nextOrderStatuses,
+  getStatusHistory,
+  recordOrderStatus,
+  customerStatusHistory
+} = require('../lib/order-status');
+
+const NOW = Date.parse('2026-03-01T10:00:00.000Z');
+
+function newOrder(extra) {
+  return {
+    id: 'o1',
+    fulfillmentStatus: 'cod_pending',
+    createdAt: '2026-02-28T09:00:00.000Z',
+    statusHistory: [{ status: 'cod_pending', at: '2026-02-28T09:00:00.000Z', actor: 'customer', note: '', customerVisible: true }],
+    ...extra
+  };
+}
+
+// ── Transitions ───────────────────────────────────────────────────────────────
+
+test('final statuses cannot move anywhere', () => {
+  assert.equal(canTransitionOrder('delivered', 'pending_payment'), false);
+  assert.equal(canTransitionOrder('delivered', 'shipped'), false);
+  assert.equal(canTransitionOrder('cancelled', 'ready_to_ship'), false);
+  assert.equal(canTransitionOrder('shipped', 'ready_to_ship'), false);
+  assert.equal(canTransitionOrder('ready_to_ship', 'shipped'), true);
+  assert.deepEqual(nextOrderStatuses('shipped'), ['shipped', 'delivered', 'issue']);
+  assert.deepEqual(nextOrderStatuses('delivered'), ['delivered']);
+});
+
+test('recording a status appends history and stamps shipped/delivered times', () => {
+  const order = newOrder();
+  assert.equal(recordOrderStatus(order, 'shipped', { note: 'ACS pickup' }, NOW).changed, true);
+  assert.equal(recordOrderStatus(order, 'delivered', { actor: 'courier' }, NOW + 1000).ok, true);
+  assert.equal(order.fulfillmentStatus, 'delivered');
+  assert.equal(order.shippedAt, '2026-03-01T10:00:00.000Z');
+  assert.equal(order.deliveredAt, '2026-03-01T10:00:01.000Z');
+  assert.deepEqual(order.statusHistory.map((h) => [h.status, h.actor, h.note]), [
+    ['cod_pending', 'customer', ''],
+    ['shipped', 'admin', 'ACS pickup'],
+    ['delivered', 'courier', '']
+  ]);
+});
+
+test('refused transitions leave the order untouched', () => {
+  const order = newOrder({ fulfillmentStatus: 'delivered' });
+  const before = JSON.stringify(order);
+  assert.equal(recordOrderStatus(order, 'pending_payment', {}, NOW).error, 'invalid_transition');
+  assert.equal(recordOrderStatus(order, 'lost', {}, NOW).error, 'unknown_status');
+  assert.equal(JSON.stringify(order), before);
+});
+
+test('same status is only written when it carries a note', () => {
+  const order = newOrder();
+  assert.deepEqual(recordOrderStatus(order, 'cod_pending', {}, NOW), { ok: true, changed: false, entry: null });
+  assert.equal(order.statusHistory.length, 1);
+  const result = recordOrderStatus(order, 'cod_pending', { note: 'Called the customer' }, NOW);
+  assert.equal(result.changed, false);
+  assert.equal(order.statusHistory.length, 2);
+});
+
+// ── History views ─────────────────────────────────────────────────────────────
+
+test('orders without a history get one rebuilt from their timestamps', () => {
+  const history = getStatusHistory({ createdAt: 'a', shippedAt: 'b', fulfillmentStatus: 'shipped' });
+  assert.deepEqual(history.map((h) => [h.status, h.at]), [['placed', 'a'], ['shipped', 'b']]);
+});
+
+test('the customer view hides internal statuses, actors and private notes', () => {
+  const order = newOrder({ fulfillmentStatus: 'ready_to_ship' });
+  recordOrderStatus(order, 'issue', { note: 'Label printer jammed' }, NOW);
+  recordOrderStatus(order, 'shipped', { note: 'On its way with ACS', customerVisible: true }, NOW + 1000);
+  recordOrderStatus(order, 'delivered', { note: 'Courier scan only' }, NOW + 2000);
+  assert.deepEqual(customerStatusHistory(order), [
+    { status: 'cod_pending', at: '2026-02-28T09:00:00.000Z', note: '' },
+    { status: 'shipped', at: '2026-03-01T10:00:01.000Z', note: 'On its way with ACS' },
+    { status: 'delivered', at: '2026-03-01T10:00:02.000Z', note: '' }
+  ]);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizePickupType,
+  normalizePickupPoint,
+  normalizePickupPoints,
+  pickupPointsFromCsv,
+  pickupPointsToCsvRows,
+  pointsForOption,
+  orderPickupPoint,
+  formatPickupPoint
+} = require('../lib/pickup-points');
+
+test('points need an id, a name and a known type', () => {
+  assert.equal(normalizePickupType(' Locker '), 'locker');
+  assert.equal(normalizePickupType('door'), '');
+  assert.equal(normalizePickupPoint({ id: 'x', name: 'X', type: 'kiosk' }), null);
+  assert.equal(normalizePickupPoint({ id: '', name: 'X', type: 'store' }), null);
+  assert.deepEqual(
+    normalizePickupPoint({ id: 'bn 12', type: 'LOCKER', name: ' Σύνταγμα ', postcode: '105 63', provider: 'BoxNow', active: 'όχι' }),
+    { id: 'bn-12', type: 'locker', name: 'Σύνταγμα', address: '', city: '', postcode: '10563', provider: 'boxnow', hours: '', active: false }
+  );
+  const points = normalizePickupPoints([{ id: 'a', type: 'store', name: 'A' }, { id: 'a', type: 'store', name: 'B' }, null]);
+  assert.deepEqual(points.map((p) => p.name), ['A']);
+});
+
+test('CSV import reports bad and duplicate rows by line and round-trips', () => {
+  const { points, errors } = pickupPointsFromCsv([
+    ['id', 'type', 'name', 'address', 'city', 'postcode', 'active'],
+    ['bn-1', 'locker', 'Locker Σύνταγμα', 'Ερμού 2', 'Αθήνα', '10563', '1'],
+    ['bn-1', 'locker', 'Διπλό', '', '', '', ''],
+    ['st-1', 'shop', 'Κατάστημα', '', '', '', ''],
+    ['st-2', 'store', 'Κατάστημα Θεσσαλονίκης', 'Τσιμισκή 1', 'Θεσσαλονίκη', '54623', '0']
+  ]);
+  assert.deepEqual(points.map((p) => [p.id, p.active]), [['bn-1', true], ['st-2', false]]);
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /Γραμμή 3: διπλό id/);
+  assert.match(errors[1], /Γραμμή 4:/);
+
+  const rows = pickupPointsToCsvRows(points);
+  assert.deepEqual(rows[0], ['id', 'type', 'name', 'address', 'city', 'postcode', 'provider', 'hours', 'active']);
+  assert.deepEqual(pickupPointsFromCsv(rows).points, points);
+  assert.match(pickupPointsFromCsv([['id', 'name']]).errors[0], /Λείπουν στήλες: type/);
+});
+
+test('an option lists the active points of its type by city and name', () => {
+  const points = [
+    { id: 'l3', type: 'locker', name: 'Ζωγράφου', city: 'Αθήνα' },
+    { id: 'l1', type: 'locker', name: 'Καλαμαριά', city: 'Θεσσαλονίκη' },
+    { id: 'l2', type: 'locker', name: 'Άλιμος', city: 'Αθήνα' },
+    { id: 'l4', type: 'locker', name: 'Κλειστό', city: 'Αθήνα', active: false },
+    { id: 's1', type: 'store', name: 'Κατάστημα', city: 'Αθήνα' }
+  ];
+  assert.deepEqual(pointsForOption(points, { pickupType: 'locker' }).map((p) => p.id), ['l2', 'l3', 'l1']);
+  assert.deepEqual(pointsForOption(points, { pickupType: 'store' }).map((p) => p.id), ['s1']);
+  assert.deepEqual(pointsForOption(points, { id: 'standard' }), []);
+});
+
+test('orders keep a copy of the point and describe it on one line', () => {
+  const point = normalizePickupPoint({ id: 'bn-1', type: 'locker', name: 'Locker Σύνταγμα', address: 'Ερμού 2', city: 'Αθήνα', postcode: '10563' });
+  const copy = orderPickupPoint(point);
+  assert.equal('active' in copy, false);
+  assert.equal(formatPickupPoint(copy), 'Locker Σύνταγμα — Ερμού 2, 10563 Αθήνα');
+  assert.equal(formatPickupPoint({ name: 'Κατάστημα' }), 'Κατάστημα');
+  assert.equal(formatPickupPoint(null), '');
+});
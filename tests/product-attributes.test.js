@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MAX_MATRIX_VARIANTS,
+  normalizeAttributeDefinitions,
+  formatAttributeDefinitions,
+  resolveAttributeDefinitions,
+  normalizeVariantAttributes,
+  findVariantByAttributes,
+  variantLabel,
+  generateVariantMatrix,
+  variantOptionGroups,
+  variantAttributeNames
+} = require('../lib/product-attributes');
+
+const defs = normalizeAttributeDefinitions('Μέγεθος: S, M; Χρώμα: Μαύρο, Καφέ');
+
+test('definitions parse from text, drop duplicates and round-trip', () => {
+  assert.deepEqual(defs, [{ name: 'Μέγεθος', values: ['S', 'M'] }, { name: 'Χρώμα', values: ['Μαύρο', 'Καφέ'] }]);
+  assert.deepEqual(
+    normalizeAttributeDefinitions([{ name: ' Size ', values: 'S, s, , M' }, { name: 'size', values: ['L'] }, { name: 'Empty', values: [] }]),
+    [{ name: 'Size', values: ['S', 'M'] }]
+  );
+  assert.equal(formatAttributeDefinitions(defs), 'Μέγεθος: S, M; Χρώμα: Μαύρο, Καφέ');
+  assert.deepEqual(normalizeAttributeDefinitions(formatAttributeDefinitions(defs)), defs);
+  assert.deepEqual(normalizeAttributeDefinitions('no colon here'), []);
+});
+
+test('products use their own definitions, else the nearest category ancestor', () => {
+  const categories = [
+    { id: 'clothes', attributes: [{ name: 'Μέγεθος', values: ['S', 'M', 'L'] }] },
+    { id: 'shirts', parentId: 'clothes' },
+    { id: 'loop-a', parentId: 'loop-b' },
+    { id: 'loop-b', parentId: 'loop-a' }
+  ];
+  assert.deepEqual(resolveAttributeDefinitions({ categoryId: 'shirts' }, categories)[0].values, ['S', 'M', 'L']);
+  assert.deepEqual(resolveAttributeDefinitions({ categoryId: 'shirts', attributes: 'Χρώμα: Μπλε' }, categories), [{ name: 'Χρώμα', values: ['Μπλε'] }]);
+  assert.deepEqual(resolveAttributeDefinitions({ categoryId: 'loop-a' }, categories), []);
+  assert.deepEqual(resolveAttributeDefinitions({ type: 'KIT', attributes: 'Χρώμα: Μπλε' }, categories), []);
+});
+
+test('variant attributes take the definitions\' spelling and label in their order', () => {
+  assert.deepEqual(
+    normalizeVariantAttributes({ 'χρωμα': 'ΚΑΦΈ', 'μέγεθος': 'm', Υλικό: ' Δέρμα ', Κενό: '' }, defs),
+    { Χρώμα: 'Καφέ', Μέγεθος: 'M', Υλικό: 'Δέρμα' }
+  );
+  assert.equal(variantLabel({ Χρώμα: 'Μαύρο', Μέγεθος: 'S' }, defs), 'S / Μαύρο');
+  const variants = [{ id: 'a', attributes: { Μέγεθος: 'S', Χρώμα: 'Μαύρο' } }, { id: 'b', attributes: { Μέγεθος: 'M', Χρώμα: 'Καφέ' } }];
+  assert.equal(findVariantByAttributes(variants, { 'μεγεθος': 'm', Χρώμα: 'καφε' }).id, 'b');
+  assert.equal(findVariantByAttributes(variants, { Μέγεθος: 'M', Χρώμα: 'Μαύρο' }), null);
+  assert.equal(findVariantByAttributes(variants, {}), null);
+});
+
+test('the matrix keeps variants at a combination and drops the rest', () => {
+  const product = {
+    id: 'tee',
+    sku: 'TEE',
+    price: 15,
+    variants: [
+      { id: 'old-m-black', label: 'M / Μαύρο', price: 18, stock: 4, imageUrl: '/m.jpg' },
+      { id: 's-brown', label: 'x', sku: 'KEEP', price: 16, stock: 2, attributes: { Μέγεθος: 'S', Χρώμα: 'Καφέ' } },
+      { id: 'xl', label: 'XL', stock: 1 }
+    ]
+  };
+  const matrix = generateVariantMatrix(product, defs);
+  assert.deepEqual([matrix.created, matrix.kept, matrix.dropped], [2, 2, 1]);
+  assert.deepEqual(matrix.variants.map((v) => v.label), ['S / Μαύρο', 'S / Καφέ', 'M / Μαύρο', 'M / Καφέ']);
+
+  const [sBlack, sBrown, mBlack] = matrix.variants;
+  assert.deepEqual(sBlack, { id: 's-μαυρο', label: 'S / Μαύρο', price: 15, stock: 0, attributes: { Μέγεθος: 'S', Χρώμα: 'Μαύρο' }, sku: 'TEE-S-ΜΑΥΡΟ' });
+  assert.deepEqual([sBrown.id, sBrown.sku, sBrown.price, sBrown.stock], ['s-brown', 'KEEP', 16, 2]);
+  // Matched by label, from before attributes existed.
+  assert.deepEqual([mBlack.id, mBlack.price, mBlack.stock, mBlack.imageUrl], ['old-m-black', 18, 4, '/m.jpg']);
+  assert.deepEqual(mBlack.attributes, { Μέγεθος: 'M', Χρώμα: 'Μαύρο' });
+});
+
+test('the matrix needs values and stays under the size limit', () => {
+  assert.throws(() => generateVariantMatrix({ id: 'x' }, []), /τουλάχιστον ένα χαρακτηριστικό/);
+  const many = Array.from({ length: 15 }, (_, i) => `v${i}`).join(', ');
+  const big = normalizeAttributeDefinitions(`A: ${many}; B: ${many}`);
+  assert.ok(15 * 15 > MAX_MATRIX_VARIANTS);
+  assert.throws(() => generateVariantMatrix({ id: 'x' }, big), /225 παραλλαγές/);
+});
+
+test('selector groups and CSV columns come from the variants', () => {
+  const variants = [
+    { id: 'a', attributes: { Χρώμα: 'Καφέ', Μέγεθος: 'M' } },
+    { id: 'b', attributes: { Χρώμα: 'Μαύρο', Μέγεθος: 'S', Υλικό: 'Δέρμα' } }
+  ];
+  assert.deepEqual(variantOptionGroups(variants, defs), [
+    { name: 'Μέγεθος', values: ['S', 'M'] },
+    { name: 'Χρώμα', values: ['Μαύρο', 'Καφέ'] },
+    { name: 'Υλικό', values: ['Δέρμα'] }
+  ]);
+  assert.deepEqual(variantOptionGroups(variants.concat({ id: 'c', label: 'Χωρίς' }), defs), []);
+  assert.deepEqual(variantAttributeNames([{ variants }, { variants: [{ attributes: { 'χρώμα': 'Λευκό' } }] }, {}]), ['Χρώμα', 'Μέγεθος', 'Υλικό']);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isBundle,
+  normalizeBundleItems,
+  formatBundleItems,
+  resolveBundleComponents,
+  bundleStock,
+  bundleComponentsValue,
+  applyBundleStock
+} = require('../lib/product-bundles');
+
+const catalog = [
+  { id: 'bag', price: 48, stock: 7, variants: [{ id: 'black', price: 50, stock: 3 }, { id: 'brown', stock: 0 }] },
+  { id: 'strap', price: 12, stock: 9 },
+  { id: 'card', price: 3 },
+  { id: 'wallet', price: 20, stock: 0, allowBackorder: true },
+  { id: 'kit', type: 'KIT', price: 80 }
+];
+
+const bundle = (bundleItems, extra) => ({ id: 'pack', type: 'BUNDLE', price: 60, bundleItems, ...extra });
+
+test('components parse from text, merge duplicates and round-trip', () => {
+  assert.deepEqual(normalizeBundleItems('bag:black, strap*2, strap * 1, bad entry, card*0'), [
+    { productId: 'bag', variantId: 'black', qty: 1 },
+    { productId: 'strap', qty: 3 }
+  ]);
+  assert.deepEqual(normalizeBundleItems([{ productId: 'card', qty: '2' }, { productId: '' }, null]), [{ productId: 'card', qty: 2 }]);
+  assert.equal(formatBundleItems([{ productId: 'bag', variantId: 'black' }, { productId: 'strap', qty: 2 }]), 'bag:black, strap*2');
+  assert.equal(isBundle(bundle([])), true);
+  assert.equal(isBundle({ type: 'KIT' }), false);
+});
+
+test('components resolve against the catalogue; kits, bundles and missing items cannot be sold', () => {
+  const components = resolveBundleComponents(bundle('bag:black, bag:green, kit, pack, ghost'), catalog.concat(bundle('')));
+  assert.deepEqual(components.map((c) => [c.productId, c.variantId, c.sellable]), [
+    ['bag', 'black', true],
+    ['bag', 'green', false],
+    ['kit', undefined, false],
+    ['pack', undefined, false],
+    ['ghost', undefined, false]
+  ]);
+  assert.equal(components[0].variant.price, 50);
+  assert.deepEqual(resolveBundleComponents({ id: 'plain', bundleItems: 'bag' }, catalog), []);
+});
+
+test('a bundle has as much stock as its scarcest component allows', () => {
+  assert.equal(bundleStock(bundle('bag:black, strap*2'), catalog), 3);
+  assert.equal(bundleStock(bundle('bag*2, strap*4'), catalog), 2);
+  assert.equal(bundleStock(bundle('bag:brown, strap'), catalog), 0);
+  assert.equal(bundleStock(bundle('card, wallet'), catalog), null);
+  assert.equal(bundleStock(bundle('strap, ghost'), catalog), 0);
+  assert.equal(bundleStock(bundle(''), catalog), 0);
+});
+
+test('the storefront sees derived stock and the components\' separate value', () => {
+  const [plain, pack, open] = applyBundleStock([
+    catalog[1],
+    bundle('bag:brown, strap', { stock: 40, allowBackorder: true }),
+    bundle('card*2, wallet', { id: 'open', stock: 5 })
+  ], catalog);
+  assert.equal(plain, catalog[1]);
+  assert.deepEqual([pack.stock, pack.allowBackorder], [0, undefined]);
+  assert.equal('stock' in open, false);
+  assert.equal(bundleComponentsValue(bundle('bag:black, bag:brown, strap*2, ghost'), catalog), 50 + 48 + 24);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeScheduleFields,
+  isPublished,
+  isVisible,
+  isSaleLive,
+  scheduleProduct,
+  withEffective,
+  scheduleCatalog,
+  storefrontProducts
+} = require('../lib/product-schedule');
+
+const NOW = Date.parse('2026-11-28T12:00:00Z');
+
+test('schedule fields are cleaned and blanks dropped; variants keep only sale fields', () => {
+  const product = { publishAt: ' 2026-11-01T09:00 ', unpublishAt: 'someday', salePrice: '39.999', saleStartsAt: '', saleEndsAt: '2026-11-30', effective: { price: 1 } };
+  assert.deepEqual(normalizeScheduleFields(product), { publishAt: '2026-11-01T09:00+02:00', salePrice: 40, saleEndsAt: '2026-11-30T00:00+02:00' });
+  const variant = { id: 'v', salePrice: 0, publishAt: '2026-11-01', saleStartsAt: '2026-11-27' };
+  assert.deepEqual(normalizeScheduleFields(variant, { variant: true }), { id: 'v', saleStartsAt: '2026-11-27T00:00+02:00' });
+});
+
+test('admin times are the shop\'s local time, not the server\'s', () => {
+  // 09:00 in Athens (summer time) is 06:00 UTC.
+  const greek = normalizeScheduleFields({ publishAt: '2026-07-01T09:00', saleStartsAt: '2026-07-01T09:00Z' });
+  assert.deepEqual(greek, { publishAt: '2026-07-01T09:00+03:00', saleStartsAt: '2026-07-01T12:00+03:00' });
+  assert.equal(isPublished(greek, Date.parse('2026-07-01T05:59:00Z')), false);
+  assert.equal(isPublished(greek, Date.parse('2026-07-01T06:00:00Z')), true);
+  const lisbon = normalizeScheduleFields({ publishAt: '2026-07-01T09:00' }, { timeZone: 'Europe/Lisbon' });
+  assert.equal(lisbon.publishAt, '2026-07-01T09:00+01:00');
+  assert.equal(normalizeScheduleFields({ ...greek }).publishAt, greek.publishAt);
+});
+
+test('publishing windows open at publishAt and close at unpublishAt', () => {
+  assert.equal(isPublished({}, NOW), true);
+  assert.equal(isPublished({ publishAt: '2026-11-29T00:00:00Z' }, NOW), false);
+  assert.equal(isPublished({ publishAt: '2026-11-28T12:00:00Z' }, NOW), true);
+  assert.equal(isPublished({ unpublishAt: '2026-11-28T12:00:00Z' }, NOW), false);
+  assert.equal(isPublished({ publishAt: 'not a date', unpublishAt: '2027-01-01' }, NOW), true);
+  assert.equal(isVisible({ active: false }, NOW), false);
+});
+
+test('sales run inside their window and only below the regular price', () => {
+  assert.equal(isSaleLive({ price: 50, salePrice: 40 }, NOW), true);
+  assert.equal(isSaleLive({ price: 50, salePrice: 50 }, NOW), false);
+  assert.equal(isSaleLive({ price: 50, salePrice: 40, saleStartsAt: '2026-11-29' }, NOW), false);
+  assert.equal(isSaleLive({ price: 50, salePrice: 40, saleEndsAt: '2026-11-28T11:59:00Z' }, NOW), false);
+});
+
+test('a product sale cuts priced variants in proportion unless they have their own', () => {
+  const product = {
+    id: 'bag',
+    price: 50,
+    salePrice: 40,
+    saleEndsAt: '2026-12-01',
+    variants: [
+      { id: 'plain' },
+      { id: 'large', price: 60 },
+      { id: 'leather', price: 80, salePrice: 55 },
+      { id: 'later', price: 70, salePrice: 35, saleStartsAt: '2026-12-24' }
+    ]
+  };
+  const sold = scheduleProduct(product, NOW);
+  assert.deepEqual([sold.price, sold.regularPrice], [40, 50]);
+  assert.deepEqual(sold.variants.map((v) => [v.id, v.price, v.regularPrice]), [
+    ['plain', undefined, undefined],
+    ['large', 48, 60],
+    ['leather', 55, 80],
+    ['later', 56, 70]
+  ]);
+  assert.equal(product.price, 50);
+
+  const variantOnly = scheduleProduct({ price: 20, variants: [{ id: 'a', price: 25, salePrice: 22 }] }, NOW);
+  assert.equal(variantOnly.regularPrice, undefined);
+  assert.deepEqual([variantOnly.variants[0].price, variantOnly.variants[0].regularPrice], [22, 25]);
+});
+
+test('catalogues drop unpublished products; the storefront also drops inactive ones', () => {
+  const products = [
+    { id: 'live', price: 10 },
+    { id: 'soon', price: 10, publishAt: '2026-12-01' },
+    { id: 'part', price: 5, active: false, salePrice: 4 }
+  ];
+  assert.deepEqual(scheduleCatalog(products, NOW).map((p) => [p.id, p.price]), [['live', 10], ['part', 4]]);
+  assert.deepEqual(storefrontProducts(products, NOW).map((p) => p.id), ['live']);
+});
+
+test('exports describe the effective price and visibility without changing stored fields', () => {
+  const exported = withEffective({ id: 'bag', price: 50, salePrice: 40, unpublishAt: '2026-11-01', variants: [{ id: 'a' }, { id: 'b', price: 60 }] }, NOW);
+  assert.equal(exported.price, 50);
+  assert.deepEqual(exported.effective, { visible: false, price: 40, onSale: true });
+  assert.deepEqual(exported.variants.map((v) => v.effective), [{ price: 40, onSale: true }, { price: 48, onSale: true }]);
+  assert.equal(exported.variants[1].price, 60);
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizePromotion,
+  isPromotionLive,
+  countPromotionUsage,
+  applyPromotions
+} = require('../lib/promotions');
+const { buildInvoiceData } = require('../lib/order-documents');
+
+const categories = [
+  { id: 'bags' },
+  { id: 'totes', parentId: 'bags' },
+  { id: 'shoes' }
+];
+const cart = {
+  items: [
+    { id: 'tote-1', categoryId: 'totes', price: 40, qty: 1 },
+    { id: 'bag-2', categoryId: 'bags', variantId: 'bag-2-red', price: 20, qty: 2 },
+    { id: 'shoe-1', categoryId: 'shoes', price: 50, qty: 1 }
+  ],
+  subtotal: 130,
+  shippingCost: 4
+};
+
+test('normalizePromotion fills defaults and clamps values', () => {
+  const promo = normalizePromotion({ name: 'Summer Bags!', type: 'percent', value: 150, scope: { categoryIds: 'bags, totes' } });
+  assert.equal(promo.id, 'summer-bags');
+  assert.equal(promo.value, 100);
+  assert.deepEqual(promo.scope.categoryIds, ['bags', 'totes']);
+  assert.equal(promo.stackable, true);
+  assert.equal(promo.getPercent, 100);
+  assert.equal(normalizePromotion({ type: 'bogus' }).type, 'percent');
+});
+
+test('date windows and the active flag decide whether a promotion runs', () => {
+  const now = Date.parse('2026-06-15T12:00:00Z');
+  assert.equal(isPromotionLive({ active: true, startsAt: '2026-06-01T00:00:00Z', endsAt: '2026-06-30T00:00:00Z' }, now), true);
+  assert.equal(isPromotionLive({ active: true, startsAt: '2026-07-01T00:00:00Z' }, now), false);
+  assert.equal(isPromotionLive({ active: true, endsAt: '2026-06-01T00:00:00Z' }, now), false);
+  assert.equal(isPromotionLive({ active: false }, now), false);
+});
+
+test('admin dates are saved in the shop\'s time zone', () => {
+  const promo = normalizePromotion({ name: 'Morning', startsAt: '2026-06-15T09:00', endsAt: '2026-06-15T21:00' }, { timeZone: 'Europe/Athens' });
+  assert.deepEqual([promo.startsAt, promo.endsAt], ['2026-06-15T09:00+03:00', '2026-06-15T21:00+03:00']);
+  // 09:00 in Athens is 06:00 UTC, hours before a UTC server's 09:00.
+  assert.equal(isPromotionLive(promo, Date.parse('2026-06-15T06:30:00Z')), true);
+  assert.equal(isPromotionLive(promo, Date.parse('2026-06-15T05:59:00Z')), false);
+  assert.equal(isPromotionLive(promo, Date.parse('2026-06-15T18:01:00Z')), false);
+  assert.equal(normalizePromotion(promo).startsAt, promo.startsAt);
+});
+
+test('category scope covers sub-categories; variant scope matches single variants', () => {
+  const byCategory = applyPromotions([{ id: 'bags', name: 'Bags', type: 'percent', value: 10, scope: { categoryIds: ['bags'] } }], cart, { categories });
+  assert.equal(byCategory.discount, 8);
+  const byVariant = applyPromotions([{ id: 'red', name: 'Red', type: 'fixed', value: 100, scope: { variantIds: ['bag-2-red'] } }], cart, { categories });
+  assert.equal(byVariant.discount, 40);
+  const belowMinimum = applyPromotions([{ id: 'min', name: 'Min', type: 'percent', value: 10, minSubtotal: 200 }], cart, { categories });
+  assert.deepEqual(belowMinimum, { discount: 0, shippingDiscount: 0, applied: [] });
+});
+
+test('buy X get Y discounts the cheapest units of each group', () => {
+  const result = applyPromotions([{ id: 'b2g1', name: '2+1', type: 'buy_x_get_y', buyQty: 2, getQty: 1, scope: { categoryIds: ['bags'] } }], cart, { categories });
+  // Units in scope: 20, 20, 40 → one group, the 20 is free.
+  assert.equal(result.discount, 20);
+  const half = applyPromotions([{ id: 'b1g1', name: '1+1 -50%', type: 'buy_x_get_y', buyQty: 1, getQty: 1, getPercent: 50 }], cart, { categories });
+  // Units: 20, 20, 40, 50 → two groups, the two 20s at half price.
+  assert.equal(half.discount, 20);
+});
+
+test('stackable promotions add up and an exclusive one only wins when bigger', () => {
+  const promotions = [
+    { id: 'ship', name: 'Free shipping', type: 'free_shipping', minSubtotal: 100 },
+    { id: 'ten', name: '10%', type: 'percent', value: 10 },
+    { id: 'solo', name: 'Solo 15', type: 'fixed', value: 15, stackable: false }
+  ];
+  const stacked = applyPromotions(promotions, cart, { categories });
+  assert.equal(stacked.discount, 13);
+  assert.equal(stacked.shippingDiscount, 4);
+  assert.deepEqual(stacked.applied.map((p) => p.id), ['ship', 'ten']);
+
+  promotions[2].value = 30;
+  const solo = applyPromotions(promotions, cart, { categories });
+  assert.deepEqual(solo.applied.map((p) => [p.id, p.discount]), [['solo', 30]]);
+  assert.equal(solo.shippingDiscount, 0);
+
+  const withCoupon = applyPromotions([{ id: 'ten', name: '10%', type: 'percent', value: 10, combinesWithCoupons: false }], cart, { categories, hasCoupon: true });
+  assert.equal(withCoupon.discount, 0);
+});
+
+test('usage limits count redeemed and live reserved uses, in total and per customer', () => {
+  const now = Date.parse('2026-05-01T10:00:00Z');
+  const usage = countPromotionUsage([
+    { promotionId: 'ten', email: 'A@x.gr', status: 'redeemed' },
+    { promotionId: 'ten', email: 'a@x.gr', status: 'reserved', expiresAt: '2026-05-01T10:30:00Z' },
+    { promotionId: 'ten', email: 'b@x.gr', status: 'reserved', expiresAt: '2026-05-01T09:30:00Z' },
+    { promotionId: 'ten', email: 'b@x.gr', status: 'void' }
+  ], now);
+  assert.deepEqual(usage.total, { ten: 2 });
+  assert.deepEqual(usage.byCustomer.ten, { 'a@x.gr': 2 });
+
+  const perCustomer = [{ id: 'ten', name: '10%', type: 'percent', value: 10, perCustomerLimit: 2 }];
+  assert.equal(applyPromotions(perCustomer, cart, { usage, customerEmail: 'a@x.gr' }).discount, 0);
+  assert.equal(applyPromotions(perCustomer, cart, { usage, customerEmail: 'b@x.gr' }).discount, 13);
+  const total = [{ id: 'ten', name: '10%', type: 'percent', value: 10, usageLimit: 2 }];
+  assert.equal(applyPromotions(total, cart, { usage, customerEmail: 'c@x.gr' }).discount, 0);
+});
+
+test('fixed amounts follow the order currency; invoices list each promotion', () => {
+  const usd = { code: 'USD', rate: 1.1 };
+  const result = applyPromotions([{ id: 'five', name: 'Five off', type: 'fixed', value: 5 }], cart, { currency: usd });
+  assert.equal(result.discount, 5.5);
+
+  const invoice = buildInvoiceData({
+    items: [{ id: 'a', name: 'A', price: 130, qty: 1 }],
+    subtotalBeforeDiscount: 130,
+    appliedPromotions: [{ id: 'five', name: 'Five off', discount: 5 }, { id: 'ship', name: 'Free shipping', discount: 0, freeShipping: true }],
+    total: 125
+  });
+  assert.deepEqual(invoice.adjustments, [{ key: 'promotion', amount: -5, note: 'Five off' }]);
+});
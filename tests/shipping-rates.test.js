@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  postcodeMatches,
+  normalizeZones,
+  normalizeRates,
+  formatRates,
+  resolveZone,
+  cartWeight,
+  quoteShipping
+} = require('../lib/shipping-rates');
+
+const zones = normalizeZones('islands | Νησιά | 80-85, 49, 28100-28199\ncrete | Κρήτη | 70-74');
+const courier = {
+  id: 'courier',
+  base: 3,
+  extraKgPrice: 0.8,
+  rates: normalizeRates('* | 2 | 4 | 60\n* | 10 | 7 | 0\nislands | 2 | 7 | 100\nislands | 10 | 12 | 0')
+};
+
+test('postcodes match prefixes and prefix ranges', () => {
+  assert.equal(postcodeMatches('84100', '80-85'), true);
+  assert.equal(postcodeMatches('86100', '80-85'), false);
+  assert.equal(postcodeMatches('491 00', '49'), true);
+  assert.equal(postcodeMatches('28150', '28100-28199'), true);
+  assert.equal(postcodeMatches('28250', '28100-28199'), false);
+  assert.equal(resolveZone(zones, '84100'), 'islands');
+  assert.equal(resolveZone(zones, '71201'), 'crete');
+  assert.equal(resolveZone(zones, '10431'), '');
+});
+
+test('rate rows parse from the editor text and format back', () => {
+  assert.deepEqual(courier.rates[0], { zone: '', maxWeight: 2, price: 4, freeOver: 60 });
+  assert.equal(courier.rates.length, 4);
+  assert.equal(formatRates(courier.rates).split('\n')[0], '* | 2 | 4 | 60');
+  assert.deepEqual(normalizeRates('* | 5 | abc\n\n'), []);
+});
+
+test('the lightest fitting row of the buyer zone prices the parcel', () => {
+  assert.equal(quoteShipping(courier, { weight: 1.5, postcode: '10431', subtotal: 20 }, zones).cost, 4);
+  assert.equal(quoteShipping(courier, { weight: 6, postcode: '10431', subtotal: 20 }, zones).cost, 7);
+  assert.equal(quoteShipping(courier, { weight: 1, postcode: '84100', subtotal: 20 }, zones).cost, 7);
+  // Crete has no rows of its own: default zone rows apply.
+  assert.equal(quoteShipping(courier, { weight: 1, postcode: '71201', subtotal: 20 }, zones).cost, 4);
+  // 12.3 kg: heaviest row plus 3 started kg.
+  assert.equal(quoteShipping(courier, { weight: 12.3, postcode: '10431', subtotal: 20 }, zones).cost, 9.4);
+  assert.equal(quoteShipping({ ...courier, extraKgPrice: 0 }, { weight: 12.3, postcode: '10431' }, zones).available, false);
+});
+
+test('free-shipping thresholds apply per row, in the order currency', () => {
+  const free = quoteShipping(courier, { weight: 1, postcode: '10431', subtotal: 60 }, zones);
+  assert.deepEqual([free.cost, free.free], [0, true]);
+  // Heavier parcels are never free.
+  assert.equal(quoteShipping(courier, { weight: 5, postcode: '10431', subtotal: 500 }, zones).cost, 7);
+  const usd = { code: 'USD', rate: 1.1 };
+  assert.equal(quoteShipping(courier, { weight: 1, postcode: '10431', subtotal: 62, currency: usd }, zones).cost, 4.4);
+  assert.equal(quoteShipping(courier, { weight: 1, postcode: '10431', subtotal: 66, currency: usd }, zones).cost, 0);
+});
+
+test('options without rates keep their flat base; weight sums per unit', () => {
+  assert.equal(quoteShipping({ id: 'flat', base: 3 }, { weight: 40 }, zones).cost, 3);
+  assert.equal(cartWeight([{ weight: 1.25, qty: 2 }, { weight: 0.5, qty: 1 }, { weight: 9, qty: 1, isKitSummary: true }]), 3);
+});
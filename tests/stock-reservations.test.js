@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_RESERVATION_MINUTES,
+  resolveReservationMinutes,
+  getTrackedStock,
+  buildStockLines,
+  createReservation,
+  stripeSessionExpiresAt,
+  isReservationActive,
+  summarizeReservations,
+  findStockShortfalls,
+  releaseExpiredReservations,
+  listActiveReservations
+} = require('../lib/stock-reservations');
+
+const NOW = Date.parse('2026-03-01T10:00:00.000Z');
+const MINUTE = 60 * 1000;
+
+const products = [
+  { id: 'tee', name: 'Tee', stock: 5 },
+  { id: 'cap', name: 'Cap', variants: [{ id: 'red', stock: 2 }, { id: 'blue' }] },
+  { id: 'poster', name: 'Poster' }
+];
+
+function pendingEntry(items, minutesFromNow, status) {
+  const reservation = createReservation(items, {}, NOW + (minutesFromNow - DEFAULT_RESERVATION_MINUTES) * MINUTE);
+  if (status) reservation.status = status;
+  return { order: { id: 'o', customerName: 'Maria' }, enrichedItems: items, reservation };
+}
+
+// ── Configuration ─────────────────────────────────────────────────────────────
+
+test('reservation window defaults to 35 minutes and stays inside Stripe limits', () => {
+  assert.equal(resolveReservationMinutes({}), 35);
+  assert.equal(resolveReservationMinutes({ stockReservationMinutes: 5 }), 35);
+  assert.equal(resolveReservationMinutes({ stockReservationMinutes: 90 }), 90);
+  assert.equal(resolveReservationMinutes({ stockReservationMinutes: 5000 }), 1440);
+});
+
+test('the Stripe session outlasts Stripe\'s 30-minute minimum with the default window', () => {
+  const reservation = createReservation([{ id: 'tee', qty: 1 }], {}, NOW);
+  // The session is created a moment after the reservation.
+  const sessionNow = NOW + 2 * MINUTE;
+  assert.ok(stripeSessionExpiresAt(reservation, sessionNow) - sessionNow / 1000 >= 1800);
+  assert.equal(stripeSessionExpiresAt(reservation, NOW), Date.parse(reservation.expiresAt) / 1000);
+  const short = { ...reservation, expiresAt: new Date(NOW + 10 * MINUTE).toISOString() };
+  assert.equal(stripeSessionExpiresAt(short, NOW) - NOW / 1000, 31 * 60);
+});
+
+// ── Lines & tracked stock ─────────────────────────────────────────────────────
+
+test('getTrackedStock reads product or variant stock and treats missing stock as unlimited', () => {
+  assert.equal(getTrackedStock(products[0]), 5);
+  assert.equal(getTrackedStock(products[1], 'red'), 2);
+  assert.equal(getTrackedStock(products[1], 'blue'), null);
+  assert.equal(getTrackedStock(products[2]), null);
+});
+
+test('buildStockLines merges duplicate lines and skips kit summaries', () => {
+  const lines = buildStockLines([
+    { id: 'tee', name: 'Tee', qty: 1 },
+    { id: 'tee', name: 'Tee', qty: 2 },
+    { id: 'cap', name: 'Cap', variantId: 'red', qty: 1 },
+    { id: 'kit', name: 'Kit', qty: 1, isKitSummary: true }
+  ]);
+  assert.deepEqual(lines.map((l) => [l.productId, l.variantId, l.qty]), [['tee', undefined, 3], ['cap', 'red', 1]]);
+});
+
+test('buildStockLines counts products linked from a priced kit', () => {
+  const lines = buildStockLines([{
+    id: 'kit', name: 'Roll kit', qty: 2,
+    selectedOptions: [
+      { groupId: 'g', choiceId: 'c1', choiceLabel: 'Red cap', linkedProductId: 'cap', selectedVariantId: 'red' },
+      { groupId: 'g', choiceId: 'c2', choiceLabel: 'Gift wrap' }
+    ]
+  }]);
+  assert.deepEqual(lines.map((l) => [l.productId, l.variantId, l.qty, l.kitName]), [
+    ['kit', undefined, 2, undefined],
+    ['cap', 'red', 2, 'Roll kit']
+  ]);
+});
+
+test('buildStockLines spends a bundle\'s components instead of the bundle', () => {
+  const lines = buildStockLines([
+    {
+      id: 'pack', name: 'Summer pack', qty: 2,
+      bundleComponents: [{ productId: 'tee', name: 'Tee', qty: 2 }, { productId: 'cap', variantId: 'red', name: 'Cap', variantLabel: 'Red', qty: 1 }]
+    },
+    { id: 'tee', name: 'Tee', qty: 1 }
+  ]);
+  assert.deepEqual(lines.map((l) => [l.productId, l.variantId, l.qty, l.kitName]), [
+    ['tee', undefined, 5, 'Summer pack'],
+    ['cap', 'red', 2, 'Summer pack']
+  ]);
+});
+
+// ── Availability ──────────────────────────────────────────────────────────────
+
+test('active reservations reduce what is available to the next shopper', () => {
+  const pending = {
+    po_a: pendingEntry([{ id: 'tee', qty: 4 }], 10),
+    po_b: pendingEntry([{ id: 'cap', variantId: 'red', qty: 2 }], 10),
+    po_old: pendingEntry([{ id: 'tee', qty: 5 }], -1)
+  };
+  const totals = summarizeReservations(pending, NOW);
+  assert.deepEqual(totals, { 'tee::': 4, 'cap::red': 2 }, 'expired reservation holds nothing');
+
+  const shortfalls = findStockShortfalls(
+    buildStockLines([{ id: 'tee', qty: 2 }, { id: 'cap', variantId: 'red', qty: 1 }, { id: 'poster', qty: 99 }]),
+    products,
+    totals
+  );
+  assert.deepEqual(shortfalls.map((l) => [l.productId, l.available]), [['tee', 1], ['cap', 0]]);
+});
+
+test('allowBackorder products never fall short', () => {
+  const shortfalls = findStockShortfalls(
+    buildStockLines([{ id: 'pre', qty: 10 }, { id: 'gone', qty: 1 }]),
+    [{ id: 'pre', stock: 0, allowBackorder: true }, { id: 'gone', stock: 0 }],
+    {}
+  );
+  assert.deepEqual(shortfalls.map((l) => l.productId), ['gone']);
+});
+
+// ── Expiry & release ──────────────────────────────────────────────────────────
+
+test('releaseExpiredReservations releases expired holds and purges old released entries', () => {
+  const pending = {
+    po_live: pendingEntry([{ id: 'tee', qty: 1 }], 10),
+    po_expired: pendingEntry([{ id: 'tee', qty: 1 }], -1),
+    po_cancelled: pendingEntry([{ id: 'tee', qty: 1 }], 10, 'cancelled'),
+    po_legacy: { order: { id: 'legacy' }, enrichedItems: [] }
+  };
+  pending.po_cancelled.reservation.releasedAt = new Date(NOW - 25 * 60 * MINUTE).toISOString();
+
+  const changes = releaseExpiredReservations(pending, NOW);
+  assert.deepEqual(changes, { released: ['po_expired'], purged: ['po_cancelled'] });
+  assert.equal(pending.po_expired.reservation.status, 'expired');
+  assert.ok(pending.po_expired, 'released entries are kept so a late payment can still be matched');
+  assert.ok(pending.po_legacy, 'entries without a reservation are left alone');
+  assert.equal(isReservationActive(pending.po_live, NOW), true);
+  assert.equal(isReservationActive(pending.po_expired, NOW), false);
+});
+
+test('listActiveReservations lists only live holds, soonest expiry first', () => {
+  const pending = {
+    po_late: pendingEntry([{ id: 'tee', name: 'Tee', qty: 1 }], 20),
+    po_soon: pendingEntry([{ id: 'tee', name: 'Tee', qty: 2 }], 5),
+    po_gone: pendingEntry([{ id: 'tee', name: 'Tee', qty: 1 }], 5, 'cancelled')
+  };
+  const rows = listActiveReservations(pending, NOW);
+  assert.deepEqual(rows.map((r) => r.pendingId), ['po_soon', 'po_late']);
+  assert.equal(rows[0].customer, 'Maria');
+  assert.equal(rows[0].lines[0].qty, 2);
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  foldText,
+  tokenize,
+  productPrice,
+  productInStock,
+  productAttributes,
+  parseListingParams,
+  parseSearchParams,
+  sortProducts,
+  paginate,
+  searchProducts
+} = require('../lib/storefront-search');
+
+const categories = [
+  { id: 'bags', slug: 'tsantes' },
+  { id: 'backpacks', parentId: 'bags' },
+  { id: 'shoes' }
+];
+
+const products = [
+  {
+    id: 'bag',
+    sku: 'DEMO-BAG-001',
+    name: { el: 'Δερμάτινη τσάντα ώμου', en: 'Leather shoulder bag' },
+    description: { el: 'Καθημερινή τσάντα', en: 'Everyday bag' },
+    categoryId: 'bags',
+    price: 48,
+    stock: 3,
+    variants: [
+      { id: 'bag-black', label: { el: 'Μαύρο', en: 'Black' }, sku: 'BAG-BLK', price: 48, attributes: { Χρώμα: 'Μαύρο' } },
+      { id: 'bag-brown', label: { el: 'Καφέ', en: 'Brown' }, sku: 'BAG-BRN', price: 52, stock: 0, attributes: { Χρώμα: 'Καφέ' } }
+    ]
+  },
+  {
+    id: 'pack',
+    sku: 'PACK-01',
+    name: { el: 'Σακίδιο πλάτης', en: 'Backpack' },
+    description: { el: 'Για τσάντα ταξιδιού', en: 'Travel pack' },
+    categoryId: 'backpacks',
+    price: 70,
+    stock: 0
+  },
+  {
+    id: 'shoe',
+    sku: 'SH-9',
+    name: 'Παπούτσι Ηλιος',
+    description: '',
+    categoryId: 'shoes',
+    price: 30,
+    createdAt: '2026-05-01T00:00:00Z',
+    variants: [{ id: 'shoe-42', label: 'Νούμερο 42', price: 30 }]
+  }
+];
+
+test('folding drops tonos and dialytika and reads final sigma as σ', () => {
+  assert.equal(foldText('Ηλίας ΐ Ϋ Café'), 'ηλιασ ι υ cafe');
+  assert.deepEqual(tokenize('  Τσάντα-ώμου, ΔΕΡΜΆΤΙΝΗ! '), ['τσαντα', 'ωμου', 'δερματινη']);
+});
+
+test('price, stock and attributes come from the variants when present', () => {
+  assert.equal(productPrice(products[0]), 48);
+  assert.equal(productPrice({ price: 12 }), 12);
+  assert.equal(productInStock(products[0]), true);
+  assert.equal(productInStock(products[1]), false);
+  assert.equal(productInStock({ price: 1 }), true);
+  assert.deepEqual(productAttributes(products[0], 'el'), { Χρώμα: ['Μαύρο', 'Καφέ'] });
+  assert.deepEqual(productAttributes(products[2], 'el'), { variant: ['Νούμερο 42'] });
+});
+
+test('query strings parse into bounded search params', () => {
+  assert.deepEqual(
+    parseSearchParams({ q: ' τσάντα ', category: 'bags,shoes', min: '10,5', max: 'x', inStock: 'on', 'attr.Χρώμα': ['Μαύρο', 'Καφέ'], sort: 'cheap', page: '-2' }),
+    { q: 'τσάντα', categories: ['bags', 'shoes'], minPrice: 10.5, maxPrice: null, inStock: true, attributes: { Χρώμα: ['Μαύρο', 'Καφέ'] }, sort: 'relevance', page: 1, perPage: null }
+  );
+  assert.deepEqual(parseListingParams({ sort: 'name_asc', page: '3', perPage: '500' }), { sort: 'name_asc', page: 3, perPage: 96 });
+});
+
+test('tokens match prefixes across languages, SKUs and variant labels', () => {
+  const ids = (q) => searchProducts(products, parseSearchParams({ q }), { categories }).items.map((i) => i.product.id);
+  assert.deepEqual(ids('ΤΣΑΝΤΑ'), ['bag', 'pack']);
+  assert.deepEqual(ids('δερματ τσαντ'), ['bag']);
+  assert.deepEqual(ids('shoulder'), ['bag']);
+  assert.deepEqual(ids('demo-bag'), ['bag']);
+  assert.deepEqual(ids('bag001'), ['bag']);
+  assert.deepEqual(ids('καφε'), ['bag']);
+  assert.deepEqual(ids('νουμερο 42'), ['shoe']);
+  assert.deepEqual(ids('ηλιος'), ['shoe']);
+  assert.deepEqual(ids('τσαντα γαλαζια'), []);
+});
+
+test('filters narrow results while each facet ignores its own filter', () => {
+  const run = (query) => searchProducts(products, parseSearchParams(query), { categories, lang: 'el' });
+
+  const bags = run({ category: 'tsantes' });
+  assert.deepEqual(bags.items.map((i) => i.product.id), ['bag', 'pack']);
+  assert.deepEqual(bags.facets.categories, [{ id: 'bags', count: 1 }, { id: 'backpacks', count: 1 }, { id: 'shoes', count: 1 }]);
+
+  const stocked = run({ category: 'bags', inStock: '1' });
+  assert.deepEqual(stocked.items.map((i) => i.product.id), ['bag']);
+  assert.equal(stocked.facets.inStock, 1);
+  assert.deepEqual(stocked.facets.categories, [{ id: 'bags', count: 1 }, { id: 'shoes', count: 1 }]);
+
+  const priced = run({ min: 40, max: 60 });
+  assert.deepEqual(priced.items.map((i) => i.product.id), ['bag']);
+  assert.deepEqual(priced.facets.price, { min: 30, max: 70 });
+
+  const brown = run({ 'attr.Χρώμα': 'καφε' });
+  assert.deepEqual(brown.items.map((i) => i.product.id), ['bag']);
+  assert.deepEqual(brown.facets.attributes.find((f) => f.name === 'Χρώμα').values, [{ value: 'Καφέ', count: 1 }, { value: 'Μαύρο', count: 1 }]);
+});
+
+test('sorting by price, newest and popularity, with pagination', () => {
+  const order = (sort, extra) => searchProducts(products, parseSearchParams({ sort }), { categories, ...extra }).items.map((i) => i.product.id);
+  assert.deepEqual(order('price_asc'), ['shoe', 'bag', 'pack']);
+  assert.deepEqual(order('price_desc'), ['pack', 'bag', 'shoe']);
+  assert.deepEqual(order('newest'), ['shoe', 'pack', 'bag']);
+  assert.deepEqual(order('popular', { popularity: { pack: { sold: 2, views: 1 }, bag: { sold: 2, views: 9 } } }), ['bag', 'pack', 'shoe']);
+
+  const page = searchProducts(products, parseSearchParams({ sort: 'price_asc', page: '9' }), { pageSize: 2 });
+  assert.deepEqual([page.total, page.page, page.pageCount], [3, 2, 2]);
+  assert.deepEqual(page.items.map((i) => i.product.id), ['pack']);
+});
+
+test('category listings sort the catalogue and page it', () => {
+  const ids = (list) => list.map((p) => p.id);
+  assert.deepEqual(ids(sortProducts(products, 'relevance')), ['bag', 'pack', 'shoe']);
+  assert.deepEqual(ids(sortProducts(products, 'name_asc', { lang: 'el' })), ['bag', 'shoe', 'pack']);
+  assert.deepEqual(ids(sortProducts(products, 'name_asc', { lang: 'en' })), ['pack', 'bag', 'shoe']);
+  assert.deepEqual(ids(sortProducts(products, 'popular', { popularity: { shoe: { sold: 1, views: 0 } } })), ['shoe', 'bag', 'pack']);
+
+  const second = paginate(['a', 'b', 'c', 'd', 'e'], 2, 2);
+  assert.deepEqual(second, { items: ['c', 'd'], total: 5, page: 2, pageCount: 3, pageSize: 2 });
+  assert.deepEqual(paginate([], 4, 2), { items: [], total: 0, page: 1, pageCount: 1, pageSize: 2 });
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Stripe = require('stripe');
+const {
+  parseWebhookSecrets,
+  resolveToleranceSeconds,
+  peekEventTenantId,
+  verifyStripeWebhook
+} = require('../lib/stripe-webhook');
+
+const SECRET = 'whsec_current';
+const OLD_SECRET = 'whsec_previous';
+const payload = JSON.stringify({
+  id: 'evt_1',
+  type: 'checkout.session.completed',
+  data: { object: { id: 'cs_1', metadata: { tenantId: 'demo', pendingId: 'po_1' } } }
+});
+
+function sign(secret, timestamp) {
+  return Stripe.webhooks.generateTestHeaderString({ payload, secret, timestamp });
+}
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+// ── Secrets & options ─────────────────────────────────────────────────────────
+
+test('secrets are collected from comma lists and arrays without duplicates', () => {
+  assert.deepEqual(parseWebhookSecrets(' whsec_a, whsec_b ', ['whsec_b', ''], undefined, 'whsec_c'), ['whsec_a', 'whsec_b', 'whsec_c']);
+  assert.deepEqual(parseWebhookSecrets('', null), []);
+});
+
+test('tolerance falls back to five minutes for missing or invalid values', () => {
+  assert.equal(resolveToleranceSeconds(undefined), 300);
+  assert.equal(resolveToleranceSeconds('-5'), 300);
+  assert.equal(resolveToleranceSeconds('600'), 600);
+});
+
+test('the tenant hint is read from the session metadata', () => {
+  assert.equal(peekEventTenantId(Buffer.from(payload)), 'demo');
+  assert.equal(peekEventTenantId('not json'), '');
+  assert.equal(peekEventTenantId('{"data":{"object":{}}}'), '');
+});
+
+// ── Verification ──────────────────────────────────────────────────────────────
+
+test('a correctly signed event verifies', () => {
+  const result = verifyStripeWebhook(Stripe, Buffer.from(payload), sign(SECRET), [SECRET]);
+  assert.equal(result.ok, true);
+  assert.equal(result.event.id, 'evt_1');
+  assert.equal(result.secretIndex, 0);
+});
+
+test('a tampered payload or wrong secret is rejected', () => {
+  const header = sign(SECRET);
+  assert.equal(verifyStripeWebhook(Stripe, Buffer.from(payload.replace('po_1', 'po_2')), header, [SECRET]).ok, false);
+  assert.equal(verifyStripeWebhook(Stripe, Buffer.from(payload), header, ['whsec_other']).ok, false);
+  assert.equal(verifyStripeWebhook(Stripe, Buffer.from(payload), '', [SECRET]).ok, false);
+  assert.equal(verifyStripeWebhook(Stripe, Buffer.from(payload), header, []).ok, false);
+  assert.equal(verifyStripeWebhook(null, Buffer.from(payload), header, [SECRET]).ok, false);
+});
+
+test('events outside the replay window are rejected', () => {
+  const stale = sign(SECRET, nowSeconds() - 301);
+  assert.equal(verifyStripeWebhook(Stripe, Buffer.from(payload), stale, [SECRET]).ok, false);
+  assert.equal(verifyStripeWebhook(Stripe, Buffer.from(payload), stale, [SECRET], { toleranceSeconds: 600 }).ok, true);
+});
+
+test('any of several v1 signatures may match during a secret roll', () => {
+  const timestamp = nowSeconds();
+  const oldSig = sign(OLD_SECRET, timestamp).split(',').find((p) => p.startsWith('v1='));
+  const header = `${sign(SECRET, timestamp)},${oldSig}`;
+  assert.equal(verifyStripeWebhook(Stripe, Buffer.from(payload), header, [OLD_SECRET]).ok, true);
+  assert.equal(verifyStripeWebhook(Stripe, Buffer.from(payload), header, [SECRET]).ok, true);
+});
+
+test('each configured secret is tried and the matching one reported', () => {
+  const result = verifyStripeWebhook(Stripe, Buffer.from(payload), sign(SECRET), [OLD_SECRET, SECRET]);
+  assert.equal(result.ok, true);
+  assert.equal(result.secretIndex, 1);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  resolveTaxSettings,
+  resolveProductTaxClass,
+  splitTax,
+  computeOrderTax,
+  formatTaxBreakdown
+} = require('../lib/tax');
+const { buildInvoiceData } = require('../lib/order-documents');
+
+const enabled = (extra) => resolveTaxSettings({ tax: { enabled: true, ...(extra || {}) } });
+
+test('tax is off by default and falls back to the Greek rates', () => {
+  const settings = resolveTaxSettings({});
+  assert.equal(settings.enabled, false);
+  assert.equal(settings.pricesIncludeTax, true);
+  assert.deepEqual(settings.classes, { standard: 24, reduced: 13, super_reduced: 6, zero: 0 });
+
+  const custom = resolveTaxSettings({ tax: { enabled: true, defaultClass: 'missing', classes: { Islands: 17, bad: 150 } } });
+  assert.equal(custom.classes.islands, 17);
+  assert.equal(custom.classes.bad, undefined);
+  assert.equal(custom.defaultClass, 'standard');
+});
+
+test('product class wins, then the nearest category up the tree, then the default', () => {
+  const settings = enabled({ defaultClass: 'standard' });
+  const categories = [
+    { id: 'food', taxClass: 'reduced' },
+    { id: 'snacks', parentId: 'food' },
+    { id: 'loop-a', parentId: 'loop-b' },
+    { id: 'loop-b', parentId: 'loop-a' }
+  ];
+  assert.equal(resolveProductTaxClass({ categoryId: 'snacks' }, categories, settings), 'reduced');
+  assert.equal(resolveProductTaxClass({ categoryId: 'snacks', taxClass: 'super_reduced' }, categories, settings), 'super_reduced');
+  assert.equal(resolveProductTaxClass({ categoryId: 'loop-a' }, categories, settings), 'standard');
+  assert.equal(resolveProductTaxClass({ categoryId: 'food', taxClass: 'unknown' }, categories, settings), 'reduced');
+});
+
+test('splitTax carves VAT out of gross prices or adds it to net ones', () => {
+  assert.deepEqual(splitTax(12.4, 24, true), { net: 10, tax: 2.4, gross: 12.4 });
+  assert.deepEqual(splitTax(10, 24, false), { net: 10, tax: 2.4, gross: 12.4 });
+  assert.deepEqual(splitTax(5, 0, true), { net: 5, tax: 0, gross: 5 });
+});
+
+test('computeOrderTax spreads discounts over lines and groups by rate', () => {
+  const settings = enabled({ shippingClass: 'standard' });
+  const tax = computeOrderTax(settings, {
+    items: [
+      { id: 'a', price: 62, qty: 1, taxClass: 'standard' },
+      { id: 'b', price: 11.3, qty: 2, taxClass: 'reduced' },
+      { id: 'kit', price: 0, qty: 1, taxClass: 'standard' }
+    ],
+    subtotalBeforeDiscount: 84.6,
+    subtotal: 76.14,
+    charges: [{ key: 'shipping', amount: 4.96 }, { key: 'cod', amount: 0 }]
+  });
+  assert.equal(tax.lines.length, 2);
+  assert.deepEqual(tax.lines.map((l) => l.index), [0, 1]);
+  // 10% discount: 6.20 off the 62.00 line, the remainder (2.26) off the other.
+  assert.equal(tax.lines[0].gross, 55.8);
+  assert.equal(tax.lines[1].gross, 20.34);
+  assert.equal(tax.charges.length, 1);
+  assert.equal(tax.totalGross, 81.1);
+  assert.deepEqual(tax.byRate.map((r) => r.rate), [24, 13]);
+  assert.equal(tax.totalTax, +(tax.byRate[0].tax + tax.byRate[1].tax).toFixed(2));
+  assert.equal(+(tax.totalNet + tax.totalTax).toFixed(2), tax.totalGross);
+  assert.equal(formatTaxBreakdown(tax), `24%: ${tax.byRate[0].tax.toFixed(2)} | 13%: ${tax.byRate[1].tax.toFixed(2)}`);
+});
+
+test('exclusive pricing adds tax on top; invoices carry the per-rate totals', () => {
+  const tax = computeOrderTax(enabled({ pricesIncludeTax: false }), {
+    items: [{ id: 'a', price: 10, qty: 3, taxClass: 'standard' }],
+    subtotalBeforeDiscount: 30,
+    subtotal: 30,
+    charges: [{ key: 'shipping', amount: 5 }]
+  });
+  assert.equal(tax.totalNet, 35);
+  assert.equal(tax.totalTax, 8.4);
+
+  const invoice = buildInvoiceData({
+    items: [{ id: 'a', name: 'A', price: 10, qty: 3 }],
+    subtotalBeforeDiscount: 30,
+    shippingCost: 5,
+    tax,
+    taxTotal: tax.totalTax,
+    total: 43.4
+  });
+  assert.equal(invoice.lines[0].taxRate, 24);
+  assert.deepEqual(invoice.tax, { pricesIncludeTax: false, byRate: [{ rate: 24, net: 35, tax: 8.4 }], total: 8.4 });
+  assert.equal(buildInvoiceData({ items: [], total: 1 }).tax, null);
+});
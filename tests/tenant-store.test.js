@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTenantStore, collectionFilePath } = require('../lib/tenant-store');
+
+function tmpTenantsDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'thrc-store-'));
+}
+
+let sqliteAvailable = true;
+try { require('better-sqlite3'); } catch { sqliteAvailable = false; }
+
+// ── Driver selection ──────────────────────────────────────────────────────────
+
+test('file driver is the default', () => {
+  const store = createTenantStore({ tenantsDir: tmpTenantsDir() });
+  assert.equal(store.driver, 'file');
+});
+
+test('unknown driver is rejected', () => {
+  assert.throws(() => createTenantStore({ driver: 'mongo', tenantsDir: tmpTenantsDir() }), /Unknown storage driver/);
+});
+
+test('unknown collection is rejected', () => {
+  const store = createTenantStore({ tenantsDir: tmpTenantsDir() });
+  assert.throws(() => store.load('demo', 'secrets', null), /Unknown tenant collection/);
+});
+
+// ── File driver ───────────────────────────────────────────────────────────────
+
+test('file driver: save/load round-trip keeps the existing JSON layout', () => {
+  const dir = tmpTenantsDir();
+  const store = createTenantStore({ driver: 'file', tenantsDir: dir });
+  store.save('demo', 'config', { storeName: 'Demo' });
+  assert.deepEqual(store.load('demo', 'config', {}), { storeName: 'Demo' });
+  const onDisk = JSON.parse(fs.readFileSync(path.join(dir, 'demo', 'config.json'), 'utf8'));
+  assert.equal(onDisk.storeName, 'Demo');
+  assert.deepEqual(fs.readdirSync(path.join(dir, 'demo')), ['config.json'], 'no temp files left behind');
+});
+
+test('file driver: missing collection returns fallback', () => {
+  const store = createTenantStore({ tenantsDir: tmpTenantsDir() });
+  assert.deepEqual(store.load('demo', 'orders', []), []);
+  assert.equal(store.has('demo', 'orders'), false);
+});
+
+test('file driver: malformed list falls back', () => {
+  const dir = tmpTenantsDir();
+  const store = createTenantStore({ tenantsDir: dir });
+  const file = collectionFilePath(dir, 'demo', 'orders');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, '{"not":"a list"}');
+  assert.deepEqual(store.load('demo', 'orders', []), []);
+});
+
+test('file driver: append adds rows to list collections only', () => {
+  const store = createTenantStore({ tenantsDir: tmpTenantsDir() });
+  store.append('demo', 'orders', { id: 'A' });
+  store.append('demo', 'orders', [{ id: 'B' }, { id: 'C' }]);
+  assert.deepEqual(store.load('demo', 'orders', []).map(o => o.id), ['A', 'B', 'C']);
+  assert.throws(() => store.append('demo', 'config', {}), /document collection/);
+});
+
+// ── SQLite driver ─────────────────────────────────────────────────────────────
+
+test('sqlite driver: documents and lists round-trip', { skip: !sqliteAvailable && 'better-sqlite3 not installed' }, () => {
+  const dir = tmpTenantsDir();
+  const store = createTenantStore({ driver: 'sqlite', tenantsDir: dir, sqlitePath: path.join(dir, 'db.sqlite') });
+  try {
+    assert.equal(store.driver, 'sqlite');
+    assert.equal(store.load('demo', 'config', null), null);
+    store.save('demo', 'config', { storeName: 'Demo' });
+    store.save('demo', 'products', [{ id: 'p1' }]);
+    store.append('demo', 'orders', { id: 'A' });
+    store.append('demo', 'orders', [{ id: 'B' }]);
+    assert.deepEqual(store.load('demo', 'config', {}), { storeName: 'Demo' });
+    assert.deepEqual(store.load('demo', 'products', []), [{ id: 'p1' }]);
+    assert.deepEqual(store.load('demo', 'orders', []).map(o => o.id), ['A', 'B']);
+    assert.deepEqual(store.load('other', 'orders', []), [], 'tenants are isolated');
+    store.save('demo', 'orders', []);
+    assert.deepEqual(store.load('demo', 'orders', ['fallback']), []);
+  } finally {
+    store.close();
+  }
+});
+
+test('sqlite driver: imports existing JSON files on first access', { skip: !sqliteAvailable && 'better-sqlite3 not installed' }, () => {
+  const dir = tmpTenantsDir();
+  const fileStore = createTenantStore({ driver: 'file', tenantsDir: dir });
+  fileStore.save('demo', 'orders', [{ id: 'LEGACY' }]);
+  fileStore.save('demo', 'config', { storeName: 'Legacy' });
+
+  const store = createTenantStore({ driver: 'sqlite', tenantsDir: dir, sqlitePath: path.join(dir, 'db.sqlite') });
+  try {
+    assert.equal(store.has('demo', 'orders'), true);
+    store.append('demo', 'orders', { id: 'NEW' });
+    assert.deepEqual(store.load('demo', 'orders', []).map(o => o.id), ['LEGACY', 'NEW']);
+    assert.equal(store.load('demo', 'config', {}).storeName, 'Legacy');
+    // The JSON files are left untouched — the database is now the source of truth.
+    assert.deepEqual(fileStore.load('demo', 'orders', []).map(o => o.id), ['LEGACY']);
+  } finally {
+    store.close();
+  }
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_TIME_ZONE, resolveTimeZone, zoneOffsetMinutes, toZonedIso } = require('../lib/tenant-time');
+
+test('tenants default to Athens and unknown zones fall back to it', () => {
+  assert.equal(DEFAULT_TIME_ZONE, 'Europe/Athens');
+  assert.equal(resolveTimeZone({}), 'Europe/Athens');
+  assert.equal(resolveTimeZone({ timeZone: 'Mars/Olympus' }), 'Europe/Athens');
+  assert.equal(resolveTimeZone({ timeZone: 'Europe/Lisbon' }), 'Europe/Lisbon');
+});
+
+test('wall-clock times take the zone\'s offset on the day they name', () => {
+  assert.equal(toZonedIso('2026-11-01T09:00', 'Europe/Athens'), '2026-11-01T09:00+02:00');
+  assert.equal(toZonedIso('2026-07-01T09:00', 'Europe/Athens'), '2026-07-01T09:00+03:00');
+  assert.equal(toZonedIso('2026-07-01', 'Europe/Athens'), '2026-07-01T00:00+03:00');
+  assert.equal(toZonedIso('2026-07-01T09:00:30', 'Asia/Kolkata'), '2026-07-01T09:00:30+05:30');
+  assert.equal(toZonedIso('2026-07-01T09:00', 'America/New_York'), '2026-07-01T09:00-04:00');
+  assert.equal(Date.parse(toZonedIso('2026-07-01T09:00', 'Europe/Athens')), Date.parse('2026-07-01T06:00:00Z'));
+});
+
+test('dates with an offset keep their moment, shown in the shop\'s zone', () => {
+  assert.equal(toZonedIso('2026-07-01T06:00:00.000Z', 'Europe/Athens'), '2026-07-01T09:00+03:00');
+  assert.equal(toZonedIso('2026-07-01T09:00+03:00', 'Europe/Athens'), '2026-07-01T09:00+03:00');
+  assert.equal(toZonedIso('not a date', 'Europe/Athens'), '');
+  assert.equal(toZonedIso('', 'Europe/Athens'), '');
+});
+
+test('clock changes: offsets follow the instant', () => {
+  assert.equal(zoneOffsetMinutes('Europe/Athens', Date.parse('2026-03-29T00:59:00Z')), 120);
+  assert.equal(zoneOffsetMinutes('Europe/Athens', Date.parse('2026-03-29T01:00:00Z')), 180);
+  // 03:30 does not exist in Athens that night; it lands an hour later.
+  assert.equal(toZonedIso('2026-03-29T03:30', 'Europe/Athens'), '2026-03-29T04:30+03:00');
+});
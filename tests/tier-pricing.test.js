@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeTiers,
+  formatTiers,
+  resolveTiers,
+  tierUnitPrice,
+  applyTierPricing,
+  buildTierMap
+} = require('../lib/tier-pricing');
+
+const categories = [
+  { id: 'bags', priceTiers: [{ minQty: 5, percentOff: 10 }] },
+  { id: 'totes', parentId: 'bags' },
+  { id: 'shoes' }
+];
+const products = [
+  { id: 'tote-1', categoryId: 'totes', price: 20 },
+  { id: 'mug', categoryId: 'shoes', price: 10, priceTiers: [{ minQty: 3, price: 9.5 }, { minQty: 10, price: 8 }] },
+  { id: 'shoe-1', categoryId: 'shoes', price: 50 },
+  { id: 'kit', type: 'KIT', categoryId: 'bags', price: 90 }
+];
+
+test('normalizeTiers reads the editor text and drops invalid entries', () => {
+  assert.deepEqual(normalizeTiers('10:15%, 3:9.50; 1:5, x:2, 4:0'), [
+    { minQty: 3, price: 9.5 },
+    { minQty: 10, percentOff: 15 }
+  ]);
+  assert.deepEqual(normalizeTiers([{ minQty: '5', percentOff: 120 }, { minQty: 5, price: 7 }]), [{ minQty: 5, price: 7 }]);
+  assert.equal(formatTiers([{ minQty: 10, percentOff: 15 }, { minQty: 3, price: 9.5 }]), '3:9.5, 10:15%');
+});
+
+test('a product uses its own tiers, else the nearest category with tiers', () => {
+  assert.equal(resolveTiers(products[1], categories)[0].price, 9.5);
+  assert.deepEqual(resolveTiers(products[0], categories), [{ minQty: 5, percentOff: 10 }]);
+  assert.deepEqual(resolveTiers(products[2], categories), []);
+  assert.deepEqual(resolveTiers(products[3], categories), []);
+});
+
+test('tierUnitPrice picks the highest tier reached and scales for variants', () => {
+  const tiers = normalizeTiers('3:9.50, 10:8');
+  assert.equal(tierUnitPrice(10, 10, tiers, 2), 10);
+  assert.equal(tierUnitPrice(10, 10, tiers, 3), 9.5);
+  assert.equal(tierUnitPrice(10, 10, tiers, 12), 8);
+  // A €12 variant of a €10 product: the same 5% cut.
+  assert.equal(tierUnitPrice(12, 10, tiers, 3), 11.4);
+  // A tier never raises the price.
+  assert.equal(tierUnitPrice(5, 0, tiers, 3), 5);
+});
+
+test('applyTierPricing counts a product across its lines and skips kit parts', () => {
+  const items = [
+    { id: 'mug', variantId: 'mug-red', price: 10, qty: 2 },
+    { id: 'mug', variantId: 'mug-blue', price: 10, qty: 1 },
+    { id: 'tote-1', price: 20, qty: 4 },
+    { id: 'tote-1', price: 20, qty: 1, sourceKitId: 'kit' }
+  ];
+  const saved = applyTierPricing(items, products, categories);
+  assert.deepEqual(items.map((i) => i.price), [9.5, 9.5, 20, 20]);
+  assert.equal(items[0].listPrice, 10);
+  assert.equal(items[0].tierMinQty, 3);
+  assert.equal(items[2].listPrice, undefined);
+  assert.equal(saved, 1.5);
+});
+
+test('buildTierMap lists only products with tiers, for the storefront preview', () => {
+  assert.deepEqual(Object.keys(buildTierMap(products, categories)).sort(), ['mug', 'tote-1']);
+  assert.equal(buildTierMap(products, categories).mug.listPrice, 10);
+});